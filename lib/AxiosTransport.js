@@ -0,0 +1,121 @@
+'use strict';
+
+var PassThrough = require('stream').PassThrough,
+    Promise = require('bluebird'),
+    FormData = require('form-data'),
+    errors = require('./errors');
+
+// Parse a JSON response body, leaving anything else as is
+function parseBody(body) {
+    if (typeof body !== 'string' || body === '') {
+        return body;
+    }
+    try {
+        return JSON.parse(body);
+    } catch (e) {
+        return body;
+    }
+}
+
+/* Sends requests with axios, implementing the same interface as RequestTransport. Cookies are
+ * read from + saved to req.jar. opts.axios can be an axios instance to send requests with
+ * (e.g. one with interceptors for instrumentation), and opts.timeout is a request timeout in ms. */
+function AxiosTransport(opts) {
+    opts = opts || {};
+
+    this.timeout = opts.timeout || 0;
+    this._axios = opts.axios || require('axios').create();
+}
+
+// Build the config for an axios request
+AxiosTransport.prototype._config = function (req) {
+    var headers = {},
+        config = {
+            method: req.method === 'del' ? 'delete' : req.method,
+            url: req.url,
+            headers: headers,
+            timeout: this.timeout,
+            responseType: 'text',
+            transformResponse: [function (data) {
+                return data;
+            }],
+            validateStatus: function () {
+                return true;
+            }
+        };
+
+    var cookies = req.jar && req.jar.getCookieString(req.url);
+    if (cookies) {
+        headers.Cookie = cookies;
+    }
+
+    if (req.formData) {
+        var form = new FormData();
+        Object.keys(req.formData).forEach(function (field) {
+            var part = req.formData[field];
+            if (part && part.value !== undefined) {
+                form.append(field, part.value, part.options);
+            } else {
+                form.append(field, part);
+            }
+        });
+
+        var formHeaders = form.getHeaders();
+        Object.keys(formHeaders).forEach(function (name) {
+            headers[name] = formHeaders[name];
+        });
+        if (form.hasKnownLength()) {
+            headers['Content-Length'] = form.getLengthSync();
+        }
+        config.data = form;
+    } else if (req.body !== undefined) {
+        headers['Content-Type'] = 'application/json';
+        config.data = JSON.stringify(req.body);
+    }
+    headers.Accept = 'application/json';
+
+    Object.keys(req.headers || {}).forEach(function (name) {
+        headers[name] = req.headers[name];
+    });
+
+    return config;
+};
+
+AxiosTransport.prototype.send = function (req) {
+    return Promise.resolve(this._axios.request(this._config(req))).then(function (resp) {
+        var setCookies = resp.headers && resp.headers['set-cookie'];
+        if (req.jar && setCookies) {
+            [].concat(setCookies).forEach(function (cookie) {
+                req.jar.setCookie(cookie, req.url);
+            });
+        }
+
+        var body = parseBody(resp.data);
+        if (resp.status >= 400) {
+            return Promise.reject(errors.httpError(resp.status, body, resp.headers));
+        }
+        return req.fullResponse ?
+            { statusCode: resp.status, headers: resp.headers, body: body } : body;
+    });
+};
+
+AxiosTransport.prototype.openStream = function (url) {
+    var stream = new PassThrough();
+
+    Promise.resolve(this._axios.request({ method: 'get', url: url, responseType: 'stream' }))
+    .then(function (resp) {
+        if (resp.status >= 400) {
+            return stream.emit('error', errors.httpError(resp.status, undefined, resp.headers));
+        }
+        resp.data.on('error', function (error) {
+            stream.emit('error', error);
+        });
+        resp.data.pipe(stream);
+    }, function (error) {
+        stream.emit('error', error);
+    });
+
+    return stream;
+};
+
+module.exports = AxiosTransport;
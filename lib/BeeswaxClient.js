@@ -1,14 +1,41 @@
 'use strict';
 
 var urlUtils = require('url'),
-    util = require('util'),
     Promise = require('bluebird'),
-    request = require('request'),
     rp = require('request-promise'),
-    rpErrors = require('request-promise/errors');
-    FormData = require('form-data');
-   
-const fs = require('fs');
+    errors = require('./errors'),
+    entities = require('./entities'),
+    RequestTransport = require('./RequestTransport'),
+    AxiosTransport = require('./AxiosTransport'),
+    FakeBeeswax = require('./FakeBeeswax'),
+    FixtureTransport = require('./FixtureTransport'),
+    MemorySessionStore = require('./MemorySessionStore'),
+    FileSessionStore = require('./FileSessionStore'),
+    PasswordAuth = require('./PasswordAuth'),
+    TokenAuth = require('./TokenAuth'),
+    Instrumentation = require('./Instrumentation'),
+    MemoryMetrics = require('./MemoryMetrics'),
+    MemoryCache = require('./MemoryCache'),
+    ResponseCache = require('./ResponseCache'),
+    coalesce = require('./coalesce'),
+    stableStringify = require('./stableStringify'),
+    RetryPolicy = require('./RetryPolicy'),
+    RequestScheduler = require('./RequestScheduler'),
+    QueryIterator = require('./QueryIterator'),
+    bulk = require('./bulk'),
+    cloneCampaign = require('./cloneCampaign'),
+    creativeAssociations = require('./creativeAssociations'),
+    setActive = require('./setActive'),
+    Reporting = require('./Reporting'),
+    poll = require('./poll'),
+    sources = require('./sources'),
+    SegmentFileBuilder = require('./SegmentFileBuilder'),
+    assetInfo = require('./assetInfo'),
+    schemas = require('./schemas'),
+    path = require('path'),
+    crypto = require('crypto'),
+    PassThrough = require('stream').PassThrough,
+    Transform = require('stream').Transform;
 
 require('ssl-root-cas').inject();
 
@@ -17,156 +44,660 @@ function isPOJO(value) {
     return !!(value && value.constructor === Object);
 }
 
-// Upon instantiation, will setup objects with bound CRUD methods for each entry here
-var entities = {
-    advertisers: {
-        endpoint: '/rest/advertiser',
-        idField: 'advertiser_id'
-    },
-    campaigns: {
-        endpoint: '/rest/campaign',
-        idField: 'campaign_id'
-    },
-    creatives: {
-        endpoint: '/rest/creative',
-        idField: 'creative_id'
-    },
-    creativeAddOns: {
-        endpoint: '/rest/creative_addon',
-        idField: 'creative_addon_id'
-    },
-    creativeAssets: {
-        endpoint: '/rest/creative_asset',
-        idField: 'creative_asset_id'
-    },
-    creativeAssetsUpload: {
-        endpoint: '/rest/creative_asset/upload',
-        idField: 'creative_asset_id'
-    },
-    lineItems: {
-        endpoint: '/rest/line_item',
-        idField: 'line_item_id'
-    },
-    lineItemFlights: {
-        endpoint: '/rest/line_item_flight',
-        idField: 'line_item_flight_id'
-    },
-    targetingTemplates: {
-        endpoint: '/rest/targeting_template',
-        idField: 'targeting_template_id'
-    },
-    segmentUploads: {
-        endpoint: '/rest/segment_upload',
-        idField: 'segment_upload_id'
-    },
-    segmentCategorySharings: {
-        endpoint: '/rest/segment_category_sharing',
-        idField: 'segment_category_sharing_id'
-    },
-    segmentSharings: {
-        endpoint: '/rest/segment_sharing',
-        idField: 'segment_sharing_id'
-    },
-    segmentCategoryAssociations: {
-        endpoint: '/rest/segment_category_association',
-        idField: 'segment_category_association_id'
-    },
-    segments: {
-        endpoint: '/rest/segment',
-        idField: 'segment_id'
-    },
-    segmentCategories: {
-        endpoint: '/rest/segment_category',
-        idField: 'segment_category_id'
-    }
+// Return the path portion of a request url, for use in error messages
+function getEndpoint(url) {
+    return urlUtils.parse(url || '').pathname;
+}
+
+// Statuses of a segment upload once Beeswax has finished processing it
+var SEGMENT_UPLOAD_DONE = ['complete', 'completed', 'processed', 'success'],
+    SEGMENT_UPLOAD_FAILED = ['failed', 'error'];
+
+/* Default lifetime of a saved session, how long a client may hold the lock on a shared session
+ * while authenticating, and how often other clients check for the session it saves */
+var SESSION_TTL = 12 * 60 * 60 * 1000,
+    SESSION_LOCK_TTL = 30 * 1000,
+    SESSION_POLL_INTERVAL = 250;
+
+/* The operations an entity can support, and the methods each one adds to the entity's object on
+ * the client */
+var CAPABILITIES = {
+    find: ['find', 'findMany'],
+    query: ['query', 'queryAll', 'iterate'],
+    create: ['create', 'createMany'],
+    edit: ['edit', 'editMany', 'patch'],
+    delete: ['delete', 'deleteMany']
 };
 
+/* Return the config for an entity registered as name, with its capabilities defaulting to all of
+ * them. Throws if cfg is invalid. */
+function entityConfig(name, cfg) {
+    cfg = cfg || {};
+
+    if (typeof name !== 'string' || !name) {
+        throw new Error('Must provide a name for the entity');
+    }
+    if (typeof cfg.endpoint !== 'string' || cfg.endpoint.charAt(0) !== '/' || !cfg.idField) {
+        throw new Error('Must provide an endpoint starting with \'/\' and an idField for ' + name);
+    }
+
+    var capabilities = cfg.capabilities || Object.keys(CAPABILITIES),
+        unknown = capabilities.filter(function (capability) {
+            return !CAPABILITIES.hasOwnProperty(capability);
+        });
+    if (unknown.length > 0) {
+        throw new Error('Unknown capabilities for ' + name + ': ' + unknown.join(', ') +
+                        '; must be some of: ' + Object.keys(CAPABILITIES).join(', '));
+    }
+
+    return { endpoint: cfg.endpoint, idField: cfg.idField, capabilities: capabilities.slice() };
+}
+
+// The hooks middleware can implement, in the order they are called
+var MIDDLEWARE_HOOKS = ['beforeRequest', 'afterResponse', 'onReauthenticate', 'onRetry', 'onError'];
+
+// Used to give clients that can't identify their account a key of their own
+var nextClientId = 1;
+
+// Return the transport to send requests with, given the transport option
+function createTransport(transport) {
+    if (transport && typeof transport.send === 'function') {
+        return transport;
+    }
+    if (transport === 'axios') {
+        return new AxiosTransport();
+    }
+    if (transport === undefined || transport === 'request') {
+        return new RequestTransport();
+    }
+    throw new Error('transport must be \'request\', \'axios\' or an object with a send() method');
+}
+
 function BeeswaxClient(opts) {
     var self = this;
 
     opts = opts || {};
-    if (!opts.creds || !opts.creds.email || !opts.creds.password) {
-        throw new Error('Must provide creds object with email + password');
+    if (opts.auth) {
+        if (typeof opts.auth.authenticate !== 'function') {
+            throw new Error('auth must be an object with an authenticate() method');
+        }
+        self._auth = opts.auth;
+    } else {
+        self._auth = new PasswordAuth(opts.creds);
     }
 
     self.apiRoot = opts.apiRoot || 'https://stingersbx.api.beeswax.com';
     self._creds = opts.creds;
     self._cookieJar = rp.jar();
+    self._transport = createTransport(opts.transport);
+
+    /* Identifies the account the client acts as, for keys in stores + in-flight requests shared
+     * between clients. If neither opts.sessionKey nor the auth strategy identifies the account
+     * (e.g. with TokenAuth or a creds function), the key is unique to this client instead, so
+     * nothing is shared with clients that may act as other accounts. */
+    var identity = opts.sessionKey || self._auth.sessionKey,
+        accountKey = identity ? self.apiRoot + '|' + identity : 'client-' + nextClientId++;
+    self._accountKey = accountKey;
+
+    // Save sessions to a store that other clients + processes can restore them from
+    if (opts.sessionStore) {
+        if (typeof opts.sessionStore.get !== 'function' ||
+            typeof opts.sessionStore.set !== 'function') {
+            throw new Error('sessionStore must be an object with get() and set() methods');
+        }
+        if (!identity) {
+            throw new Error('sessionKey is required with a sessionStore when the auth strategy ' +
+                            'does not identify the account');
+        }
+        self._sessionStore = opts.sessionStore;
+        self._sessionKey = opts.sessionKey || accountKey;
+        self._sessionTtl = opts.sessionTtl || SESSION_TTL;
+    }
+
+    // Record requests to a fixture file, or replay them from one instead of sending them
+    if (opts.fixtures) {
+        self._transport = new FixtureTransport({
+            mode: opts.fixtures.mode,
+            path: opts.fixtures.path,
+            redact: opts.fixtures.redact,
+            transport: self._transport
+        });
+    }
+
+    if (opts.retry === false) {
+        self._retryPolicy = RetryPolicy.none();
+    } else if (opts.retry instanceof RetryPolicy) {
+        self._retryPolicy = opts.retry;
+    } else {
+        self._retryPolicy = new RetryPolicy(opts.retry);
+    }
+
+    if (opts.scheduler instanceof RequestScheduler) {
+        self._scheduler = opts.scheduler;
+    } else {
+        self._scheduler = new RequestScheduler(opts.scheduler);
+    }
+    self._lane = opts.priority || self._scheduler.defaultLane;
+    self._inflight = 0; // Calls that drain() + close() wait for, including their retries
+    self._idleCallbacks = [];
+    self._closed = false;
+    self._validate = opts.validate === true;
+    self._coalesce = opts.coalesce === true;
+    self._assetHashes = {}; // Hashes of uploaded creative asset content, for skipping re-uploads
+    self._middleware = [];
+    self._entities = {}; // Every entity this client has methods for, including its own ones
+
+    // Log each request sent to Beeswax, and record metrics about it
+    if (opts.logger || opts.metrics) {
+        self._instrumentation = new Instrumentation({
+            logger: opts.logger,
+            metrics: opts.metrics,
+            prefix: opts.metricsPrefix,
+            redact: opts.redact,
+            headers: self._auth.header ? [self._auth.header] : [],
+            types: self._entities
+        });
+    }
+
+    // Cache find + query responses, until they expire or the client writes to their endpoint
+    if (opts.cache) {
+        var cacheOpts = opts.cache === true ? {} : opts.cache;
+        if (cacheOpts.store && !cacheOpts.namespace && !identity) {
+            throw new Error('cache.namespace or sessionKey is required with a cache store when ' +
+                            'the auth strategy does not identify the account');
+        }
+        self._cache = new ResponseCache({
+            ttl: cacheOpts.ttl,
+            entities: cacheOpts.entities,
+            store: cacheOpts.store,
+            maxEntries: cacheOpts.maxEntries,
+            namespace: cacheOpts.namespace || accountKey,
+            metrics: opts.metrics,
+            prefix: opts.metricsPrefix,
+            types: self._entities
+        });
+    }
+    (opts.middleware || []).forEach(function (middleware) {
+        self.use(middleware);
+    });
 
     Object.keys(entities).forEach(function (type) {
-        var cfg = entities[type];
-        self[type] = {};
-        self[type].find = self._find.bind(self, cfg.endpoint, cfg.idField);
-        self[type].query = self._query.bind(self, cfg.endpoint);
-        self[type].queryAll = self._queryAll.bind(self, cfg.endpoint, cfg.idField);
-        self[type].create = self._create.bind(self, cfg.endpoint, cfg.idField);
-        self[type].edit = self._edit.bind(self, cfg.endpoint, cfg.idField);
-        self[type].delete = self._delete.bind(self, cfg.endpoint, cfg.idField);
-        self[type].upload = self._uploadCreativeAsset.bind(self, cfg.endpoint, cfg.idField);
+        self._addEntity(type, entityConfig(type, entities[type]));
     });
+
+    self.creativeAssets.upload = self.uploadCreativeAsset.bind(self);
+    self.creativeAssets.uploadContent = self.uploadCreativeAssetContent.bind(self);
+    self.lineItems.listCreatives = creativeAssociations.list.bind(null, self);
+    self.lineItems.attachCreatives = creativeAssociations.attach.bind(null, self);
+    self.lineItems.detachCreatives = creativeAssociations.detach.bind(null, self);
+    self.lineItems.setRotation = creativeAssociations.setRotation.bind(null, self);
+    self.segments.uploadFile = self._uploadSegment.bind(self);
+    self.advertisers.setActive = setActive.bind(null, self, 'advertisers');
+    self.campaigns.setActive = setActive.bind(null, self, 'campaigns');
+    self.reports = new Reporting(self);
+}
+
+/* Properties the constructor sets on each client, besides its entities + its private properties,
+ * which all start with '_' */
+var INSTANCE_PROPERTIES = ['apiRoot', 'reports'];
+
+// Return true if name is taken by a client property or method, so an entity can't use it
+function isReserved(name) {
+    return typeof name === 'string' && (name.charAt(0) === '_' ||
+           INSTANCE_PROPERTIES.indexOf(name) !== -1 || name in BeeswaxClient.prototype);
 }
 
-// Send a request to authenticate to Beeswax
+/* Register an entity for every client created afterwards, so endpoints the client doesn't know
+ * about can be used without changing it. cfg is { endpoint, idField, capabilities }, where
+ * capabilities lists the operations the entity supports, out of find, query, create, edit +
+ * delete (default: all of them). Each client gets an object for the entity named name, with
+ * methods for just those operations, e.g. beeswax.deals.find() + beeswax.deals.query(). */
+BeeswaxClient.registerEntity = function (name, cfg) {
+    if (entities[name] || isReserved(name)) {
+        throw new Error('Cannot register ' + name + ': the name is already in use');
+    }
+    entities[name] = entityConfig(name, cfg);
+};
+
+// Register an entity for this client only; see BeeswaxClient.registerEntity. Returns the client.
+BeeswaxClient.prototype.registerEntity = function (name, cfg) {
+    if (name in this || isReserved(name)) {
+        throw new Error('Cannot register ' + name + ': the name is already in use');
+    }
+    this._addEntity(name, entityConfig(name, cfg));
+    return this;
+};
+
+// Set up the object for an entity, with bound methods for the operations it supports
+BeeswaxClient.prototype._addEntity = function (name, cfg) {
+    var self = this,
+        entity = {};
+
+    cfg.capabilities.forEach(function (capability) {
+        CAPABILITIES[capability].forEach(function (method) {
+            var fn = self['_' + method],
+                args = [self, cfg.endpoint].concat(method === 'query' ? [] : cfg.idField);
+            entity[method] = fn.bind.apply(fn, args);
+        });
+    });
+
+    self._entities[name] = cfg;
+    self[name] = entity;
+};
+
+/* Authenticate to Beeswax, using the auth strategy. With a session store, this first adopts a
+ * saved session that is newer than the client's current one, if there is one, and otherwise
+ * saves the new session to the store. */
 BeeswaxClient.prototype.authenticate = function () {
-    var self = this;
+    var self = this,
+        hookCtx = { type: 'auth', method: 'post', endpoint: '/rest/authenticate', attempt: 1 };
 
     // Ensure we don't make multiple simulataneous auth requests
     if (self._authPromise) {
         return self._authPromise;
     }
 
-    self._authPromise = rp.post({
-        url: urlUtils.resolve(self.apiRoot, '/rest/authenticate'),
-        body: {
-            email: self._creds.email,
-            password: self._creds.password,
-            keep_logged_in: true // tells Beeswax to use longer lasting sessions
-        },
-        json: true,
-        jar: self._cookieJar
-    })
+    self._authPromise = self._authenticate()
+        .catch(function (error) {
+            return self._fail(error, hookCtx);
+        })
+        .finally(function () {
+            delete self._authPromise;
+        });
+
+    return self._authPromise;
+};
+
+/* Authenticate without running the onError hooks. Calls that re-authenticate use this, so the
+ * hooks only see their error once, if the call fails. Shares one attempt between callers. */
+BeeswaxClient.prototype._authenticate = function () {
+    var self = this;
+
+    if (self._authAttempt) {
+        return self._authAttempt;
+    }
+
+    self._authAttempt = self._track(self._sessionStore ? self._refreshSession() : self._login())
+        .finally(function () {
+            delete self._authAttempt;
+        });
+
+    return self._authAttempt;
+};
+
+// Authenticate to Beeswax with the client's auth strategy
+BeeswaxClient.prototype._login = function () {
+    var self = this,
+        authCtx = { method: 'post', endpoint: '/rest/authenticate', auth: true },
+        hookCtx = { type: 'auth', method: 'post', endpoint: '/rest/authenticate', attempt: 1 };
+
+    // Authenticating blocks other requests, so it always goes in the highest priority lane
+    return self._scheduler.schedule(function () {
+        return self._auth.authenticate({
+            apiRoot: self.apiRoot,
+            jar: self._cookieJar,
+            send: function (req) {
+                return self._send(req, hookCtx);
+            }
+        });
+    }, self._scheduler.lanes[0])
         .then(function (body) {
-            if (body.success === false) {
-                return Promise.reject(new Error(util.inspect(body)));
+            if (body && body.success === false) {
+                return Promise.reject(errors.fromResponse(undefined, body, authCtx));
             }
         })
         .catch(function (error) {
+            error = errors.normalize(error, authCtx);
             delete error.response; // Trim response obj off error for cleanliness
             return Promise.reject(error);
-        }).finally(function () {
-            delete self._authPromise;
         });
+};
 
-    return self._authPromise;
+/* Add middleware, an object implementing any of the hooks below, which are called in the order
+ * the middleware was added. Each hook can return a promise, which is waited for. ctx describes
+ * the call: its type ('request', 'auth' or 'upload'), method, endpoint, attempt number, and the
+ * meta passed in request()'s reqOpts.
+ *
+ * - beforeRequest(req, ctx): called before each request is sent, including re-sends. Can change
+ *   req (e.g. adding req.headers) or return a new one, or reject to fail the attempt.
+ * - afterResponse(body, req, ctx): called with each successful response body; can return a new one
+ * - onReauthenticate(error, ctx): called when a 401 makes the client re-authenticate
+ * - onRetry(error, ctx): called before a failed request is retried, after ctx.delay ms
+ * - onError(error, ctx): called with the error a call fails with; can return a different error
+ *
+ * Returns the client, for chaining. */
+BeeswaxClient.prototype.use = function (middleware) {
+    var hasHook = !!middleware && MIDDLEWARE_HOOKS.some(function (hook) {
+        return typeof middleware[hook] === 'function';
+    });
+
+    if (!hasHook) {
+        throw new Error('middleware must be an object with at least one of these methods: ' +
+                        MIDDLEWARE_HOOKS.join(', '));
+    }
+    this._middleware.push(middleware);
+    return this;
+};
+
+/* Call hook on each middleware in turn with value + args, resolving with the last value a hook
+ * returned, or the original value if none of them returned anything */
+BeeswaxClient.prototype._runHooks = function (hook, value, args) {
+    return Promise.reduce(this._middleware, function (current, middleware) {
+        if (typeof middleware[hook] !== 'function') {
+            return current;
+        }
+        return Promise.resolve(middleware[hook].apply(middleware, [current].concat(args)))
+            .then(function (result) {
+                return result !== undefined ? result : current;
+            });
+    }, value);
+};
+
+// Reject with error, after the onError hooks have seen (or replaced) it
+BeeswaxClient.prototype._fail = function (error, hookCtx) {
+    return this._runHooks('onError', error, [hookCtx]).then(function (error) {
+        return Promise.reject(error);
+    });
 };
 
-// Send a request to Beeswax, handling '401 - Unauthenticated' errors
-BeeswaxClient.prototype.request = function (method, opts) {
+/* Send a request to Beeswax with the transport. The beforeRequest hooks get a copy of req, so
+ * changes they make apply to this attempt only, then the auth strategy adds its credentials (for
+ * everything except logging in) and afterResponse hooks are run on the response body. Each
+ * request sent is logged + measured, if the client has a logger or metrics sink. */
+BeeswaxClient.prototype._send = function (req, hookCtx) {
+    var self = this,
+        copy = {};
+
+    Object.keys(req).forEach(function (key) {
+        copy[key] = req[key];
+    });
+
+    return self._runHooks('beforeRequest', copy, [hookCtx]).then(function (req) {
+        if (hookCtx.type === 'auth' || typeof self._auth.prepare !== 'function') {
+            return req;
+        }
+        return Promise.resolve(self._auth.prepare(req)).return(req);
+    }).then(function (req) {
+        function send() {
+            return Promise.resolve(self._transport.send(req));
+        }
+
+        var sent = self._instrumentation ? self._instrumentation.track(req, hookCtx, send) : send();
+        return sent.then(function (body) {
+            return self._runHooks('afterResponse', body, [req, hookCtx]);
+        });
+    });
+};
+
+// Return the cookies the client sends to Beeswax, as a cookie header string
+BeeswaxClient.prototype._getSessionCookies = function () {
+    return this._cookieJar.getCookieString(this.apiRoot);
+};
+
+/* Resolve with the stored session and load its cookies into the jar, if it hasn't expired and
+ * has different cookies than stale. Resolves with undefined otherwise, so it can be polled. */
+BeeswaxClient.prototype._loadSession = function (stale) {
+    var self = this;
+
+    return Promise.resolve(self._sessionStore.get(self._sessionKey)).then(function (session) {
+        if (!session || !session.cookies || session.expires <= Date.now() ||
+            session.cookies === stale) {
+            return undefined;
+        }
+
+        session.cookies.split(/;\s*/).forEach(function (cookie) {
+            self._cookieJar.setCookie(cookie, self.apiRoot);
+        });
+        return session;
+    });
+};
+
+// Load the stored session, if any, before the client sends its first request
+BeeswaxClient.prototype._restoreSession = function () {
     var self = this;
 
-    opts.json = true;
-    opts.jar = self._cookieJar;
+    if (!self._sessionRestored) {
+        self._sessionRestored = self._loadSession(null).then(function () {
+            self._sessionRestored = true;
+        }, function (error) {
+            delete self._sessionRestored;
+            return Promise.reject(error);
+        });
+    }
+    return Promise.resolve(self._sessionRestored);
+};
+
+/* Replace the client's session, which Beeswax has rejected (or which doesn't exist yet). Adopts
+ * a newer session from the store if another client has saved one. Otherwise, the client takes
+ * the store's lock (if it supports locking) and logs in + saves the new session. While another
+ * client holds the lock, this waits for that client to save its session, logging in itself only
+ * if the lock expires first. */
+BeeswaxClient.prototype._refreshSession = function () {
+    var self = this,
+        store = self._sessionStore,
+        key = self._sessionKey,
+        stale = self._getSessionCookies(),
+        canLock = typeof store.lock === 'function' && typeof store.unlock === 'function';
+
+    function loginAndSave() {
+        return self._login().then(function () {
+            var cookies = self._getSessionCookies();
+            if (cookies) {
+                return store.set(key, { cookies: cookies, expires: Date.now() + self._sessionTtl });
+            }
+        });
+    }
+
+    return self._loadSession(stale).then(function (session) {
+        if (session) {
+            return;
+        }
+
+        return Promise.resolve(canLock ? store.lock(key, SESSION_LOCK_TTL) : true)
+            .then(function (locked) {
+                if (locked) {
+                    return loginAndSave().finally(function () {
+                        return canLock && store.unlock(key);
+                    });
+                }
+
+                return poll(function () {
+                    return self._loadSession(stale);
+                }, {
+                    interval: SESSION_POLL_INTERVAL,
+                    timeout: SESSION_LOCK_TTL,
+                    description: 'another client to authenticate'
+                }).catch(loginAndSave);
+            });
+    });
+};
+
+// Return the retry policy to use for a request, applying any per-request override
+BeeswaxClient.prototype._getRetryPolicy = function (override) {
+    if (override === false) {
+        return RetryPolicy.none();
+    }
+    if (override instanceof RetryPolicy) {
+        return override;
+    }
+    return override ? this._retryPolicy.extend(override) : this._retryPolicy;
+};
+
+/* Send a request to Beeswax, handling '401 - Unauthenticated' errors and retrying transient
+ * failures according to the client's retry policy. reqOpts.retry can override that policy for
+ * this request, or be set to false to disable retries. reqOpts.priority sets the scheduler lane
+ * the request is queued in. */
+BeeswaxClient.prototype.request = function (method, opts, reqOpts) {
+    if (this._closed) {
+        return Promise.reject(new Error('BeeswaxClient has been closed'));
+    }
+    return this._track(this._request(method, opts, reqOpts));
+};
+
+/* Count a call as in flight until promise settles, so drain() + close() wait for it, including
+ * any retries + re-authentication it schedules along the way */
+BeeswaxClient.prototype._track = function (promise) {
+    var self = this;
 
-    return (function sendRequest() {
-        return rp[method](opts)
-            .catch(rpErrors.StatusCodeError, function (error) {
-                if (error.statusCode !== 401) {
+    self._inflight++;
+    return promise.finally(function () {
+        self._inflight--;
+        if (self._inflight === 0) {
+            var callbacks = self._idleCallbacks;
+            self._idleCallbacks = [];
+            callbacks.forEach(function (cb) {
+                cb();
+            });
+        }
+    });
+};
+
+BeeswaxClient.prototype._request = function (method, opts, reqOpts) {
+    if (this._sessionStore && this._sessionRestored !== true) {
+        return this._restoreSession().then(this._request.bind(this, method, opts, reqOpts));
+    }
+
+    var self = this,
+        ctx = { method: method, endpoint: getEndpoint(opts.url) },
+        policy = self._getRetryPolicy((reqOpts || {}).retry),
+        lane = (reqOpts || {}).priority || self._lane,
+        req = { method: method, jar: self._cookieJar };
+
+    Object.keys(opts).forEach(function (key) {
+        req[key] = opts[key];
+    });
+
+    function hookContext(num) {
+        return {
+            type: 'request',
+            method: method,
+            endpoint: ctx.endpoint,
+            attempt: num,
+            meta: (reqOpts || {}).meta
+        };
+    }
+
+    function sendRequest(num, reauthenticated) {
+        return self._scheduler.schedule(function () {
+            return self._send(req, hookContext(num));
+        }, lane)
+            .catch(function (error) {
+                // Only re-authenticate once per attempt, so a bad session can't loop forever
+                if (!error || error.statusCode !== 401 || reauthenticated) {
                     return Promise.reject(error);
                 }
 
-                return self.authenticate().then(sendRequest);
+                return self._runHooks('onReauthenticate', error, [hookContext(num)])
+                    .then(function () {
+                        return self._authenticate();
+                    })
+                    .then(function () {
+                        return sendRequest(num, true);
+                    });
+            })
+            .then(function (body) {
+                if (body.success === false) {
+                    return Promise.reject(errors.fromResponse(undefined, body, ctx));
+                }
+                return body;
+            })
+            .catch(function (error) {
+                error = errors.normalize(error, ctx);
+                delete error.response; // Trim response obj off error for cleanliness
+                return Promise.reject(error);
             });
-    }())
-        .then(function (body) {
-            if (body.success === false) {
-                return Promise.reject(new Error(util.inspect(body)));
+    }
+
+    return (function attempt(num) {
+        return sendRequest(num, false).catch(function (error) {
+            if (error instanceof errors.BeeswaxError) {
+                error.attempts = num;
             }
-            return body;
-        })
-        .catch(function (error) {
-            delete error.response; // Trim response obj off error for cleanliness
-            return Promise.reject(error);
+            if (!policy.shouldRetry(error, method, num)) {
+                return self._fail(error, hookContext(num));
+            }
+
+            var delay = policy.getDelay(error, num),
+                retryCtx = hookContext(num);
+            retryCtx.delay = delay;
+
+            return self._runHooks('onRetry', error, [retryCtx]).then(function () {
+                return Promise.delay(delay);
+            }).then(function () {
+                return attempt(num + 1);
+            });
         });
+    }(1));
+};
+
+// Return the number of requests waiting to be sent, in one scheduler lane or across all lanes
+BeeswaxClient.prototype.queueLength = function (lane) {
+    return this._scheduler.size(lane);
+};
+
+/* Resolve once every queued + in-flight request has finished, including requests waiting to be
+ * retried or re-sent after re-authenticating */
+BeeswaxClient.prototype.drain = function () {
+    var self = this;
+
+    if (self._inflight === 0) {
+        return self._scheduler.drain();
+    }
+    return new Promise(function (resolve) {
+        self._idleCallbacks.push(resolve);
+    }).then(function () {
+        return self.drain();
+    });
+};
+
+/* Stop accepting new requests, and resolve once the ones already made have finished. Those can
+ * still retry + re-authenticate while the client is closing. The scheduler is closed once they
+ * are done; if it is shared, this closes it for every client using it. */
+BeeswaxClient.prototype.close = function () {
+    var self = this;
+
+    self._closed = true;
+    return self.drain().then(function () {
+        return self._scheduler.close();
+    });
+};
+
+/* Send a GET request to endpoint, resolving with the response body. With a cache, responses are
+ * served from + saved to the cache. If coalescing is turned on, a GET that is identical to one
+ * already in flight for the same account isn't sent, and resolves with that request's response
+ * instead. Requests are only shared with other coalescing clients that identify their account
+ * (see _accountKey); otherwise, only the client's own requests are shared. */
+BeeswaxClient.prototype._get = function (endpoint, opts) {
+    var self = this;
+
+    function load() {
+        if (!self._coalesce) {
+            return self.request('get', opts);
+        }
+        var key = self._accountKey + ' ' + endpoint + ' ' + stableStringify(opts.body || {});
+        return coalesce(key, function () {
+            return self.request('get', opts);
+        });
+    }
+
+    return self._cache ? self._cache.fetch(endpoint, opts.body, load) : load();
+};
+
+/* Once a write to endpoint has finished, whether or not it succeeded, drop its cached responses
+ * and stop sharing its in-flight GETs, which may be out of date. Resolves or rejects with the
+ * write's result. */
+BeeswaxClient.prototype._invalidateAfter = function (endpoint, write) {
+    var self = this;
+
+    return write.finally(function () {
+        coalesce.forget(self._accountKey + ' ' + endpoint + ' ');
+        return self._cache && self._cache.invalidate(endpoint);
+    });
+};
+
+// Return the client's cache hits, misses + invalidations, or null if it has no cache
+BeeswaxClient.prototype.cacheStats = function () {
+    return this._cache ? this._cache.stats() : null;
 };
 
 // Send a GET request to find a single entity by id
@@ -176,57 +707,125 @@ BeeswaxClient.prototype._find = function (endpoint, idField, id) {
         body: {}
     };
     opts.body[idField] = id;
-    return this.request('get', opts).then(function (body) {
+    return this._get(endpoint, opts).then(function (body) {
         return { success: true, payload: body.payload[0] };
     });
 };
 
+/* Find entities by id with as few GET requests as possible, querying for up to opts.batchSize
+ * (default: 50) ids at a time, since Beeswax matches a field against a list of values. Resolves
+ * with { success, payload, missing }: payload has the entity for each of ids, in order, or null
+ * where none was found, and missing lists the ids that weren't found. */
+BeeswaxClient.prototype._findMany = function (endpoint, idField, ids, opts) {
+    var self = this,
+        batchSize = (opts || {}).batchSize || 50,
+        unique = [],
+        seen = {},
+        batches = [],
+        found = {};
+
+    (ids || []).forEach(function (id) {
+        if (!seen[id]) {
+            seen[id] = true;
+            unique.push(id);
+        }
+    });
+    for (var i = 0; i < unique.length; i += batchSize) {
+        batches.push(unique.slice(i, i + batchSize));
+    }
+
+    return Promise.map(batches, function (batch) {
+        var body = { rows: batch.length };
+        body[idField] = batch;
+
+        return self._get(endpoint, {
+            url: urlUtils.resolve(self.apiRoot, endpoint),
+            body: body
+        }).then(function (resp) {
+            (resp.payload || []).forEach(function (entity) {
+                found[entity[idField]] = entity;
+            });
+        });
+    }).then(function () {
+        return {
+            success: true,
+            payload: (ids || []).map(function (id) {
+                return found[id] || null;
+            }),
+            missing: unique.filter(function (id) {
+                return !found[id];
+            })
+        };
+    });
+};
+
 // Send a GET request to fetch entities by JSON query
 BeeswaxClient.prototype._query = function (endpoint, body) {
     var opts = {
         url: urlUtils.resolve(this.apiRoot, endpoint),
         body: body || {}
     };
-    return this.request('get', opts).then(function (body) {
+    return this._get(endpoint, opts).then(function (body) {
         return { success: true, payload: body.payload };
     });
 };
 
-// Recursively GET entities in batches until all have been fetched.
-BeeswaxClient.prototype._queryAll = function (endpoint, idField, body) {
-    var self = this,
-        results = [],
-        batchSize = 50;
-    body = body || {};
-
-    function fetchBatch(offset) {
-        var opts = {
-            url: urlUtils.resolve(self.apiRoot, endpoint),
-            body: {}
-        };
-        for (var key in body) {
-            opts.body[key] = body[key];
-        }
-        opts.body.rows = batchSize;
-        opts.body.offset = offset;
-        opts.body.sort_by = idField;
+// Return a QueryIterator that fetches the entities matching body one page at a time
+BeeswaxClient.prototype._iterate = function (endpoint, idField, body, opts) {
+    return new QueryIterator(this, endpoint, idField, body, opts);
+};
 
-        return self.request('get', opts).then(function (respBody) {
-            results = results.concat(respBody.payload);
+/* Recursively GET entities in batches until all have been fetched. opts supports the same
+ * pagination options as _iterate. */
+BeeswaxClient.prototype._queryAll = function (endpoint, idField, body, opts) {
+    var iterator = this._iterate(endpoint, idField, body, opts),
+        results = [];
 
-            if (respBody.payload.length < batchSize) {
+    function fetchBatch() {
+        return iterator.nextPage().then(function (page) {
+            if (!page) {
                 return { success: true, payload: results };
-            } else {
-                return fetchBatch(offset + batchSize);
             }
+            results = results.concat(page);
+            return fetchBatch();
         });
     }
 
-    return fetchBatch(0);
+    return fetchBatch();
+};
+
+/* Validate the body of a create/edit request against the endpoint's schema. Returns the response
+ * to resolve with instead of sending the request if the body is invalid or if options.dryRun is
+ * set, or null if the request should be sent. */
+BeeswaxClient.prototype._precheck = function (method, endpoint, opts, options) {
+    var shouldValidate = options.validate !== undefined ? options.validate : this._validate,
+        messages = !shouldValidate ? [] : schemas.validate(endpoint, opts.body, {
+            partial: method === 'put'
+        });
+
+    if (options.dryRun) {
+        return {
+            success: messages.length === 0,
+            dryRun: true,
+            request: { method: method, url: opts.url, body: opts.body },
+            messages: messages
+        };
+    }
+    if (messages.length > 0) {
+        return {
+            success: false,
+            code: 400,
+            message: 'Body failed validation: ' + messages.join('; '),
+            messages: messages
+        };
+    }
+    return null;
 };
 
-// Send a POST request to create a new entity. GETs + resolves with the created entity.
-BeeswaxClient.prototype._create = function (endpoint, idField, body) {
+/* Send a POST request to create a new entity. GETs + resolves with the created entity.
+ * options.dryRun resolves with the request that would be sent instead of sending it, and
+ * options.validate overrides the client's validate setting. */
+BeeswaxClient.prototype._create = function (endpoint, idField, body, options) {
     var self = this;
     // Beeswax sends a weird 401 error if a body is empty, so handle this here
     if (!isPOJO(body) || Object.keys(body || {}).length === 0) {
@@ -241,43 +840,292 @@ BeeswaxClient.prototype._create = function (endpoint, idField, body) {
         url: urlUtils.resolve(self.apiRoot, endpoint) + '/strict',
         body: body
     };
-    return self.request('post', opts).then(function (body) {
-        return self._find(endpoint, idField, body.payload.id);
+    var precheck = self._precheck('post', endpoint, opts, options || {});
+    if (precheck) {
+        return Promise.resolve(precheck);
+    }
+
+    return self._invalidateAfter(endpoint, self.request('post', opts)).then(function (body) {
+        var id = body.payload.id;
+
+        // The entity exists even if fetching it fails, so tell the caller its id
+        return self._find(endpoint, idField, id).catch(function (error) {
+            if (error && typeof error === 'object') {
+                error.createdId = id;
+            }
+            return Promise.reject(error);
+        });
     });
 };
 
-BeeswaxClient.prototype._uploadCreativeAsset = function (endpoint, idField, id, filePath) {
-    const self = this;
+// Params of uploadCreativeAsset that control the upload, rather than being sent in the asset body
+var UPLOAD_PARAMS = ['source', 'sourceUrl', 'name', 'onProgress', 'dedupe'];
+
+// Return { mimeType, width, height, duration, size, hash, name } for a file read by sources.read
+function describeAsset(file) {
+    var info = assetInfo.detect(file.buffer, file.name);
+    info.size = file.size;
+    info.hash = assetInfo.hash(file.buffer);
+    info.name = file.name;
+    return info;
+}
+
+/* Resolve with { mimeType, width, height, duration, size, hash, name } for a creative asset,
+ * given as a file path, Buffer or readable stream. Dimensions + duration are only included for
+ * formats they can be read from. */
+BeeswaxClient.prototype.inspectCreativeAsset = function (source, name) {
+    return sources.read(source, name, 'creative_asset').then(describeAsset);
+};
+
+/* Get the size, name + MIME type of the asset to upload, and an open() function returning a
+ * fresh stream of its content. Local sources are read into memory + hashed up front; remote URLs
+ * are streamed, so their size comes from a HEAD request and their hash is computed while
+ * uploading. */
+BeeswaxClient.prototype._prepareCreativeAsset = function (params) {
+    var transport = this._transport;
+
+    if (params.sourceUrl) {
+        if (typeof transport.openStream !== 'function') {
+            return Promise.reject(
+                new Error('The transport does not support uploading a sourceUrl'));
+        }
+
+        return transport.send({ method: 'head', url: params.sourceUrl, fullResponse: true })
+        .then(function (resp) {
+            var size = parseInt(resp.headers['content-length'], 10);
 
-    return new Promise(function (resolve, reject) {
-        const form = new FormData();
-        form.append('creative_content', fs.createReadStream(filePath));
+            if (!size) {
+                return Promise.reject(new Error(
+                    'Unable to detect content-length of sourceUrl: ' + params.sourceUrl));
+            }
 
-        self.authenticate().then(() => {
-            const requestOpts = {
-                method: 'POST',
-                url: urlUtils.resolve(self.apiRoot, endpoint + '/' + id),
-                headers: form.getHeaders(),
-                body: form,
-                jar: self._cookieJar,
+            var name = params.name || path.basename(urlUtils.parse(params.sourceUrl).pathname);
+            return {
+                size: size,
+                name: name,
+                mimeType: (resp.headers['content-type'] || '').split(';')[0] ||
+                          assetInfo.detectMimeType(Buffer.alloc(0), name),
+                hash: null,
+                open: function () {
+                    return transport.openStream(params.sourceUrl);
+                }
             };
+        });
+    }
+
+    return sources.read(params.source, params.name, 'creative_asset').then(function (file) {
+        var asset = describeAsset(file);
+        asset.open = function () {
+            var stream = new PassThrough();
+            stream.end(file.buffer);
+            return stream;
+        };
+        return asset;
+    });
+};
 
-            rp(requestOpts)
-                .then(function (response) {
-                    resolve({ success: true, payload: response });
-                })
-                .catch(function (error) {
-                    reject(error);
+/* POST the content of an asset to /rest/creative_asset/upload/:id as multipart form data,
+ * counting bytes for onProgress + hashing them as they are sent. Re-authenticates and re-sends
+ * the content once if the session has expired. Resolves with the hash of the uploaded content,
+ * or null if it is unknown. */
+BeeswaxClient.prototype._sendCreativeAsset = function (id, asset, onProgress) {
+    var self = this,
+        ctx = { method: 'post', endpoint: '/rest/creative_asset/upload' },
+        hookCtx = { type: 'upload', method: 'post', endpoint: ctx.endpoint, attempt: 1 };
+
+    function send(reauthenticated) {
+        var hash = null;
+
+        return self._scheduler.schedule(function () {
+            var content = asset.open(),
+                hasher = crypto.createHash('sha256'),
+                loaded = 0;
+
+            /* Count + hash bytes as the transport reads them. Until it starts reading (e.g. while
+             * beforeRequest hooks run), the content waits in the stream's buffer. */
+            var counter = new Transform({
+                transform: function (chunk, encoding, callback) {
+                    loaded += chunk.length;
+                    hasher.update(chunk);
+                    if (onProgress) {
+                        onProgress({ loaded: loaded, total: asset.size });
+                    }
+                    callback(null, chunk);
+                },
+                flush: function (callback) {
+                    hash = hasher.digest('hex');
+                    callback();
+                }
+            });
+
+            return new Promise(function (resolve, reject) {
+                content.on('error', reject);
+                content.pipe(counter);
+
+                self._send({
+                    method: 'post',
+                    url: urlUtils.resolve(self.apiRoot, '/rest/creative_asset/upload/' + id),
+                    jar: self._cookieJar,
+                    formData: {
+                        creative_content: {
+                            value: counter,
+                            options: {
+                                filename: asset.name,
+                                contentType: asset.mimeType,
+                                knownLength: asset.size
+                            }
+                        }
+                    }
+                }, hookCtx).then(resolve, reject);
+            });
+        }, self._lane).then(function (body) {
+            if (body && body.success === false) {
+                return Promise.reject(errors.fromResponse(undefined, body, ctx));
+            }
+            return asset.hash || hash;
+        }, function (error) {
+            if (error && error.statusCode === 401 && !reauthenticated) {
+                return self._runHooks('onReauthenticate', error, [hookCtx]).then(function () {
+                    return self._authenticate();
+                }).then(function () {
+                    return send(true); // Runs the onError hooks itself if it fails
+                }, function (authError) {
+                    return self._fail(errors.normalize(authError, ctx), hookCtx);
                 });
-        }).catch((error) => {
-            reject(error);
+            }
+            error = errors.normalize(error, ctx);
+            delete error.response; // Trim response obj off error for cleanliness
+            return self._fail(error, hookCtx);
         });
+    }
+
+    // Uploading content changes the asset's details, e.g. its size + dimensions
+    return self._track(self._invalidateAfter(entities.creativeAssets.endpoint, send(false)));
+};
+
+// GET a creative asset by the id in its url, resolving with the asset (or undefined)
+BeeswaxClient.prototype._getCreativeAsset = function (id) {
+    return this.request('get', {
+        url: urlUtils.resolve(this.apiRoot, '/rest/creative_asset/' + id)
+    }).then(function (body) {
+        return body.payload && body.payload[0];
     });
 };
 
-// Send a PUT request to edit an existing entity by id. GETs + resolves with the updated entity.
-BeeswaxClient.prototype._edit = function (endpoint, idField, id, body, failOnNotFound) {
+/* Create a creative asset record and upload its content in one call, resolving with the asset.
+ * params.source can be a file path, Buffer or readable stream; params.sourceUrl is a remote URL,
+ * which is streamed to Beeswax. params.name overrides the file name, params.onProgress is called
+ * with { loaded, total } bytes as the content is sent, and any other params (e.g. advertiser_id,
+ * creative_asset_name, notes) are sent in the asset body. Content this client has already
+ * uploaded for the same advertiser is not re-uploaded, unless params.dedupe is false: the existing
+ * asset is resolved instead. Also bound as creativeAssets.upload. */
+BeeswaxClient.prototype.uploadCreativeAsset = function (params) {
+    var self = this,
+        asset;
+    params = params || {};
+
+    if (!params.source && !params.sourceUrl) {
+        return Promise.reject(
+            new Error('uploadCreativeAsset params requires a source or sourceUrl property.'));
+    }
+
+    function hashKey(hash) {
+        return params.advertiser_id + ':' + hash;
+    }
+
+    return self._prepareCreativeAsset(params).then(function (result) {
+        asset = result;
+
+        var existingId = asset.hash && params.dedupe !== false &&
+                         self._assetHashes[hashKey(asset.hash)];
+        if (!existingId) {
+            return;
+        }
+        return self._getCreativeAsset(existingId).then(function (existing) {
+            if (!existing) { // Deleted since it was uploaded
+                delete self._assetHashes[hashKey(asset.hash)];
+            }
+            return existing;
+        });
+    }).then(function (existing) {
+        if (existing) {
+            return existing;
+        }
+
+        var body = {};
+        Object.keys(params).forEach(function (key) {
+            if (UPLOAD_PARAMS.indexOf(key) === -1) {
+                body[key] = params[key];
+            }
+        });
+        body.creative_asset_name = body.creative_asset_name || asset.name;
+        body.size_in_bytes = asset.size;
+
+        return self.request('post', {
+            url: urlUtils.resolve(self.apiRoot, '/rest/creative_asset'),
+            body: body
+        }).then(function (created) {
+            var id = created.payload.id;
+
+            return self._sendCreativeAsset(id, asset, params.onProgress).then(function (hash) {
+                if (hash) {
+                    self._assetHashes[hashKey(hash)] = id;
+                }
+                return self._getCreativeAsset(id);
+            }, function (error) {
+                /* Don't leave an empty asset behind. If it can't be deleted either, report its id
+                 * so the caller can clean it up. */
+                var cfg = entities.creativeAssets;
+                return self._delete(cfg.endpoint, cfg.idField, id, true).catch(function () {
+                    error.createdId = id;
+                }).then(function () {
+                    return Promise.reject(error);
+                });
+            });
+        });
+    });
+};
+
+/* Upload content to an existing creative asset, resolving with the updated asset. params can
+ * contain source, sourceUrl, name + onProgress, as for uploadCreativeAsset. Also bound as
+ * creativeAssets.uploadContent. */
+BeeswaxClient.prototype.uploadCreativeAssetContent = function (id, params) {
+    var self = this;
+    params = params || {};
+
+    if (!id || (!params.source && !params.sourceUrl)) {
+        return Promise.reject(new Error(
+            'uploadCreativeAssetContent requires an id and a source or sourceUrl property.'));
+    }
+
+    return self._prepareCreativeAsset(params).then(function (asset) {
+        return self._sendCreativeAsset(id, asset, params.onProgress);
+    }).then(function (hash) {
+        // The asset's old content is gone, so don't dedupe uploads against it anymore
+        Object.keys(self._assetHashes).forEach(function (key) {
+            if (self._assetHashes[key] === id) {
+                delete self._assetHashes[key];
+            }
+        });
+        return self._getCreativeAsset(id).then(function (asset) {
+            if (hash && asset && asset.advertiser_id !== undefined) {
+                self._assetHashes[asset.advertiser_id + ':' + hash] = id;
+            }
+            return asset;
+        });
+    });
+};
+
+/* Send a PUT request to edit an existing entity by id. GETs + resolves with the updated entity.
+ * Supports the same options as _create, which can also be passed in place of failOnNotFound. */
+BeeswaxClient.prototype._edit = function (endpoint, idField, id, body, failOnNotFound, options) {
     var self = this;
+    if (isPOJO(failOnNotFound)) {
+        options = failOnNotFound;
+        failOnNotFound = options.failOnNotFound;
+    }
+    options = options || {};
+
     if (!isPOJO(body) || Object.keys(body || {}).length === 0) {
         return Promise.resolve({
             success: false,
@@ -290,21 +1138,27 @@ BeeswaxClient.prototype._edit = function (endpoint, idField, id, body, failOnNot
         url: urlUtils.resolve(this.apiRoot, endpoint) + '/strict',
         body: body
     };
+    if (options.dryRun) {
+        // Don't add the id to the caller's body when nothing is being sent
+        opts.body = {};
+        Object.keys(body).forEach(function (key) {
+            opts.body[key] = body[key];
+        });
+    }
     opts.body[idField] = id;
-    return this.request('put', opts).then(function (/*body*/) {
+
+    var precheck = self._precheck('put', endpoint, opts, options);
+    if (precheck) {
+        return Promise.resolve(precheck);
+    }
+
+    return self._invalidateAfter(endpoint, self.request('put', opts)).then(function (/*body*/) {
         return self._find(endpoint, idField, id);
     })
-        .catch(function (resp) {
+        .catch(function (error) {
             /* Catch + return "object not found" errors as unsuccessful responses. Can instead set
              * failOnNotFound param to true to reject the original error. */
-            var notFound = false;
-            try {
-                notFound = resp.error.payload[0].message.some(function (str) {
-                    return (/Could not load object.*to update/).test(str);
-                });
-            } catch (e) { }
-
-            if (!!notFound && !failOnNotFound) {
+            if (error instanceof errors.NotFoundError && !failOnNotFound) {
                 return Promise.resolve({
                     success: false,
                     code: 400,
@@ -312,10 +1166,89 @@ BeeswaxClient.prototype._edit = function (endpoint, idField, id, body, failOnNot
                 });
             }
 
-            return Promise.reject(resp);
+            return Promise.reject(error);
         });
 };
 
+/* Edit only the fields in changes that differ from the entity's current values, resolving with
+ * { success, payload, diff }, where diff maps each edited field to { before, after }. Nothing is
+ * sent if no field differs. The entity is read fresh first, skipping the cache; if
+ * options.expectedUpdateDate is set and the entity's update_date differs from it, this rejects
+ * with a ConflictError instead of overwriting someone else's edit. Beeswax has no conditional
+ * writes, so this narrows the window for lost updates rather than closing it.
+ * options.failOnNotFound, dryRun + validate work as they do for edit(). */
+BeeswaxClient.prototype._patch = function (endpoint, idField, id, changes, options) {
+    var self = this;
+    options = options || {};
+
+    if (!isPOJO(changes) || Object.keys(changes).length === 0) {
+        return Promise.resolve({
+            success: false,
+            code: 400,
+            message: 'Body must be non-empty object',
+        });
+    }
+
+    var opts = {
+        url: urlUtils.resolve(self.apiRoot, endpoint),
+        body: {}
+    };
+    opts.body[idField] = id;
+
+    return self.request('get', opts).then(function (body) {
+        var current = body.payload[0],
+            expected = options.expectedUpdateDate,
+            updates = {};
+
+        if (!current) {
+            return options.failOnNotFound ?
+                Promise.reject(new errors.NotFoundError(endpoint + ' ' + id + ' not found', {
+                    method: 'get',
+                    endpoint: endpoint
+                })) :
+                { success: false, code: 400, message: 'Not found' };
+        }
+        if (expected !== undefined && String(current.update_date) !== String(expected)) {
+            return Promise.reject(new errors.ConflictError(
+                endpoint + ' ' + id + ' was updated at ' + current.update_date +
+                ', after it was read at ' + expected, {
+                    method: 'put',
+                    endpoint: endpoint,
+                    expected: expected,
+                    actual: current.update_date,
+                    current: current
+                }));
+        }
+
+        Object.keys(changes).forEach(function (key) {
+            if (stableStringify(changes[key]) !== stableStringify(current[key])) {
+                updates[key] = changes[key];
+            }
+        });
+        var fields = Object.keys(updates);
+        if (fields.length === 0) {
+            return { success: true, payload: current, diff: {} };
+        }
+
+        return self._edit(endpoint, idField, id, updates, {
+            failOnNotFound: options.failOnNotFound,
+            dryRun: options.dryRun,
+            validate: options.validate
+        }).then(function (resp) {
+            if (!resp.success && !resp.dryRun) {
+                return resp;
+            }
+
+            var after = resp.dryRun ? updates : resp.payload;
+            resp.diff = {};
+            fields.forEach(function (key) {
+                resp.diff[key] = { before: current[key], after: after[key] };
+            });
+            return resp;
+        });
+    });
+};
+
 // Send a DELETE request to delete an entity by id
 BeeswaxClient.prototype._delete = function (endpoint, idField, id, failOnNotFound) {
     var opts = {
@@ -324,20 +1257,13 @@ BeeswaxClient.prototype._delete = function (endpoint, idField, id, failOnNotFoun
     };
     opts.body[idField] = id;
 
-    return this.request('del', opts).then(function (body) {
+    return this._invalidateAfter(endpoint, this.request('del', opts)).then(function (body) {
         return { success: true, payload: body.payload[0] };
     })
-        .catch(function (resp) {
+        .catch(function (error) {
             /* Catch + return "object not found" errors as unsuccessful responses. Can instead set
              * failOnNotFound param to true to reject the original error. */
-            var notFound = false;
-            try {
-                notFound = resp.error.payload[0].message.some(function (str) {
-                    return (/Could not load object.*to delete/).test(str);
-                });
-            } catch (e) { }
-
-            if (!!notFound && !failOnNotFound) {
+            if (error instanceof errors.NotFoundError && !failOnNotFound) {
                 return Promise.resolve({
                     success: false,
                     code: 400,
@@ -345,10 +1271,44 @@ BeeswaxClient.prototype._delete = function (endpoint, idField, id, failOnNotFoun
                 });
             }
 
-            return Promise.reject(resp);
+            return Promise.reject(error);
         });
 };
 
+/* Create an entity for each body, with at most opts.concurrency (default: 5) requests in flight.
+ * Resolves with a report of { success, succeeded, failed, skipped }; see bulk.run. */
+BeeswaxClient.prototype._createMany = function (endpoint, idField, bodies, opts) {
+    var self = this;
+
+    return bulk.run(bodies || [], function (body) {
+        return self._create(endpoint, idField, body).then(bulk.unwrap);
+    }, opts);
+};
+
+// Edit entities in bulk. edits should be an array of { id, body } objects.
+BeeswaxClient.prototype._editMany = function (endpoint, idField, edits, opts) {
+    var self = this;
+
+    return bulk.run(edits || [], function (edit) {
+        return self._edit(endpoint, idField, edit.id, edit.body, true).then(bulk.unwrap);
+    }, opts);
+};
+
+// Delete entities in bulk by id
+BeeswaxClient.prototype._deleteMany = function (endpoint, idField, ids, opts) {
+    var self = this;
+
+    return bulk.run(ids || [], function (id) {
+        return self._delete(endpoint, idField, id, true).then(bulk.unwrap);
+    }, opts);
+};
+
+/* Copy a campaign with its line items, flights, targeting templates and creative associations.
+ * See cloneCampaign.js for the supported overrides. */
+BeeswaxClient.prototype.cloneCampaign = function (campaignId, overrides) {
+    return cloneCampaign(this, campaignId, overrides);
+};
+
 // Method to create a segment
 BeeswaxClient.prototype.createUploadSegment = function (params) {
     var self = this;
@@ -364,39 +1324,115 @@ BeeswaxClient.prototype.createUploadSegment = function (params) {
     });
 };
 
-// Method to upload a file to an existing segment
+/* Upload a file to an existing segment upload. params.segment_upload_id (or segment_id, for
+ * backwards compatibility) is the id of the segment upload, params.source is a file path, Buffer
+ * or readable stream, and params.name is the file name to upload it as. */
 BeeswaxClient.prototype.uploadSegmentFile = function (params) {
-    const self = this;
-
-    return new Promise(function (resolve, reject) {
-        const form = new FormData();
-        const fileStream = fs.createReadStream('./upload.txt');
-
-        form.append('segment_file', fileStream);
-
-        // Make sure to authenticate before making the request
-        self.authenticate().then(() => {
-            const requestOpts = {
-                method: 'POST',
-                url: urlUtils.resolve(self.apiRoot, '/rest/segment_upload/upload/' + params.segment_id),
-                headers: form.getHeaders(),
-                body: form,
-                jar: self._cookieJar,
-            };
+    var self = this,
+        id = params.segment_upload_id || params.segment_id;
 
-            rp(requestOpts)
-                .then(function (response) {
-                    resolve({ success: true, payload: response });
-                })
-                .catch(function (error) {
-                    reject(error);
-                });
-        }).catch((error) => {
-            reject(error);
+    if (!id || !params.source) {
+        return Promise.reject(new Error(
+            'uploadSegmentFile params requires a segment_upload_id and a source property.'));
+    }
+
+    return sources.read(params.source, params.name, 'segment_upload.txt').then(function (file) {
+        return self.request('post', {
+            url: urlUtils.resolve(self.apiRoot, '/rest/segment_upload/upload/' + id),
+            formData: {
+                segment_file: {
+                    value: file.buffer,
+                    options: { filename: file.name, knownLength: file.size }
+                }
+            }
         });
+    }).then(function (body) {
+        return { success: true, payload: body.payload };
     });
 };
 
+/* Create a segment upload for a file, upload the file to it, and poll the segment upload until
+ * Beeswax has finished processing it. source can also be a SegmentFileBuilder. Bound as
+ * segments.uploadFile. */
+BeeswaxClient.prototype._uploadSegment = function (source, opts) {
+    var self = this,
+        userIdType = opts && opts.user_id_type,
+        defaultName = 'segment_upload.txt',
+        file;
+    opts = opts || {};
 
+    if (source instanceof SegmentFileBuilder) {
+        var built = source.build();
+        userIdType = userIdType || source.userIdType;
+        defaultName = built.name;
+        source = built.buffer;
+    }
+
+    return sources.read(source, opts.name, defaultName).then(function (result) {
+        file = result;
+        return self.createUploadSegment({
+            name: file.name,
+            size: file.size,
+            user_id_type: userIdType,
+            continent: opts.continent
+        });
+    }).then(function (body) {
+        return self.uploadSegmentFile({
+            segment_upload_id: body.payload.id,
+            source: file.buffer,
+            name: file.name
+        }).then(function () {
+            // Skip the cache + coalescing, which could keep serving the status before the upload
+            return poll(function () {
+                return self.request('get', {
+                    url: urlUtils.resolve(self.apiRoot, '/rest/segment_upload'),
+                    body: { segment_upload_id: body.payload.id }
+                }).then(function (resp) {
+                    var upload = (resp.payload && resp.payload[0]) || {},
+                        status = String(upload.upload_status || '').toLowerCase();
+
+                    if (SEGMENT_UPLOAD_DONE.indexOf(status) !== -1) {
+                        return { success: true, payload: upload, errors: upload.errors || [] };
+                    }
+                    if (SEGMENT_UPLOAD_FAILED.indexOf(status) !== -1) {
+                        return {
+                            success: false,
+                            message: 'Segment upload ' + body.payload.id + ' failed',
+                            payload: upload,
+                            errors: upload.errors || []
+                        };
+                    }
+                });
+            }, {
+                interval: opts.interval,
+                timeout: opts.timeout,
+                description: 'segment upload ' + body.payload.id,
+                endpoint: '/rest/segment_upload'
+            });
+        });
+    });
+};
+
+// Expose the error classes so callers can check failures with instanceof
+Object.keys(errors).forEach(function (name) {
+    if (/Error$/.test(name)) {
+        BeeswaxClient[name] = errors[name];
+    }
+});
+BeeswaxClient.errors = errors;
+BeeswaxClient.RetryPolicy = RetryPolicy;
+BeeswaxClient.RequestScheduler = RequestScheduler;
+BeeswaxClient.Reporting = Reporting;
+BeeswaxClient.SegmentFileBuilder = SegmentFileBuilder;
+BeeswaxClient.RequestTransport = RequestTransport;
+BeeswaxClient.AxiosTransport = AxiosTransport;
+BeeswaxClient.FakeBeeswax = FakeBeeswax;
+BeeswaxClient.FixtureTransport = FixtureTransport;
+BeeswaxClient.MemorySessionStore = MemorySessionStore;
+BeeswaxClient.FileSessionStore = FileSessionStore;
+BeeswaxClient.PasswordAuth = PasswordAuth;
+BeeswaxClient.TokenAuth = TokenAuth;
+BeeswaxClient.MemoryMetrics = MemoryMetrics;
+BeeswaxClient.MemoryCache = MemoryCache;
 
 module.exports = BeeswaxClient;
@@ -0,0 +1,406 @@
+'use strict';
+
+var urlUtils = require('url'),
+    Promise = require('bluebird'),
+    errors = require('./errors'),
+    entities = require('./entities'),
+    schemas = require('./schemas');
+
+var SESSION_COOKIE = 'fake_beeswax_session';
+
+// Query params that control paging + sorting, rather than filtering
+var QUERY_PARAMS = ['rows', 'offset', 'sort_by', 'sort_order'];
+
+function copy(obj) {
+    return JSON.parse(JSON.stringify(obj));
+}
+
+// Format a date the way Beeswax does: 'YYYY-MM-DD HH:MM:SS'
+function timestamp() {
+    return new Date().toISOString().replace('T', ' ').replace(/\.\d+Z$/, '');
+}
+
+// An unsuccessful response, shaped like Beeswax's
+function failure(statusCode, messages) {
+    return Promise.reject(errors.httpError(statusCode, {
+        success: false,
+        payload: [{ message: [].concat(messages) }]
+    }));
+}
+
+/* Return true if value matches a query filter, which may be a comparison like '>10' or '<=10',
+ * or a list of filters that value must match one of */
+function matches(value, filter) {
+    if (Array.isArray(filter)) {
+        return filter.some(function (item) {
+            return matches(value, item);
+        });
+    }
+
+    var comparison = typeof filter === 'string' && /^(>=|<=|>|<)(.*)$/.exec(filter);
+
+    if (!comparison) {
+        return String(value) === String(filter);
+    }
+    if (value === undefined || value === null) {
+        return false;
+    }
+
+    var bound = isNaN(Number(comparison[2])) ? comparison[2] : Number(comparison[2]),
+        actual = typeof bound === 'number' ? Number(value) : String(value);
+
+    switch (comparison[1]) {
+        case '>': return actual > bound;
+        case '<': return actual < bound;
+        case '>=': return actual >= bound;
+        default: return actual <= bound;
+    }
+}
+
+/* An in-memory fake of the Beeswax API, implementing the transport interface so it can be passed
+ * to BeeswaxClient as opts.transport for running integration tests offline. It supports
+ * /rest/authenticate with session cookies, and CRUD on every endpoint in lib/entities.js (with
+ * and without /strict), validating bodies against lib/schemas.js and failing with Beeswax's
+ * "Could not load object" errors for missing entities. Like Beeswax, creates + edits on /strict
+ * paths reject fields the entity doesn't have, while other paths ignore them; the fields an
+ * entity has are the ones in its schema, plus its id field.
+ *
+ * opts.users is a list of { email, password } that can authenticate (default: anyone),
+ * opts.tokens is a list of tokens accepted in an 'Authorization: Bearer <token>' header instead
+ * of a session, opts.tokenHeader + opts.tokenScheme change that header + scheme to match
+ * TokenAuth's header + scheme options (set tokenScheme to '' for a bare token),
+ * opts.sessionTtl is how long sessions last in ms (default: forever), and opts.data seeds the
+ * store, mapping entity types (e.g. 'campaigns') to lists of entities. Entities added
+ * with BeeswaxClient.registerEntity are supported too, and opts.entities can add ones that were
+ * only registered on a client, in the same { endpoint, idField } format. opts.fields maps entity
+ * types to extra fields they have, for fields that aren't in lib/schemas.js. */
+function FakeBeeswax(opts) {
+    opts = opts || {};
+
+    this.users = opts.users || null;
+    this.tokens = opts.tokens || [];
+    this.tokenHeader = opts.tokenHeader || 'Authorization';
+    this.tokenScheme = opts.tokenScheme !== undefined ? opts.tokenScheme : 'Bearer';
+    this.sessionTtl = opts.sessionTtl || Infinity;
+    this.requests = [];
+    this.entities = opts.entities || {};
+    this.fields = opts.fields || {};
+
+    this._sessions = {};
+    this._nextSession = 1;
+    this._failures = [];
+    this.reset(opts.data);
+}
+
+// Clear the store, optionally seeding it with data, and drop every session
+FakeBeeswax.prototype.reset = function (data) {
+    var self = this;
+
+    self._store = {};
+    self._nextId = {};
+    self._sessions = {};
+
+    Object.keys(data || {}).forEach(function (type) {
+        self.seed(type, data[type]);
+    });
+};
+
+/* Add entities of a type (e.g. 'campaigns') to the store, without going through the API.
+ * Entities without an id are given one. Returns copies of the stored entities. */
+FakeBeeswax.prototype.seed = function (type, list) {
+    var self = this,
+        cfg = self._entity(type);
+
+    return [].concat(list || []).map(function (entity) {
+        var stored = copy(entity);
+        if (stored[cfg.idField] === undefined) {
+            stored[cfg.idField] = self._nextId[type]++;
+        } else {
+            self._nextId[type] = Math.max(self._nextId[type], Number(stored[cfg.idField]) + 1);
+        }
+        self._store[type][stored[cfg.idField]] = stored;
+        return copy(stored);
+    });
+};
+
+// Return a copy of a stored entity, or undefined if it doesn't exist
+FakeBeeswax.prototype.get = function (type, id) {
+    this._entity(type);
+    return this._store[type][id] && copy(this._store[type][id]);
+};
+
+// Return copies of every stored entity of a type
+FakeBeeswax.prototype.all = function (type) {
+    this._entity(type);
+
+    var store = this._store[type];
+    return Object.keys(store).map(function (id) {
+        return copy(store[id]);
+    });
+};
+
+// End every session, so the next request gets a 401 and the client has to re-authenticate
+FakeBeeswax.prototype.expireSessions = function () {
+    this._sessions = {};
+};
+
+/* Make the next request fail with statusCode (and an optional body), e.g. to test retries. Calls
+ * queue up, failing one request each. */
+FakeBeeswax.prototype.failNext = function (statusCode, body) {
+    this._failures.push({ statusCode: statusCode, body: body || { success: false } });
+};
+
+// Return every entity type the fake supports, with their configs
+FakeBeeswax.prototype._types = function () {
+    var self = this,
+        types = {};
+
+    [entities, self.entities].forEach(function (source) {
+        Object.keys(source).forEach(function (type) {
+            types[type] = source[type];
+        });
+    });
+    return types;
+};
+
+// Return the config of an entity type, setting up its part of the store if needed
+FakeBeeswax.prototype._entity = function (type) {
+    var cfg = this._types()[type];
+
+    if (!cfg) {
+        throw new Error('Unknown entity type: ' + type);
+    }
+    if (!this._store[type]) {
+        this._store[type] = {};
+        this._nextId[type] = 1;
+    }
+    return cfg;
+};
+
+// Find the entity type + options for a request path
+FakeBeeswax.prototype._route = function (pathname) {
+    var types = this._types(),
+        match = null;
+
+    Object.keys(types).forEach(function (type) {
+        var endpoint = types[type].endpoint,
+            rest = pathname.indexOf(endpoint) === 0 ? pathname.slice(endpoint.length) : null;
+
+        if (rest === '' || rest === '/strict') {
+            match = { type: type, endpoint: endpoint, strict: rest === '/strict' };
+        } else if (/^\/\d+$/.test(rest)) {
+            match = { type: type, endpoint: endpoint, id: rest.slice(1) };
+        }
+    });
+
+    return match;
+};
+
+/* Return the fields of a create/edit body that the entity doesn't have. Returns an empty list if
+ * the fake doesn't know which fields the entity has. */
+FakeBeeswax.prototype._unknownFields = function (route, body) {
+    var schema = schemas.schemas[route.endpoint],
+        extra = this.fields[route.type];
+
+    if (!schema && !extra) {
+        return [];
+    }
+    var known = Object.keys(schema || {}).concat(extra || [], this._entity(route.type).idField);
+
+    return Object.keys(body).filter(function (key) {
+        return known.indexOf(key) === -1;
+    });
+};
+
+// Validate a create/edit body, returning Beeswax's failure response if it is invalid, or null
+FakeBeeswax.prototype._validate = function (route, body, partial) {
+    var messages = schemas.validate(route.endpoint, body, { partial: partial }),
+        unknown = this._unknownFields(route, body);
+
+    if (route.strict) {
+        messages = messages.concat(unknown.map(function (key) {
+            return key + ': is not a valid field';
+        }));
+    }
+    return messages.length > 0 ? failure(406, messages) : null;
+};
+
+// Return true if a request has a valid session cookie or token
+FakeBeeswax.prototype._isAuthorized = function (req) {
+    var self = this,
+        headers = req.headers || {},
+        header = Object.keys(headers).filter(function (name) {
+            return name.toLowerCase() === self.tokenHeader.toLowerCase();
+        })[0],
+        prefix = self.tokenScheme ? self.tokenScheme + ' ' : '',
+        value = header ? String(headers[header]) : '',
+        token = value.indexOf(prefix) === 0 ? value.slice(prefix.length) : '';
+
+    return !!(self._session(req) || (token && self.tokens.indexOf(token) !== -1));
+};
+
+// Return the session token sent with a request, if it is valid
+FakeBeeswax.prototype._session = function (req) {
+    var cookies = (req.jar && req.jar.getCookieString(req.url)) || '',
+        match = new RegExp(SESSION_COOKIE + '=([^;]+)').exec(cookies),
+        expires = match && this._sessions[match[1]];
+
+    return expires && expires > Date.now() ? match[1] : null;
+};
+
+FakeBeeswax.prototype.send = function (req) {
+    var self = this,
+        method = req.method === 'del' ? 'delete' : req.method,
+        pathname = urlUtils.parse(req.url).pathname,
+        body = req.body || {};
+
+    self.requests.push({ method: method, path: pathname, body: req.body && copy(req.body) });
+
+    return Promise.try(function () {
+        if (self._failures.length > 0) {
+            var failure = self._failures.shift();
+            return Promise.reject(errors.httpError(failure.statusCode, failure.body));
+        }
+
+        if (pathname === '/rest/authenticate' && method === 'post') {
+            return self._authenticate(req, body);
+        }
+        if (!self._isAuthorized(req)) {
+            return Promise.reject(errors.httpError(401, {
+                success: false,
+                message: 'Unauthenticated'
+            }));
+        }
+
+        var route = self._route(pathname);
+        if (!route || (route.id !== undefined && method !== 'get')) {
+            return Promise.reject(errors.httpError(404, {
+                success: false,
+                message: 'No route for ' + method.toUpperCase() + ' ' + pathname
+            }));
+        }
+
+        switch (method) {
+            case 'get':
+                return self._query(route, route.id !== undefined ? { id: route.id } : body);
+            case 'post':
+                return self._create(route, body);
+            case 'put':
+                return self._update(route, body);
+            case 'delete':
+                return self._delete(route, body);
+            default:
+                return Promise.reject(errors.httpError(405, { success: false }));
+        }
+    }).then(function (respBody) {
+        return req.fullResponse ? { statusCode: 200, headers: {}, body: respBody } : respBody;
+    });
+};
+
+FakeBeeswax.prototype._authenticate = function (req, body) {
+    var valid = body.email && body.password && (!this.users || this.users.some(function (user) {
+        return user.email === body.email && user.password === body.password;
+    }));
+
+    if (!valid) {
+        return Promise.reject(errors.httpError(401, {
+            success: false,
+            message: 'Invalid email or password'
+        }));
+    }
+
+    var token = 'session-' + this._nextSession++;
+    this._sessions[token] = Date.now() + this.sessionTtl;
+    if (req.jar) {
+        req.jar.setCookie(SESSION_COOKIE + '=' + token + '; Path=/', req.url);
+    }
+    return { success: true, message: 'Authentication successful', payload: [] };
+};
+
+FakeBeeswax.prototype._query = function (route, body) {
+    var idField = this._entity(route.type).idField,
+        filters = {},
+        sortBy = body.sort_by || idField,
+        direction = body.sort_order === 'desc' ? -1 : 1,
+        offset = Number(body.offset) || 0,
+        rows = Number(body.rows) || 50;
+
+    Object.keys(body).forEach(function (key) {
+        if (QUERY_PARAMS.indexOf(key) === -1) {
+            filters[key === 'id' ? idField : key] = body[key];
+        }
+    });
+
+    var results = this.all(route.type).filter(function (entity) {
+        return Object.keys(filters).every(function (key) {
+            return matches(entity[key], filters[key]);
+        });
+    }).sort(function (a, b) {
+        if (a[sortBy] === b[sortBy]) {
+            return 0;
+        }
+        return (a[sortBy] > b[sortBy] ? 1 : -1) * direction;
+    });
+
+    return { success: true, payload: results.slice(offset, offset + rows) };
+};
+
+FakeBeeswax.prototype._create = function (route, body) {
+    var idField = this._entity(route.type).idField;
+
+    if (Object.keys(body).length === 0) {
+        return failure(406, 'Request body must not be empty');
+    }
+    var invalid = this._validate(route, body, false);
+    if (invalid) {
+        return invalid;
+    }
+
+    var entity = copy(body),
+        now = timestamp();
+    this._unknownFields(route, body).concat(idField).forEach(function (key) {
+        delete entity[key];
+    });
+    entity.create_date = now;
+    entity.update_date = now;
+
+    var created = this.seed(route.type, entity)[0];
+    return { success: true, payload: { id: created[idField] } };
+};
+
+FakeBeeswax.prototype._update = function (route, body) {
+    var idField = this._entity(route.type).idField,
+        id = body[idField],
+        stored = this._store[route.type][id];
+
+    if (!stored) {
+        return failure(406, 'Could not load object ' + id + ' to update');
+    }
+    var invalid = this._validate(route, body, true),
+        unknown = this._unknownFields(route, body);
+    if (invalid) {
+        return invalid;
+    }
+
+    Object.keys(body).forEach(function (key) {
+        if (unknown.indexOf(key) === -1) {
+            stored[key] = copy(body[key]);
+        }
+    });
+    stored.update_date = timestamp();
+    return { success: true, payload: { id: stored[idField] } };
+};
+
+FakeBeeswax.prototype._delete = function (route, body) {
+    var idField = this._entity(route.type).idField,
+        id = body[idField],
+        stored = this._store[route.type][id];
+
+    if (!stored) {
+        return failure(406, 'Could not load object ' + id + ' to delete');
+    }
+    delete this._store[route.type][id];
+    return { success: true, payload: [{ id: stored[idField] }] };
+};
+
+module.exports = FakeBeeswax;
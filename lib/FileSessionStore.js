@@ -0,0 +1,109 @@
+'use strict';
+
+var path = require('path'),
+    crypto = require('crypto'),
+    Promise = require('bluebird'),
+    fs = Promise.promisifyAll(require('fs'));
+
+// Session files hold live session cookies, so only the owner can read them
+var FILE_MODE = parseInt('600', 8);
+
+/* Saves sessions to a JSON file mapping keys to sessions, so they survive restarts and can be
+ * shared by processes on the same machine. See MemorySessionStore for the store interface. Locks
+ * are files created next to filePath, which only one process can create at a time; a lock file
+ * older than the ttl (e.g. because its process died) is replaced. */
+function FileSessionStore(filePath) {
+    if (!filePath) {
+        throw new Error('Must provide the path of the session file');
+    }
+
+    this.path = filePath;
+    this._writing = Promise.resolve();
+}
+
+// Resolve with the contents of the session file, or {} if it doesn't exist yet
+FileSessionStore.prototype._read = function () {
+    return fs.readFileAsync(this.path, 'utf8').then(function (contents) {
+        return JSON.parse(contents);
+    }, function (error) {
+        return error.code === 'ENOENT' ? {} : Promise.reject(error);
+    });
+};
+
+/* Apply update() to the file contents + write them back. Writes go to a temporary file that is
+ * renamed over the session file, so readers never see a partial file, and each store makes its
+ * writes one at a time. */
+FileSessionStore.prototype._update = function (update) {
+    var self = this,
+        tmpPath = [self.path, process.pid, crypto.randomBytes(4).toString('hex'), 'tmp'].join('.');
+
+    self._writing = self._writing.catch(function () {}).then(function () {
+        return self._read();
+    }).then(function (sessions) {
+        update(sessions);
+        return fs.mkdirAsync(path.dirname(self.path), { recursive: true }).then(function () {
+            return fs.writeFileAsync(tmpPath, JSON.stringify(sessions), { mode: FILE_MODE });
+        });
+    }).then(function () {
+        return fs.renameAsync(tmpPath, self.path);
+    });
+
+    return self._writing;
+};
+
+FileSessionStore.prototype.get = function (key) {
+    return this._read().then(function (sessions) {
+        return sessions[key] || null;
+    });
+};
+
+FileSessionStore.prototype.set = function (key, session) {
+    return this._update(function (sessions) {
+        sessions[key] = { cookies: session.cookies, expires: session.expires };
+    });
+};
+
+FileSessionStore.prototype.delete = function (key) {
+    return this._update(function (sessions) {
+        delete sessions[key];
+    });
+};
+
+FileSessionStore.prototype._lockPath = function (key) {
+    var hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 16);
+    return this.path + '.' + hash + '.lock';
+};
+
+FileSessionStore.prototype.lock = function (key, ttl) {
+    var self = this,
+        lockPath = self._lockPath(key);
+
+    function create() {
+        return fs.writeFileAsync(lockPath, String(process.pid), { flag: 'wx' }).return(true);
+    }
+
+    return create().catch(function (error) {
+        if (error.code !== 'EEXIST') {
+            return Promise.reject(error);
+        }
+
+        return fs.statAsync(lockPath).then(function (stats) {
+            if (stats.mtime.getTime() + ttl > Date.now()) {
+                return false;
+            }
+            // The lock is stale; if another process replaces it first, creating it fails again
+            return fs.unlinkAsync(lockPath).then(create);
+        }).catch(function (error) {
+            // Another process removed or replaced the lock while we were checking it
+            return ['EEXIST', 'ENOENT'].indexOf(error.code) !== -1 ? false : Promise.reject(error);
+        });
+    });
+};
+
+FileSessionStore.prototype.unlock = function (key) {
+    return fs.unlinkAsync(this._lockPath(key)).catch(function (error) {
+        return error.code === 'ENOENT' ? undefined : Promise.reject(error);
+    });
+};
+
+module.exports = FileSessionStore;
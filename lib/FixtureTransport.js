@@ -0,0 +1,180 @@
+'use strict';
+
+var fs = require('fs'),
+    path = require('path'),
+    urlUtils = require('url'),
+    Promise = require('bluebird'),
+    errors = require('./errors'),
+    redact = require('./redact'),
+    stableStringify = require('./stableStringify');
+
+// Describe multipart form data by its file names + content types, leaving out the content
+function describeFormData(formData) {
+    var described = {};
+    Object.keys(formData).forEach(function (field) {
+        var options = (formData[field] && formData[field].options) || {};
+        described[field] = { filename: options.filename, contentType: options.contentType };
+    });
+    return described;
+}
+
+/* Records requests + responses to a fixture file, or replays them from one, so tests can run
+ * against captured Beeswax behavior without a network. opts.mode is 'record' or 'replay', and
+ * opts.path is the fixture file. When recording, requests are sent with opts.transport and the
+ * file is rewritten after each one. Credentials (the email + password fields, and the Cookie,
+ * Set-Cookie + Authorization headers) are redacted before anything is written, along with any
+ * other fields listed in opts.redact.
+ *
+ * When replaying, each request is answered with the first unused recorded interaction that has
+ * the same method, path and body. Requests that don't match any interaction are rejected with
+ * an error naming the request, rather than being sent anywhere. */
+function FixtureTransport(opts) {
+    opts = opts || {};
+
+    if (['record', 'replay'].indexOf(opts.mode) === -1) {
+        throw new Error('mode must be one of: record, replay');
+    }
+    if (!opts.path) {
+        throw new Error('Must provide the path of the fixture file');
+    }
+
+    this.mode = opts.mode;
+    this.path = opts.path;
+    this.interactions = [];
+
+    this._fields = redact.fields(opts.redact);
+    this._used = [];
+
+    if (this.mode === 'record') {
+        if (!opts.transport || typeof opts.transport.send !== 'function') {
+            throw new Error('Must provide a transport to record requests with');
+        }
+        this._transport = opts.transport;
+    } else {
+        if (!fs.existsSync(this.path)) {
+            throw new Error('No fixture file found at ' + this.path);
+        }
+        this.interactions = JSON.parse(fs.readFileSync(this.path, 'utf8')).interactions || [];
+    }
+}
+
+// Return the redacted description of a request that is recorded + matched against
+FixtureTransport.prototype._describe = function (req) {
+    var described = {
+        method: req.method === 'del' ? 'delete' : req.method,
+        path: urlUtils.parse(req.url).path
+    };
+
+    if (req.body !== undefined) {
+        described.body = redact(req.body, this._fields);
+    }
+    if (req.formData) {
+        described.formData = describeFormData(req.formData);
+    }
+    return described;
+};
+
+// Return a copy of a full response or error, with credentials redacted
+FixtureTransport.prototype._redactResponse = function (resp) {
+    var copy = redact(resp, this._fields);
+    if (copy.headers) {
+        copy.headers = redact(copy.headers, redact.HEADERS);
+    }
+    return copy;
+};
+
+FixtureTransport.prototype._record = function (interaction) {
+    this.interactions.push(interaction);
+
+    var contents = JSON.stringify({ interactions: this.interactions }, null, 4);
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+    fs.writeFileSync(this.path, contents + '\n');
+};
+
+FixtureTransport.prototype.send = function (req) {
+    return this.mode === 'record' ? this._sendAndRecord(req) : this._replay(req);
+};
+
+FixtureTransport.prototype._sendAndRecord = function (req) {
+    var self = this,
+        request = self._describe(req);
+
+    return Promise.resolve(self._transport.send(req)).then(function (result) {
+        self._record({
+            request: request,
+            response: req.fullResponse ? self._redactResponse(result) :
+                redact(result, self._fields)
+        });
+        return result;
+    }, function (error) {
+        var recorded = typeof (error && error.statusCode) === 'number' ? self._redactResponse({
+            statusCode: error.statusCode,
+            headers: (error.response && error.response.headers) || {},
+            body: error.error
+        }) : {
+            name: error && error.name,
+            message: error && error.message,
+            code: error && error.code
+        };
+
+        self._record({ request: request, error: recorded });
+        return Promise.reject(error);
+    });
+};
+
+FixtureTransport.prototype._replay = function (req) {
+    var self = this,
+        request = self._describe(req),
+        key = stableStringify(request),
+        index = -1;
+
+    self.interactions.some(function (interaction, i) {
+        if (self._used.indexOf(i) === -1 && stableStringify(interaction.request) === key) {
+            index = i;
+            return true;
+        }
+        return false;
+    });
+
+    if (index === -1) {
+        return Promise.reject(new Error('No recorded interaction in ' + self.path + ' matches ' +
+                                        request.method.toUpperCase() + ' ' + request.path +
+                                        (request.body !== undefined ?
+                                            ' with body ' + JSON.stringify(request.body) : '')));
+    }
+    self._used.push(index);
+
+    var interaction = self.interactions[index];
+    if (interaction.error && typeof interaction.error.statusCode === 'number') {
+        return Promise.reject(errors.httpError(interaction.error.statusCode,
+                                               interaction.error.body, interaction.error.headers));
+    }
+    if (interaction.error) {
+        var error = new Error(interaction.error.message);
+        error.name = interaction.error.name || 'Error';
+        error.code = interaction.error.code;
+        return Promise.reject(error);
+    }
+    return Promise.resolve(interaction.response);
+};
+
+// Return the recorded interactions that have not been replayed yet
+FixtureTransport.prototype.unused = function () {
+    var self = this;
+    return self.interactions.filter(function (interaction, i) {
+        return self._used.indexOf(i) === -1;
+    });
+};
+
+// Remote files aren't recorded, so streams are only available while recording
+FixtureTransport.prototype.openStream = function (url) {
+    if (this.mode !== 'record') {
+        throw new Error('Cannot open a stream of ' + url + ' while replaying fixtures');
+    }
+    if (typeof this._transport.openStream !== 'function') {
+        throw new Error('The transport does not support opening streams');
+    }
+    return this._transport.openStream(url);
+};
+
+module.exports = FixtureTransport;
@@ -0,0 +1,162 @@
+'use strict';
+
+var Promise = require('bluebird'),
+    entities = require('./entities'),
+    redact = require('./redact');
+
+// Return the size of a request or response body in bytes, as it is sent over the wire
+function byteSize(body) {
+    if (body === undefined || body === null) {
+        return 0;
+    }
+    if (Buffer.isBuffer(body)) {
+        return body.length;
+    }
+    return Buffer.byteLength(typeof body === 'string' ? body : JSON.stringify(body));
+}
+
+// Return the size of the files in a multipart upload, as far as it is known in advance
+function formDataSize(formData) {
+    return Object.keys(formData).reduce(function (total, field) {
+        var options = (formData[field] && formData[field].options) || {};
+        return total + (options.knownLength || 0);
+    }, 0);
+}
+
+// Return endpoint with ids in its path replaced by ':id', so it can be used as a metric tag
+function route(endpoint) {
+    return (endpoint || '').replace(/\/\d+(?=\/|$)/g, '/:id');
+}
+
+// Return the name of the entity type in types whose endpoint is endpoint, if any
+function entityType(types, endpoint) {
+    var path = route(endpoint).replace(/\/strict(?=\/|$)/, '').replace(/\/:id$/, '');
+    return Object.keys(types).filter(function (type) {
+        return types[type].endpoint === path;
+    })[0];
+}
+
+/* Logs each request the client sends to Beeswax, and records metrics about it. opts.logger is an
+ * object with info() and warn() methods, like console or most logging libraries: successful
+ * requests are logged with info(message, event), and failed ones with warn(message, event).
+ * opts.metrics is a sink with increment(name, value, tags) and histogram(name, value, tags)
+ * methods, like a StatsD client or MemoryMetrics. Metric names start with opts.prefix (default:
+ * 'beeswax'). Request bodies are logged with the email + password fields and any fields listed
+ * in opts.redact redacted. Cookie + Authorization headers are always redacted, along with any
+ * headers listed in opts.headers (e.g. the auth strategy's) or opts.redact. Events name the entity
+ * type of their endpoint, looked up in opts.types (default: lib/entities.js). */
+function Instrumentation(opts) {
+    opts = opts || {};
+
+    if (opts.logger && (typeof opts.logger.info !== 'function' ||
+                        typeof opts.logger.warn !== 'function')) {
+        throw new Error('logger must be an object with info() and warn() methods');
+    }
+    if (opts.metrics && (typeof opts.metrics.increment !== 'function' ||
+                         typeof opts.metrics.histogram !== 'function')) {
+        throw new Error('metrics must be an object with increment() and histogram() methods');
+    }
+
+    this.logger = opts.logger || null;
+    this.metrics = opts.metrics || null;
+    this.prefix = opts.prefix || 'beeswax';
+    this.types = opts.types || entities;
+    this._fields = redact.fields(opts.redact);
+    this._headers = redact.headers((opts.headers || []).concat(opts.redact || []));
+}
+
+/* Return the event describing a request to Beeswax, given the hook ctx of the call it was part of
+ * (see BeeswaxClient.use), when it was sent, and the error or result it finished with. */
+Instrumentation.prototype.describe = function (req, ctx, start, error, result) {
+    var body = req.fullResponse && result ? result.body : result,
+        event = {
+            type: ctx.type,
+            method: (req.method === 'del' ? 'delete' : req.method).toUpperCase(),
+            endpoint: ctx.endpoint,
+            entity: entityType(this.types, ctx.endpoint),
+            attempt: ctx.attempt,
+            retries: ctx.attempt - 1,
+            status: 200,
+            success: !error && !(body && body.success === false),
+            duration: Date.now() - start,
+            requestSize: req.formData ? formDataSize(req.formData) : byteSize(req.body),
+            responseSize: byteSize(body)
+        };
+
+    if (error) {
+        event.status = error.statusCode || error.code || 'error';
+        event.responseSize = byteSize(error.response ? error.response.body : undefined);
+        event.error = { name: error.name, message: error.message };
+    } else if (req.fullResponse && result && result.statusCode) {
+        event.status = result.statusCode;
+    }
+    if (req.body !== undefined) {
+        event.body = redact(req.body, this._fields);
+    }
+    if (req.headers) {
+        event.headers = redact(req.headers, this._headers);
+    }
+    if (ctx.meta !== undefined) {
+        event.meta = ctx.meta;
+    }
+    return event;
+};
+
+// Log an event, and record metrics for it
+Instrumentation.prototype.record = function (event) {
+    var self = this,
+        metrics = self.metrics,
+        tags = {};
+
+    ['type', 'method', 'entity', 'status'].forEach(function (key) {
+        if (event[key] !== undefined) {
+            tags[key] = String(event[key]);
+        }
+    });
+    tags.endpoint = route(event.endpoint);
+
+    if (self.logger) {
+        var message = 'Beeswax ' + event.method + ' ' + event.endpoint + ' ' + event.status +
+                      ' in ' + event.duration + 'ms' +
+                      (event.retries ? ' (retry ' + event.retries + ')' : '');
+        self.logger[event.success ? 'info' : 'warn'](message, event);
+    }
+
+    if (metrics) {
+        metrics.increment(self.prefix + '.requests', 1, tags);
+        if (!event.success) {
+            metrics.increment(self.prefix + '.errors', 1, tags);
+        }
+        if (event.retries) {
+            metrics.increment(self.prefix + '.retries', 1, tags);
+        }
+        metrics.histogram(self.prefix + '.request.duration', event.duration, tags);
+        metrics.histogram(self.prefix + '.request.size', event.requestSize, tags);
+        metrics.histogram(self.prefix + '.response.size', event.responseSize, tags);
+    }
+};
+
+/* Call send(), which sends req to Beeswax, and record the request once it finishes. A logger or
+ * metrics sink that throws doesn't fail the request. */
+Instrumentation.prototype.track = function (req, ctx, send) {
+    var self = this,
+        start = Date.now();
+
+    function finish(error, result) {
+        try {
+            self.record(self.describe(req, ctx, start, error, result));
+        } catch (e) {
+            // Losing a log line is better than failing a request that succeeded
+        }
+    }
+
+    return Promise.resolve(send()).then(function (result) {
+        finish(null, result);
+        return result;
+    }, function (error) {
+        finish(error);
+        return Promise.reject(error);
+    });
+};
+
+module.exports = Instrumentation;
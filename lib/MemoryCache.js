@@ -0,0 +1,61 @@
+'use strict';
+
+var Promise = require('bluebird');
+
+/* Keeps cached responses in memory, evicting the least recently used entry once it holds
+ * opts.maxEntries (default: 1000). Every cache store implements get(key), resolving with the
+ * cached string or null, set(key, value, ttl), where ttl is how long (in ms) value may be
+ * returned for, and clear(prefix), which deletes every entry whose key starts with prefix. */
+function MemoryCache(opts) {
+    opts = opts || {};
+
+    this.maxEntries = opts.maxEntries || 1000;
+    this._entries = new Map(); // Ordered from least to most recently used
+}
+
+MemoryCache.prototype.get = function (key) {
+    var entry = this._entries.get(key);
+
+    if (!entry) {
+        return Promise.resolve(null);
+    }
+    this._entries.delete(key);
+    if (entry.expires <= Date.now()) {
+        return Promise.resolve(null);
+    }
+    this._entries.set(key, entry);
+    return Promise.resolve(entry.value);
+};
+
+MemoryCache.prototype.set = function (key, value, ttl) {
+    this._entries.delete(key);
+    this._entries.set(key, { value: value, expires: Date.now() + ttl });
+
+    while (this._entries.size > this.maxEntries) {
+        this._entries.delete(this._entries.keys().next().value);
+    }
+    return Promise.resolve();
+};
+
+MemoryCache.prototype.delete = function (key) {
+    this._entries.delete(key);
+    return Promise.resolve();
+};
+
+MemoryCache.prototype.clear = function (prefix) {
+    var self = this;
+
+    Array.from(self._entries.keys()).forEach(function (key) {
+        if (!prefix || key.indexOf(prefix) === 0) {
+            self._entries.delete(key);
+        }
+    });
+    return Promise.resolve();
+};
+
+// Return the number of entries held, including expired ones that haven't been evicted yet
+MemoryCache.prototype.size = function () {
+    return this._entries.size;
+};
+
+module.exports = MemoryCache;
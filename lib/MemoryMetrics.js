@@ -0,0 +1,82 @@
+'use strict';
+
+// Return the key a metric is stored under: its name + its tags, in a stable order
+function metricKey(name, tags) {
+    return name + JSON.stringify(Object.keys(tags || {}).sort().map(function (tag) {
+        return [tag, tags[tag]];
+    }));
+}
+
+// Return the value at percentile p (0-100) of sorted values, by the nearest-rank method
+function percentile(sorted, p) {
+    return sorted[Math.max(0, Math.ceil(p / 100 * sorted.length) - 1)];
+}
+
+/* A metrics sink that keeps counters + histograms in memory, so they can be exported to a
+ * monitoring system that pulls metrics (e.g. from an HTTP endpoint), or checked in tests. Every
+ * metrics sink implements increment(name, value, tags) and histogram(name, value, tags), where
+ * tags is an object of tag names to string values. Histograms keep every value until reset() is
+ * called, so long running processes should reset() after each export. */
+function MemoryMetrics() {
+    this._counters = {};
+    this._histograms = {};
+}
+
+MemoryMetrics.prototype.increment = function (name, value, tags) {
+    var key = metricKey(name, tags),
+        counter = this._counters[key];
+
+    if (!counter) {
+        counter = this._counters[key] = { name: name, tags: tags || {}, value: 0 };
+    }
+    counter.value += value === undefined ? 1 : value;
+};
+
+MemoryMetrics.prototype.histogram = function (name, value, tags) {
+    var key = metricKey(name, tags),
+        histogram = this._histograms[key];
+
+    if (!histogram) {
+        histogram = this._histograms[key] = { name: name, tags: tags || {}, values: [] };
+    }
+    histogram.values.push(value);
+};
+
+/* Return the current value of every counter, and a summary of every histogram: its count, sum,
+ * min, max, mean and 50th, 95th + 99th percentiles */
+MemoryMetrics.prototype.snapshot = function () {
+    var self = this;
+
+    return {
+        counters: Object.keys(self._counters).map(function (key) {
+            var counter = self._counters[key];
+            return { name: counter.name, tags: counter.tags, value: counter.value };
+        }),
+        histograms: Object.keys(self._histograms).map(function (key) {
+            var histogram = self._histograms[key],
+                sorted = histogram.values.slice().sort(function (a, b) { return a - b; }),
+                sum = sorted.reduce(function (total, value) { return total + value; }, 0);
+
+            return {
+                name: histogram.name,
+                tags: histogram.tags,
+                count: sorted.length,
+                sum: sum,
+                min: sorted[0],
+                max: sorted[sorted.length - 1],
+                mean: sum / sorted.length,
+                p50: percentile(sorted, 50),
+                p95: percentile(sorted, 95),
+                p99: percentile(sorted, 99)
+            };
+        })
+    };
+};
+
+// Clear every counter + histogram
+MemoryMetrics.prototype.reset = function () {
+    this._counters = {};
+    this._histograms = {};
+};
+
+module.exports = MemoryMetrics;
@@ -0,0 +1,44 @@
+'use strict';
+
+var Promise = require('bluebird');
+
+/* Keeps sessions in memory, so clients in the same process can share one session. Every session
+ * store implements get(key), resolving with the saved session or null, and set(key, session),
+ * where a session is { cookies, expires }: the session cookie string and the time (in ms since
+ * the epoch) it should be considered expired. Stores shared by many clients can also implement
+ * lock(key, ttl), resolving true if the caller may authenticate for key, and unlock(key); lock()
+ * resolves false while another caller holds an unexpired lock. */
+function MemorySessionStore() {
+    this._sessions = {};
+    this._locks = {};
+}
+
+MemorySessionStore.prototype.get = function (key) {
+    var session = this._sessions[key];
+    return Promise.resolve(session ? { cookies: session.cookies, expires: session.expires } : null);
+};
+
+MemorySessionStore.prototype.set = function (key, session) {
+    this._sessions[key] = { cookies: session.cookies, expires: session.expires };
+    return Promise.resolve();
+};
+
+MemorySessionStore.prototype.delete = function (key) {
+    delete this._sessions[key];
+    return Promise.resolve();
+};
+
+MemorySessionStore.prototype.lock = function (key, ttl) {
+    if (this._locks[key] > Date.now()) {
+        return Promise.resolve(false);
+    }
+    this._locks[key] = Date.now() + ttl;
+    return Promise.resolve(true);
+};
+
+MemorySessionStore.prototype.unlock = function (key) {
+    delete this._locks[key];
+    return Promise.resolve();
+};
+
+module.exports = MemorySessionStore;
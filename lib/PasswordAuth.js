@@ -0,0 +1,58 @@
+'use strict';
+
+var urlUtils = require('url'),
+    Promise = require('bluebird');
+
+function isValid(creds) {
+    return !!(creds && creds.email && creds.password);
+}
+
+/* Authenticates by logging in with an email + password, which gives the client a session cookie.
+ * This is the default strategy. creds is { email, password }, or a function returning them (or a
+ * promise of them), which is called each time the client logs in, so credentials can be rotated
+ * or read from a secrets manager without recreating the client.
+ *
+ * Every auth strategy implements authenticate(ctx), which is called whenever the client needs to
+ * (re-)authenticate, including after Beeswax responds with a 401. ctx contains the client's
+ * apiRoot, its cookie jar, and send(req), which sends a request with the client's transport.
+ * authenticate() can resolve with a Beeswax response body, which fails authentication if its
+ * success flag is false. Strategies can also implement prepare(req), which is called (and
+ * waited for, if it returns a promise) before each request to Beeswax is sent, and can add
+ * credentials to req.headers. sessionKey, if set, identifies the account, so clients can share
+ * sessions, cached responses + in-flight requests. */
+function PasswordAuth(creds) {
+    if (typeof creds !== 'function' && !isValid(creds)) {
+        throw new Error('Must provide creds object with email + password');
+    }
+
+    this._creds = creds;
+    this.sessionKey = typeof creds === 'function' ? undefined : creds.email;
+}
+
+PasswordAuth.prototype.authenticate = function (ctx) {
+    function login(creds) {
+        return ctx.send({
+            method: 'post',
+            url: urlUtils.resolve(ctx.apiRoot, '/rest/authenticate'),
+            body: {
+                email: creds.email,
+                password: creds.password,
+                keep_logged_in: true // tells Beeswax to use longer lasting sessions
+            },
+            jar: ctx.jar
+        });
+    }
+
+    if (typeof this._creds !== 'function') {
+        return login(this._creds);
+    }
+
+    return Promise.resolve(this._creds()).then(function (creds) {
+        if (!isValid(creds)) {
+            return Promise.reject(new Error('creds function must resolve with email + password'));
+        }
+        return login(creds);
+    });
+};
+
+module.exports = PasswordAuth;
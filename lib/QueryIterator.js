@@ -0,0 +1,239 @@
+'use strict';
+
+var urlUtils = require('url'),
+    util = require('util'),
+    EventEmitter = require('events').EventEmitter,
+    Readable = require('stream').Readable,
+    Promise = require('bluebird');
+
+/* Fetches the entities matching a query one page at a time. By default this pages with offset,
+ * sorting by idField. With opts.pagination set to 'keyset', it instead walks through id ranges,
+ * using the last id seen as the bound for the next page, so entities created or deleted while
+ * iterating don't cause duplicate or skipped rows. The query can't filter on idField itself in
+ * that mode, since the bound replaces it. Rows with an id that was already returned are dropped
+ * in either mode, and iteration stops after opts.maxResults rows.
+ *
+ * Rows can be consumed page by page with nextPage(), row by row with next() or a for await...of
+ * loop, or as a Readable object stream with toStream(). Emits a 'page' event with
+ * { page, pages, rows } after each page is fetched and an 'end' event with { pages, rows } once
+ * there are no more pages or the iterator is stopped. */
+function QueryIterator(client, endpoint, idField, body, opts) {
+    EventEmitter.call(this);
+    opts = opts || {};
+
+    if (['offset', 'keyset'].indexOf(opts.pagination || 'offset') === -1) {
+        throw new Error('pagination must be one of: offset, keyset');
+    }
+    if (['asc', 'desc', undefined].indexOf(opts.sortDirection) === -1) {
+        throw new Error('sortDirection must be one of: asc, desc');
+    }
+    if (opts.pagination === 'keyset' && body && body[idField] !== undefined) {
+        throw new Error('Keyset pagination cannot be combined with a filter on ' + idField);
+    }
+
+    this.pagination = opts.pagination || 'offset';
+    this.pageSize = opts.batchSize || opts.pageSize || 50;
+    this.maxResults = opts.maxResults || Infinity;
+    this.sortDirection = opts.sortDirection || (this.pagination === 'keyset' ? 'asc' : undefined);
+    this.pages = 0;
+    this.rows = 0;
+    this.done = false;
+
+    this._client = client;
+    this._endpoint = endpoint;
+    this._idField = idField;
+    this._body = body || {};
+    this._offset = 0;
+    this._lastId = undefined;
+    this._seen = {}; // Ids returned so far, for offset pagination
+    this._buffer = [];
+    this._pending = null;
+    this._lastNext = Promise.resolve(); // The latest next() call, which the next one waits for
+    this._stopped = false;
+}
+util.inherits(QueryIterator, EventEmitter);
+
+// Copy the query body, overriding any pagination params with our own
+QueryIterator.prototype._buildBody = function () {
+    var body = {};
+    for (var key in this._body) {
+        body[key] = this._body[key];
+    }
+    body.rows = this.pageSize;
+    body.sort_by = this._idField;
+    if (this.sortDirection) {
+        body.sort_order = this.sortDirection;
+    }
+
+    if (this.pagination === 'keyset') {
+        delete body.offset;
+        if (this._lastId !== undefined) {
+            body[this._idField] = (this.sortDirection === 'desc' ? '<' : '>') + this._lastId;
+        }
+    } else {
+        body.offset = this._offset;
+    }
+    return body;
+};
+
+// Resolve with the next page of rows, or null if there are no more pages
+QueryIterator.prototype.nextPage = function () {
+    var self = this;
+
+    if (self._pending) {
+        return self._pending;
+    }
+    if (self.done) {
+        return Promise.resolve(null);
+    }
+
+    self._pending = self._client.request('get', {
+        url: urlUtils.resolve(self._client.apiRoot, self._endpoint),
+        body: self._buildBody()
+    }).then(function (respBody) {
+        var page = self._processPage(respBody.payload);
+
+        self.pages++;
+        self.rows += page.length;
+
+        // The iterator may have been stopped while this page was being fetched
+        if (!self.done) {
+            self.emit('page', { page: page, pages: self.pages, rows: self.rows });
+        }
+        if (respBody.payload.length < self.pageSize || self.rows >= self.maxResults) {
+            self._finish();
+        }
+        return page;
+    }).finally(function () {
+        self._pending = null;
+    });
+
+    return self._pending;
+};
+
+// Advance the pagination state past a fetched page, and drop duplicates + rows over maxResults
+QueryIterator.prototype._processPage = function (rows) {
+    var page = this.pagination === 'keyset' ? this._keysetRows(rows) : this._unseenRows(rows);
+
+    this._offset += this.pageSize;
+    return page.slice(0, this.maxResults - this.rows);
+};
+
+// Drop rows with an id that was already returned
+QueryIterator.prototype._unseenRows = function (rows) {
+    var self = this;
+
+    return rows.filter(function (row) {
+        var id = row[self._idField];
+        if (id === undefined) {
+            return true;
+        }
+        if (self._seen[id]) {
+            return false;
+        }
+        self._seen[id] = true;
+        return true;
+    });
+};
+
+/* Drop rows that aren't past the last id returned, moving the bound for the next page to the
+ * last row kept. Rows arrive sorted by id, so duplicates are caught without remembering every
+ * id returned. */
+QueryIterator.prototype._keysetRows = function (rows) {
+    var self = this,
+        desc = self.sortDirection === 'desc',
+        message = 'Keyset pagination requires every row to have a distinct ' + self._idField;
+
+    var page = rows.filter(function (row) {
+        var id = row[self._idField];
+        if (id === undefined) {
+            throw new Error(message);
+        }
+        if (self._lastId !== undefined &&
+            (desc ? Number(id) >= Number(self._lastId) : Number(id) <= Number(self._lastId))) {
+            return false;
+        }
+        self._lastId = id;
+        return true;
+    });
+
+    if (rows.length > 0 && page.length === 0) {
+        throw new Error(message);
+    }
+    return page;
+};
+
+QueryIterator.prototype._finish = function () {
+    if (this.done) {
+        return;
+    }
+    this.done = true;
+    this.emit('end', { pages: this.pages, rows: this.rows });
+};
+
+/* Resolve with the next row, following the async iterator protocol. Calls made before earlier
+ * ones have resolved wait their turn, so each row is returned once and in order. */
+QueryIterator.prototype.next = function () {
+    var self = this,
+        result = self._lastNext.then(function () {
+            return self._next();
+        });
+
+    self._lastNext = result.reflect();
+    return result;
+};
+
+QueryIterator.prototype._next = function () {
+    var self = this;
+
+    if (self._buffer.length > 0) {
+        return Promise.resolve({ value: self._buffer.shift(), done: false });
+    }
+    if (self.done || self._stopped) {
+        return Promise.resolve({ value: undefined, done: true });
+    }
+
+    return self.nextPage().then(function (page) {
+        if (self._stopped) {
+            return { value: undefined, done: true };
+        }
+        self._buffer = self._buffer.concat(page || []);
+        return self._next();
+    });
+};
+
+// Stop fetching pages. Called automatically when breaking out of a for await...of loop.
+QueryIterator.prototype.return = function () {
+    this._stopped = true;
+    this._buffer = [];
+    this._finish();
+    return Promise.resolve({ value: undefined, done: true });
+};
+
+QueryIterator.prototype[Symbol.asyncIterator] = function () {
+    return this;
+};
+
+// Return a Readable object stream of rows. Destroying the stream stops the iterator.
+QueryIterator.prototype.toStream = function () {
+    var self = this;
+
+    return new Readable({
+        objectMode: true,
+        read: function () {
+            var stream = this;
+
+            self.next().then(function (result) {
+                stream.push(result.done ? null : result.value);
+            }, function (error) {
+                stream.destroy(error);
+            });
+        },
+        destroy: function (error, cb) {
+            self.return();
+            cb(error);
+        }
+    });
+};
+
+module.exports = QueryIterator;
@@ -0,0 +1,402 @@
+'use strict';
+
+var urlUtils = require('url'),
+    Readable = require('stream').Readable,
+    StringDecoder = require('string_decoder').StringDecoder,
+    Promise = require('bluebird'),
+    errors = require('./errors'),
+    poll = require('./poll');
+
+var NUMERIC = /^-?\d+(\.\d+)?([eE][-+]?\d+)?$/;
+
+/* Splits CSV text into rows of fields, handling quoted fields with embedded commas/quotes/newlines.
+ * Text can be written in chunks as it arrives: write() returns the rows it completed, and end()
+ * returns the last one. */
+function CsvParser() {
+    this._row = [];
+    this._field = '';
+    this._quoted = false;
+    this._pending = ''; // A character whose meaning depends on the next one
+}
+
+CsvParser.prototype.write = function (text) {
+    var rows = [];
+
+    text = this._pending + text;
+    this._pending = '';
+
+    for (var i = 0; i < text.length; i++) {
+        var ch = text[i];
+
+        if ((ch === '"' && this._quoted) || ch === '\r') {
+            if (i === text.length - 1) {
+                this._pending = ch;
+                break;
+            }
+        }
+
+        if (this._quoted) {
+            if (ch === '"' && text[i + 1] === '"') {
+                this._field += '"';
+                i++;
+            } else if (ch === '"') {
+                this._quoted = false;
+            } else {
+                this._field += ch;
+            }
+        } else if (ch === '"') {
+            this._quoted = true;
+        } else if (ch === ',') {
+            this._row.push(this._field);
+            this._field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            this._endRow(rows);
+        } else {
+            this._field += ch;
+        }
+    }
+    return rows;
+};
+
+CsvParser.prototype.end = function () {
+    var pending = this._pending,
+        rows = [];
+
+    this._pending = '';
+    if (pending === '"') {
+        this._quoted = false;
+    } else if (pending === '\r') {
+        this._endRow(rows);
+    }
+    if (this._field !== '' || this._row.length > 0) {
+        this._endRow(rows);
+    }
+    return rows;
+};
+
+// Finish the current row, adding it to rows unless it is blank
+CsvParser.prototype._endRow = function (rows) {
+    this._row.push(this._field);
+    if (this._row.length > 1 || this._row[0] !== '') {
+        rows.push(this._row);
+    }
+    this._row = [];
+    this._field = '';
+};
+
+// Split CSV text into rows of fields
+function parseCsvRows(text) {
+    var parser = new CsvParser();
+    return parser.write(text).concat(parser.end());
+}
+
+// Return an object for a row of fields, keyed by the names in header
+function toObject(header, fields) {
+    var obj = {};
+    header.forEach(function (name, idx) {
+        obj[name] = fields[idx];
+    });
+    return obj;
+}
+
+// Parse CSV text with a header row into an array of objects
+function parseCsv(text) {
+    var rows = parseCsvRows(text),
+        header = rows.shift() || [];
+
+    return rows.map(function (fields) {
+        return toObject(header, fields);
+    });
+}
+
+// Return true if url is on a different host than the client's apiRoot
+function isExternal(client, url) {
+    var target = urlUtils.parse(url),
+        api = urlUtils.parse(client.apiRoot);
+    return target.protocol !== api.protocol || target.host !== api.host;
+}
+
+/* Convert metric values to numbers. If metrics is not given, every value that looks numeric is
+ * converted, except for the given dimensions (which are often numeric ids). */
+function coerceRow(row, metrics, dimensions) {
+    Object.keys(row).forEach(function (key) {
+        var value = row[key],
+            isMetric = metrics ? metrics.indexOf(key) !== -1 :
+                                 (dimensions || []).indexOf(key) === -1;
+
+        if (isMetric && typeof value === 'string' && NUMERIC.test(value.trim())) {
+            row[key] = Number(value);
+        } else if (isMetric && value === '' && metrics) {
+            row[key] = null;
+        }
+    });
+    return row;
+}
+
+/* Submits report queries to Beeswax's report queue, polls until they are ready, and downloads +
+ * parses the results. Requests to Beeswax are sent through the client, so they share its session
+ * and 401 re-authentication, retries and scheduling. Results hosted elsewhere (e.g. a signed file
+ * URL) are fetched with the client's transport alone, so credentials are never sent to them. */
+function Reporting(client) {
+    this._client = client;
+}
+
+// Convert a report query into the body Beeswax's report queue expects
+Reporting.prototype.buildBody = function (query) {
+    var filters = {},
+        dateField = query.dateField || 'bid_day';
+
+    Object.keys(query.filters || {}).forEach(function (key) {
+        filters[key] = query.filters[key];
+    });
+    ['advertiser_id', 'campaign_id', 'line_item_id'].forEach(function (key) {
+        if (query[key] !== undefined) {
+            filters[key] = query[key];
+        }
+    });
+
+    var range = [];
+    if (query.startDate) {
+        range.push('>=' + query.startDate);
+    }
+    if (query.endDate) {
+        range.push('<=' + query.endDate);
+    }
+    if (range.length > 0) {
+        filters[dateField] = range;
+    }
+
+    var body = {
+        view_name: query.view || 'performance_agg',
+        fields: (query.dimensions || []).concat(query.metrics || []),
+        filters: filters,
+        file_format: query.format || 'csv'
+    };
+    if (query.sortBy) {
+        body.sort_by = query.sortBy;
+    }
+    if (query.rows) {
+        body.rows = query.rows;
+    }
+    return body;
+};
+
+// Submit a report query. Resolves with the report_queue_id of the queued report.
+Reporting.prototype.submit = function (query) {
+    var client = this._client;
+
+    return client.request('post', {
+        url: urlUtils.resolve(client.apiRoot, '/rest/report_queue/strict'),
+        body: this.buildBody(query || {})
+    }).then(function (body) {
+        return body.payload.id;
+    });
+};
+
+// Resolve with the current report_queue entry for a submitted report
+Reporting.prototype.status = function (id) {
+    var client = this._client;
+
+    return client.request('get', {
+        url: urlUtils.resolve(client.apiRoot, '/rest/report_queue'),
+        body: { report_queue_id: id }
+    }).then(function (body) {
+        var report = body.payload[0];
+        if (!report) {
+            return Promise.reject(new errors.NotFoundError('Report ' + id + ' not found', {
+                method: 'get',
+                endpoint: '/rest/report_queue'
+            }));
+        }
+        return report;
+    });
+};
+
+/* Poll a report's status every opts.interval ms (default: 2000) until it completes, rejecting if
+ * it fails or if it isn't done within opts.timeout ms (default: 10 minutes). */
+Reporting.prototype.wait = function (id, opts) {
+    var self = this;
+    opts = opts || {};
+
+    return poll(function () {
+        return self.status(id).then(function (report) {
+            var status = String(report.report_status || '').toLowerCase();
+
+            if (status === 'complete' || status === 'completed') {
+                return report;
+            }
+            if (status === 'failed' || status === 'error') {
+                return Promise.reject(new errors.BeeswaxError('Report ' + id + ' failed', {
+                    endpoint: '/rest/report_queue',
+                    body: report
+                }));
+            }
+        });
+    }, {
+        interval: opts.interval,
+        timeout: opts.timeout,
+        description: 'report ' + id,
+        endpoint: '/rest/report_queue'
+    });
+};
+
+// Return the URL a completed report's results can be downloaded from
+Reporting.prototype._resultsUrl = function (report) {
+    var downloadPath = '/rest/report_queue/download/' + report.report_queue_id;
+    return report.report_url || urlUtils.resolve(this._client.apiRoot, downloadPath);
+};
+
+// Download the results of a completed report, and parse them into rows
+Reporting.prototype.download = function (report, query) {
+    var client = this._client,
+        url = this._resultsUrl(report),
+        fetch;
+    query = query || {};
+
+    if (isExternal(client, url)) {
+        fetch = Promise.resolve(client._transport.send({ method: 'get', url: url }))
+        .catch(function (error) {
+            return Promise.reject(errors.normalize(error, {
+                method: 'get',
+                endpoint: urlUtils.parse(url).pathname
+            }));
+        });
+    } else {
+        fetch = client.request('get', { url: url });
+    }
+
+    return fetch.then(function (body) {
+        var rows;
+
+        if (typeof body === 'string') {
+            rows = parseCsv(body);
+        } else {
+            rows = Array.isArray(body) ? body : (body.payload || []);
+        }
+        return rows.map(function (row) {
+            return coerceRow(row, query.metrics, query.dimensions);
+        });
+    });
+};
+
+/* Submit a report query, wait for it to complete, and resolve with the parsed rows.
+ * opts are passed to wait(). */
+Reporting.prototype.run = function (query, opts) {
+    var self = this;
+
+    return self.submit(query).then(function (id) {
+        return self.wait(id, opts);
+    }).then(function (report) {
+        return self.download(report, query);
+    }).then(function (rows) {
+        return { success: true, payload: rows };
+    });
+};
+
+/* Like run(), but returns a Readable object stream of rows. CSV results hosted outside the API
+ * (as report_url) are parsed + emitted as they download, pausing the download while the stream's
+ * buffer is full, if the transport supports openStream(); other results are downloaded in full
+ * first. */
+Reporting.prototype.stream = function (query, opts) {
+    var self = this,
+        client = self._client,
+        source = null,
+        started = false,
+        stream;
+    query = query || {};
+
+    // Push rows, pausing the download if the stream's buffer fills up
+    function push(rows) {
+        var more = true;
+        rows.forEach(function (row) {
+            more = stream.push(coerceRow(row, query.metrics, query.dimensions));
+        });
+        if (!more && source) {
+            source.pause();
+        }
+    }
+
+    function fail(error) {
+        if (source) {
+            source.removeAllListeners('data');
+            source.removeAllListeners('end');
+        }
+        stream.destroy(error);
+    }
+
+    // Parse CSV from a stream of the results as it arrives
+    function streamCsv(url) {
+        var parser = new CsvParser(),
+            decoder = new StringDecoder('utf8'),
+            ctx = { method: 'get', endpoint: urlUtils.parse(url).pathname },
+            header = null;
+
+        function emit(fieldRows) {
+            if (!header && fieldRows.length > 0) {
+                header = fieldRows.shift();
+            }
+            push(fieldRows.map(function (fields) {
+                return toObject(header, fields);
+            }));
+        }
+
+        source = client._transport.openStream(url);
+        source.on('response', function (resp) {
+            if (resp.statusCode >= 400) {
+                fail(errors.normalize(errors.httpError(resp.statusCode, undefined, resp.headers),
+                                      ctx));
+            }
+        });
+        source.on('data', function (chunk) {
+            emit(parser.write(decoder.write(chunk)));
+        });
+        source.on('end', function () {
+            emit(parser.write(decoder.end()).concat(parser.end()));
+            stream.push(null);
+        });
+        source.on('error', function (error) {
+            fail(errors.normalize(error, ctx));
+        });
+    }
+
+    function start() {
+        self.submit(query).then(function (id) {
+            return self.wait(id, opts);
+        }).then(function (report) {
+            var url = self._resultsUrl(report),
+                format = query.format || 'csv';
+
+            if (format === 'csv' && isExternal(client, url) &&
+                typeof client._transport.openStream === 'function') {
+                return streamCsv(url);
+            }
+            return self.download(report, query).then(function (rows) {
+                rows.forEach(function (row) {
+                    stream.push(row);
+                });
+                stream.push(null);
+            });
+        }).catch(fail);
+    }
+
+    stream = new Readable({
+        objectMode: true,
+        read: function () {
+            if (source) {
+                source.resume();
+            } else if (!started) {
+                started = true;
+                start();
+            }
+        }
+    });
+    return stream;
+};
+
+Reporting.parseCsv = parseCsv;
+Reporting.coerceRow = coerceRow;
+
+module.exports = Reporting;
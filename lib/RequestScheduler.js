@@ -0,0 +1,163 @@
+'use strict';
+
+var Promise = require('bluebird');
+
+/* Queues functions that send requests, running at most maxConcurrency of them at once and
+ * starting at most requestsPerSecond of them each second. Queued tasks are started in lane
+ * order: every task in the first lane is started before any task in the second, and so on.
+ * A scheduler can be shared by several clients so that they respect the same limits. */
+function RequestScheduler(opts) {
+    var self = this;
+    opts = opts || {};
+
+    self.maxConcurrency = opts.maxConcurrency || Infinity;
+    self.requestsPerSecond = opts.requestsPerSecond || Infinity;
+    self.lanes = opts.lanes || ['interactive', 'batch'];
+    self.defaultLane = opts.defaultLane || self.lanes[0];
+
+    if (self.lanes.indexOf(self.defaultLane) === -1) {
+        throw new Error('defaultLane must be one of: ' + self.lanes.join(', '));
+    }
+
+    self._queues = {};
+    self.lanes.forEach(function (lane) {
+        self._queues[lane] = [];
+    });
+    self._active = 0;
+    self._lastStart = 0;
+    self._timer = null;
+    self._closed = false;
+    self._drainCallbacks = [];
+}
+
+/* Queue fn in the given lane. Resolves/rejects with the result of fn once it has been started
+ * and has finished. */
+RequestScheduler.prototype.schedule = function (fn, lane) {
+    var self = this;
+    lane = lane || self.defaultLane;
+
+    if (self._closed) {
+        return Promise.reject(new Error('RequestScheduler has been closed'));
+    }
+    if (!self._queues[lane]) {
+        return Promise.reject(new Error('Unknown lane: ' + lane));
+    }
+
+    return new Promise(function (resolve, reject) {
+        self._queues[lane].push({ fn: fn, resolve: resolve, reject: reject });
+        self._next();
+    });
+};
+
+// Return the number of queued tasks that have not been started, in one lane or across all lanes
+RequestScheduler.prototype.size = function (lane) {
+    var self = this;
+
+    if (lane) {
+        return (self._queues[lane] || []).length;
+    }
+    return self.lanes.reduce(function (total, name) {
+        return total + self._queues[name].length;
+    }, 0);
+};
+
+// Return a snapshot of the scheduler's state
+RequestScheduler.prototype.stats = function () {
+    var self = this,
+        queued = {};
+
+    self.lanes.forEach(function (lane) {
+        queued[lane] = self._queues[lane].length;
+    });
+
+    return {
+        active: self._active,
+        queued: queued,
+        closed: self._closed
+    };
+};
+
+// Resolve once every queued + running task has finished
+RequestScheduler.prototype.drain = function () {
+    var self = this;
+
+    if (self._isIdle()) {
+        return Promise.resolve();
+    }
+    return new Promise(function (resolve) {
+        self._drainCallbacks.push(resolve);
+    });
+};
+
+// Stop accepting new tasks, and resolve once the ones already queued have finished
+RequestScheduler.prototype.close = function () {
+    this._closed = true;
+    return this.drain();
+};
+
+RequestScheduler.prototype._isIdle = function () {
+    return this._active === 0 && this.size() === 0;
+};
+
+// Return the highest priority queue that has tasks in it
+RequestScheduler.prototype._nextQueue = function () {
+    var self = this;
+
+    for (var i = 0; i < self.lanes.length; i++) {
+        if (self._queues[self.lanes[i]].length > 0) {
+            return self._queues[self.lanes[i]];
+        }
+    }
+    return null;
+};
+
+// Start as many queued tasks as the limits allow
+RequestScheduler.prototype._next = function () {
+    var self = this,
+        interval = 1000 / self.requestsPerSecond,
+        queue;
+
+    while (self._active < self.maxConcurrency && (queue = self._nextQueue())) {
+        var wait = self._lastStart + interval - Date.now();
+        if (wait > 0) {
+            return self._wait(wait);
+        }
+
+        self._start(queue.shift());
+    }
+};
+
+// Try starting tasks again after ms, once the rate limit allows it
+RequestScheduler.prototype._wait = function (ms) {
+    var self = this;
+
+    if (self._timer) {
+        return;
+    }
+    self._timer = setTimeout(function () {
+        self._timer = null;
+        self._next();
+    }, ms);
+};
+
+RequestScheduler.prototype._start = function (task) {
+    var self = this;
+
+    self._active++;
+    self._lastStart = Date.now();
+
+    Promise.try(task.fn).then(task.resolve, task.reject).finally(function () {
+        self._active--;
+        self._next();
+
+        if (self._isIdle()) {
+            var callbacks = self._drainCallbacks;
+            self._drainCallbacks = [];
+            callbacks.forEach(function (cb) {
+                cb();
+            });
+        }
+    });
+};
+
+module.exports = RequestScheduler;
@@ -0,0 +1,82 @@
+'use strict';
+
+var Promise = require('bluebird'),
+    request = require('request'),
+    rp = require('request-promise'),
+    errors = require('./errors');
+
+// request + request-promise name their DELETE method del
+function methodName(method) {
+    return method === 'delete' ? 'del' : method;
+}
+
+// Parse a JSON response body, leaving anything else as is
+function parseBody(body) {
+    if (typeof body !== 'string') {
+        return body;
+    }
+    try {
+        return JSON.parse(body);
+    } catch (e) {
+        return body;
+    }
+}
+
+/* Sends requests with the request + request-promise libraries. This is the default transport.
+ *
+ * Every transport implements send(req), where req contains the method ('get', 'post', 'put',
+ * 'del' or 'delete', or 'head'), url, and optionally a JSON body or multipart formData (mapping
+ * field names to { value, options: { filename, contentType, knownLength } }), headers to send,
+ * and a cookie jar with getCookieString(url) + setCookie(cookie, url) methods. send() resolves
+ * with the parsed response body, or with { statusCode, headers, body } if req.fullResponse is
+ * set. Non-2xx responses reject with errors.httpError(), and network failures reject with an
+ * error that has the system error code. Transports can also implement openStream(url),
+ * returning a Readable stream of a remote file's content. */
+function RequestTransport() {}
+
+RequestTransport.prototype.send = function (req) {
+    var method = methodName(req.method),
+        opts = { url: req.url };
+
+    if (req.body !== undefined) {
+        opts.body = req.body;
+    }
+    if (req.jar) {
+        opts.jar = req.jar;
+    }
+    if (req.headers) {
+        opts.headers = req.headers;
+    }
+
+    if (!req.formData && !req.fullResponse) {
+        opts.json = true;
+        return rp[method](opts);
+    }
+
+    if (req.formData) {
+        opts.formData = req.formData;
+    } else if (req.body !== undefined) {
+        opts.json = true;
+    }
+
+    return new Promise(function (resolve, reject) {
+        request[method](opts, function (error, resp, body) {
+            if (error) {
+                return reject(error);
+            }
+
+            body = parseBody(body);
+            if (resp.statusCode >= 400) {
+                return reject(errors.httpError(resp.statusCode, body, resp.headers));
+            }
+            resolve(req.fullResponse ?
+                { statusCode: resp.statusCode, headers: resp.headers, body: body } : body);
+        });
+    });
+};
+
+RequestTransport.prototype.openStream = function (url) {
+    return request.get({ url: url });
+};
+
+module.exports = RequestTransport;
@@ -0,0 +1,127 @@
+'use strict';
+
+var Promise = require('bluebird'),
+    entities = require('./entities'),
+    stableStringify = require('./stableStringify'),
+    MemoryCache = require('./MemoryCache');
+
+// Return the name of the entity type in types whose endpoint is endpoint, if any
+function entityType(types, endpoint) {
+    return Object.keys(types).filter(function (type) {
+        return types[type].endpoint === endpoint;
+    })[0];
+}
+
+/* Caches the responses of find + query calls, keyed by endpoint and query body, and drops an
+ * endpoint's cached responses whenever the client writes to it. opts.ttl is how long (in ms)
+ * responses are cached for (default: 60 seconds), and opts.entities maps entity types to their
+ * own ttl, or to false to not cache them at all. opts.store is the cache store (default: a
+ * MemoryCache holding opts.maxEntries responses); see MemoryCache for the store interface.
+ * Keys start with opts.namespace, so clients for different accounts can share a store. If
+ * opts.metrics is set, hits + misses are counted there too, as <opts.prefix>.cache.hits and
+ * <opts.prefix>.cache.misses. Endpoints' entity types are looked up in opts.types (default:
+ * lib/entities.js). */
+function ResponseCache(opts) {
+    opts = opts || {};
+
+    var store = opts.store || new MemoryCache({ maxEntries: opts.maxEntries });
+    if (typeof store.get !== 'function' || typeof store.set !== 'function' ||
+        typeof store.clear !== 'function') {
+        throw new Error('cache store must be an object with get(), set() and clear() methods');
+    }
+
+    this.store = store;
+    this.ttl = opts.ttl || 60 * 1000;
+    this.entities = opts.entities || {};
+    this.namespace = opts.namespace || '';
+    this.metrics = opts.metrics || null;
+    this.prefix = opts.prefix || 'beeswax';
+    this.types = opts.types || entities;
+
+    this._stats = { hits: 0, misses: 0, invalidations: 0, entities: {} };
+    this._generations = {}; // Bumped on each write to an endpoint, so stale reads aren't cached
+}
+
+// Return the ttl for an entity type, or 0 if its responses shouldn't be cached
+ResponseCache.prototype._ttlFor = function (type) {
+    var ttl = type ? this.entities[type] : undefined;
+    if (ttl === false) {
+        return 0;
+    }
+    return ttl || this.ttl;
+};
+
+// Count a hit, miss or invalidation, in total and for the entity type
+ResponseCache.prototype._count = function (stat, type) {
+    var stats = this._stats;
+
+    stats[stat]++;
+    if (type) {
+        stats.entities[type] = stats.entities[type] || { hits: 0, misses: 0, invalidations: 0 };
+        stats.entities[type][stat]++;
+    }
+    if (this.metrics && stat !== 'invalidations') {
+        this.metrics.increment(this.prefix + '.cache.' + stat, 1, type ? { entity: type } : {});
+    }
+};
+
+/* Resolve with the cached response to a GET of endpoint with body, or call load() to fetch it
+ * and cache what it resolves with. A response loaded while the endpoint was written to isn't
+ * cached, since it may already be out of date. */
+ResponseCache.prototype.fetch = function (endpoint, body, load) {
+    var self = this,
+        type = entityType(self.types, endpoint),
+        ttl = self._ttlFor(type),
+        key = self.namespace + ' ' + endpoint + ' ' + stableStringify(body || {}),
+        generation = self._generations[endpoint] || 0;
+
+    if (!ttl) {
+        return Promise.resolve(load());
+    }
+
+    return Promise.resolve(self.store.get(key)).then(function (cached) {
+        if (cached !== null && cached !== undefined) {
+            self._count('hits', type);
+            return JSON.parse(cached);
+        }
+
+        self._count('misses', type);
+        return Promise.resolve(load()).then(function (response) {
+            if ((self._generations[endpoint] || 0) !== generation) {
+                return response;
+            }
+            return Promise.resolve(self.store.set(key, JSON.stringify(response), ttl))
+                .return(response);
+        });
+    });
+};
+
+// Drop every cached response for endpoint, after the client has written to it
+ResponseCache.prototype.invalidate = function (endpoint) {
+    this._generations[endpoint] = (this._generations[endpoint] || 0) + 1;
+    this._count('invalidations', entityType(this.types, endpoint));
+    return Promise.resolve(this.store.clear(this.namespace + ' ' + endpoint + ' '));
+};
+
+// Return the number of hits, misses + invalidations, in total and for each entity type
+ResponseCache.prototype.stats = function () {
+    var stats = this._stats,
+        copy = {
+            hits: stats.hits,
+            misses: stats.misses,
+            invalidations: stats.invalidations,
+            entities: {}
+        };
+
+    Object.keys(stats.entities).forEach(function (type) {
+        var entity = stats.entities[type];
+        copy.entities[type] = {
+            hits: entity.hits,
+            misses: entity.misses,
+            invalidations: entity.invalidations
+        };
+    });
+    return copy;
+};
+
+module.exports = ResponseCache;
@@ -0,0 +1,94 @@
+'use strict';
+
+var errors = require('./errors');
+
+// Methods that can safely be sent more than once
+var IDEMPOTENT_METHODS = ['get', 'head', 'put', 'del', 'delete'];
+
+/* Decides whether a failed request should be retried, and how long to wait before doing so.
+ * Delays grow exponentially from baseDelay, capped at maxDelay, with up to jitter * delay
+ * added or removed at random. A Retry-After header from Beeswax takes precedence: the retry waits
+ * for as long as it asks, and if that is longer than maxDelay, the request isn't retried. */
+function RetryPolicy(opts) {
+    opts = opts || {};
+
+    function option(name, dflt) {
+        return opts[name] !== undefined ? opts[name] : dflt;
+    }
+
+    this.maxAttempts = option('maxAttempts', 3);
+    this.baseDelay = option('baseDelay', 250);
+    this.maxDelay = option('maxDelay', 10000);
+    this.jitter = option('jitter', 0.2);
+    this.retryStatusCodes = option('retryStatusCodes', [429, 502, 503, 504]);
+    this.retryErrorCodes = option('retryErrorCodes', [
+        'ECONNRESET',
+        'ECONNREFUSED',
+        'ETIMEDOUT',
+        'ESOCKETTIMEDOUT',
+        'EPIPE',
+        'EAI_AGAIN'
+    ]);
+    this.respectRetryAfter = option('respectRetryAfter', true);
+    this.retryNonIdempotent = option('retryNonIdempotent', false);
+}
+
+// Return a new policy with the given options overriding this one's
+RetryPolicy.prototype.extend = function (opts) {
+    var merged = {},
+        self = this;
+
+    Object.keys(self).forEach(function (key) {
+        merged[key] = self[key];
+    });
+    Object.keys(opts || {}).forEach(function (key) {
+        merged[key] = opts[key];
+    });
+
+    return new RetryPolicy(merged);
+};
+
+// Return true if a request that failed with error on the given (1-based) attempt should be retried
+RetryPolicy.prototype.shouldRetry = function (error, method, attempt) {
+    if (attempt >= this.maxAttempts) {
+        return false;
+    }
+    if (IDEMPOTENT_METHODS.indexOf(method) === -1 && !this.retryNonIdempotent) {
+        return false;
+    }
+
+    if (error instanceof errors.NetworkError) {
+        return this.retryErrorCodes.indexOf(error.code) !== -1;
+    }
+    if (this._waitsForRetryAfter(error) && error.retryAfter > this.maxDelay) {
+        return false; // Retrying sooner would only be rate limited again
+    }
+    if (error instanceof errors.BeeswaxError) {
+        return this.retryStatusCodes.indexOf(error.statusCode) !== -1;
+    }
+    return false;
+};
+
+// Return true if the next attempt after error should wait for its Retry-After
+RetryPolicy.prototype._waitsForRetryAfter = function (error) {
+    return this.respectRetryAfter && !!error && typeof error.retryAfter === 'number';
+};
+
+// Return the number of ms to wait before sending the next attempt
+RetryPolicy.prototype.getDelay = function (error, attempt) {
+    if (this._waitsForRetryAfter(error)) {
+        return error.retryAfter;
+    }
+
+    var delay = Math.min(this.baseDelay * Math.pow(2, attempt - 1), this.maxDelay),
+        spread = delay * this.jitter;
+
+    return Math.max(0, Math.round(delay - spread + (Math.random() * spread * 2)));
+};
+
+// A policy that never retries
+RetryPolicy.none = function () {
+    return new RetryPolicy({ maxAttempts: 1 });
+};
+
+module.exports = RetryPolicy;
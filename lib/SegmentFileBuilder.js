@@ -0,0 +1,164 @@
+'use strict';
+
+var net = require('net'),
+    zlib = require('zlib'),
+    errors = require('./errors');
+
+var UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Checks for each user_id_type Beeswax accepts in segment uploads
+var userIdChecks = {
+    BEESWAX: function (id) {
+        return /^[A-Za-z0-9_\-]+$/.test(id);
+    },
+    IDFA: function (id) {
+        return UUID.test(id);
+    },
+    AAID: function (id) {
+        return UUID.test(id);
+    },
+    IP: function (id) {
+        return net.isIP(id) !== 0;
+    },
+    CUSTOMER: function (id) {
+        return id.length > 0;
+    }
+};
+
+// Characters that separate the parts of a line, which can't appear in user ids. (':' is only
+// special in the segment list, so IPv6 addresses are fine.)
+var RESERVED = /[|\t,\r\n]/;
+
+var SEGMENT_KEY = /^[A-Za-z0-9_\-]+$/;
+
+/* Builds the file sent by uploadSegmentFile. Each line has a user id, the delimiter
+ * (opts.delimiter: '|' or '\t', default '|') and a comma separated list of segment keys, each
+ * optionally followed by ':' and a TTL in days. A TTL of 0 removes the user from that segment.
+ * User ids are validated for opts.userIdType (one of BEESWAX, IDFA, AAID, IP, CUSTOMER; default
+ * BEESWAX).
+ *
+ * Invalid entries throw a ValidationError, unless opts.skipInvalid is set, in which case they are
+ * left out of the file and recorded in builder.rejected. */
+function SegmentFileBuilder(opts) {
+    opts = opts || {};
+
+    this.userIdType = (opts.userIdType || 'BEESWAX').toUpperCase();
+    this.delimiter = opts.delimiter || '|';
+    this.gzip = !!opts.gzip;
+    this.skipInvalid = !!opts.skipInvalid;
+    this.rejected = [];
+    this._lines = [];
+
+    if (!userIdChecks[this.userIdType]) {
+        throw new Error('userIdType must be one of: ' + Object.keys(userIdChecks).join(', '));
+    }
+    if (['|', '\t'].indexOf(this.delimiter) === -1) {
+        throw new Error('delimiter must be one of: |, \\t');
+    }
+}
+
+// Normalize segments, given as a key, an array of keys/{ key, ttl } objects, or a { key: ttl } map
+function normalizeSegments(segments) {
+    if (typeof segments === 'string') {
+        return [{ key: segments }];
+    }
+    if (Array.isArray(segments)) {
+        return segments.map(function (segment) {
+            return typeof segment === 'string' ? { key: segment } : segment;
+        });
+    }
+    return Object.keys(segments || {}).map(function (key) {
+        return { key: key, ttl: segments[key] };
+    });
+}
+
+// Return a list of problems with a user id + its segments
+SegmentFileBuilder.prototype._check = function (userId, segments) {
+    var self = this,
+        messages = [];
+
+    if (typeof userId !== 'string' || RESERVED.test(userId) ||
+        !userIdChecks[self.userIdType](userId.trim())) {
+        messages.push('user id ' + JSON.stringify(userId) + ': is not a valid ' + self.userIdType +
+                      ' id');
+    }
+    if (segments.length === 0) {
+        messages.push('user id ' + JSON.stringify(userId) + ': must have at least one segment');
+    }
+    segments.forEach(function (segment) {
+        var key = segment && segment.key;
+
+        if (typeof key !== 'string' || !SEGMENT_KEY.test(key)) {
+            messages.push('segment key ' + JSON.stringify(key) + ': is not a valid segment key');
+        } else if (segment.ttl !== undefined &&
+                   (typeof segment.ttl !== 'number' || segment.ttl % 1 !== 0 || segment.ttl < 0)) {
+            messages.push('segment key ' + key + ': ttl must be a non-negative integer');
+        }
+    });
+
+    return messages;
+};
+
+// Add a line for userId, or record it as rejected if it is invalid and skipInvalid is set
+SegmentFileBuilder.prototype._addLine = function (userId, segments) {
+    var messages = this._check(userId, segments);
+
+    if (messages.length > 0) {
+        if (!this.skipInvalid) {
+            throw new errors.ValidationError(
+                'Invalid segment upload line: ' + messages.join(', '), { messages: messages });
+        }
+        this.rejected.push({ userId: userId, messages: messages });
+        return this;
+    }
+
+    this._lines.push(userId.trim() + this.delimiter + segments.map(function (segment) {
+        return segment.ttl !== undefined ? segment.key + ':' + segment.ttl : segment.key;
+    }).join(','));
+    return this;
+};
+
+/* Add userId to segments, which can be a segment key, an array of segment keys or
+ * { key, ttl } objects, or a map of segment keys to TTLs. Returns the builder, for chaining. */
+SegmentFileBuilder.prototype.add = function (userId, segments) {
+    return this._addLine(userId, normalizeSegments(segments));
+};
+
+// Remove userId from the given segment keys, by writing them with a TTL of 0
+SegmentFileBuilder.prototype.remove = function (userId, segmentKeys) {
+    return this._addLine(userId, normalizeSegments(segmentKeys).map(function (segment) {
+        return { key: segment.key, ttl: 0 };
+    }));
+};
+
+// Return the number of lines added so far
+SegmentFileBuilder.prototype.count = function () {
+    return this._lines.length;
+};
+
+// Return the uncompressed file contents
+SegmentFileBuilder.prototype.toString = function () {
+    return this._lines.length > 0 ? this._lines.join('\n') + '\n' : '';
+};
+
+/* Return { buffer, size, lines, name, gzip }, where size is the byte size to pass to
+ * createUploadSegment and name is a file name with an extension matching the contents. */
+SegmentFileBuilder.prototype.build = function () {
+    var buffer = Buffer.from(this.toString(), 'utf8');
+
+    if (this.gzip) {
+        buffer = zlib.gzipSync(buffer);
+    }
+
+    return {
+        buffer: buffer,
+        size: buffer.length,
+        lines: this._lines.length,
+        name: this.gzip ? 'segment_upload.txt.gz' : 'segment_upload.txt',
+        gzip: this.gzip
+    };
+};
+
+SegmentFileBuilder.userIdTypes = Object.keys(userIdChecks);
+
+module.exports = SegmentFileBuilder;
@@ -0,0 +1,59 @@
+'use strict';
+
+var Promise = require('bluebird');
+
+/* Authenticates by sending an API key or token in a header with every request, instead of logging
+ * in. token is the token, or a function returning it (or a promise of it). The function is called
+ * before the first request and again whenever Beeswax responds with a 401, so rotated tokens are
+ * picked up without recreating the client. opts.header is the header to send (default:
+ * 'Authorization'), and opts.scheme is put before the token (default: 'Bearer'; set it to '' to
+ * send the token on its own). See PasswordAuth for the strategy interface. */
+function TokenAuth(token, opts) {
+    opts = opts || {};
+
+    if (!token) {
+        throw new Error('Must provide a token or a function that returns one');
+    }
+
+    this.header = opts.header || 'Authorization';
+    this.scheme = opts.scheme !== undefined ? opts.scheme : 'Bearer';
+    this._provider = typeof token === 'function' ? token : null;
+    this._token = this._provider ? null : Promise.resolve(token);
+}
+
+// Resolve with the current token, fetching it from the provider if needed
+TokenAuth.prototype._getToken = function () {
+    var self = this;
+
+    if (!self._token) {
+        self._token = Promise.resolve(self._provider()).then(function (token) {
+            if (!token) {
+                return Promise.reject(new Error('token function must resolve with a token'));
+            }
+            return token;
+        }).catch(function (error) {
+            self._token = null; // Try the provider again next time
+            return Promise.reject(error);
+        });
+    }
+    return self._token;
+};
+
+// Fetch a new token from the provider; a fixed token can't be refreshed, so this does nothing
+TokenAuth.prototype.authenticate = function () {
+    if (this._provider) {
+        this._token = null;
+    }
+    return this._getToken().return(undefined);
+};
+
+TokenAuth.prototype.prepare = function (req) {
+    var self = this;
+
+    return self._getToken().then(function (token) {
+        req.headers = req.headers || {};
+        req.headers[self.header] = self.scheme ? self.scheme + ' ' + token : token;
+    });
+};
+
+module.exports = TokenAuth;
@@ -0,0 +1,233 @@
+'use strict';
+
+var path = require('path'),
+    crypto = require('crypto');
+
+// Fallback MIME types for content we can't identify from its first bytes
+var EXTENSIONS = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.svg': 'image/svg+xml',
+    '.mp4': 'video/mp4',
+    '.m4v': 'video/mp4',
+    '.mov': 'video/quicktime',
+    '.webm': 'video/webm',
+    '.mp3': 'audio/mpeg',
+    '.html': 'text/html',
+    '.htm': 'text/html',
+    '.js': 'application/javascript',
+    '.zip': 'application/zip'
+};
+
+// Return true if buffer contains bytes at offset
+function startsWith(buffer, bytes, offset) {
+    offset = offset || 0;
+    if (buffer.length < offset + bytes.length) {
+        return false;
+    }
+    for (var i = 0; i < bytes.length; i++) {
+        if (buffer[offset + i] !== bytes[i]) {
+            return false;
+        }
+    }
+    return true;
+}
+
+function ascii(str) {
+    return str.split('').map(function (ch) {
+        return ch.charCodeAt(0);
+    });
+}
+
+// Identify content from its magic number, falling back to the file extension of name
+function detectMimeType(buffer, name) {
+    if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47])) {
+        return 'image/png';
+    }
+    if (startsWith(buffer, [0xff, 0xd8, 0xff])) {
+        return 'image/jpeg';
+    }
+    if (startsWith(buffer, ascii('GIF8'))) {
+        return 'image/gif';
+    }
+    if (startsWith(buffer, ascii('RIFF')) && startsWith(buffer, ascii('WEBP'), 8)) {
+        return 'image/webp';
+    }
+    if (startsWith(buffer, ascii('ftyp'), 4)) {
+        return startsWith(buffer, ascii('qt  '), 8) ? 'video/quicktime' : 'video/mp4';
+    }
+    if (startsWith(buffer, [0x1a, 0x45, 0xdf, 0xa3])) {
+        return 'video/webm';
+    }
+    if (startsWith(buffer, ascii('ID3'))) {
+        return 'audio/mpeg';
+    }
+    if (startsWith(buffer, [0x50, 0x4b, 0x03, 0x04])) {
+        return 'application/zip';
+    }
+    return EXTENSIONS[path.extname(name || '').toLowerCase()] || 'application/octet-stream';
+}
+
+function jpegDimensions(buffer) {
+    var offset = 2;
+
+    while (offset + 9 < buffer.length) {
+        if (buffer[offset] !== 0xff) {
+            return {};
+        }
+        var marker = buffer[offset + 1];
+
+        // SOFn markers hold the frame size; C4 (DHT), C8 (JPG) + CC (DAC) are not frames
+        if (marker >= 0xc0 && marker <= 0xcf && [0xc4, 0xc8, 0xcc].indexOf(marker) === -1) {
+            return {
+                height: buffer.readUInt16BE(offset + 5),
+                width: buffer.readUInt16BE(offset + 7)
+            };
+        }
+        offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+    return {};
+}
+
+function webpDimensions(buffer) {
+    var chunk = buffer.toString('ascii', 12, 16);
+
+    if (chunk === 'VP8 ' && buffer.length >= 30) {
+        return {
+            width: buffer.readUInt16LE(26) & 0x3fff,
+            height: buffer.readUInt16LE(28) & 0x3fff
+        };
+    }
+    if (chunk === 'VP8L' && buffer.length >= 25) {
+        var bits = buffer.readUInt32LE(21);
+        return {
+            width: (bits & 0x3fff) + 1,
+            height: ((bits >> 14) & 0x3fff) + 1
+        };
+    }
+    if (chunk === 'VP8X' && buffer.length >= 30) {
+        return {
+            width: buffer.readUIntLE(24, 3) + 1,
+            height: buffer.readUIntLE(27, 3) + 1
+        };
+    }
+    return {};
+}
+
+// Call fn(type, start, end) for each ISO BMFF box between start and end
+function eachBox(buffer, start, end, fn) {
+    var offset = start;
+
+    while (offset + 8 <= end) {
+        var size = buffer.readUInt32BE(offset),
+            type = buffer.toString('ascii', offset + 4, offset + 8),
+            headerSize = 8;
+
+        if (size === 1 && offset + 16 <= end) {
+            size = buffer.readUInt32BE(offset + 8) * 0x100000000 + buffer.readUInt32BE(offset + 12);
+            headerSize = 16;
+        } else if (size === 0) {
+            size = end - offset;
+        }
+        if (size < headerSize) {
+            return;
+        }
+        fn(type, offset + headerSize, Math.min(offset + size, end));
+        offset += size;
+    }
+}
+
+// Read the duration (in seconds) from mvhd, and the dimensions of the first video track from tkhd
+function mp4Info(buffer) {
+    var info = {};
+
+    eachBox(buffer, 0, buffer.length, function (type, moovStart, moovEnd) {
+        if (type !== 'moov') {
+            return;
+        }
+        eachBox(buffer, moovStart, moovEnd, function (type, start, end) {
+            var version = buffer[start];
+
+            if (type === 'mvhd' && end - start >= 32) {
+                var timescale = buffer.readUInt32BE(start + (version === 1 ? 20 : 12)),
+                    duration = version === 1 ?
+                        buffer.readUInt32BE(start + 24) * 0x100000000 +
+                            buffer.readUInt32BE(start + 28) :
+                        buffer.readUInt32BE(start + 16);
+                if (timescale > 0) {
+                    info.duration = duration / timescale;
+                }
+            }
+            if (type === 'trak' && info.width === undefined) {
+                eachBox(buffer, start, end, function (trakType, trakStart, trakEnd) {
+                    var dimsOffset = trakStart + (buffer[trakStart] === 1 ? 88 : 76);
+
+                    if (trakType === 'tkhd' && dimsOffset + 8 <= trakEnd) {
+                        var width = buffer.readUInt32BE(dimsOffset) / 65536,
+                            height = buffer.readUInt32BE(dimsOffset + 4) / 65536;
+                        if (width > 0 && height > 0) {
+                            info.width = width;
+                            info.height = height;
+                        }
+                    }
+                });
+            }
+        });
+    });
+
+    return info;
+}
+
+/* Detect the MIME type of a creative asset, along with its dimensions (for PNG, JPEG, GIF, WebP
+ * and MP4/QuickTime) and duration in seconds (for MP4/QuickTime). Parsing is best effort: fields
+ * that can't be read from buffer are left out. buffer can be just the start of the content. */
+function detect(buffer, name) {
+    var info = { mimeType: detectMimeType(buffer, name) },
+        dims = {};
+
+    try {
+        switch (info.mimeType) {
+            case 'image/png':
+                if (buffer.length >= 24) {
+                    dims = { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+                }
+                break;
+            case 'image/gif':
+                if (buffer.length >= 10) {
+                    dims = { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+                }
+                break;
+            case 'image/jpeg':
+                dims = jpegDimensions(buffer);
+                break;
+            case 'image/webp':
+                dims = webpDimensions(buffer);
+                break;
+            case 'video/mp4':
+            case 'video/quicktime':
+                dims = mp4Info(buffer);
+                break;
+        }
+    } catch (e) {
+        dims = {}; // Truncated or malformed content; report what we could identify
+    }
+
+    Object.keys(dims).forEach(function (key) {
+        info[key] = dims[key];
+    });
+    return info;
+}
+
+// Return the hash used to recognize identical content
+function hash(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+module.exports = {
+    detect: detect,
+    detectMimeType: detectMimeType,
+    hash: hash
+};
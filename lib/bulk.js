@@ -0,0 +1,72 @@
+'use strict';
+
+var Promise = require('bluebird'),
+    errors = require('./errors');
+
+/* Call worker(input, index) for each input, with at most opts.concurrency calls in flight at
+ * once. Never rejects: resolves with a report of which inputs succeeded (with the worker's
+ * result) and which failed (with the error). If opts.stopOnError is set, inputs that had not
+ * been started when the first failure happened are reported as skipped. */
+function run(inputs, worker, opts) {
+    opts = opts || {};
+
+    var report = { success: true, succeeded: [], failed: [], skipped: [] },
+        concurrency = Math.min(opts.concurrency || 5, inputs.length),
+        nextIndex = 0,
+        stopped = false,
+        runners = [];
+
+    // Each runner works through inputs in order until there are none left
+    function runNext() {
+        var index = nextIndex++,
+            input = inputs[index];
+
+        if (index >= inputs.length) {
+            return Promise.resolve();
+        }
+        if (stopped) {
+            report.skipped.push({ index: index, input: input });
+            return runNext();
+        }
+
+        return Promise.try(function () {
+            return worker(input, index);
+        }).then(function (result) {
+            report.succeeded.push({ index: index, input: input, result: result });
+        }, function (error) {
+            report.failed.push({ index: index, input: input, error: error });
+            stopped = !!opts.stopOnError;
+        }).then(runNext);
+    }
+
+    for (var i = 0; i < concurrency; i++) {
+        runners.push(runNext());
+    }
+
+    return Promise.all(runners).then(function () {
+        ['succeeded', 'failed', 'skipped'].forEach(function (key) {
+            report[key].sort(function (a, b) {
+                return a.index - b.index;
+            });
+        });
+        report.success = report.failed.length === 0 && report.skipped.length === 0;
+        return report;
+    });
+}
+
+/* The CRUD methods resolve with { success: false } for some failures (e.g. an empty body);
+ * convert those to errors so they are reported as failures. Otherwise return the entity. */
+function unwrap(resp) {
+    if (resp && resp.success === false) {
+        return Promise.reject(new errors.ValidationError(resp.message, {
+            statusCode: resp.code,
+            messages: resp.messages
+        }));
+    }
+    return resp.payload;
+}
+
+module.exports = {
+    run: run,
+    unwrap: unwrap
+};
@@ -0,0 +1,174 @@
+'use strict';
+
+var Promise = require('bluebird'),
+    errors = require('./errors'),
+    bulk = require('./bulk');
+
+// Fields Beeswax sets itself, which must not be sent when creating a copy
+var READ_ONLY_FIELDS = ['create_date', 'update_date'];
+
+// Return a copy of entity without its id + read-only fields, with overrides applied
+function copyEntity(entity, idField, override) {
+    var copy = {};
+
+    Object.keys(entity).forEach(function (key) {
+        if (key !== idField && READ_ONLY_FIELDS.indexOf(key) === -1) {
+            copy[key] = entity[key];
+        }
+    });
+
+    var fields = (typeof override === 'function' ? override(entity) : override) || {};
+    Object.keys(fields).forEach(function (key) {
+        copy[key] = fields[key];
+    });
+
+    return copy;
+}
+
+/* Copy a campaign along with its line items, their flights, targeting templates and creative
+ * associations, remapping the foreign keys of each copy to point at the new parents. Every
+ * copied campaign + line item is created inactive, so nothing starts delivering until the caller
+ * has checked the clone.
+ *
+ * overrides.campaign is an object of fields to set on the new campaign (e.g. campaign_name,
+ * start_date, end_date). overrides.lineItems, overrides.lineItemFlights and
+ * overrides.targetingTemplates can each be an object of fields, or a function that is passed the
+ * original entity and returns the fields to set on its copy.
+ *
+ * If any step fails, everything created so far is deleted (newest first) and the original error
+ * is rejected, with error.rollback describing what was deleted and what could not be. */
+function cloneCampaign(client, campaignId, overrides) {
+    overrides = overrides || {};
+
+    var created = [],
+        templateIds = {},
+        result = { campaign: null, lineItems: [], targetingTemplates: [] };
+
+    /* Create an entity and remember it so it can be rolled back. If the POST succeeded but
+     * fetching the new entity failed, the error has its createdId, so it is still remembered. */
+    function create(type, idField, body) {
+        return client[type].create(body).catch(function (error) {
+            if (error && error.createdId !== undefined) {
+                created.push({ type: type, id: error.createdId });
+            }
+            return Promise.reject(error);
+        }).then(bulk.unwrap).then(function (entity) {
+            created.push({ type: type, id: entity[idField] });
+            return entity;
+        });
+    }
+
+    function findAll(type, query) {
+        return client[type].queryAll(query).then(function (resp) {
+            return resp.payload;
+        });
+    }
+
+    // Copy a targeting template once, no matter how many line items use it
+    function cloneTemplate(templateId) {
+        if (!templateId) {
+            return Promise.resolve(templateId);
+        }
+        if (!templateIds[templateId]) {
+            var find = client.targetingTemplates.find(templateId);
+            templateIds[templateId] = find.then(function (resp) {
+                if (!resp.payload) {
+                    return Promise.reject(new errors.NotFoundError(
+                        'Targeting template ' + templateId + ' not found',
+                        { endpoint: '/rest/targeting_template' }));
+                }
+                var body = copyEntity(resp.payload, 'targeting_template_id',
+                                      overrides.targetingTemplates);
+                return create('targetingTemplates', 'targeting_template_id', body);
+            }).then(function (template) {
+                result.targetingTemplates.push(template);
+                return template.targeting_template_id;
+            });
+        }
+        return templateIds[templateId];
+    }
+
+    function cloneLineItem(lineItem, newCampaignId) {
+        var clone = {
+            original: lineItem,
+            lineItem: null,
+            lineItemFlights: [],
+            creativeLineItems: []
+        };
+
+        return cloneTemplate(lineItem.targeting_template_id).then(function (templateId) {
+            var body = copyEntity(lineItem, 'line_item_id', overrides.lineItems);
+            body.campaign_id = newCampaignId;
+            body.active = false;
+            if (templateId) {
+                body.targeting_template_id = templateId;
+            }
+            return create('lineItems', 'line_item_id', body);
+        }).then(function (newLineItem) {
+            clone.lineItem = newLineItem;
+            return findAll('lineItemFlights', { line_item_id: lineItem.line_item_id });
+        }).then(function (flights) {
+            return Promise.mapSeries(flights, function (flight) {
+                var body = copyEntity(flight, 'line_item_flight_id', overrides.lineItemFlights);
+                body.line_item_id = clone.lineItem.line_item_id;
+                return create('lineItemFlights', 'line_item_flight_id', body);
+            });
+        }).then(function (newFlights) {
+            clone.lineItemFlights = newFlights;
+            return findAll('creativeLineItems', { line_item_id: lineItem.line_item_id });
+        }).then(function (associations) {
+            return Promise.mapSeries(associations, function (association) {
+                var body = copyEntity(association, 'cli_id');
+                body.line_item_id = clone.lineItem.line_item_id;
+                return create('creativeLineItems', 'cli_id', body);
+            });
+        }).then(function (newAssociations) {
+            clone.creativeLineItems = newAssociations;
+            result.lineItems.push(clone);
+        });
+    }
+
+    // Delete everything created so far, newest first, without stopping at failures
+    function rollback() {
+        var report = { deleted: [], failed: [] };
+
+        return Promise.each(created.slice().reverse(), function (entry) {
+            return client[entry.type].delete(entry.id, true).then(bulk.unwrap).then(function () {
+                report.deleted.push(entry);
+            }, function (error) {
+                report.failed.push({ type: entry.type, id: entry.id, error: error });
+            });
+        }).then(function () {
+            return report;
+        });
+    }
+
+    return client.campaigns.find(campaignId).then(function (resp) {
+        if (!resp.payload) {
+            return Promise.reject(new errors.NotFoundError(
+                'Campaign ' + campaignId + ' not found', { endpoint: '/rest/campaign' }));
+        }
+
+        var body = copyEntity(resp.payload, 'campaign_id', overrides.campaign);
+        body.active = false;
+        return create('campaigns', 'campaign_id', body);
+    }).then(function (campaign) {
+        result.campaign = campaign;
+        return findAll('lineItems', { campaign_id: campaignId });
+    }).then(function (lineItems) {
+        return Promise.mapSeries(lineItems, function (lineItem) {
+            return cloneLineItem(lineItem, result.campaign.campaign_id);
+        });
+    }).then(function () {
+        return { success: true, payload: result };
+    }).catch(function (error) {
+        return rollback().then(function (report) {
+            if (error && typeof error === 'object') {
+                error.rollback = report;
+            }
+            return Promise.reject(error);
+        });
+    });
+}
+
+module.exports = cloneCampaign;
@@ -0,0 +1,44 @@
+'use strict';
+
+var Promise = require('bluebird');
+
+// In-flight loads, by key. Shared by every client in the process.
+var inflight = {};
+
+/* Call load() and resolve with what it resolves with, unless a load with the same key is already
+ * in flight, in which case resolve with that load's result instead. Each caller gets its own copy
+ * of the result, so callers can't change each other's results. */
+function coalesce(key, load) {
+    var shared = inflight[key];
+
+    if (!shared) {
+        shared = inflight[key] = Promise.resolve(load()).then(function (result) {
+            return JSON.stringify(result);
+        }).finally(function () {
+            if (inflight[key] === shared) {
+                delete inflight[key];
+            }
+        });
+    }
+
+    return shared.then(function (json) {
+        return json === undefined ? undefined : JSON.parse(json);
+    });
+}
+
+/* Stop sharing the in-flight loads whose keys start with prefix, e.g. after a write that makes
+ * their results out of date. They still resolve for the callers already waiting on them. */
+coalesce.forget = function (prefix) {
+    Object.keys(inflight).forEach(function (key) {
+        if (key.indexOf(prefix) === 0) {
+            delete inflight[key];
+        }
+    });
+};
+
+// Return the number of loads in flight
+coalesce.size = function () {
+    return Object.keys(inflight).length;
+};
+
+module.exports = coalesce;
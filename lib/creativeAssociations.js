@@ -0,0 +1,217 @@
+'use strict';
+
+var Promise = require('bluebird'),
+    bulk = require('./bulk');
+
+// Optional fields of an association, mapped to their names in Beeswax
+var FIELDS = {
+    weight: 'weighting',
+    startDate: 'start_date',
+    endDate: 'end_date'
+};
+
+/* Return the desired association for a creative, given as a creative id or as
+ * { creativeId, weight, active, startDate, endDate }, in Beeswax's field names. Creatives are
+ * active unless active is false. Returns null if there is no creative id. */
+function desired(creative) {
+    var fields = creative !== null && typeof creative === 'object' ? creative :
+            { creativeId: creative },
+        association;
+
+    if (fields.creativeId === undefined || fields.creativeId === null) {
+        return null;
+    }
+
+    association = { creative_id: fields.creativeId, active: fields.active !== false };
+    Object.keys(FIELDS).forEach(function (key) {
+        if (fields[key] !== undefined) {
+            association[FIELDS[key]] = fields[key];
+        }
+    });
+    return association;
+}
+
+/* Return a field value in a form that compares equal to the same value in Beeswax's format:
+ * numeric strings become numbers ('50' -> 50), and dates + times become 'YYYY-MM-DD hh:mm:ss',
+ * without the time if it is midnight ('2024-01-01 00:00:00' -> '2024-01-01'). */
+function comparable(value) {
+    if (value instanceof Date) {
+        value = value.toISOString();
+    }
+    if (typeof value !== 'string') {
+        return value;
+    }
+
+    var text = value.trim(),
+        match = /^(\d{4}-\d{2}-\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?Z?)?$/.exec(text);
+
+    if (match) {
+        var time = (match[2] || '00') + ':' + (match[3] || '00') + ':' + (match[4] || '00');
+        return time === '00:00:00' ? match[1] : match[1] + ' ' + time;
+    }
+    return text !== '' && !isNaN(Number(text)) ? Number(text) : value;
+}
+
+// Resolve with every creative association of a line item
+function list(client, lineItemId) {
+    return client.creativeLineItems.queryAll({ line_item_id: lineItemId });
+}
+
+/* Work out the creates, edits + deletes that turn the current associations of a line item into
+ * the wanted ones. Values are compared after converting them with comparable(), so ones that
+ * only differ in format from Beeswax's don't cause edits. If removeOthers is set, associations
+ * for creatives that aren't wanted are deleted, along with any duplicate associations for the
+ * same creative; otherwise they are left alone. */
+function plan(current, wanted, removeOthers) {
+    var existing = {},
+        ops = [],
+        unchanged = [];
+
+    current.forEach(function (association) {
+        if (!existing[association.creative_id]) {
+            existing[association.creative_id] = association;
+        } else if (removeOthers) {
+            ops.push({ action: 'delete', association: association });
+        }
+    });
+
+    wanted.forEach(function (association) {
+        var match = existing[association.creative_id],
+            changes = {};
+
+        if (!match) {
+            ops.push({ action: 'create', body: association });
+            return;
+        }
+        delete existing[association.creative_id];
+
+        Object.keys(association).forEach(function (field) {
+            if (field !== 'creative_id' &&
+                comparable(association[field]) !== comparable(match[field])) {
+                changes[field] = association[field];
+            }
+        });
+        if (Object.keys(changes).length > 0) {
+            ops.push({ action: 'edit', association: match, body: changes });
+        } else {
+            unchanged.push(match);
+        }
+    });
+
+    if (removeOthers) {
+        Object.keys(existing).forEach(function (creativeId) {
+            ops.push({ action: 'delete', association: existing[creativeId] });
+        });
+    }
+
+    return { ops: ops, unchanged: unchanged };
+}
+
+/* Carry out a plan's operations, resolving with { success, created, edited, deleted, unchanged,
+ * failed }: the associations in each state afterwards, and { action, creative_id, error } for
+ * each operation that failed. Never rejects for failed operations, like the bulk methods. */
+function apply(client, lineItemId, steps, opts) {
+    var result = {
+        success: true,
+        created: [],
+        edited: [],
+        deleted: [],
+        unchanged: steps.unchanged,
+        failed: []
+    };
+
+    return bulk.run(steps.ops, function (op) {
+        var cli = client.creativeLineItems;
+
+        if (op.action === 'create') {
+            var body = { line_item_id: lineItemId };
+            Object.keys(op.body).forEach(function (field) {
+                body[field] = op.body[field];
+            });
+            return cli.create(body).then(bulk.unwrap);
+        }
+        if (op.action === 'edit') {
+            return cli.edit(op.association.cli_id, op.body, true).then(bulk.unwrap);
+        }
+        return cli.delete(op.association.cli_id, true).then(bulk.unwrap).return(op.association);
+    }, opts).then(function (report) {
+        var keys = { create: 'created', edit: 'edited', delete: 'deleted' };
+
+        report.succeeded.forEach(function (entry) {
+            result[keys[entry.input.action]].push(entry.result);
+        });
+        report.failed.forEach(function (entry) {
+            var op = entry.input;
+            result.failed.push({
+                action: op.action,
+                creative_id: (op.association || op.body).creative_id,
+                error: entry.error
+            });
+        });
+        result.success = result.failed.length === 0;
+        return result;
+    });
+}
+
+/* Resolve with the wanted associations for creatives, or reject if any has no creative id or a
+ * creative is listed twice */
+function parseCreatives(creatives) {
+    var wanted = [].concat(creatives || []).map(desired),
+        ids = wanted.map(function (association) {
+            return association && String(association.creative_id);
+        });
+
+    if (ids.indexOf(null) !== -1) {
+        return Promise.reject(new Error(
+            'Each creative must be a creative id or an object with a creativeId'));
+    }
+    for (var i = 0; i < ids.length; i++) {
+        if (ids.indexOf(ids[i]) !== i) {
+            return Promise.reject(new Error('Creative ' + ids[i] + ' is listed more than once'));
+        }
+    }
+    return Promise.resolve(wanted);
+}
+
+/* Attach creatives to a line item, leaving its other creatives alone. Each creative is a creative
+ * id or { creativeId, weight, active, startDate, endDate }; creatives that are already attached
+ * are only edited if one of those fields differs. opts.concurrency limits the requests in
+ * flight (default: 5). */
+function attach(client, lineItemId, creatives, opts) {
+    return parseCreatives(creatives).then(function (wanted) {
+        return list(client, lineItemId).then(function (resp) {
+            return apply(client, lineItemId, plan(resp.payload, wanted, false), opts);
+        });
+    });
+}
+
+// Detach creatives, given by id, from a line item. Creatives that aren't attached are ignored.
+function detach(client, lineItemId, creativeIds, opts) {
+    var ids = [].concat(creativeIds || []).map(String);
+
+    return list(client, lineItemId).then(function (resp) {
+        var ops = resp.payload.filter(function (association) {
+            return ids.indexOf(String(association.creative_id)) !== -1;
+        }).map(function (association) {
+            return { action: 'delete', association: association };
+        });
+        return apply(client, lineItemId, { ops: ops, unchanged: [] }, opts);
+    });
+}
+
+/* Make creatives the line item's complete rotation: attach or edit them as in attach(), and
+ * detach every other creative. */
+function setRotation(client, lineItemId, creatives, opts) {
+    return parseCreatives(creatives).then(function (wanted) {
+        return list(client, lineItemId).then(function (resp) {
+            return apply(client, lineItemId, plan(resp.payload, wanted, true), opts);
+        });
+    });
+}
+
+module.exports = {
+    list: list,
+    attach: attach,
+    detach: detach,
+    setRotation: setRotation
+};
@@ -0,0 +1,108 @@
+'use strict';
+
+/* The entities Beeswax supports, keyed by the name of the property BeeswaxClient sets up with
+ * bound CRUD methods for each. capabilities lists the operations an entity supports, out of
+ * find, query, create, edit + delete; entities without it support all of them. More entities
+ * can be added with BeeswaxClient.registerEntity. */
+var entities = {
+    accounts: {
+        endpoint: '/rest/account',
+        idField: 'account_id',
+        capabilities: ['find', 'query', 'edit']
+    },
+    users: {
+        endpoint: '/rest/user',
+        idField: 'user_id'
+    },
+    advertisers: {
+        endpoint: '/rest/advertiser',
+        idField: 'advertiser_id'
+    },
+    campaigns: {
+        endpoint: '/rest/campaign',
+        idField: 'campaign_id'
+    },
+    creatives: {
+        endpoint: '/rest/creative',
+        idField: 'creative_id'
+    },
+    creativeLineItems: {
+        endpoint: '/rest/creative_line_item',
+        idField: 'cli_id'
+    },
+    creativeAddOns: {
+        endpoint: '/rest/creative_addon',
+        idField: 'creative_addon_id'
+    },
+    creativeAssets: {
+        endpoint: '/rest/creative_asset',
+        idField: 'creative_asset_id'
+    },
+    creativeAssetsUpload: {
+        endpoint: '/rest/creative_asset/upload',
+        idField: 'creative_asset_id'
+    },
+    lineItems: {
+        endpoint: '/rest/line_item',
+        idField: 'line_item_id'
+    },
+    lineItemFlights: {
+        endpoint: '/rest/line_item_flight',
+        idField: 'line_item_flight_id'
+    },
+    targetingTemplates: {
+        endpoint: '/rest/targeting_template',
+        idField: 'targeting_template_id'
+    },
+    segmentUploads: {
+        endpoint: '/rest/segment_upload',
+        idField: 'segment_upload_id'
+    },
+    segmentCategorySharings: {
+        endpoint: '/rest/segment_category_sharing',
+        idField: 'segment_category_sharing_id'
+    },
+    segmentSharings: {
+        endpoint: '/rest/segment_sharing',
+        idField: 'segment_sharing_id'
+    },
+    segmentCategoryAssociations: {
+        endpoint: '/rest/segment_category_association',
+        idField: 'segment_category_association_id'
+    },
+    segments: {
+        endpoint: '/rest/segment',
+        idField: 'segment_id'
+    },
+    segmentCategories: {
+        endpoint: '/rest/segment_category',
+        idField: 'segment_category_id'
+    },
+    bidModifiers: {
+        endpoint: '/rest/bid_modifier',
+        idField: 'bid_modifier_id'
+    },
+    deals: {
+        endpoint: '/rest/deal',
+        idField: 'deal_id'
+    },
+    inventorySources: {
+        endpoint: '/rest/inventory_source',
+        idField: 'inventory_source_key',
+        capabilities: ['find', 'query']
+    },
+    conversionPixels: {
+        endpoint: '/rest/conversion_pixel',
+        idField: 'conversion_pixel_id'
+    },
+    domainLists: {
+        endpoint: '/rest/domain_list',
+        idField: 'domain_list_id'
+    },
+    appLists: {
+        endpoint: '/rest/app_list',
+        idField: 'app_list_id'
+    }
+};
+
+module.exports = entities;
@@ -0,0 +1,251 @@
+'use strict';
+
+var util = require('util');
+
+// Network error codes that indicate the request never got a response from Beeswax
+var NETWORK_CODES = [
+    'ECONNRESET',
+    'ECONNREFUSED',
+    'ETIMEDOUT',
+    'ESOCKETTIMEDOUT',
+    'EPIPE',
+    'ENOTFOUND',
+    'EAI_AGAIN',
+    'EHOSTUNREACH'
+];
+
+// Pull the list of message strings out of a Beeswax response body
+function parseMessages(body) {
+    var messages = [];
+
+    if (!body || typeof body !== 'object') {
+        return typeof body === 'string' && body ? [body] : messages;
+    }
+
+    if (typeof body.message === 'string') {
+        messages.push(body.message);
+    }
+
+    (Array.isArray(body.payload) ? body.payload : []).forEach(function (item) {
+        var msg = item && item.message;
+        [].concat(msg || []).forEach(function (str) {
+            if (typeof str === 'string') {
+                messages.push(str);
+            }
+        });
+    });
+
+    return messages;
+}
+
+/* Build a map of field name -> messages out of messages like "campaign_name: may not be blank".
+ * Messages that do not name a field are left out. */
+function parseFieldErrors(messages) {
+    var fields = {};
+
+    messages.forEach(function (str) {
+        var match = str.match(/^\s*([a-z][a-z0-9_.]*)\s*:\s*(.+)$/);
+        if (!match) {
+            return;
+        }
+        fields[match[1]] = (fields[match[1]] || []).concat(match[2]);
+    });
+
+    return fields;
+}
+
+// Base class for every error produced by the client
+function BeeswaxError(message, props) {
+    Error.call(this);
+    Error.captureStackTrace(this, this.constructor);
+
+    props = props || {};
+    this.name = this.constructor.name;
+    this.message = message;
+    this.statusCode = props.statusCode;
+    this.method = props.method;
+    this.endpoint = props.endpoint;
+    this.messages = props.messages || [];
+    this.body = props.body;
+}
+util.inherits(BeeswaxError, Error);
+
+// The raw response body, under the name request-promise's StatusCodeError used for it
+Object.defineProperty(BeeswaxError.prototype, 'error', {
+    get: function () {
+        return this.body;
+    }
+});
+
+// Authenticating with Beeswax failed, or the session could not be re-established
+function AuthenticationError(message, props) {
+    BeeswaxError.call(this, message, props);
+}
+util.inherits(AuthenticationError, BeeswaxError);
+
+// The requested entity does not exist
+function NotFoundError(message, props) {
+    BeeswaxError.call(this, message, props);
+}
+util.inherits(NotFoundError, BeeswaxError);
+
+// Beeswax rejected the request body; fieldErrors maps field names to their messages
+function ValidationError(message, props) {
+    BeeswaxError.call(this, message, props);
+    this.fieldErrors = parseFieldErrors(this.messages);
+}
+util.inherits(ValidationError, BeeswaxError);
+
+/* The entity changed since the caller last read it, so a write was not sent. expected + actual
+ * are the update_date the caller read and the one Beeswax has now, and current is the entity as
+ * it is now. */
+function ConflictError(message, props) {
+    BeeswaxError.call(this, message, props);
+    props = props || {};
+    this.expected = props.expected;
+    this.actual = props.actual;
+    this.current = props.current;
+}
+util.inherits(ConflictError, BeeswaxError);
+
+// Beeswax is throttling us; retryAfter is in milliseconds when Beeswax tells us how long to wait
+function RateLimitError(message, props) {
+    BeeswaxError.call(this, message, props);
+    this.retryAfter = (props || {}).retryAfter;
+}
+util.inherits(RateLimitError, BeeswaxError);
+
+// Beeswax responded with a 5xx status
+function ServerError(message, props) {
+    BeeswaxError.call(this, message, props);
+}
+util.inherits(ServerError, BeeswaxError);
+
+// The request failed before a response was received; code is the system error code
+function NetworkError(message, props) {
+    BeeswaxError.call(this, message, props);
+    this.code = (props || {}).code;
+}
+util.inherits(NetworkError, BeeswaxError);
+
+// Convert a Retry-After header (seconds or an HTTP date) into milliseconds
+function parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') {
+        return undefined;
+    }
+
+    var seconds = Number(value);
+    if (!isNaN(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    var date = Date.parse(value);
+    return isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/* Build the appropriate error for a response with the given status code + body. Beeswax
+ * reports editing or deleting a missing entity as a 406 containing "Could not load object ... to
+ * update" (or "to delete"), so this checks the messages as well as the status code. Set ctx.auth
+ * for responses to authentication requests. */
+function fromResponse(statusCode, body, ctx) {
+    ctx = ctx || {};
+
+    var messages = parseMessages(body),
+        props = {
+            statusCode: statusCode,
+            method: ctx.method,
+            endpoint: ctx.endpoint,
+            messages: messages,
+            body: body,
+            retryAfter: ctx.retryAfter
+        },
+        summary = messages.length ? messages.join('; ') : util.inspect(body),
+        message = (ctx.method ? ctx.method.toUpperCase() + ' ' : '') +
+                  (ctx.endpoint || '') + ' failed' +
+                  (statusCode ? ' with ' + statusCode : '') + ': ' + summary;
+
+    var notFound = messages.some(function (str) {
+        return (/Could not load object.*to (update|delete)/).test(str);
+    });
+
+    var authFailure = ctx.auth && statusCode !== 429 && (statusCode || 0) < 500;
+
+    if (statusCode === 401 || authFailure) {
+        return new AuthenticationError(message, props);
+    }
+    if (statusCode === 404 || notFound) {
+        return new NotFoundError(message, props);
+    }
+    if (statusCode === 409) {
+        return new ConflictError(message, props);
+    }
+    if (statusCode === 429) {
+        return new RateLimitError(message, props);
+    }
+    if (statusCode >= 500) {
+        return new ServerError(message, props);
+    }
+    return new ValidationError(message, props);
+}
+
+/* Create the error a transport rejects with for a non-2xx response. This has the same shape as
+ * request-promise's StatusCodeError, so normalize() can classify it. */
+function httpError(statusCode, body, headers) {
+    var text = typeof body === 'string' ? body : JSON.stringify(body),
+        error = new Error(statusCode + ' - ' + text);
+
+    error.name = 'StatusCodeError';
+    error.statusCode = statusCode;
+    error.error = body;
+    error.response = { statusCode: statusCode, headers: headers || {}, body: body };
+    return error;
+}
+
+/* Convert any error or unsuccessful body from a request into one of the classes above.
+ * ctx should contain the method + endpoint of the request. Errors that cannot be classified
+ * (e.g. programming errors) are returned unchanged. */
+function normalize(error, ctx) {
+    ctx = ctx || {};
+
+    if (!error || typeof error !== 'object' || error instanceof BeeswaxError) {
+        return error;
+    }
+
+    var code = error.code || (error.cause && error.cause.code);
+    if (error.name === 'RequestError' || NETWORK_CODES.indexOf(code) !== -1) {
+        return new NetworkError(error.message, {
+            method: ctx.method,
+            endpoint: ctx.endpoint,
+            code: code
+        });
+    }
+
+    if (typeof error.statusCode !== 'number') {
+        return error;
+    }
+
+    var body = error.error,
+        headers = (error.response && error.response.headers) || {};
+
+    return fromResponse(error.statusCode, body, {
+        method: ctx.method,
+        endpoint: ctx.endpoint,
+        auth: ctx.auth,
+        retryAfter: parseRetryAfter(headers['retry-after'])
+    });
+}
+
+module.exports = {
+    BeeswaxError: BeeswaxError,
+    AuthenticationError: AuthenticationError,
+    NotFoundError: NotFoundError,
+    ValidationError: ValidationError,
+    ConflictError: ConflictError,
+    RateLimitError: RateLimitError,
+    ServerError: ServerError,
+    NetworkError: NetworkError,
+    normalize: normalize,
+    httpError: httpError,
+    fromResponse: fromResponse,
+    parseRetryAfter: parseRetryAfter
+};
@@ -0,0 +1,32 @@
+'use strict';
+
+var Promise = require('bluebird'),
+    errors = require('./errors');
+
+/* Call check() every opts.interval ms (default: 2000) until it resolves with something other than
+ * undefined, and resolve with that value. Rejects if check() rejects, or with a BeeswaxError if
+ * nothing is resolved within opts.timeout ms (default: 10 minutes). opts.description is used in
+ * the timeout message, and opts.endpoint is set on the timeout error. */
+function poll(check, opts) {
+    opts = opts || {};
+
+    var interval = opts.interval || 2000,
+        timeout = opts.timeout || 10 * 60 * 1000,
+        deadline = Date.now() + timeout;
+
+    return (function attempt() {
+        return Promise.resolve(check()).then(function (result) {
+            if (result !== undefined) {
+                return result;
+            }
+            if (Date.now() + interval > deadline) {
+                return Promise.reject(new errors.BeeswaxError(
+                    'Timed out waiting for ' + (opts.description || 'completion') + ' after ' +
+                    timeout + 'ms', { endpoint: opts.endpoint }));
+            }
+            return Promise.delay(interval).then(attempt);
+        });
+    }());
+}
+
+module.exports = poll;
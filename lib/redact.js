@@ -0,0 +1,48 @@
+'use strict';
+
+var REDACTED = '[REDACTED]';
+
+// Body fields that are always redacted, since they hold credentials
+var FIELDS = ['email', 'password'];
+
+// Headers that are always redacted, since they hold session cookies or credentials
+var HEADERS = ['cookie', 'set-cookie', 'authorization'];
+
+/* Return a copy of value with any object properties named in fields (which must be lower case)
+ * replaced by '[REDACTED]', at any depth. Property names are matched case-insensitively. */
+function redact(value, fields) {
+    if (Array.isArray(value)) {
+        return value.map(function (item) {
+            return redact(item, fields);
+        });
+    }
+    if (!value || typeof value !== 'object' || Buffer.isBuffer(value)) {
+        return value;
+    }
+
+    var copy = {};
+    Object.keys(value).forEach(function (key) {
+        var redacted = fields.indexOf(key.toLowerCase()) !== -1;
+        copy[key] = redacted ? REDACTED : redact(value[key], fields);
+    });
+    return copy;
+}
+
+// Return the fields to redact: the credential fields, plus any extra ones
+redact.fields = function (extra) {
+    return FIELDS.concat((extra || []).map(function (field) {
+        return field.toLowerCase();
+    }));
+};
+
+// Return the headers to redact: the session + credential headers, plus any extra ones
+redact.headers = function (extra) {
+    return HEADERS.concat((extra || []).map(function (header) {
+        return header.toLowerCase();
+    }));
+};
+
+redact.REDACTED = REDACTED;
+redact.HEADERS = HEADERS;
+
+module.exports = redact;
@@ -0,0 +1,173 @@
+'use strict';
+
+/* Client-side schemas for the bodies sent when creating or editing entities, keyed by endpoint.
+ * Each field can specify a type ('string', 'integer', 'number', 'boolean', 'object', 'array'),
+ * whether it is required when creating, a list of allowed values (enum), and a date format.
+ * Fields not listed here are passed through unchecked, since Beeswax's /strict endpoints will
+ * still reject anything they don't recognize. */
+var schemas = {
+    '/rest/advertiser': {
+        advertiser_name: { type: 'string', required: true },
+        alternative_id: { type: 'string' },
+        notes: { type: 'string' },
+        active: { type: 'boolean' }
+    },
+    '/rest/campaign': {
+        advertiser_id: { type: 'integer', required: true },
+        campaign_name: { type: 'string', required: true },
+        campaign_budget: { type: 'number' },
+        daily_budget: { type: 'number' },
+        budget_type: { type: 'integer', enum: [0, 1, 2] },
+        start_date: { type: 'string', format: 'date' },
+        end_date: { type: 'string', format: 'date' },
+        alternative_id: { type: 'string' },
+        notes: { type: 'string' },
+        active: { type: 'boolean' }
+    },
+    '/rest/line_item': {
+        advertiser_id: { type: 'integer', required: true },
+        campaign_id: { type: 'integer', required: true },
+        line_item_type_id: { type: 'integer', required: true, enum: [0, 1, 2] },
+        line_item_name: { type: 'string', required: true },
+        targeting_template_id: { type: 'integer' },
+        line_item_budget: { type: 'number' },
+        daily_budget: { type: 'number' },
+        budget_type: { type: 'integer', enum: [0, 1, 2] },
+        bidding: { type: 'object' },
+        start_date: { type: 'string', format: 'date' },
+        end_date: { type: 'string', format: 'date' },
+        alternative_id: { type: 'string' },
+        notes: { type: 'string' },
+        active: { type: 'boolean' }
+    },
+    '/rest/line_item_flight': {
+        line_item_id: { type: 'integer', required: true },
+        start_date: { type: 'string', required: true, format: 'date' },
+        end_date: { type: 'string', format: 'date' },
+        flight_budget: { type: 'number' }
+    },
+    '/rest/creative': {
+        advertiser_id: { type: 'integer', required: true },
+        creative_name: { type: 'string', required: true },
+        creative_type: { type: 'integer', required: true, enum: [0, 1, 2] },
+        creative_template_id: { type: 'integer', required: true },
+        width: { type: 'integer' },
+        height: { type: 'integer' },
+        creative_attributes: { type: 'object' },
+        creative_content: { type: 'object' },
+        creative_assets: { type: 'array' },
+        secure: { type: 'boolean' },
+        start_date: { type: 'string', format: 'date' },
+        end_date: { type: 'string', format: 'date' },
+        alternative_id: { type: 'string' },
+        notes: { type: 'string' },
+        active: { type: 'boolean' }
+    },
+    '/rest/creative_line_item': {
+        creative_id: { type: 'integer', required: true },
+        line_item_id: { type: 'integer', required: true },
+        weighting: { type: 'integer' },
+        start_date: { type: 'string', format: 'date' },
+        end_date: { type: 'string', format: 'date' },
+        active: { type: 'boolean' }
+    },
+    '/rest/creative_asset': {
+        advertiser_id: { type: 'integer', required: true },
+        creative_asset_name: { type: 'string', required: true },
+        size_in_bytes: { type: 'integer', required: true },
+        notes: { type: 'string' },
+        active: { type: 'boolean' }
+    },
+    '/rest/targeting_template': {
+        template_name: { type: 'string', required: true },
+        advertiser_id: { type: 'integer' },
+        strategy_id: { type: 'integer' },
+        targeting: { type: 'object' },
+        active: { type: 'boolean' }
+    },
+    '/rest/segment': {
+        segment_name: { type: 'string', required: true },
+        advertiser_id: { type: 'integer' },
+        segment_description: { type: 'string' },
+        alternative_id: { type: 'string' },
+        cpm_cost: { type: 'number' },
+        ttl_days: { type: 'integer' },
+        aggregate_excludes: { type: 'boolean' }
+    },
+    '/rest/segment_category': {
+        segment_category_name: { type: 'string', required: true },
+        advertiser_id: { type: 'integer' },
+        parent_category_key: { type: 'string' },
+        alternative_id: { type: 'string' }
+    },
+    '/rest/segment_upload': {
+        file_name: { type: 'string', required: true },
+        size_in_bytes: { type: 'integer', required: true },
+        user_id_type: { type: 'string' },
+        continent: { type: 'string' }
+    }
+};
+
+// Beeswax accepts dates as 'YYYY-MM-DD' or 'YYYY-MM-DD HH:MM:SS'
+var DATE_FORMAT = /^\d{4}-\d{2}-\d{2}( \d{2}:\d{2}:\d{2})?$/;
+
+var typeChecks = {
+    string: function (value) {
+        return typeof value === 'string';
+    },
+    integer: function (value) {
+        return typeof value === 'number' && value % 1 === 0;
+    },
+    number: function (value) {
+        return typeof value === 'number' && !isNaN(value);
+    },
+    boolean: function (value) {
+        return typeof value === 'boolean';
+    },
+    object: function (value) {
+        return !!value && typeof value === 'object' && !Array.isArray(value);
+    },
+    array: function (value) {
+        return Array.isArray(value);
+    }
+};
+
+/* Validate a body that will be sent to endpoint. Required fields are only checked when
+ * opts.partial is not set (i.e. when creating). Returns a list of messages in the same
+ * "field: message" format that Beeswax uses, which is empty if the body is valid. */
+function validate(endpoint, body, opts) {
+    var schema = schemas[endpoint],
+        messages = [];
+    opts = opts || {};
+
+    if (!schema) {
+        return messages;
+    }
+
+    Object.keys(schema).forEach(function (field) {
+        var rules = schema[field],
+            value = body[field];
+
+        if (value === undefined || value === null) {
+            if (rules.required && !opts.partial) {
+                messages.push(field + ': is required');
+            }
+            return;
+        }
+
+        if (!typeChecks[rules.type](value)) {
+            messages.push(field + ': must be of type ' + rules.type);
+        } else if (rules.enum && rules.enum.indexOf(value) === -1) {
+            messages.push(field + ': must be one of ' + rules.enum.join(', '));
+        } else if (rules.format === 'date' && !DATE_FORMAT.test(value)) {
+            messages.push(field + ': must be formatted as YYYY-MM-DD or YYYY-MM-DD HH:MM:SS');
+        }
+    });
+
+    return messages;
+}
+
+module.exports = {
+    schemas: schemas,
+    validate: validate
+};
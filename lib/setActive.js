@@ -0,0 +1,153 @@
+'use strict';
+
+var Promise = require('bluebird'),
+    errors = require('./errors'),
+    bulk = require('./bulk');
+
+/* The hierarchy setActive() walks down when cascading from an advertiser or campaign. Each child
+ * type is found by querying it for its foreign key to the parent; children with an option are
+ * only included if opts[option] is set. */
+var TREE = {
+    advertisers: {
+        name: 'Advertiser',
+        idField: 'advertiser_id',
+        endpoint: '/rest/advertiser',
+        children: [
+            { type: 'creatives', foreignKey: 'advertiser_id', option: 'creatives' },
+            { type: 'campaigns', foreignKey: 'advertiser_id' }
+        ]
+    },
+    campaigns: {
+        name: 'Campaign',
+        idField: 'campaign_id',
+        endpoint: '/rest/campaign',
+        children: [{ type: 'lineItems', foreignKey: 'campaign_id' }]
+    },
+    lineItems: { idField: 'line_item_id', children: [] },
+    creatives: { idField: 'creative_id', children: [] }
+};
+
+/* Activate or deactivate an entity, and with opts.cascade everything below it: an advertiser's
+ * campaigns (and, with opts.creatives, its creatives), and each campaign's line items. Only
+ * entities whose active flag differs are edited.
+ *
+ * Beeswax won't activate an entity whose parent is inactive, or a line item without an active
+ * creative, so when activating, each level of the tree is edited after the one above it (and
+ * creatives before line items); when deactivating, the levels are edited bottom up. If an edit
+ * fails, the levels after it are skipped. opts.concurrency limits the edits in flight within a
+ * level (default: 5).
+ *
+ * Resolves with { success, changed, unchanged, failed, skipped }, listing { type, id } for each
+ * entity (plus error for failures). If opts.rollback is set, a failure instead reverts every
+ * change made so far (newest first) and rejects with the first error, with error.rollback set to
+ * { reverted, failed }. */
+function setActive(client, type, id, active, opts) {
+    opts = opts || {};
+    active = !!active;
+
+    var levels = [],
+        result = { success: true, changed: [], unchanged: [], failed: [], skipped: [] };
+
+    // Add entities to their level of the tree, then find their children
+    function collect(entityType, list, depth) {
+        var node = TREE[entityType],
+            children = opts.cascade ? node.children.filter(function (child) {
+                return !child.option || opts[child.option];
+            }) : [];
+
+        levels[depth] = (levels[depth] || []).concat(list.map(function (entity) {
+            return { type: entityType, id: entity[node.idField], active: entity.active };
+        }));
+
+        return Promise.each(children, function (child) {
+            return Promise.mapSeries(list, function (entity) {
+                var query = {};
+                query[child.foreignKey] = entity[node.idField];
+                return client[child.type].queryAll(query).then(function (resp) {
+                    return collect(child.type, resp.payload, depth + 1);
+                });
+            });
+        });
+    }
+
+    function edit(entry, value) {
+        return client[entry.type].edit(entry.id, { active: value }, true).then(bulk.unwrap);
+    }
+
+    // Undo every change made so far, newest first, without stopping at failures
+    function rollback() {
+        var report = { reverted: [], failed: [] };
+
+        return Promise.each(result.changed.slice().reverse(), function (entry) {
+            return edit(entry, !active).then(function () {
+                report.reverted.push(entry);
+            }, function (error) {
+                report.failed.push({ type: entry.type, id: entry.id, error: error });
+            });
+        }).then(function () {
+            return report;
+        });
+    }
+
+    if (!TREE[type] || !TREE[type].name) {
+        return Promise.reject(new Error('Cannot set active on ' + type));
+    }
+
+    return client[type].find(id).then(function (resp) {
+        if (!resp.payload) {
+            return Promise.reject(new errors.NotFoundError(
+                TREE[type].name + ' ' + id + ' not found',
+                { endpoint: TREE[type].endpoint }));
+        }
+        return collect(type, [resp.payload], 0);
+    }).then(function () {
+        var ordered = active ? levels : levels.slice().reverse();
+
+        return Promise.each(ordered, function (level) {
+            var pending = level.filter(function (entry) {
+                if (entry.active === active) {
+                    result.unchanged.push({ type: entry.type, id: entry.id });
+                    return false;
+                }
+                return true;
+            }).map(function (entry) {
+                return { type: entry.type, id: entry.id };
+            });
+
+            if (!result.success) {
+                result.skipped = result.skipped.concat(pending);
+                return;
+            }
+
+            return bulk.run(pending, function (entry) {
+                return edit(entry, active);
+            }, { concurrency: opts.concurrency }).then(function (report) {
+                report.succeeded.forEach(function (entry) {
+                    result.changed.push(entry.input);
+                });
+                report.failed.forEach(function (entry) {
+                    result.failed.push({
+                        type: entry.input.type,
+                        id: entry.input.id,
+                        error: entry.error
+                    });
+                });
+                result.success = report.success;
+            });
+        });
+    }).then(function () {
+        if (result.success || !opts.rollback) {
+            return result;
+        }
+
+        var error = result.failed[0].error;
+        return rollback().then(function (report) {
+            if (error && typeof error === 'object') {
+                error.rollback = report;
+            }
+            return Promise.reject(error);
+        });
+    });
+}
+
+module.exports = setActive;
@@ -0,0 +1,46 @@
+'use strict';
+
+var path = require('path'),
+    Promise = require('bluebird'),
+    fs = Promise.promisifyAll(require('fs'));
+
+/* Read a file to upload into memory, so its size is known before uploading and the request can
+ * be re-sent if the session needs to be re-authenticated. source can be a file path, a Buffer or
+ * a readable stream. Resolves with { buffer, name, size }, where name defaults to the file's
+ * basename for paths + file streams, and to defaultName otherwise. */
+function read(source, name, defaultName) {
+    if (typeof source === 'string') {
+        return fs.readFileAsync(source).then(function (buffer) {
+            return { buffer: buffer, name: name || path.basename(source), size: buffer.length };
+        });
+    }
+
+    if (Buffer.isBuffer(source)) {
+        return Promise.resolve({ buffer: source, name: name || defaultName, size: source.length });
+    }
+
+    if (source && typeof source.pipe === 'function') {
+        return new Promise(function (resolve, reject) {
+            var chunks = [];
+            source.on('data', function (chunk) {
+                chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+            });
+            source.on('error', reject);
+            source.on('end', function () {
+                var buffer = Buffer.concat(chunks);
+                resolve({
+                    buffer: buffer,
+                    name: name || (typeof source.path === 'string' ? path.basename(source.path) :
+                                                                     defaultName),
+                    size: buffer.length
+                });
+            });
+        });
+    }
+
+    return Promise.reject(new Error('source must be a file path, Buffer or readable stream'));
+}
+
+module.exports = {
+    read: read
+};
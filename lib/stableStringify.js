@@ -0,0 +1,19 @@
+'use strict';
+
+/* JSON.stringify with sorted object keys, so objects built in a different order give the same
+ * string. Undefined properties are left out, as they are by JSON.stringify. */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return '[' + value.map(stableStringify).join(',') + ']';
+    }
+    if (value && typeof value === 'object') {
+        return '{' + Object.keys(value).sort().filter(function (key) {
+            return value[key] !== undefined;
+        }).map(function (key) {
+            return JSON.stringify(key) + ':' + stableStringify(value[key]);
+        }).join(',') + '}';
+    }
+    return JSON.stringify(value);
+}
+
+module.exports = stableStringify;
@@ -0,0 +1,133 @@
+describe('AxiosTransport', function() {
+    var Promise, PassThrough, FormData, request, errors, AxiosTransport, axios, transport, jar;
+
+    beforeEach(function() {
+        Promise         = require('bluebird');
+        PassThrough     = require('stream').PassThrough;
+        FormData        = require('form-data');
+        request         = require('request');
+        errors          = require('../../lib/errors');
+        AxiosTransport  = require('../../lib/AxiosTransport');
+
+        axios = {
+            request: jasmine.createSpy('axios.request').and.returnValue(Promise.resolve({
+                status: 200,
+                headers: {},
+                data: '{"success":true,"payload":[]}'
+            }))
+        };
+        transport = new AxiosTransport({ axios: axios, timeout: 5000 });
+        jar = request.jar();
+    });
+
+    it('should create an axios instance by default', function() {
+        var transport = new AxiosTransport();
+        expect(transport._axios.request).toEqual(jasmine.any(Function));
+        expect(transport.timeout).toBe(0);
+    });
+
+    describe('send', function() {
+        it('should send JSON requests and parse the response', function(done) {
+            transport.send({ method: 'del', url: 'https://bw.com/rest/foo', body: { id: 1 }, jar: jar })
+            .then(function(body) {
+                expect(body).toEqual({ success: true, payload: [] });
+                var config = axios.request.calls.argsFor(0)[0];
+                expect(config.method).toBe('delete');
+                expect(config.url).toBe('https://bw.com/rest/foo');
+                expect(config.data).toBe('{"id":1}');
+                expect(config.timeout).toBe(5000);
+                expect(config.headers).toEqual({ 'Content-Type': 'application/json', Accept: 'application/json' });
+                expect(config.validateStatus(500)).toBe(true);
+                expect(config.transformResponse[0]('raw')).toBe('raw');
+            }).then(done, done.fail);
+        });
+
+        it('should send headers, which override the defaults', function(done) {
+            transport.send({ method: 'get', url: 'https://bw.com/rest/foo', headers: { Authorization: 'Bearer abc', Accept: 'text/csv' } })
+            .then(function() {
+                expect(axios.request.calls.argsFor(0)[0].headers).toEqual({ Authorization: 'Bearer abc', Accept: 'text/csv' });
+            }).then(done, done.fail);
+        });
+
+        it('should send + save cookies with the jar', function(done) {
+            jar.setCookie('session=abc', 'https://bw.com/');
+            axios.request.and.returnValue(Promise.resolve({
+                status: 200,
+                headers: { 'set-cookie': ['session=def; Path=/', 'other=1; Path=/'] },
+                data: '{}'
+            }));
+            transport.send({ method: 'post', url: 'https://bw.com/rest/authenticate', body: {}, jar: jar })
+            .then(function() {
+                expect(axios.request.calls.argsFor(0)[0].headers.Cookie).toBe('session=abc');
+                expect(jar.getCookieString('https://bw.com/rest/foo')).toBe('session=def; other=1');
+            }).then(done, done.fail);
+        });
+
+        it('should send multipart form data', function(done) {
+            transport.send({
+                method: 'post',
+                url: 'https://bw.com/rest/upload',
+                formData: { file: { value: new Buffer('abc'), options: { filename: 'a.txt', knownLength: 3 } } }
+            }).then(function() {
+                var config = axios.request.calls.argsFor(0)[0];
+                expect(config.data).toEqual(jasmine.any(FormData));
+                expect(config.headers['content-type']).toMatch(/^multipart\/form-data; boundary=/);
+                expect(config.headers['Content-Length']).toEqual(jasmine.any(Number));
+            }).then(done, done.fail);
+        });
+
+        it('should resolve with the full response if fullResponse is set', function(done) {
+            axios.request.and.returnValue(Promise.resolve({ status: 200, headers: { 'content-length': '9' },
+                                                            data: '' }));
+            transport.send({ method: 'head', url: 'https://cdn.com/a.png', fullResponse: true }).then(function(resp) {
+                expect(resp).toEqual({ statusCode: 200, headers: { 'content-length': '9' }, body: '' });
+            }).then(done, done.fail);
+        });
+
+        it('should reject with an httpError for non-2xx responses', function(done) {
+            axios.request.and.returnValue(Promise.resolve({ status: 429, headers: { 'retry-after': '3' },
+                                                            data: '{"success":false}' }));
+            transport.send({ method: 'get', url: 'https://bw.com/rest/foo' }).then(done.fail, function(error) {
+                expect(error.statusCode).toBe(429);
+                expect(error.error).toEqual({ success: false });
+                var normalized = errors.normalize(error, { method: 'get', endpoint: '/rest/foo' });
+                expect(normalized).toEqual(jasmine.any(errors.RateLimitError));
+                expect(normalized.retryAfter).toBe(3000);
+            }).then(done, done.fail);
+        });
+
+        it('should reject with network errors as they are', function(done) {
+            var netError = new Error('connect ECONNREFUSED');
+            netError.code = 'ECONNREFUSED';
+            axios.request.and.returnValue(Promise.reject(netError));
+            transport.send({ method: 'get', url: 'https://bw.com/rest/foo' }).then(done.fail, function(error) {
+                expect(error).toBe(netError);
+            }).then(done, done.fail);
+        });
+    });
+
+    describe('openStream', function() {
+        it('should stream the response body', function(done) {
+            var source = new PassThrough(), chunks = [];
+            axios.request.and.returnValue(Promise.resolve({ status: 200, headers: {}, data: source }));
+
+            transport.openStream('https://cdn.com/a.png')
+            .on('data', function(chunk) { chunks.push(chunk); })
+            .on('end', function() {
+                expect(Buffer.concat(chunks).toString()).toBe('content');
+                expect(axios.request).toHaveBeenCalledWith({ method: 'get', url: 'https://cdn.com/a.png',
+                                                            responseType: 'stream' });
+                done();
+            });
+            source.end('content');
+        });
+
+        it('should emit request errors', function(done) {
+            axios.request.and.returnValue(Promise.reject(new Error('not found')));
+            transport.openStream('https://cdn.com/a.png').on('error', function(error) {
+                expect(error.message).toBe('not found');
+                done();
+            });
+        });
+    });
+});
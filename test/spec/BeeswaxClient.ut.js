@@ -1,13 +1,13 @@
 describe('BeeswaxClient', function() {
-    var util, Promise, BeeswaxClient, rp, rpErrors, mockOps, request;
+    var Promise, BeeswaxClient, errors, rp, rpErrors, mockOps, request;
 
     beforeEach(function() {
-        util            = require('util');
         Promise         = require('bluebird');
         rp              = require('request-promise');
         rpErrors        = require('request-promise/errors');
         request         = require('request');
         BeeswaxClient   = require('../../lib/BeeswaxClient');
+        errors          = require('../../lib/errors');
         
         spyOn(rp, 'jar').and.returnValue({ cookies: 'yum' });
         
@@ -37,7 +37,8 @@ describe('BeeswaxClient', function() {
 
             boundFns = [];
             
-            ['_find', '_query', '_queryAll', '_create', '_edit', '_delete'].forEach(function(method) {
+            ['_find', '_findMany', '_query', '_queryAll', '_iterate', '_create', '_edit', '_delete', '_createMany', '_editMany',
+             '_deleteMany', '_patch'].forEach(function(method) {
                 spyOn(BeeswaxClient.prototype[method], 'bind').and.callFake(function() {
                     var boundFn = Function.prototype.bind.apply(BeeswaxClient.prototype[method], arguments);
 
@@ -59,6 +60,108 @@ describe('BeeswaxClient', function() {
             expect(beeswax._creds).toEqual({ email: 'foo@bar.com', password: 'very good password' });
             expect(beeswax._cookieJar).toEqual({ cookies: 'yum' });
             expect(beeswax._authPromise).not.toBeDefined();
+            expect(beeswax._validate).toBe(false);
+            expect(new BeeswaxClient({ creds: opts.creds, validate: true })._validate).toBe(true);
+            expect(beeswax._retryPolicy).toEqual(new BeeswaxClient.RetryPolicy());
+        });
+
+        it('should set up a reporting module that sends requests through the client', function() {
+            var beeswax = new BeeswaxClient(opts);
+            expect(beeswax.reports).toEqual(jasmine.any(BeeswaxClient.Reporting));
+            expect(beeswax.reports._client).toBe(beeswax);
+        });
+
+        it('should use password auth with the creds by default', function() {
+            var beeswax = new BeeswaxClient(opts);
+            expect(beeswax._auth).toEqual(new BeeswaxClient.PasswordAuth(opts.creds));
+
+            var provider = function() {};
+            beeswax = new BeeswaxClient({ creds: provider });
+            expect(beeswax._auth).toEqual(new BeeswaxClient.PasswordAuth(provider));
+        });
+
+        it('should use the auth strategy in opts.auth', function() {
+            var auth = new BeeswaxClient.TokenAuth('abc');
+            expect(new BeeswaxClient({ auth: auth })._auth).toBe(auth);
+            expect(function() { return new BeeswaxClient({ auth: { token: 'abc' } }); })
+                .toThrow(new Error('auth must be an object with an authenticate() method'));
+        });
+
+        it('should set up instrumentation if given a logger or metrics sink', function() {
+            var logger = { info: function() {}, warn: function() {} },
+                metrics = new BeeswaxClient.MemoryMetrics(),
+                beeswax = new BeeswaxClient({ creds: opts.creds, logger: logger, metrics: metrics, metricsPrefix: 'bw', redact: ['notes'] });
+
+            expect(new BeeswaxClient(opts)._instrumentation).not.toBeDefined();
+            expect(beeswax._instrumentation).toEqual(jasmine.any(require('../../lib/Instrumentation')));
+            expect(beeswax._instrumentation.logger).toBe(logger);
+            expect(beeswax._instrumentation.metrics).toBe(metrics);
+            expect(beeswax._instrumentation.prefix).toBe('bw');
+            expect(beeswax._instrumentation._fields).toEqual(['email', 'password', 'notes']);
+            expect(function() { return new BeeswaxClient({ creds: opts.creds, logger: console.log }); })
+                .toThrow(new Error('logger must be an object with info() and warn() methods'));
+        });
+
+        it('should create or use a transport', function() {
+            var custom = { send: function() {} };
+            expect(new BeeswaxClient(opts)._transport).toEqual(jasmine.any(BeeswaxClient.RequestTransport));
+            expect(new BeeswaxClient({ creds: opts.creds, transport: 'request' })._transport)
+                .toEqual(jasmine.any(BeeswaxClient.RequestTransport));
+            expect(new BeeswaxClient({ creds: opts.creds, transport: 'axios' })._transport)
+                .toEqual(jasmine.any(BeeswaxClient.AxiosTransport));
+            expect(new BeeswaxClient({ creds: opts.creds, transport: custom })._transport).toBe(custom);
+            expect(function() { return new BeeswaxClient({ creds: opts.creds, transport: 'fetch' }); })
+                .toThrow(new Error('transport must be \'request\', \'axios\' or an object with a send() method'));
+        });
+
+        it('should wrap the transport to record fixtures if opts.fixtures is set', function() {
+            var custom = { send: function() {} },
+                beeswax = new BeeswaxClient({
+                    creds: opts.creds,
+                    transport: custom,
+                    fixtures: { mode: 'record', path: '/tmp/fixtures.json', redact: ['token'] }
+                });
+            expect(beeswax._transport).toEqual(jasmine.any(BeeswaxClient.FixtureTransport));
+            expect(beeswax._transport.mode).toBe('record');
+            expect(beeswax._transport.path).toBe('/tmp/fixtures.json');
+            expect(beeswax._transport._transport).toBe(custom);
+            expect(beeswax._transport._fields).toEqual(['email', 'password', 'token']);
+        });
+
+        it('should only add upload methods to creativeAssets', function() {
+            var beeswax = new BeeswaxClient(opts);
+            expect(beeswax.creativeAssets.upload).toEqual(jasmine.any(Function));
+            expect(beeswax.creativeAssets.uploadContent).toEqual(jasmine.any(Function));
+            expect(beeswax.advertisers.upload).not.toBeDefined();
+            expect(beeswax.segments.upload).not.toBeDefined();
+        });
+
+        it('should add an uploadFile method to segments', function() {
+            var beeswax = new BeeswaxClient(opts);
+            expect(beeswax.segments.uploadFile).toEqual(jasmine.any(Function));
+            expect(beeswax.segments.find).toEqual(jasmine.any(Function));
+        });
+
+        it('should allow configuring the retry policy', function() {
+            var policy = new BeeswaxClient.RetryPolicy({ maxAttempts: 10 });
+            expect(new BeeswaxClient({ creds: opts.creds, retry: policy })._retryPolicy).toBe(policy);
+            expect(new BeeswaxClient({ creds: opts.creds, retry: { maxAttempts: 5 } })._retryPolicy.maxAttempts).toBe(5);
+            expect(new BeeswaxClient({ creds: opts.creds, retry: false })._retryPolicy.maxAttempts).toBe(1);
+        });
+
+        it('should create or use a request scheduler', function() {
+            var beeswax = new BeeswaxClient(opts),
+                scheduler = new BeeswaxClient.RequestScheduler({ maxConcurrency: 4 });
+            expect(beeswax._scheduler).toEqual(jasmine.any(BeeswaxClient.RequestScheduler));
+            expect(beeswax._scheduler.maxConcurrency).toBe(Infinity);
+            expect(beeswax._lane).toBe('interactive');
+
+            beeswax = new BeeswaxClient({ creds: opts.creds, scheduler: { requestsPerSecond: 5 }, priority: 'batch' });
+            expect(beeswax._scheduler.requestsPerSecond).toBe(5);
+            expect(beeswax._lane).toBe('batch');
+
+            beeswax = new BeeswaxClient({ creds: opts.creds, scheduler: scheduler });
+            expect(beeswax._scheduler).toBe(scheduler);
         });
         
         it('should have default values for some options', function() {
@@ -72,54 +175,104 @@ describe('BeeswaxClient', function() {
             var beeswax = new BeeswaxClient(opts);
             expect(beeswax.advertisers).toEqual({
                 find: getBoundFn(BeeswaxClient.prototype._find, [beeswax, '/rest/advertiser', 'advertiser_id']),
+                findMany: getBoundFn(BeeswaxClient.prototype._findMany, [beeswax, '/rest/advertiser', 'advertiser_id']),
                 query: getBoundFn(BeeswaxClient.prototype._query, [beeswax, '/rest/advertiser']),
                 queryAll: getBoundFn(BeeswaxClient.prototype._queryAll, [beeswax, '/rest/advertiser', 'advertiser_id']),
+                iterate: getBoundFn(BeeswaxClient.prototype._iterate, [beeswax, '/rest/advertiser', 'advertiser_id']),
                 create: getBoundFn(BeeswaxClient.prototype._create, [beeswax, '/rest/advertiser', 'advertiser_id']),
                 edit: getBoundFn(BeeswaxClient.prototype._edit, [beeswax, '/rest/advertiser', 'advertiser_id']),
                 delete: getBoundFn(BeeswaxClient.prototype._delete, [beeswax, '/rest/advertiser', 'advertiser_id']),
+                createMany: getBoundFn(BeeswaxClient.prototype._createMany, [beeswax, '/rest/advertiser', 'advertiser_id']),
+                editMany: getBoundFn(BeeswaxClient.prototype._editMany, [beeswax, '/rest/advertiser', 'advertiser_id']),
+                patch: getBoundFn(BeeswaxClient.prototype._patch, [beeswax, '/rest/advertiser', 'advertiser_id']),
+                deleteMany: getBoundFn(BeeswaxClient.prototype._deleteMany, [beeswax, '/rest/advertiser', 'advertiser_id']),
+                setActive: jasmine.any(Function)
             });
             expect(beeswax.campaigns).toEqual({
                 find: getBoundFn(BeeswaxClient.prototype._find, [beeswax, '/rest/campaign', 'campaign_id']),
+                findMany: getBoundFn(BeeswaxClient.prototype._findMany, [beeswax, '/rest/campaign', 'campaign_id']),
                 query: getBoundFn(BeeswaxClient.prototype._query, [beeswax, '/rest/campaign']),
                 queryAll: getBoundFn(BeeswaxClient.prototype._queryAll, [beeswax, '/rest/campaign', 'campaign_id']),
+                iterate: getBoundFn(BeeswaxClient.prototype._iterate, [beeswax, '/rest/campaign', 'campaign_id']),
                 create: getBoundFn(BeeswaxClient.prototype._create, [beeswax, '/rest/campaign', 'campaign_id']),
                 edit: getBoundFn(BeeswaxClient.prototype._edit, [beeswax, '/rest/campaign', 'campaign_id']),
                 delete: getBoundFn(BeeswaxClient.prototype._delete, [beeswax, '/rest/campaign', 'campaign_id']),
+                createMany: getBoundFn(BeeswaxClient.prototype._createMany, [beeswax, '/rest/campaign', 'campaign_id']),
+                editMany: getBoundFn(BeeswaxClient.prototype._editMany, [beeswax, '/rest/campaign', 'campaign_id']),
+                patch: getBoundFn(BeeswaxClient.prototype._patch, [beeswax, '/rest/campaign', 'campaign_id']),
+                deleteMany: getBoundFn(BeeswaxClient.prototype._deleteMany, [beeswax, '/rest/campaign', 'campaign_id']),
+                setActive: jasmine.any(Function)
             });
             expect(beeswax.creatives).toEqual({
                 find: getBoundFn(BeeswaxClient.prototype._find, [beeswax, '/rest/creative', 'creative_id']),
+                findMany: getBoundFn(BeeswaxClient.prototype._findMany, [beeswax, '/rest/creative', 'creative_id']),
                 query: getBoundFn(BeeswaxClient.prototype._query, [beeswax, '/rest/creative']),
                 queryAll: getBoundFn(BeeswaxClient.prototype._queryAll, [beeswax, '/rest/creative', 'creative_id']),
+                iterate: getBoundFn(BeeswaxClient.prototype._iterate, [beeswax, '/rest/creative', 'creative_id']),
                 create: getBoundFn(BeeswaxClient.prototype._create, [beeswax, '/rest/creative', 'creative_id']),
                 edit: getBoundFn(BeeswaxClient.prototype._edit, [beeswax, '/rest/creative', 'creative_id']),
                 delete: getBoundFn(BeeswaxClient.prototype._delete, [beeswax, '/rest/creative', 'creative_id']),
+                createMany: getBoundFn(BeeswaxClient.prototype._createMany, [beeswax, '/rest/creative', 'creative_id']),
+                editMany: getBoundFn(BeeswaxClient.prototype._editMany, [beeswax, '/rest/creative', 'creative_id']),
+                patch: getBoundFn(BeeswaxClient.prototype._patch, [beeswax, '/rest/creative', 'creative_id']),
+                deleteMany: getBoundFn(BeeswaxClient.prototype._deleteMany, [beeswax, '/rest/creative', 'creative_id']),
             });
             expect(beeswax.lineItems).toEqual({
                 find: getBoundFn(BeeswaxClient.prototype._find, [beeswax, '/rest/line_item', 'line_item_id']),
+                findMany: getBoundFn(BeeswaxClient.prototype._findMany, [beeswax, '/rest/line_item', 'line_item_id']),
                 query: getBoundFn(BeeswaxClient.prototype._query, [beeswax, '/rest/line_item']),
                 queryAll: getBoundFn(BeeswaxClient.prototype._queryAll, [beeswax, '/rest/line_item', 'line_item_id']),
+                iterate: getBoundFn(BeeswaxClient.prototype._iterate, [beeswax, '/rest/line_item', 'line_item_id']),
                 create: getBoundFn(BeeswaxClient.prototype._create, [beeswax, '/rest/line_item', 'line_item_id']),
                 edit: getBoundFn(BeeswaxClient.prototype._edit, [beeswax, '/rest/line_item', 'line_item_id']),
                 delete: getBoundFn(BeeswaxClient.prototype._delete, [beeswax, '/rest/line_item', 'line_item_id']),
+                createMany: getBoundFn(BeeswaxClient.prototype._createMany, [beeswax, '/rest/line_item', 'line_item_id']),
+                editMany: getBoundFn(BeeswaxClient.prototype._editMany, [beeswax, '/rest/line_item', 'line_item_id']),
+                patch: getBoundFn(BeeswaxClient.prototype._patch, [beeswax, '/rest/line_item', 'line_item_id']),
+                deleteMany: getBoundFn(BeeswaxClient.prototype._deleteMany, [beeswax, '/rest/line_item', 'line_item_id']),
+                listCreatives: jasmine.any(Function),
+                attachCreatives: jasmine.any(Function),
+                detachCreatives: jasmine.any(Function),
+                setRotation: jasmine.any(Function)
             });
             expect(beeswax.creativeLineItems).toEqual({
                 find: getBoundFn(BeeswaxClient.prototype._find, [beeswax, '/rest/creative_line_item', 'cli_id']),
+                findMany: getBoundFn(BeeswaxClient.prototype._findMany, [beeswax, '/rest/creative_line_item', 'cli_id']),
                 query: getBoundFn(BeeswaxClient.prototype._query, [beeswax, '/rest/creative_line_item']),
                 queryAll: getBoundFn(BeeswaxClient.prototype._queryAll, [beeswax, '/rest/creative_line_item', 'cli_id']),
+                iterate: getBoundFn(BeeswaxClient.prototype._iterate, [beeswax, '/rest/creative_line_item', 'cli_id']),
                 create: getBoundFn(BeeswaxClient.prototype._create, [beeswax, '/rest/creative_line_item', 'cli_id']),
                 edit: getBoundFn(BeeswaxClient.prototype._edit, [beeswax, '/rest/creative_line_item', 'cli_id']),
                 delete: getBoundFn(BeeswaxClient.prototype._delete, [beeswax, '/rest/creative_line_item', 'cli_id']),
+                createMany: getBoundFn(BeeswaxClient.prototype._createMany, [beeswax, '/rest/creative_line_item', 'cli_id']),
+                editMany: getBoundFn(BeeswaxClient.prototype._editMany, [beeswax, '/rest/creative_line_item', 'cli_id']),
+                patch: getBoundFn(BeeswaxClient.prototype._patch, [beeswax, '/rest/creative_line_item', 'cli_id']),
+                deleteMany: getBoundFn(BeeswaxClient.prototype._deleteMany, [beeswax, '/rest/creative_line_item', 'cli_id']),
             });
             expect(beeswax.targetingTemplates).toEqual({
                 find: getBoundFn(BeeswaxClient.prototype._find, [beeswax, '/rest/targeting_template', 'targeting_template_id']),
+                findMany: getBoundFn(BeeswaxClient.prototype._findMany, [beeswax, '/rest/targeting_template', 'targeting_template_id']),
                 query: getBoundFn(BeeswaxClient.prototype._query, [beeswax, '/rest/targeting_template']),
                 queryAll: getBoundFn(BeeswaxClient.prototype._queryAll, [beeswax, '/rest/targeting_template', 'targeting_template_id']),
+                iterate: getBoundFn(BeeswaxClient.prototype._iterate, [beeswax, '/rest/targeting_template', 'targeting_template_id']),
                 create: getBoundFn(BeeswaxClient.prototype._create, [beeswax, '/rest/targeting_template', 'targeting_template_id']),
                 edit: getBoundFn(BeeswaxClient.prototype._edit, [beeswax, '/rest/targeting_template', 'targeting_template_id']),
                 delete: getBoundFn(BeeswaxClient.prototype._delete, [beeswax, '/rest/targeting_template', 'targeting_template_id']),
+                createMany: getBoundFn(BeeswaxClient.prototype._createMany, [beeswax, '/rest/targeting_template', 'targeting_template_id']),
+                editMany: getBoundFn(BeeswaxClient.prototype._editMany, [beeswax, '/rest/targeting_template', 'targeting_template_id']),
+                patch: getBoundFn(BeeswaxClient.prototype._patch, [beeswax, '/rest/targeting_template', 'targeting_template_id']),
+                deleteMany: getBoundFn(BeeswaxClient.prototype._deleteMany, [beeswax, '/rest/targeting_template', 'targeting_template_id']),
             });
         });
         
+        it('should expose the error classes', function() {
+            expect(BeeswaxClient.errors).toBe(errors);
+            expect(BeeswaxClient.BeeswaxError).toBe(errors.BeeswaxError);
+            expect(BeeswaxClient.NotFoundError).toBe(errors.NotFoundError);
+            expect(BeeswaxClient.ValidationError).toBe(errors.ValidationError);
+            expect(BeeswaxClient.normalize).not.toBeDefined();
+        });
+
         it('should fail if an email + password are not passed', function() {
             var msg = 'Must provide creds object with email + password',
                 beeswax;
@@ -139,7 +292,7 @@ describe('BeeswaxClient', function() {
                 success: true,
                 message: 'you logged in'
             });
-            spyOn(rp, 'post').and.callFake(function() { return authResp; });
+            spyOn(rp, 'post').and.callFake(function() { return typeof authResp === 'function' ? authResp() : authResp; });
         });
         
         it('should POST an authenticate request and resolve if it succeeds', function(done) {
@@ -165,18 +318,23 @@ describe('BeeswaxClient', function() {
             beeswax.authenticate().then(function() {
                 fail('Should not have resolved');
             }).catch(function(error) {
-                expect(error).toEqual(new Error(util.inspect({ success: false, message: 'your password is wrong!' })));
+                expect(error).toEqual(jasmine.any(errors.AuthenticationError));
+                expect(error.endpoint).toBe('/rest/authenticate');
+                expect(error.messages).toEqual(['your password is wrong!']);
+                expect(error.body).toEqual({ success: false, message: 'your password is wrong!' });
                 expect(rp.post).toHaveBeenCalled();
                 expect(beeswax._authPromise).not.toBeDefined();
             }).done(done);
         });
         
         it('should reject if the response fails', function(done) {
-            authResp = Promise.reject({ statusCode: 500, error: 'no can do buddy' });
+            authResp = function() { return Promise.reject({ statusCode: 500, error: 'no can do buddy' }); };
             beeswax.authenticate().then(function() {
                 fail('Should not have resolved');
             }).catch(function(error) {
-                expect(error).toEqual({ statusCode: 500, error: 'no can do buddy' });
+                expect(error).toEqual(jasmine.any(errors.ServerError));
+                expect(error.statusCode).toBe(500);
+                expect(error.body).toBe('no can do buddy');
                 expect(rp.post).toHaveBeenCalled();
                 expect(beeswax._authPromise).not.toBeDefined();
             }).done(done);
@@ -226,7 +384,7 @@ describe('BeeswaxClient', function() {
         var beeswax, opts, resps;
         beforeEach(function() {
             beeswax = new BeeswaxClient(mockOps);
-            spyOn(beeswax, 'authenticate').and.returnValue(Promise.resolve());
+            spyOn(beeswax, '_authenticate').and.returnValue(Promise.resolve());
             opts = {
                 url: 'https://stinger.ut.api.beeswax.com/rest/advertiser',
                 body: { advertiser_id: 1234 }
@@ -238,7 +396,7 @@ describe('BeeswaxClient', function() {
                 del: Promise.resolve({ success: true, payload: { deleted: 'yes' } }),
             };
             ['get', 'post', 'put', 'del'].forEach(function(verb) {
-                spyOn(rp, verb).and.callFake(function() { return resps[verb]; });
+                spyOn(rp, verb).and.callFake(function() { return typeof resps[verb] === 'function' ? resps[verb]() : resps[verb]; });
             });
         });
         
@@ -251,7 +409,7 @@ describe('BeeswaxClient', function() {
                     json: true,
                     jar: beeswax._cookieJar
                 });
-                expect(beeswax.authenticate).not.toHaveBeenCalled();
+                expect(beeswax._authenticate).not.toHaveBeenCalled();
                 expect(rp.get.calls.count()).toBe(1);
             }).catch(function(error) {
                 expect(error).not.toBeDefined();
@@ -277,16 +435,41 @@ describe('BeeswaxClient', function() {
                 expect(rp.post).toHaveBeenCalledWith({ url: 'https://sting.bw.com/rest/bar', body: { name: 'doofus' }, json: true, jar: beeswax._cookieJar });
                 expect(rp.put).toHaveBeenCalledWith({ url: 'https://sting.bw.com/rest/blah', body: { id: 1234 }, json: true, jar: beeswax._cookieJar });
                 expect(rp.del).toHaveBeenCalledWith({ url: 'https://sting.bw.com/rest/bloop', body: { id: 9876 }, json: true, jar: beeswax._cookieJar });
-                expect(beeswax.authenticate).not.toHaveBeenCalled();
+                expect(beeswax._authenticate).not.toHaveBeenCalled();
             }).catch(function(error) {
                 expect(error).not.toBeDefined();
             }).done(done);
         });
         
+        it('should send requests through the scheduler', function(done) {
+            spyOn(beeswax._scheduler, 'schedule').and.callThrough();
+            Promise.all([
+                beeswax.request('get', opts),
+                beeswax.request('get', opts, { priority: 'batch' })
+            ]).then(function() {
+                expect(beeswax._scheduler.schedule).toHaveBeenCalledWith(jasmine.any(Function), 'interactive');
+                expect(beeswax._scheduler.schedule).toHaveBeenCalledWith(jasmine.any(Function), 'batch');
+                expect(rp.get.calls.count()).toBe(2);
+            }).catch(function(error) {
+                expect(error).not.toBeDefined();
+            }).done(done);
+        });
+
+        it('should reject once the client has been closed', function(done) {
+            beeswax.close().then(function() {
+                return beeswax.request('get', opts);
+            }).then(function() {
+                fail('Should not have resolved');
+            }).catch(function(error) {
+                expect(error).toEqual(new Error('BeeswaxClient has been closed'));
+                expect(rp.get).not.toHaveBeenCalled();
+            }).done(done);
+        });
+
         describe('if the request returns a 401 response', function() {
             beforeEach(function() {
-                resps.get = Promise.reject(new rpErrors.StatusCodeError(401, 'Unauthenticated', { opts: 'yes' }, { response: 'large' }));
-                beeswax.authenticate.and.callFake(function() {
+                resps.get = function() { return Promise.reject(new rpErrors.StatusCodeError(401, 'Unauthenticated', { opts: 'yes' }, { response: 'large' })); };
+                beeswax._authenticate.and.callFake(function() {
                     resps.get = Promise.resolve({ success: true, payload: { id: 1234 } });
                     return Promise.resolve();
                 });
@@ -304,20 +487,32 @@ describe('BeeswaxClient', function() {
                             jar: beeswax._cookieJar
                         }]);
                     });
-                    expect(beeswax.authenticate).toHaveBeenCalled();
+                    expect(beeswax._authenticate).toHaveBeenCalled();
                 }).catch(function(error) {
                     expect(error).not.toBeDefined();
                 }).done(done);
             });
             
+            it('should reject if the request is still unauthenticated after authenticating', function(done) {
+                beeswax._authenticate.and.returnValue(Promise.resolve());
+                beeswax.request('get', opts).then(function() {
+                    fail('Should not have resolved');
+                }).catch(function(error) {
+                    expect(error).toEqual(jasmine.any(errors.AuthenticationError));
+                    expect(error.statusCode).toBe(401);
+                    expect(rp.get.calls.count()).toBe(2);
+                    expect(beeswax._authenticate.calls.count()).toBe(1);
+                }).done(done);
+            });
+
             it('should reject and not retry if authentication fails', function(done) {
-                beeswax.authenticate.and.returnValue(Promise.reject(new Error('ECONNRESET')));
+                beeswax._authenticate.and.callFake(function() { return Promise.reject(new Error('ECONNRESET')); });
                 beeswax.request('get', opts).then(function(body) {
                     expect(body).not.toBeDefined();
                 }).catch(function(error) {
                     expect(error).toEqual(new Error('ECONNRESET'));
                     expect(rp.get.calls.count()).toBe(1);
-                    expect(beeswax.authenticate).toHaveBeenCalled();
+                    expect(beeswax._authenticate).toHaveBeenCalled();
                 }).done(done);
             });
         });
@@ -327,28 +522,1167 @@ describe('BeeswaxClient', function() {
             beeswax.request('get', opts).then(function() {
                 fail('Should not have resolved');
             }).catch(function(error) {
-                expect(error).toEqual(new Error(util.inspect({ success: false, message: 'cant find it :(' })));
+                expect(error).toEqual(jasmine.any(errors.ValidationError));
+                expect(error.method).toBe('get');
+                expect(error.endpoint).toBe('/rest/advertiser');
+                expect(error.messages).toEqual(['cant find it :(']);
                 expect(rp.get).toHaveBeenCalled();
-                expect(beeswax.authenticate).not.toHaveBeenCalled();
+                expect(beeswax._authenticate).not.toHaveBeenCalled();
             }).done(done);
         });
         
         it('should reject if the response fails', function(done) {
-            resps.get = Promise.reject(new rpErrors.StatusCodeError(500, 'BIG PROBLEMS', { opts: 'yes' }, { reponse: 'yes' }));
+            resps.get = function() { return Promise.reject(new rpErrors.StatusCodeError(500, 'BIG PROBLEMS', { opts: 'yes' }, { reponse: 'yes' })); };
             beeswax.request('get', opts).then(function() {
                 fail('Should not have resolved');
             }).catch(function(error) {
-                expect(error).toEqual(jasmine.any(rpErrors.StatusCodeError));
+                expect(error).toEqual(jasmine.any(errors.ServerError));
                 expect(error.statusCode).toBe(500);
+                expect(error.method).toBe('get');
+                expect(error.endpoint).toBe('/rest/advertiser');
                 expect(error.message).toMatch(/BIG PROBLEMS/);
-                expect(error.error).toBe('BIG PROBLEMS');
+                expect(error.body).toBe('BIG PROBLEMS');
                 expect(error.response).not.toBeDefined();
                 expect(rp.get).toHaveBeenCalled();
-                expect(beeswax.authenticate).not.toHaveBeenCalled();
+                expect(beeswax._authenticate).not.toHaveBeenCalled();
+            }).done(done);
+        });
+
+        describe('if the request fails with a transient error', function() {
+            var getResps;
+            beforeEach(function() {
+                beeswax = new BeeswaxClient({
+                    apiRoot: mockOps.apiRoot,
+                    creds: mockOps.creds,
+                    retry: { baseDelay: 0, maxAttempts: 3 }
+                });
+                spyOn(beeswax, '_authenticate').and.returnValue(Promise.resolve());
+                getResps = [
+                    function() { return Promise.reject(new rpErrors.StatusCodeError(503, 'unavailable', {}, {})); },
+                    function() { return Promise.resolve({ success: true, payload: { found: 'yes' } }); }
+                ];
+                rp.get.and.callFake(function() { return getResps.shift()(); });
+            });
+
+            it('should retry the request', function(done) {
+                beeswax.request('get', opts).then(function(body) {
+                    expect(body).toEqual({ success: true, payload: { found: 'yes' } });
+                    expect(rp.get.calls.count()).toBe(2);
+                }).catch(function(error) {
+                    expect(error).not.toBeDefined();
+                }).done(done);
+            });
+
+            it('should retry network errors', function(done) {
+                var cause = new Error('socket hang up');
+                cause.code = 'ECONNRESET';
+                getResps[0] = function() { return Promise.reject(new rpErrors.RequestError(cause, {}, {})); };
+                beeswax.request('get', opts).then(function(body) {
+                    expect(body).toEqual({ success: true, payload: { found: 'yes' } });
+                    expect(rp.get.calls.count()).toBe(2);
+                }).catch(function(error) {
+                    expect(error).not.toBeDefined();
+                }).done(done);
+            });
+
+            it('should give up after the max number of attempts', function(done) {
+                rp.get.and.callFake(function() {
+                    return Promise.reject(new rpErrors.StatusCodeError(502, 'bad gateway', {}, {}));
+                });
+                beeswax.request('get', opts).then(function() {
+                    fail('Should not have resolved');
+                }).catch(function(error) {
+                    expect(error).toEqual(jasmine.any(errors.ServerError));
+                    expect(error.statusCode).toBe(502);
+                    expect(error.attempts).toBe(3);
+                    expect(rp.get.calls.count()).toBe(3);
+                }).done(done);
+            });
+
+            it('should not retry errors that are not retryable', function(done) {
+                getResps[0] = function() { return Promise.reject(new rpErrors.StatusCodeError(500, 'broken', {}, {})); };
+                beeswax.request('get', opts).then(function() {
+                    fail('Should not have resolved');
+                }).catch(function(error) {
+                    expect(error).toEqual(jasmine.any(errors.ServerError));
+                    expect(error.attempts).toBe(1);
+                    expect(rp.get.calls.count()).toBe(1);
+                }).done(done);
+            });
+
+            it('should not retry POSTs unless explicitly allowed', function(done) {
+                rp.post.and.callFake(function() { return getResps.shift()(); });
+                beeswax.request('post', opts).then(function() {
+                    fail('Should not have resolved');
+                }).catch(function(error) {
+                    expect(error).toEqual(jasmine.any(errors.ServerError));
+                    expect(rp.post.calls.count()).toBe(1);
+                    getResps.unshift(function() { return Promise.reject(new rpErrors.StatusCodeError(503, 'unavailable', {}, {})); });
+                    return beeswax.request('post', opts, { retry: { retryNonIdempotent: true } });
+                }).then(function(body) {
+                    expect(body).toEqual({ success: true, payload: { found: 'yes' } });
+                    expect(rp.post.calls.count()).toBe(3);
+                }).catch(function(error) {
+                    expect(error).not.toBeDefined();
+                }).done(done);
+            });
+
+            it('should allow disabling retries per request', function(done) {
+                beeswax.request('get', opts, { retry: false }).then(function() {
+                    fail('Should not have resolved');
+                }).catch(function(error) {
+                    expect(error).toEqual(jasmine.any(errors.ServerError));
+                    expect(rp.get.calls.count()).toBe(1);
+                }).done(done);
+            });
+        });
+
+        it('should reject with a NetworkError if the request never gets a response', function(done) {
+            var cause = new Error('socket hang up');
+            cause.code = 'ECONNRESET';
+            resps.get = function() { return Promise.reject(new rpErrors.RequestError(cause, { opts: 'yes' }, { response: 'yes' })); };
+            beeswax.request('get', opts).then(function() {
+                fail('Should not have resolved');
+            }).catch(function(error) {
+                expect(error).toEqual(jasmine.any(errors.NetworkError));
+                expect(error.code).toBe('ECONNRESET');
+                expect(error.endpoint).toBe('/rest/advertiser');
+            }).done(done);
+        });
+
+        it('should reject with a RateLimitError if Beeswax throttles the request', function(done) {
+            resps.get = function() { return Promise.reject(new rpErrors.StatusCodeError(429, 'slow down', { opts: 'yes' },
+                { headers: { 'retry-after': '3' } })); };
+            beeswax.request('get', opts, { retry: false }).then(function() {
+                fail('Should not have resolved');
+            }).catch(function(error) {
+                expect(error).toEqual(jasmine.any(errors.RateLimitError));
+                expect(error.statusCode).toBe(429);
+                expect(error.retryAfter).toBe(3000);
+            }).done(done);
+        });
+    });
+    
+    describe('with a custom transport', function() {
+        var transport, beeswax;
+        beforeEach(function() {
+            transport = {
+                send: jasmine.createSpy('send').and.callFake(function(req) {
+                    if (req.url.match(/authenticate/)) {
+                        return Promise.resolve({ success: true });
+                    }
+                    return transport.send.calls.count() === 1 ?
+                        Promise.reject(errors.httpError(401, 'Unauthenticated')) :
+                        Promise.resolve({ success: true, payload: [{ id: 1 }] });
+                })
+            };
+            mockOps.transport = transport;
+            mockOps.retry = false;
+            beeswax = new BeeswaxClient(mockOps);
+        });
+
+        it('should send requests + authenticate through the transport', function(done) {
+            beeswax.request('get', { url: 'https://sting.bw.com/rest/foo', body: { id: 1 } }).then(function(body) {
+                expect(body).toEqual({ success: true, payload: [{ id: 1 }] });
+                expect(transport.send.calls.allArgs()).toEqual([
+                    [{ method: 'get', url: 'https://sting.bw.com/rest/foo', body: { id: 1 }, jar: beeswax._cookieJar }],
+                    [{
+                        method: 'post',
+                        url: 'https://stinger.ut.api.beeswax.com/rest/authenticate',
+                        body: { email: 'foo@bar.com', password: 'very good password', keep_logged_in: true },
+                        jar: beeswax._cookieJar
+                    }],
+                    [{ method: 'get', url: 'https://sting.bw.com/rest/foo', body: { id: 1 }, jar: beeswax._cookieJar }]
+                ]);
+            }).then(done, done.fail);
+        });
+
+        it('should normalize errors from the transport', function(done) {
+            transport.send.and.callFake(function() { return Promise.reject(errors.httpError(404, { success: false })); });
+            beeswax.request('get', { url: 'https://sting.bw.com/rest/foo' }).then(done.fail, function(error) {
+                expect(error).toEqual(jasmine.any(errors.NotFoundError));
+                expect(error.endpoint).toBe('/rest/foo');
+                expect(error.response).not.toBeDefined();
+            }).then(done, done.fail);
+        });
+
+        it('should not upload from a sourceUrl if the transport cannot open streams', function(done) {
+            beeswax.uploadCreativeAsset({ sourceUrl: 'https://cdn.com/a.png' }).then(done.fail, function(error) {
+                expect(error.message).toBe('The transport does not support uploading a sourceUrl');
+                expect(transport.send).not.toHaveBeenCalled();
+            }).then(done, done.fail);
+        });
+    });
+
+    describe('middleware', function() {
+        var transport, beeswax, calls;
+
+        function record(name) {
+            return function() {
+                var ctx = arguments[arguments.length - 1]; // afterResponse also gets the request
+                calls.push([name, ctx.type, ctx.attempt]);
+            };
+        }
+
+        beforeEach(function() {
+            calls = [];
+            transport = {
+                send: jasmine.createSpy('send').and.callFake(function(req) {
+                    calls.push(['send', req.method, req.url]);
+                    return Promise.resolve({ success: true, payload: [{ id: 1 }] });
+                })
+            };
+            mockOps.transport = transport;
+            beeswax = new BeeswaxClient(mockOps);
+            spyOn(Promise, 'delay').and.returnValue(Promise.resolve());
+        });
+
+        it('should be added with use() or opts.middleware', function() {
+            var first = { beforeRequest: function() {} },
+                second = { onError: function() {} };
+
+            expect(beeswax._middleware).toEqual([]);
+            expect(beeswax.use(first).use(second)).toBe(beeswax);
+            expect(beeswax._middleware).toEqual([first, second]);
+            expect(new BeeswaxClient({ creds: mockOps.creds, middleware: [second, first] })._middleware).toEqual([second, first]);
+            [undefined, {}, { before: function() {} }].forEach(function(middleware) {
+                expect(function() { beeswax.use(middleware); }).toThrow(new Error('middleware must be an object with at ' +
+                    'least one of these methods: beforeRequest, afterResponse, onReauthenticate, onRetry, onError'));
+            });
+        });
+
+        it('should let beforeRequest hooks change or replace each attempt\'s request', function(done) {
+            beeswax.use({
+                beforeRequest: function(req, ctx) {
+                    req.headers = { 'X-Correlation-Id': 'job-' + ctx.meta.job + '-' + ctx.attempt };
+                }
+            }).use({
+                beforeRequest: function(req) {
+                    return Promise.resolve({ method: req.method, url: req.url, headers: req.headers, body: { wrapped: req.body } });
+                }
+            });
+            transport.send.and.callFake(function() {
+                return transport.send.calls.count() === 1 ? Promise.reject(errors.httpError(503, 'busy')) : Promise.resolve({ success: true });
+            });
+
+            var opts = { url: 'https://sting.bw.com/rest/foo', body: { id: 1 } };
+            beeswax.request('get', opts, { meta: { job: 7 } }).then(function() {
+                expect(transport.send.calls.allArgs()).toEqual([
+                    [{ method: 'get', url: 'https://sting.bw.com/rest/foo', headers: { 'X-Correlation-Id': 'job-7-1' }, body: { wrapped: { id: 1 } } }],
+                    [{ method: 'get', url: 'https://sting.bw.com/rest/foo', headers: { 'X-Correlation-Id': 'job-7-2' }, body: { wrapped: { id: 1 } } }]
+                ]);
+                expect(opts).toEqual({ url: 'https://sting.bw.com/rest/foo', body: { id: 1 } });
+            }).then(done, done.fail);
+        });
+
+        it('should let afterResponse hooks transform response bodies', function(done) {
+            beeswax.use({
+                afterResponse: function(body, req, ctx) {
+                    expect(req.url).toBe('https://stinger.ut.api.beeswax.com/rest/campaign');
+                    expect(ctx).toEqual({ type: 'request', method: 'get', endpoint: '/rest/campaign', attempt: 1, meta: undefined });
+                    return { success: true, payload: body.payload.map(function(item) { return { campaign_id: item.id }; }) };
+                }
+            }).use({
+                afterResponse: function() {}
+            });
+
+            beeswax.campaigns.query({}).then(function(resp) {
+                expect(resp).toEqual({ success: true, payload: [{ campaign_id: 1 }] });
+            }).then(done, done.fail);
+        });
+
+        it('should let beforeRequest hooks inject failures, which are retried', function(done) {
+            var failures = 2,
+                retries = [];
+
+            beeswax.use({
+                beforeRequest: function() {
+                    if (failures-- > 0) {
+                        return Promise.reject(errors.httpError(503, { success: false, message: 'injected' }));
+                    }
+                },
+                onRetry: function(error, ctx) {
+                    retries.push([error.statusCode, ctx.attempt, ctx.delay]);
+                }
+            });
+
+            beeswax.campaigns.query({}).then(function(resp) {
+                expect(resp.payload).toEqual([{ id: 1 }]);
+                expect(transport.send.calls.count()).toBe(1);
+                expect(retries).toEqual([[503, 1, jasmine.any(Number)], [503, 2, jasmine.any(Number)]]);
+                expect(Promise.delay.calls.allArgs()).toEqual([[retries[0][2]], [retries[1][2]]]);
+            }).then(done, done.fail);
+        });
+
+        it('should call onError hooks with the final error, which they can replace', function(done) {
+            var seen = [];
+            transport.send.and.callFake(function() { return Promise.reject(errors.httpError(404, { success: false })); });
+            beeswax.use({
+                onError: function(error, ctx) {
+                    seen.push([error.statusCode, ctx.type, ctx.endpoint]);
+                }
+            }).use({
+                onError: function(error) {
+                    var wrapped = new Error('wrapped: ' + error.message);
+                    wrapped.cause = error;
+                    return wrapped;
+                }
+            });
+
+            beeswax.request('get', { url: 'https://sting.bw.com/rest/foo' }).then(done.fail, function(error) {
+                expect(error.message).toMatch(/^wrapped: GET \/rest\/foo failed with 404/);
+                expect(error.cause).toEqual(jasmine.any(errors.NotFoundError));
+                expect(seen).toEqual([[404, 'request', '/rest/foo']]);
+            }).then(done, done.fail);
+        });
+
+        it('should run hooks for authentication + re-authentication', function(done) {
+            transport.send.and.callFake(function(req) {
+                calls.push(['send', req.method, req.url]);
+                return transport.send.calls.count() === 1 ?
+                    Promise.reject(errors.httpError(401, 'Unauthenticated')) :
+                    Promise.resolve({ success: true, payload: [] });
+            });
+            beeswax.use({
+                beforeRequest: record('beforeRequest'),
+                afterResponse: record('afterResponse'),
+                onReauthenticate: function(error, ctx) {
+                    expect(error.statusCode).toBe(401);
+                    calls.push(['onReauthenticate', ctx.type, ctx.attempt]);
+                }
+            });
+
+            beeswax.campaigns.query({}).then(function() {
+                expect(calls).toEqual([
+                    ['beforeRequest', 'request', 1],
+                    ['send', 'get', 'https://stinger.ut.api.beeswax.com/rest/campaign'],
+                    ['onReauthenticate', 'request', 1],
+                    ['beforeRequest', 'auth', 1],
+                    ['send', 'post', 'https://stinger.ut.api.beeswax.com/rest/authenticate'],
+                    ['afterResponse', 'auth', 1],
+                    ['beforeRequest', 'request', 1],
+                    ['send', 'get', 'https://stinger.ut.api.beeswax.com/rest/campaign'],
+                    ['afterResponse', 'request', 1]
+                ]);
+            }).then(done, done.fail);
+        });
+
+        it('should call onError hooks when authentication fails', function(done) {
+            var seen = [];
+            transport.send.and.callFake(function() { return Promise.reject(errors.httpError(401, { success: false, message: 'bad password' })); });
+            beeswax.use({
+                onError: function(error, ctx) {
+                    seen.push([error.constructor.name, ctx.type]);
+                }
+            });
+
+            beeswax.authenticate().then(done.fail, function(error) {
+                expect(error).toEqual(jasmine.any(errors.AuthenticationError));
+                expect(seen).toEqual([['AuthenticationError', 'auth']]);
+            }).then(done, done.fail);
+        });
+
+        it('should call onError hooks once if re-authenticating fails during a request', function(done) {
+            var seen = [];
+            transport.send.and.callFake(function() { return Promise.reject(errors.httpError(401, { success: false, message: 'bad password' })); });
+            beeswax.use({
+                onError: function(error, ctx) {
+                    seen.push([error.constructor.name, ctx.type, ctx.endpoint]);
+                }
+            });
+
+            beeswax.request('get', { url: 'https://sting.bw.com/rest/foo' }).then(done.fail, function(error) {
+                expect(error).toEqual(jasmine.any(errors.AuthenticationError));
+                expect(error.endpoint).toBe('/rest/authenticate');
+                expect(seen).toEqual([['AuthenticationError', 'request', '/rest/foo']]);
+            }).then(done, done.fail);
+        });
+
+        it('should run hooks for creative asset uploads', function(done) {
+            beeswax.use({
+                beforeRequest: function(req, ctx) {
+                    req.headers = { 'X-Job': 'upload' };
+                    calls.push(['beforeRequest', ctx.type, ctx.endpoint]);
+                }
+            });
+
+            beeswax._sendCreativeAsset(1, {
+                name: 'a.txt',
+                mimeType: 'text/plain',
+                size: 3,
+                hash: 'hash',
+                open: function() {
+                    var stream = new (require('stream').PassThrough)();
+                    stream.end('abc');
+                    return stream;
+                }
+            }).then(function() {
+                var req = transport.send.calls.argsFor(0)[0];
+                expect(req.headers).toEqual({ 'X-Job': 'upload' });
+                expect(calls[0]).toEqual(['beforeRequest', 'upload', '/rest/creative_asset/upload']);
+                req.formData.creative_content.value.resume();
+            }).then(done, done.fail);
+        });
+
+        it('should call onError hooks once if re-authenticating fails during an upload', function(done) {
+            var seen = [];
+            transport.send.and.callFake(function(req) {
+                if (req.formData) {
+                    req.formData.creative_content.value.resume();
+                }
+                return Promise.reject(errors.httpError(401, { success: false, message: 'bad password' }));
+            });
+            beeswax.use({
+                onError: function(error, ctx) {
+                    seen.push([error.constructor.name, ctx.type, ctx.endpoint]);
+                }
+            });
+
+            beeswax._sendCreativeAsset(1, {
+                name: 'a.txt',
+                mimeType: 'text/plain',
+                size: 3,
+                hash: 'hash',
+                open: function() {
+                    var stream = new (require('stream').PassThrough)();
+                    stream.end('abc');
+                    return stream;
+                }
+            }).then(done.fail, function(error) {
+                expect(error).toEqual(jasmine.any(errors.AuthenticationError));
+                expect(seen).toEqual([['AuthenticationError', 'upload', '/rest/creative_asset/upload']]);
+            }).then(done, done.fail);
+        });
+    });
+
+    describe('registering entities', function() {
+        var entities;
+
+        beforeEach(function() {
+            entities = require('../../lib/entities');
+        });
+
+        afterEach(function() {
+            delete entities.widgets;
+        });
+
+        it('should only set up methods for the operations each entity supports', function() {
+            var beeswax = new BeeswaxClient(mockOps);
+
+            expect(Object.keys(beeswax.deals).sort()).toEqual(['create', 'createMany', 'delete', 'deleteMany', 'edit', 'editMany',
+                                                                'find', 'findMany', 'iterate', 'patch', 'query', 'queryAll']);
+            expect(Object.keys(beeswax.accounts).sort()).toEqual(['edit', 'editMany', 'find', 'findMany', 'iterate', 'patch', 'query',
+                                                                   'queryAll']);
+            expect(Object.keys(beeswax.inventorySources).sort()).toEqual(['find', 'findMany', 'iterate', 'query', 'queryAll']);
+            ['users', 'creativeLineItems', 'bidModifiers', 'conversionPixels', 'domainLists', 'appLists'].forEach(function(type) {
+                expect(typeof beeswax[type].create).toBe('function');
+            });
+            expect(beeswax._entities.accounts).toEqual({
+                endpoint: '/rest/account',
+                idField: 'account_id',
+                capabilities: ['find', 'query', 'edit']
+            });
+        });
+
+        it('should register entities for every client created afterwards', function() {
+            var before = new BeeswaxClient(mockOps);
+
+            BeeswaxClient.registerEntity('widgets', { endpoint: '/rest/widget', idField: 'widget_id', capabilities: ['find', 'query'] });
+            expect(entities.widgets).toEqual({ endpoint: '/rest/widget', idField: 'widget_id', capabilities: ['find', 'query'] });
+
+            var beeswax = new BeeswaxClient(mockOps);
+            expect(before.widgets).not.toBeDefined();
+            expect(Object.keys(beeswax.widgets).sort()).toEqual(['find', 'findMany', 'iterate', 'query', 'queryAll']);
+            expect(function() { BeeswaxClient.registerEntity('widgets', { endpoint: '/rest/widget', idField: 'widget_id' }); })
+                .toThrow(new Error('Cannot register widgets: the name is already in use'));
+            expect(function() { BeeswaxClient.registerEntity('request', { endpoint: '/rest/request', idField: 'id' }); })
+                .toThrow(new Error('Cannot register request: the name is already in use'));
+        });
+
+        it('should not register entities over client properties', function() {
+            var beeswax = new BeeswaxClient(mockOps);
+
+            ['apiRoot', 'reports', '_cache', '_authPromise', 'constructor'].forEach(function(name) {
+                expect(function() { BeeswaxClient.registerEntity(name, { endpoint: '/rest/widget', idField: 'widget_id' }); })
+                    .toThrow(new Error('Cannot register ' + name + ': the name is already in use'));
+                expect(function() { beeswax.registerEntity(name, { endpoint: '/rest/widget', idField: 'widget_id' }); })
+                    .toThrow(new Error('Cannot register ' + name + ': the name is already in use'));
+                expect(entities.hasOwnProperty(name)).toBe(false);
+            });
+            expect(beeswax.reports).toEqual(jasmine.any(BeeswaxClient.Reporting));
+        });
+
+        it('should validate entity configs', function() {
+            expect(function() { BeeswaxClient.registerEntity('', { endpoint: '/rest/widget', idField: 'widget_id' }); })
+                .toThrow(new Error('Must provide a name for the entity'));
+            [undefined, { endpoint: '/rest/widget' }, { endpoint: 'rest/widget', idField: 'widget_id' }].forEach(function(cfg) {
+                expect(function() { BeeswaxClient.registerEntity('widgets', cfg); })
+                    .toThrow(new Error('Must provide an endpoint starting with \'/\' and an idField for widgets'));
+            });
+            expect(function() { BeeswaxClient.registerEntity('widgets', { endpoint: '/rest/widget', idField: 'widget_id', capabilities: ['find', 'upsert'] }); })
+                .toThrow(new Error('Unknown capabilities for widgets: upsert; must be some of: find, query, create, edit, delete'));
+            expect(entities.widgets).not.toBeDefined();
+        });
+
+        it('should register entities for a single client', function(done) {
+            var fake = new BeeswaxClient.FakeBeeswax({ entities: { widgets: { endpoint: '/rest/widget', idField: 'widget_id' } } }),
+                logger = jasmine.createSpyObj('logger', ['info', 'warn']),
+                beeswax = new BeeswaxClient({ creds: mockOps.creds, transport: fake, logger: logger });
+
+            rp.jar.and.callThrough();
+            expect(beeswax.registerEntity('widgets', { endpoint: '/rest/widget', idField: 'widget_id', capabilities: ['find', 'create'] }))
+                .toBe(beeswax);
+            expect(new BeeswaxClient(mockOps).widgets).not.toBeDefined();
+            expect(entities.widgets).not.toBeDefined();
+            expect(beeswax.widgets.query).not.toBeDefined();
+            expect(function() { beeswax.registerEntity('campaigns', { endpoint: '/rest/campaign', idField: 'campaign_id' }); })
+                .toThrow(new Error('Cannot register campaigns: the name is already in use'));
+
+            beeswax = new BeeswaxClient({ creds: mockOps.creds, transport: fake, logger: logger })
+                .registerEntity('widgets', { endpoint: '/rest/widget', idField: 'widget_id', capabilities: ['find', 'create'] });
+            beeswax.widgets.create({ widget_name: 'foo' }).then(function(resp) {
+                expect(resp.payload).toEqual(jasmine.objectContaining({ widget_id: 1, widget_name: 'foo' }));
+                expect(fake.get('widgets', 1).widget_name).toBe('foo');
+                expect(logger.info.calls.mostRecent().args[1].entity).toBe('widgets');
+            }).then(done, done.fail);
+        });
+    });
+
+    describe('finding many entities', function() {
+        var fake, beeswax;
+
+        function gets() {
+            return fake.requests.filter(function(req) { return req.method === 'get'; });
+        }
+
+        beforeEach(function() {
+            rp.jar.and.callThrough();
+            fake = new BeeswaxClient.FakeBeeswax({ users: [mockOps.creds] });
+            fake.seed('lineItems', [1, 2, 3, 4, 5].map(function(id) {
+                return { line_item_id: id, campaign_id: 1, line_item_name: 'li ' + id };
+            }));
+            beeswax = new BeeswaxClient({ creds: mockOps.creds, transport: fake, coalesce: true });
+        });
+
+        it('should only coalesce lookups if opts.coalesce is true', function() {
+            expect(beeswax._coalesce).toBe(true);
+            expect(new BeeswaxClient({ creds: mockOps.creds })._coalesce).toBe(false);
+            expect(new BeeswaxClient({ creds: mockOps.creds, coalesce: false })._coalesce).toBe(false);
+        });
+
+        it('should find entities in batches, in order, with explicit misses', function(done) {
+            beeswax.authenticate().then(function() {
+                return beeswax.lineItems.findMany([5, 99, '1', 3, 5, 2, 4], { batchSize: 2 });
+            }).then(function(resp) {
+                expect(resp.success).toBe(true);
+                expect(resp.payload.map(function(li) { return li && li.line_item_name; }))
+                    .toEqual(['li 5', null, 'li 1', 'li 3', 'li 5', 'li 2', 'li 4']);
+                expect(resp.missing).toEqual([99]);
+                expect(gets().map(function(req) { return req.body; })).toEqual([
+                    { rows: 2, line_item_id: [5, 99] },
+                    { rows: 2, line_item_id: ['1', 3] },
+                    { rows: 2, line_item_id: [2, 4] }
+                ]);
+                return beeswax.lineItems.findMany([]);
+            }).then(function(resp) {
+                expect(resp).toEqual({ success: true, payload: [], missing: [] });
+                expect(gets().length).toBe(3);
+            }).then(done, done.fail);
+        });
+
+        it('should query for up to 50 ids at a time by default', function(done) {
+            var ids = [];
+            for (var id = 1; id <= 120; id++) {
+                ids.push(id);
+            }
+
+            beeswax.authenticate().then(function() {
+                return beeswax.lineItems.findMany(ids);
+            }).then(function(resp) {
+                expect(resp.payload.length).toBe(120);
+                expect(resp.missing.length).toBe(115);
+                expect(gets().map(function(req) { return req.body.line_item_id.length; })).toEqual([50, 50, 20]);
+            }).then(done, done.fail);
+        });
+
+        it('should share identical in-flight finds between callers + clients that opt in', function(done) {
+            var other = new BeeswaxClient({ creds: mockOps.creds, transport: fake, coalesce: true }),
+                uncoalesced = new BeeswaxClient({ creds: mockOps.creds, transport: fake });
+
+            Promise.all([beeswax.authenticate(), other.authenticate(), uncoalesced.authenticate()]).then(function() {
+                return Promise.all([
+                    beeswax.lineItems.find(1),
+                    beeswax.lineItems.find(1),
+                    other.lineItems.find(1),
+                    beeswax.lineItems.find(2),
+                    uncoalesced.lineItems.find(1),
+                    uncoalesced.lineItems.find(1)
+                ]);
+            }).then(function(results) {
+                expect(results.map(function(resp) { return resp.payload.line_item_id; })).toEqual([1, 1, 1, 2, 1, 1]);
+                expect(results[0].payload).not.toBe(results[1].payload);
+                expect(gets().length).toBe(4);
+            }).then(done, done.fail);
+        });
+
+        it('should only share finds between clients that identify their account', function(done) {
+            fake.tokens = ['a', 'b'];
+            var clients = [
+                new BeeswaxClient({ auth: new BeeswaxClient.TokenAuth('a'), transport: fake, coalesce: true }),
+                new BeeswaxClient({ auth: new BeeswaxClient.TokenAuth('b'), transport: fake, coalesce: true }),
+                new BeeswaxClient({ auth: new BeeswaxClient.TokenAuth('a'), transport: fake, sessionKey: 'acct', coalesce: true }),
+                new BeeswaxClient({ auth: new BeeswaxClient.TokenAuth('a'), transport: fake, sessionKey: 'acct', coalesce: true })
+            ];
+
+            Promise.all([
+                clients[0].lineItems.find(1),
+                clients[0].lineItems.find(1),
+                clients[1].lineItems.find(1),
+                clients[2].lineItems.find(1),
+                clients[3].lineItems.find(1)
+            ]).then(function(results) {
+                expect(results.map(function(resp) { return resp.payload.line_item_id; })).toEqual([1, 1, 1, 1, 1]);
+                expect(gets().length).toBe(3);
+                expect(clients[0]._accountKey).not.toBe(clients[1]._accountKey);
+            }).then(done, done.fail);
+        });
+
+        it('should not share finds that were in flight during a write', function(done) {
+            beeswax.authenticate().then(function() {
+                var before = beeswax.lineItems.find(1),
+                    write = beeswax.lineItems.edit(1, { line_item_name: 'new name' });
+
+                return Promise.all([before, write]);
+            }).then(function() {
+                return beeswax.lineItems.find(1);
+            }).then(function(resp) {
+                expect(resp.payload.line_item_name).toBe('new name');
+            }).then(done, done.fail);
+        });
+    });
+
+    describe('with a cache', function() {
+        var fake, beeswax;
+
+        function gets() {
+            return fake.requests.filter(function(req) { return req.method === 'get'; }).length;
+        }
+
+        beforeEach(function() {
+            rp.jar.and.callThrough();
+            fake = new BeeswaxClient.FakeBeeswax({ users: [mockOps.creds] });
+            fake.seed('campaigns', [{ campaign_id: 1, advertiser_id: 1, campaign_name: 'foo' }]);
+            beeswax = new BeeswaxClient({ creds: mockOps.creds, transport: fake, cache: { ttl: 5000, entities: { advertisers: false } },
+                                         coalesce: true });
+        });
+
+        it('should set up a cache for the account', function() {
+            var store = new BeeswaxClient.MemoryCache();
+
+            expect(new BeeswaxClient(mockOps)._cache).not.toBeDefined();
+            expect(new BeeswaxClient(mockOps).cacheStats()).toBe(null);
+            expect(beeswax._cache.ttl).toBe(5000);
+            expect(beeswax._cache.entities).toEqual({ advertisers: false });
+            expect(beeswax._cache.namespace).toBe('https://stingersbx.api.beeswax.com|foo@bar.com');
+            expect(new BeeswaxClient({ creds: mockOps.creds, cache: true })._cache.ttl).toBe(60000);
+            expect(new BeeswaxClient({ creds: mockOps.creds, cache: { store: store, namespace: 'dash' } })._cache)
+                .toEqual(jasmine.objectContaining({ store: store, namespace: 'dash' }));
+        });
+
+        it('should require a namespace or sessionKey for a store if the account is unknown', function() {
+            var store = new BeeswaxClient.MemoryCache(),
+                auth = new BeeswaxClient.TokenAuth('abc');
+
+            expect(function() { return new BeeswaxClient({ auth: auth, cache: { store: store } }); })
+                .toThrow(new Error('cache.namespace or sessionKey is required with a cache store when the auth ' +
+                                   'strategy does not identify the account'));
+            expect(new BeeswaxClient({ auth: auth, cache: { store: store }, sessionKey: 'dash' })._cache.namespace)
+                .toBe('https://stingersbx.api.beeswax.com|dash');
+            expect(new BeeswaxClient({ auth: auth, cache: { store: store, namespace: 'dash' } })._cache.namespace)
+                .toBe('dash');
+            expect(new BeeswaxClient({ auth: auth, cache: true })._cache.namespace).toMatch(/^client-\d+$/);
+        });
+
+        it('should serve repeated finds + queries from the cache', function(done) {
+            beeswax.campaigns.query({ campaign_name: 'foo' }).then(function() {
+                return Promise.mapSeries([
+                    function() { return beeswax.campaigns.query({ campaign_name: 'foo' }); },
+                    function() { return beeswax.campaigns.find(1); },
+                    function() { return beeswax.campaigns.find(1); }
+                ], function(call) { return call(); });
+            }).then(function(results) {
+                expect(results[0].payload[0].campaign_name).toBe('foo');
+                expect(results[2]).toEqual(results[1]);
+                expect(results[1].payload.campaign_id).toBe(1);
+                expect(gets()).toBe(3); // The unauthenticated query, its retry, and the first find
+                return Promise.all([beeswax.advertisers.query({}), beeswax.advertisers.query({})]);
+            }).then(function() {
+                expect(gets()).toBe(4); // Advertisers aren't cached, but the identical queries are coalesced
+                expect(beeswax.cacheStats()).toEqual({
+                    hits: 2,
+                    misses: 2,
+                    invalidations: 0,
+                    entities: { campaigns: { hits: 2, misses: 2, invalidations: 0 } }
+                });
+            }).then(done, done.fail);
+        });
+
+        it('should drop an entity\'s cached responses when the client writes to it', function(done) {
+            beeswax.campaigns.find(1).then(function() {
+                return beeswax.campaigns.edit(1, { campaign_name: 'bar' });
+            }).then(function(resp) {
+                expect(resp.payload.campaign_name).toBe('bar');
+                return beeswax.campaigns.query({});
+            }).then(function(resp) {
+                expect(resp.payload.length).toBe(1);
+                return beeswax.campaigns.create({ advertiser_id: 1, campaign_name: 'baz' });
+            }).then(function() {
+                return beeswax.campaigns.query({});
+            }).then(function(resp) {
+                expect(resp.payload.length).toBe(2);
+                return beeswax.campaigns.delete(1);
+            }).then(function() {
+                return beeswax.campaigns.find(1);
+            }).then(function(resp) {
+                expect(resp.payload).not.toBeDefined();
+                expect(beeswax.cacheStats().invalidations).toBe(3);
+            }).then(done, done.fail);
+        });
+
+        it('should drop cached responses when a write fails', function(done) {
+            beeswax.campaigns.find(1).then(function() {
+                fake.failNext(500, { success: false, message: 'oops' });
+                return beeswax.campaigns.edit(1, { campaign_name: 'bar' });
+            }).then(done.fail, function(error) {
+                expect(error.statusCode).toBe(500);
+                expect(beeswax.cacheStats().invalidations).toBe(1);
+                expect(beeswax._cache.store.size()).toBe(0);
+            }).then(done, done.fail);
+        });
+    });
+
+    describe('with a logger + metrics sink', function() {
+        var fake, logger, metrics, beeswax;
+
+        beforeEach(function() {
+            rp.jar.and.callThrough();
+            fake = new BeeswaxClient.FakeBeeswax({ users: [mockOps.creds] });
+            logger = jasmine.createSpyObj('logger', ['info', 'warn']);
+            metrics = new BeeswaxClient.MemoryMetrics();
+            beeswax = new BeeswaxClient({ creds: mockOps.creds, transport: fake, logger: logger, metrics: metrics });
+            spyOn(Promise, 'delay').and.returnValue(Promise.resolve());
+        });
+
+        it('should log + measure every request sent, including logins and retries', function(done) {
+            beeswax.authenticate().then(function() {
+                fake.failNext(502, 'Bad Gateway');
+                return beeswax.campaigns.query({ campaign_name: 'foo' });
+            }).then(function() {
+                var events = logger.info.calls.allArgs().concat(logger.warn.calls.allArgs()).map(function(args) {
+                    return args[1];
+                });
+
+                expect(events.map(function(event) {
+                    return [event.type, event.method, event.endpoint, event.entity, event.attempt, event.status];
+                })).toEqual([
+                    ['auth', 'POST', '/rest/authenticate', undefined, 1, 200],
+                    ['request', 'GET', '/rest/campaign', 'campaigns', 2, 200],
+                    ['request', 'GET', '/rest/campaign', 'campaigns', 1, 502]
+                ]);
+                expect(events[0].body).toEqual({ email: '[REDACTED]', password: '[REDACTED]', keep_logged_in: true });
+                expect(events[2].body).toEqual({ campaign_name: 'foo' });
+
+                expect(metrics.snapshot().counters.filter(function(counter) {
+                    return counter.name === 'beeswax.retries';
+                })).toEqual([{
+                    name: 'beeswax.retries',
+                    tags: { type: 'request', method: 'GET', entity: 'campaigns', status: '200', endpoint: '/rest/campaign' },
+                    value: 1
+                }]);
+            }).then(done, done.fail);
+        });
+    });
+
+    describe('logging with a custom token header', function() {
+        it('should redact the header the auth strategy sends its token in', function(done) {
+            var logger = jasmine.createSpyObj('logger', ['info', 'warn']),
+                transport = { send: jasmine.createSpy('send').and.returnValue(Promise.resolve({ success: true, payload: [] })) },
+                beeswax = new BeeswaxClient({
+                    apiRoot: mockOps.apiRoot,
+                    auth: new BeeswaxClient.TokenAuth('my-api-key', { header: 'X-Api-Key', scheme: '' }),
+                    transport: transport,
+                    logger: logger
+                });
+
+            beeswax.campaigns.query({}).then(function() {
+                expect(transport.send.calls.argsFor(0)[0].headers).toEqual({ 'X-Api-Key': 'my-api-key' });
+                expect(logger.info.calls.argsFor(0)[1].headers).toEqual({ 'X-Api-Key': '[REDACTED]' });
+                expect(JSON.stringify(logger.info.calls.allArgs())).not.toContain('my-api-key');
+            }).then(done, done.fail);
+        });
+    });
+
+    describe('with an auth strategy', function() {
+        var fake;
+
+        beforeEach(function() {
+            rp.jar.and.callThrough();
+            fake = new BeeswaxClient.FakeBeeswax({ users: [], tokens: ['first'] });
+        });
+
+        it('should send tokens with requests + fetch a new one when the old one is rejected', function(done) {
+            var token = 'first',
+                beeswax = new BeeswaxClient({
+                    auth: new BeeswaxClient.TokenAuth(function() { return Promise.resolve(token); }),
+                    transport: fake,
+                    retry: false
+                });
+
+            beeswax.campaigns.query({}).then(function(resp) {
+                expect(resp).toEqual({ success: true, payload: [] });
+                fake.tokens = ['second'];
+                token = 'second';
+                return beeswax.campaigns.create({ advertiser_id: 1, campaign_name: 'foo' });
+            }).then(function(resp) {
+                expect(resp.payload.campaign_name).toBe('foo');
+                expect(fake.requests.map(function(req) { return req.method + ' ' + req.path; })).toEqual([
+                    'get /rest/campaign',
+                    'post /rest/campaign/strict',
+                    'post /rest/campaign/strict',
+                    'get /rest/campaign'
+                ]);
+                fake.tokens = [];
+                return beeswax.campaigns.query({});
+            }).then(done.fail, function(error) {
+                expect(error).toEqual(jasmine.any(errors.AuthenticationError));
+                expect(error.statusCode).toBe(401);
+            }).then(done, done.fail);
+        });
+
+        it('should send tokens with creative asset uploads', function(done) {
+            var transport = {
+                send: jasmine.createSpy('send').and.returnValue(Promise.resolve({ success: true, payload: [{ id: 1 }] }))
+            };
+            var beeswax = new BeeswaxClient({ auth: new BeeswaxClient.TokenAuth('abc'), transport: transport });
+
+            beeswax._sendCreativeAsset(1, {
+                name: 'a.txt',
+                mimeType: 'text/plain',
+                size: 3,
+                hash: 'hash',
+                open: function() {
+                    var stream = new (require('stream').PassThrough)();
+                    stream.end('abc');
+                    return stream;
+                }
+            }).then(function() {
+                var req = transport.send.calls.argsFor(0)[0];
+                expect(req.url).toBe('https://stingersbx.api.beeswax.com/rest/creative_asset/upload/1');
+                expect(req.headers).toEqual({ Authorization: 'Bearer abc' });
+                req.formData.creative_content.value.resume();
+            }).then(done, done.fail);
+        });
+
+        it('should get rotated creds from a creds function when logging in', function(done) {
+            var creds = { email: 'foo@bar.com', password: 'first' },
+                beeswax = new BeeswaxClient({
+                    creds: function() { return Promise.resolve(creds); },
+                    transport: fake,
+                    retry: false
+                });
+
+            fake.users = [{ email: 'foo@bar.com', password: 'first' }];
+            beeswax.campaigns.query({}).then(function() {
+                fake.users = [{ email: 'foo@bar.com', password: 'second' }];
+                fake.expireSessions();
+                creds = { email: 'foo@bar.com', password: 'second' };
+                return beeswax.campaigns.query({});
+            }).then(function(resp) {
+                expect(resp).toEqual({ success: true, payload: [] });
+                expect(fake.requests.filter(function(req) { return req.path === '/rest/authenticate'; }).map(function(req) {
+                    return req.body.password;
+                })).toEqual(['first', 'second']);
+            }).then(done, done.fail);
+        });
+    });
+
+    describe('with a session store', function() {
+        var fake, store;
+
+        function createClient() {
+            return new BeeswaxClient({
+                apiRoot: mockOps.apiRoot,
+                creds: mockOps.creds,
+                transport: fake,
+                sessionStore: store,
+                retry: false
+            });
+        }
+
+        function authRequests() {
+            return fake.requests.filter(function(req) { return req.path === '/rest/authenticate'; }).length;
+        }
+
+        beforeEach(function() {
+            rp.jar.and.callThrough();
+            fake = new BeeswaxClient.FakeBeeswax({ users: [mockOps.creds] });
+            store = new BeeswaxClient.MemorySessionStore();
+        });
+
+        afterEach(function() {
+            jasmine.clock().uninstall();
+        });
+
+        it('should require the store to have get + set methods', function() {
+            expect(function() { return new BeeswaxClient({ creds: mockOps.creds, sessionStore: { get: function() {} } }); })
+                .toThrow(new Error('sessionStore must be an object with get() and set() methods'));
+        });
+
+        it('should key sessions by apiRoot + email, unless a key is given', function() {
+            var beeswax = createClient();
+            expect(beeswax._sessionStore).toBe(store);
+            expect(beeswax._sessionKey).toBe('https://stinger.ut.api.beeswax.com|foo@bar.com');
+            expect(beeswax._sessionTtl).toBe(12 * 60 * 60 * 1000);
+
+            beeswax = new BeeswaxClient({ creds: mockOps.creds, sessionStore: store, sessionKey: 'mine', sessionTtl: 1000 });
+            expect(beeswax._sessionKey).toBe('mine');
+            expect(beeswax._sessionTtl).toBe(1000);
+        });
+
+        it('should require a sessionKey if the auth strategy does not identify the account', function() {
+            var error = new Error('sessionKey is required with a sessionStore when the auth strategy does not ' +
+                                  'identify the account');
+
+            expect(function() {
+                return new BeeswaxClient({ creds: function() { return mockOps.creds; }, sessionStore: store });
+            }).toThrow(error);
+            expect(function() {
+                return new BeeswaxClient({ auth: new BeeswaxClient.TokenAuth('abc'), sessionStore: store });
+            }).toThrow(error);
+            expect(new BeeswaxClient({ auth: new BeeswaxClient.TokenAuth('abc'), sessionStore: store, sessionKey: 'mine' })
+                ._sessionKey).toBe('mine');
+        });
+
+        it('should save the session after authenticating', function(done) {
+            jasmine.clock().install();
+            jasmine.clock().mockDate(new Date(2017, 0, 1));
+            createClient().campaigns.query({}).then(function() {
+                return store.get('https://stinger.ut.api.beeswax.com|foo@bar.com');
+            }).then(function(session) {
+                expect(session).toEqual({
+                    cookies: 'fake_beeswax_session=session-1',
+                    expires: new Date(2017, 0, 1).getTime() + 12 * 60 * 60 * 1000
+                });
+            }).then(done, done.fail);
+        });
+
+        it('should restore a saved session before sending the first request', function(done) {
+            createClient().authenticate().then(function() {
+                return createClient().campaigns.query({});
+            }).then(function(resp) {
+                expect(resp).toEqual({ success: true, payload: [] });
+                expect(fake.requests.map(function(req) { return req.method + ' ' + req.path; })).toEqual([
+                    'post /rest/authenticate',
+                    'get /rest/campaign'
+                ]);
+            }).then(done, done.fail);
+        });
+
+        it('should not restore expired sessions', function(done) {
+            var beeswax = createClient();
+            store.set(beeswax._sessionKey, { cookies: 'fake_beeswax_session=old', expires: Date.now() - 1 }).then(function() {
+                return beeswax.campaigns.query({});
+            }).then(function() {
+                expect(authRequests()).toBe(1);
+                expect(beeswax._cookieJar.getCookieString(mockOps.apiRoot)).toBe('fake_beeswax_session=session-1');
+            }).then(done, done.fail);
+        });
+
+        it('should adopt a newer saved session instead of logging in when its session is rejected', function(done) {
+            var first = createClient(),
+                second = createClient();
+
+            first.campaigns.query({}).then(function() {
+                return second.campaigns.query({});
+            }).then(function() {
+                fake.expireSessions();
+                return first.campaigns.query({});
+            }).then(function() {
+                return second.campaigns.query({});
+            }).then(function(resp) {
+                expect(resp).toEqual({ success: true, payload: [] });
+                expect(authRequests()).toBe(2);
+                expect(second._cookieJar.getCookieString(mockOps.apiRoot)).toBe('fake_beeswax_session=session-2');
+            }).then(done, done.fail);
+        });
+
+        it('should only let one of many clients sharing a store authenticate at once', function(done) {
+            var clients = [createClient(), createClient(), createClient(), createClient()];
+            Promise.all(clients.map(function(client) {
+                return client.campaigns.query({});
+            })).then(function(resps) {
+                resps.forEach(function(resp) {
+                    expect(resp).toEqual({ success: true, payload: [] });
+                });
+                expect(authRequests()).toBe(1);
+            }).then(done, done.fail);
+        });
+
+        it('should log in itself if the client holding the lock never saves a session', function(done) {
+            jasmine.clock().install();
+            jasmine.clock().mockDate(new Date(2017, 0, 1));
+            spyOn(Promise, 'delay').and.callFake(function(ms) {
+                jasmine.clock().tick(ms);
+                return Promise.resolve();
+            });
+            var beeswax = createClient();
+
+            store.lock(beeswax._sessionKey, 30000).then(function() {
+                return beeswax.campaigns.query({});
+            }).then(function(resp) {
+                expect(resp).toEqual({ success: true, payload: [] });
+                expect(authRequests()).toBe(1);
+                expect(Date.now()).toBeGreaterThan(new Date(2017, 0, 1).getTime() + 29000);
+            }).then(done, done.fail);
+        });
+
+        it('should work with stores that only implement get + set', function(done) {
+            var sessions = {};
+            store = {
+                get: function(key) { return sessions[key]; },
+                set: function(key, session) { sessions[key] = session; }
+            };
+
+            createClient().campaigns.query({}).then(function() {
+                return createClient().campaigns.query({});
+            }).then(function() {
+                expect(authRequests()).toBe(1);
+                expect(Object.keys(sessions)).toEqual(['https://stinger.ut.api.beeswax.com|foo@bar.com']);
+            }).then(done, done.fail);
+        });
+
+        it('should reject requests if the store fails', function(done) {
+            spyOn(store, 'get').and.callFake(function() { return Promise.reject(new Error('store is down')); });
+            var beeswax = createClient();
+            beeswax.campaigns.query({}).then(done.fail, function(error) {
+                expect(error.message).toBe('store is down');
+                expect(fake.requests).toEqual([]);
+                store.get.and.callThrough();
+                return beeswax.campaigns.query({});
+            }).then(function(resp) {
+                expect(resp).toEqual({ success: true, payload: [] });
+            }).then(done, done.fail);
+        });
+
+        it('should share sessions across restarts with a FileSessionStore', function(done) {
+            var os = require('os'),
+                fs = require('fs'),
+                path = require('path'),
+                sessionPath = path.join(os.tmpdir(), 'beeswax-client-sessions-' + process.pid + '.json');
+
+            store = new BeeswaxClient.FileSessionStore(sessionPath);
+            createClient().campaigns.query({}).then(function() {
+                store = new BeeswaxClient.FileSessionStore(sessionPath);
+                return createClient().campaigns.query({});
+            }).then(function() {
+                expect(authRequests()).toBe(1);
+            }).finally(function() {
+                fs.unlinkSync(sessionPath);
+            }).then(done, done.fail);
+        });
+    });
+
+    describe('queue management', function() {
+        var beeswax;
+        beforeEach(function() {
+            beeswax = new BeeswaxClient(mockOps);
+        });
+
+        it('should proxy to the scheduler', function(done) {
+            spyOn(beeswax._scheduler, 'size').and.returnValue(3);
+            spyOn(beeswax._scheduler, 'drain').and.returnValue(Promise.resolve('drained'));
+            spyOn(beeswax._scheduler, 'close').and.returnValue(Promise.resolve('closed'));
+
+            expect(beeswax.queueLength('batch')).toBe(3);
+            expect(beeswax._scheduler.size).toHaveBeenCalledWith('batch');
+            Promise.all([beeswax.drain(), beeswax.close()]).then(function(results) {
+                expect(results).toEqual(['drained', 'closed']);
+            }).catch(function(error) {
+                expect(error).not.toBeDefined();
             }).done(done);
         });
+
+        describe('with requests that are retrying or re-authenticating', function() {
+            var fake;
+
+            beforeEach(function() {
+                rp.jar.and.callThrough();
+                fake = new BeeswaxClient.FakeBeeswax({ users: [mockOps.creds], data: { advertisers: [{ advertiser_id: 1 }] } });
+                beeswax = new BeeswaxClient({ creds: mockOps.creds, transport: fake, retry: { baseDelay: 30, jitter: false } });
+            });
+
+            function gets() {
+                return fake.requests.filter(function(req) { return req.path === '/rest/advertiser'; }).length;
+            }
+
+            it('should let a request waiting to retry finish before closing', function(done) {
+                var found;
+
+                beeswax.authenticate().then(function() {
+                    fake.failNext(503);
+                    found = beeswax.advertisers.find(1);
+                    return Promise.delay(5);
+                }).then(function() {
+                    expect(beeswax._scheduler.stats().active).toBe(0);
+                    expect(gets()).toBe(1);
+                    return beeswax.close();
+                }).then(function() {
+                    expect(gets()).toBe(2);
+                    expect(beeswax._scheduler.stats().closed).toBe(true);
+                    return found;
+                }).then(function(resp) {
+                    expect(resp.payload.advertiser_id).toBe(1);
+                    return beeswax.advertisers.find(1);
+                }).then(done.fail, function(error) {
+                    expect(error.message).toBe('BeeswaxClient has been closed');
+                }).then(done, done.fail);
+            });
+
+            it('should let a request re-authenticate while closing', function(done) {
+                var found = beeswax.advertisers.find(1);
+
+                beeswax.close().then(function() {
+                    return found;
+                }).then(function(resp) {
+                    expect(resp.payload.advertiser_id).toBe(1);
+                    expect(fake.requests.map(function(req) { return req.path; })).toEqual([
+                        '/rest/advertiser', '/rest/authenticate', '/rest/advertiser'
+                    ]);
+                }).then(done, done.fail);
+            });
+
+            it('should wait for them in drain()', function(done) {
+                var found;
+
+                beeswax.authenticate().then(function() {
+                    fake.failNext(503);
+                    found = beeswax.advertisers.find(1);
+                    return Promise.delay(5);
+                }).then(function() {
+                    return beeswax.drain();
+                }).then(function() {
+                    expect(gets()).toBe(2);
+                    return found;
+                }).then(function(resp) {
+                    expect(resp.payload.advertiser_id).toBe(1);
+                    return beeswax.advertisers.find(1);
+                }).then(function(resp) {
+                    expect(resp.payload.advertiser_id).toBe(1);
+                }).then(done, done.fail);
+            });
+        });
     });
-    
+
     describe('_find', function() {
         var beeswax, reqResp;
         beforeEach(function() {
@@ -529,6 +1863,20 @@ describe('BeeswaxClient', function() {
             }).done(done);
         });
         
+        it('should pass pagination options to the iterator', function(done) {
+            beeswax._queryAll('/rest/campaign', 'campaign_id', {}, { maxResults: 60, batchSize: 20 }).then(function(body) {
+                expect(body.payload.length).toBe(60);
+                expect(beeswax.request.calls.count()).toBe(2);
+                expect(beeswax.request.calls.mostRecent().args[1].body).toEqual({
+                    offset: 20,
+                    rows: 20,
+                    sort_by: 'campaign_id'
+                });
+            }).catch(function(error) {
+                expect(error).not.toBeDefined();
+            }).done(done);
+        });
+
         it('should handle getting only a few items on the first request', function(done) {
             beeswax.request.and.returnValue(Promise.resolve({
                 success: true,
@@ -575,26 +1923,41 @@ describe('BeeswaxClient', function() {
         });
     });
     
+    describe('_iterate', function() {
+        it('should return a QueryIterator for the endpoint', function() {
+            var QueryIterator = require('../../lib/QueryIterator'),
+                beeswax = new BeeswaxClient(mockOps),
+                iterator = beeswax._iterate('/rest/campaign', 'campaign_id', { campaign_name: 'foo' }, { pageSize: 10 });
+            expect(iterator).toEqual(jasmine.any(QueryIterator));
+            expect(iterator._client).toBe(beeswax);
+            expect(iterator._endpoint).toBe('/rest/campaign');
+            expect(iterator._idField).toBe('campaign_id');
+            expect(iterator._body).toEqual({ campaign_name: 'foo' });
+            expect(iterator.pageSize).toBe(10);
+        });
+    });
+
     describe('_create', function() {
         var beeswax, resps;
         beforeEach(function() {
+            mockOps.validate = true;
             beeswax = new BeeswaxClient(mockOps);
             resps = {
                 get: Promise.resolve({ success: true, payload: [{ id: 9886, campaign: 'yes' }] }),
                 post: Promise.resolve({ success: true, payload: { id: 9886 } })
             };
             ['get', 'post'].forEach(function(verb) {
-                spyOn(rp, verb).and.callFake(function() { return resps[verb]; });
+                spyOn(rp, verb).and.callFake(function() { return typeof resps[verb] === 'function' ? resps[verb]() : resps[verb]; });
             });
             spyOn(beeswax, 'request').and.callThrough();
         });
         
         it('should send a properly formatted post request, and then find the created object', function(done) {
-            beeswax._create('/rest/campaign', 'campaign_id', { campaign_name: 'foobar' }).then(function(body) {
+            beeswax._create('/rest/campaign', 'campaign_id', { advertiser_id: 5, campaign_name: 'foobar' }).then(function(body) {
                 expect(body).toEqual({ success: true, payload: { id: 9886, campaign: 'yes' } });
                 expect(beeswax.request).toHaveBeenCalledWith('post', jasmine.objectContaining({
                     url: 'https://stinger.ut.api.beeswax.com/rest/campaign/strict',
-                    body: { campaign_name: 'foobar' }
+                    body: { advertiser_id: 5, campaign_name: 'foobar' }
                 }));
                 expect(beeswax.request).toHaveBeenCalledWith('get', jasmine.objectContaining({
                     url: 'https://stinger.ut.api.beeswax.com/rest/campaign',
@@ -622,9 +1985,75 @@ describe('BeeswaxClient', function() {
             }).done(done);
         });
         
-        it('should reject if the post request fails', function(done) {
-            resps.post = Promise.reject(new Error('I GOT A PROBLEM POSTING'));
+        it('should return an unsuccessful response if the body fails validation', function(done) {
+            beeswax._create('/rest/campaign', 'campaign_id', { campaign_name: 'foobar', active: 'yes' }).then(function(body) {
+                expect(body).toEqual({
+                    success: false,
+                    code: 400,
+                    message: 'Body failed validation: advertiser_id: is required; active: must be of type boolean',
+                    messages: ['advertiser_id: is required', 'active: must be of type boolean']
+                });
+                expect(beeswax.request).not.toHaveBeenCalled();
+            }).catch(function(error) {
+                expect(error).not.toBeDefined();
+            }).done(done);
+        });
+
+        it('should not validate unless enabled for the client', function(done) {
+            beeswax = new BeeswaxClient({ apiRoot: mockOps.apiRoot, creds: mockOps.creds });
+            spyOn(beeswax, 'request').and.callThrough();
+            beeswax._create('/rest/campaign', 'campaign_id', { campaign_name: 'foobar', advertiser_id: '5' }).then(function(body) {
+                expect(body.success).toBe(true);
+                expect(beeswax.request).toHaveBeenCalledWith('post', jasmine.objectContaining({
+                    body: { campaign_name: 'foobar', advertiser_id: '5' }
+                }));
+                return beeswax._create('/rest/campaign', 'campaign_id', { campaign_name: 'foobar' }, { validate: true });
+            }).then(function(body) {
+                expect(body.success).toBe(false);
+                expect(body.messages).toEqual(['advertiser_id: is required']);
+            }).then(done, done.fail);
+        });
+
+        it('should skip validation if disabled', function(done) {
+            beeswax._validate = false;
             beeswax._create('/rest/campaign', 'campaign_id', { campaign_name: 'foobar' }).then(function(body) {
+                expect(body.success).toBe(true);
+                beeswax._validate = true;
+                return beeswax._create('/rest/campaign', 'campaign_id', { campaign_name: 'foobar' }, { validate: false });
+            }).then(function(body) {
+                expect(body.success).toBe(true);
+                expect(beeswax.request.calls.count()).toBe(4);
+            }).catch(function(error) {
+                expect(error).not.toBeDefined();
+            }).done(done);
+        });
+
+        it('should resolve with the request that would be sent if dryRun is set', function(done) {
+            Promise.all([
+                beeswax._create('/rest/campaign', 'campaign_id', { advertiser_id: 5, campaign_name: 'foobar' }, { dryRun: true }),
+                beeswax._create('/rest/campaign', 'campaign_id', { campaign_name: 'foobar' }, { dryRun: true })
+            ]).then(function(results) {
+                expect(results[0]).toEqual({
+                    success: true,
+                    dryRun: true,
+                    request: {
+                        method: 'post',
+                        url: 'https://stinger.ut.api.beeswax.com/rest/campaign/strict',
+                        body: { advertiser_id: 5, campaign_name: 'foobar' }
+                    },
+                    messages: []
+                });
+                expect(results[1].success).toBe(false);
+                expect(results[1].messages).toEqual(['advertiser_id: is required']);
+                expect(beeswax.request).not.toHaveBeenCalled();
+            }).catch(function(error) {
+                expect(error).not.toBeDefined();
+            }).done(done);
+        });
+
+        it('should reject if the post request fails', function(done) {
+            resps.post = function() { return Promise.reject(new Error('I GOT A PROBLEM POSTING')); };
+            beeswax._create('/rest/campaign', 'campaign_id', { advertiser_id: 5, campaign_name: 'foobar' }).then(function(body) {
                 expect(body).not.toBeDefined();
             }).catch(function(error) {
                 expect(error).toEqual(new Error('I GOT A PROBLEM POSTING'));
@@ -634,12 +2063,13 @@ describe('BeeswaxClient', function() {
         });
 
         it('should reject if the get request fails', function(done) {
-            resps.get = Promise.reject(new Error('I GOT A PROBLEM GETTING'));
+            resps.get = function() { return Promise.reject(new Error('I GOT A PROBLEM GETTING')); };
 
-            beeswax._create('/rest/campaign', 'campaign_id', { campaign_name: 'foobar' }).then(function(body) {
+            beeswax._create('/rest/campaign', 'campaign_id', { advertiser_id: 5, campaign_name: 'foobar' }).then(function(body) {
                 expect(body).not.toBeDefined();
             }).catch(function(error) {
                 expect(error).toEqual(new Error('I GOT A PROBLEM GETTING'));
+                expect(error.createdId).toBe(9886);
                 expect(beeswax.request).toHaveBeenCalledWith('post', jasmine.any(Object));
                 expect(beeswax.request).toHaveBeenCalledWith('get', jasmine.any(Object));
             }).done(done);
@@ -649,13 +2079,14 @@ describe('BeeswaxClient', function() {
     describe('_edit', function() {
         var beeswax, resps;
         beforeEach(function() {
+            mockOps.validate = true;
             beeswax = new BeeswaxClient(mockOps);
             resps = {
                 get: Promise.resolve({ success: true, payload: [{ id: 9886, campaign: 'yes' }] }),
                 put: Promise.resolve({ success: true, payload: [{ id: 9886 }] })
             };
             ['get', 'put'].forEach(function(verb) {
-                spyOn(rp, verb).and.callFake(function() { return resps[verb]; });
+                spyOn(rp, verb).and.callFake(function() { return typeof resps[verb] === 'function' ? resps[verb]() : resps[verb]; });
             });
             spyOn(beeswax, 'request').and.callThrough();
         });
@@ -693,6 +2124,45 @@ describe('BeeswaxClient', function() {
             }).done(done);
         });
         
+        it('should validate the body without requiring fields', function(done) {
+            beeswax._edit('/rest/campaign', 'campaign_id', 9886, { campaign_budget: 'lots' }).then(function(body) {
+                expect(body).toEqual({
+                    success: false,
+                    code: 400,
+                    message: 'Body failed validation: campaign_budget: must be of type number',
+                    messages: ['campaign_budget: must be of type number']
+                });
+                expect(beeswax.request).not.toHaveBeenCalled();
+            }).catch(function(error) {
+                expect(error).not.toBeDefined();
+            }).done(done);
+        });
+
+        it('should resolve with the request that would be sent if dryRun is set', function(done) {
+            var reqBody = { campaign_name: 'foobar' };
+            Promise.all([
+                beeswax._edit('/rest/campaign', 'campaign_id', 9886, reqBody, false, { dryRun: true }),
+                beeswax._edit('/rest/campaign', 'campaign_id', 9886, reqBody, { dryRun: true })
+            ]).then(function(results) {
+                results.forEach(function(result) {
+                    expect(result).toEqual({
+                        success: true,
+                        dryRun: true,
+                        request: {
+                            method: 'put',
+                            url: 'https://stinger.ut.api.beeswax.com/rest/campaign/strict',
+                            body: { campaign_name: 'foobar', campaign_id: 9886 }
+                        },
+                        messages: []
+                    });
+                });
+                expect(reqBody).toEqual({ campaign_name: 'foobar' });
+                expect(beeswax.request).not.toHaveBeenCalled();
+            }).catch(function(error) {
+                expect(error).not.toBeDefined();
+            }).done(done);
+        });
+
         describe('if the item is not found when attempting to PUT', function() {
             var errBody;
             beforeEach(function() {
@@ -706,7 +2176,7 @@ describe('BeeswaxClient', function() {
                         ]
                     }]
                 };
-                resps.put = Promise.reject(new rpErrors.StatusCodeError(406, errBody, { opts: 'yes' }, { response: 'yes' }));
+                resps.put = function() { return Promise.reject(new rpErrors.StatusCodeError(406, errBody, { opts: 'yes' }, { response: 'yes' })); };
             });
 
             it('should resolve with an unsuccessful response', function(done) {
@@ -719,14 +2189,22 @@ describe('BeeswaxClient', function() {
                 }).done(done);
             });
             
+            it('should reject if failOnNotFound is set in the options', function(done) {
+                beeswax._edit('/rest/campaign', 'campaign_id', 9886, { campaign_name: 'foobar' }, { failOnNotFound: true }).then(function(body) {
+                    expect(body).not.toBeDefined();
+                }).catch(function(error) {
+                    expect(error).toEqual(jasmine.any(errors.NotFoundError));
+                }).done(done);
+            });
+
             it('should reject if the failOnNotFound param is true', function(done) {
                 beeswax._edit('/rest/campaign', 'campaign_id', 9886, { campaign_name: 'foobar' }, true).then(function(body) {
                     expect(body).not.toBeDefined();
                 }).catch(function(error) {
-                    expect(error).toEqual(jasmine.any(rpErrors.StatusCodeError));
+                    expect(error).toEqual(jasmine.any(errors.NotFoundError));
                     expect(error.statusCode).toBe(406);
                     expect(error.message).toMatch(/Could not load object.*to update/);
-                    expect(error.error).toEqual(errBody);
+                    expect(error.body).toEqual(errBody);
                     expect(error.response).not.toBeDefined();
                     expect(beeswax.request).toHaveBeenCalledWith('put', jasmine.any(Object));
                     expect(beeswax.request.calls.count()).toBe(1);
@@ -744,15 +2222,15 @@ describe('BeeswaxClient', function() {
                     ]
                 }]
             };
-            resps.put = Promise.reject(new rpErrors.StatusCodeError(406, errBody, { opts: 'yes' }, { response: 'yes' }));
+            resps.put = function() { return Promise.reject(new rpErrors.StatusCodeError(406, errBody, { opts: 'yes' }, { response: 'yes' })); };
 
             beeswax._edit('/rest/campaign', 'campaign_id', 9886, { campaign_name: 'foobar' }).then(function(body) {
                 expect(body).not.toBeDefined();
             }).catch(function(error) {
-                expect(error).toEqual(jasmine.any(rpErrors.StatusCodeError));
+                expect(error).toEqual(jasmine.any(errors.ValidationError));
                 expect(error.statusCode).toBe(406);
                 expect(error.message).toMatch(/there were problems/);
-                expect(error.error).toEqual(errBody);
+                expect(error.body).toEqual(errBody);
                 expect(error.response).not.toBeDefined();
                 expect(beeswax.request).toHaveBeenCalledWith('put', jasmine.any(Object));
                 expect(beeswax.request.calls.count()).toBe(1);
@@ -760,7 +2238,7 @@ describe('BeeswaxClient', function() {
         });
 
         it('should reject if the get request fails', function(done) {
-            resps.get = Promise.reject('I GOT A PROBLEM GETTING');
+            resps.get = function() { return Promise.reject('I GOT A PROBLEM GETTING'); };
 
             beeswax._edit('/rest/campaign', 'campaign_id', 9886, { campaign_name: 'foobar' }).then(function(body) {
                 expect(body).not.toBeDefined();
@@ -772,6 +2250,106 @@ describe('BeeswaxClient', function() {
         });
     });
     
+    describe('_patch', function() {
+        var fake, beeswax;
+
+        function puts() {
+            return fake.requests.filter(function(req) { return req.method === 'put'; }).map(function(req) { return req.body; });
+        }
+
+        beforeEach(function() {
+            rp.jar.and.callThrough();
+            fake = new BeeswaxClient.FakeBeeswax({ users: [mockOps.creds] });
+            fake.seed('lineItems', [{
+                line_item_id: 1,
+                campaign_id: 2,
+                line_item_name: 'old name',
+                line_item_budget: 100,
+                frequency_cap: [{ duration: 3600, impressions: 2 }],
+                update_date: '2017-01-01 00:00:00'
+            }]);
+            beeswax = new BeeswaxClient({ creds: mockOps.creds, transport: fake, cache: true });
+        });
+
+        it('should only send the fields that differ, and resolve with the diff', function(done) {
+            beeswax.lineItems.patch(1, {
+                line_item_name: 'new name',
+                line_item_budget: 100,
+                frequency_cap: [{ impressions: 2, duration: 3600 }]
+            }).then(function(resp) {
+                expect(resp.success).toBe(true);
+                expect(resp.payload.line_item_name).toBe('new name');
+                expect(resp.diff).toEqual({ line_item_name: { before: 'old name', after: 'new name' } });
+                expect(puts()).toEqual([{ line_item_name: 'new name', line_item_id: 1 }]);
+                expect(fake.get('lineItems', 1).line_item_name).toBe('new name');
+            }).then(done, done.fail);
+        });
+
+        it('should not send anything if nothing differs', function(done) {
+            beeswax.lineItems.patch(1, { line_item_budget: 100 }).then(function(resp) {
+                expect(resp).toEqual({ success: true, payload: fake.get('lineItems', 1), diff: {} });
+                expect(puts()).toEqual([]);
+            }).then(done, done.fail);
+        });
+
+        it('should compare against a fresh read, not the cache', function(done) {
+            beeswax.lineItems.find(1).then(function() {
+                fake.seed('lineItems', [{ line_item_id: 1, campaign_id: 2, line_item_name: 'changed elsewhere' }]);
+                return beeswax.lineItems.patch(1, { line_item_name: 'old name' });
+            }).then(function(resp) {
+                expect(resp.diff).toEqual({ line_item_name: { before: 'changed elsewhere', after: 'old name' } });
+                expect(puts().length).toBe(1);
+            }).then(done, done.fail);
+        });
+
+        it('should patch if expectedUpdateDate matches', function(done) {
+            beeswax.lineItems.patch(1, { line_item_budget: 200 }, { expectedUpdateDate: '2017-01-01 00:00:00' }).then(function(resp) {
+                expect(resp.diff).toEqual({ line_item_budget: { before: 100, after: 200 } });
+                expect(resp.payload.update_date).not.toBe('2017-01-01 00:00:00');
+            }).then(done, done.fail);
+        });
+
+        it('should reject with a ConflictError if the entity changed since expectedUpdateDate', function(done) {
+            beeswax.lineItems.edit(1, { line_item_name: 'someone else' }).then(function() {
+                return beeswax.lineItems.patch(1, { line_item_budget: 200 }, { expectedUpdateDate: '2017-01-01 00:00:00' });
+            }).then(done.fail, function(error) {
+                expect(error).toEqual(jasmine.any(BeeswaxClient.ConflictError));
+                expect(error.message).toMatch(/^\/rest\/line_item 1 was updated at .*, after it was read at 2017-01-01 00:00:00$/);
+                expect(error.expected).toBe('2017-01-01 00:00:00');
+                expect(error.actual).toBe(fake.get('lineItems', 1).update_date);
+                expect(error.current.line_item_name).toBe('someone else');
+                expect(puts().filter(function(body) { return 'line_item_budget' in body; })).toEqual([]);
+                expect(fake.get('lineItems', 1).line_item_budget).toBe(100);
+            }).then(done, done.fail);
+        });
+
+        it('should handle missing entities like edit', function(done) {
+            beeswax.lineItems.patch(99, { line_item_budget: 200 }).then(function(resp) {
+                expect(resp).toEqual({ success: false, code: 400, message: 'Not found' });
+                return beeswax.lineItems.patch(99, { line_item_budget: 200 }, { failOnNotFound: true });
+            }).then(done.fail, function(error) {
+                expect(error).toEqual(jasmine.any(BeeswaxClient.NotFoundError));
+                expect(puts()).toEqual([]);
+            }).then(done, done.fail);
+        });
+
+        it('should return an unsuccessful response if changes is empty', function(done) {
+            beeswax.lineItems.patch(1, {}).then(function(resp) {
+                expect(resp).toEqual({ success: false, code: 400, message: 'Body must be non-empty object' });
+                expect(fake.requests).toEqual([]);
+            }).then(done, done.fail);
+        });
+
+        it('should resolve with the request and diff that would be sent if dryRun is set', function(done) {
+            beeswax.lineItems.patch(1, { line_item_name: 'new name', line_item_budget: 100 }, { dryRun: true }).then(function(resp) {
+                expect(resp.dryRun).toBe(true);
+                expect(resp.request.body).toEqual({ line_item_name: 'new name', line_item_id: 1 });
+                expect(resp.diff).toEqual({ line_item_name: { before: 'old name', after: 'new name' } });
+                expect(puts()).toEqual([]);
+            }).then(done, done.fail);
+        });
+    });
+
     describe('_delete', function() {
         var beeswax, resps;
         beforeEach(function() {
@@ -780,7 +2358,7 @@ describe('BeeswaxClient', function() {
                 del: Promise.resolve({ success: true, payload: [{ id: 9886 }] })
             };
             ['del'].forEach(function(verb) {
-                spyOn(rp, verb).and.callFake(function() { return resps[verb]; });
+                spyOn(rp, verb).and.callFake(function() { return typeof resps[verb] === 'function' ? resps[verb]() : resps[verb]; });
             });
             spyOn(beeswax, 'request').and.callThrough();
         });
@@ -810,7 +2388,7 @@ describe('BeeswaxClient', function() {
                         ]
                     }]
                 };
-                resps.del = Promise.reject(new rpErrors.StatusCodeError(406, errBody, { opts: 'yes' }, { response: 'yes' }));
+                resps.del = function() { return Promise.reject(new rpErrors.StatusCodeError(406, errBody, { opts: 'yes' }, { response: 'yes' })); };
             });
 
             it('should resolve with an unsuccessful response', function(done) {
@@ -826,10 +2404,10 @@ describe('BeeswaxClient', function() {
                 beeswax._delete('/rest/campaign', 'campaign_id', 9886, true).then(function(body) {
                     expect(body).not.toBeDefined();
                 }).catch(function(error) {
-                    expect(error).toEqual(jasmine.any(rpErrors.StatusCodeError));
+                    expect(error).toEqual(jasmine.any(errors.NotFoundError));
                     expect(error.statusCode).toBe(406);
                     expect(error.message).toMatch(/Could not load object.*to delete/);
-                    expect(error.error).toEqual(errBody);
+                    expect(error.body).toEqual(errBody);
                     expect(error.response).not.toBeDefined();
                     expect(beeswax.request).toHaveBeenCalledWith('del', jasmine.any(Object));
                 }).done(done);
@@ -846,21 +2424,271 @@ describe('BeeswaxClient', function() {
                     ]
                 }]
             };
-            resps.del = Promise.reject(new rpErrors.StatusCodeError(406, errBody, { opts: 'yes' }, { response: 'yes' }));
+            resps.del = function() { return Promise.reject(new rpErrors.StatusCodeError(406, errBody, { opts: 'yes' }, { response: 'yes' })); };
 
             beeswax._delete('/rest/campaign', 'campaign_id', 9886).then(function(body) {
                 expect(body).not.toBeDefined();
             }).catch(function(error) {
-                expect(error).toEqual(jasmine.any(rpErrors.StatusCodeError));
+                expect(error).toEqual(jasmine.any(errors.ValidationError));
                 expect(error.statusCode).toBe(406);
                 expect(error.message).toMatch(/there were problems/);
-                expect(error.error).toEqual(errBody);
+                expect(error.body).toEqual(errBody);
                 expect(error.response).not.toBeDefined();
                 expect(beeswax.request).toHaveBeenCalledWith('del', jasmine.any(Object));
             }).done(done);
         });
     });
 
+    describe('bulk methods', function() {
+        var beeswax;
+        beforeEach(function() {
+            beeswax = new BeeswaxClient(mockOps);
+            spyOn(beeswax, '_create').and.callFake(function(endpoint, idField, body) {
+                if (!body.campaign_name) {
+                    return Promise.resolve({ success: false, code: 400, message: 'Body must be non-empty object' });
+                }
+                return Promise.resolve({ success: true, payload: { campaign_id: 1, campaign_name: body.campaign_name } });
+            });
+            spyOn(beeswax, '_edit').and.callFake(function(endpoint, idField, id, body) {
+                if (id === 404) {
+                    return Promise.reject(new errors.NotFoundError('Not found', { statusCode: 406 }));
+                }
+                return Promise.resolve({ success: true, payload: { campaign_id: id, active: body.active } });
+            });
+            spyOn(beeswax, '_delete').and.callFake(function(endpoint, idField, id) {
+                return Promise.resolve({ success: true, payload: { campaign_id: id } });
+            });
+        });
+
+        describe('_createMany', function() {
+            it('should create each entity and report the results', function(done) {
+                beeswax._createMany('/rest/campaign', 'campaign_id', [{ campaign_name: 'foo' }, {}]).then(function(report) {
+                    expect(beeswax._create).toHaveBeenCalledWith('/rest/campaign', 'campaign_id', { campaign_name: 'foo' });
+                    expect(report.success).toBe(false);
+                    expect(report.succeeded).toEqual([{
+                        index: 0,
+                        input: { campaign_name: 'foo' },
+                        result: { campaign_id: 1, campaign_name: 'foo' }
+                    }]);
+                    expect(report.failed.length).toBe(1);
+                    expect(report.failed[0].index).toBe(1);
+                    expect(report.failed[0].error).toEqual(jasmine.any(errors.ValidationError));
+                }).catch(function(error) {
+                    expect(error).not.toBeDefined();
+                }).done(done);
+            });
+        });
+
+        describe('_editMany', function() {
+            it('should edit each entity, failing if it is not found', function(done) {
+                beeswax._editMany('/rest/campaign', 'campaign_id', [
+                    { id: 1, body: { active: false } },
+                    { id: 404, body: { active: false } },
+                    { id: 3, body: { active: false } }
+                ], { stopOnError: true, concurrency: 1 }).then(function(report) {
+                    expect(beeswax._edit).toHaveBeenCalledWith('/rest/campaign', 'campaign_id', 1, { active: false }, true);
+                    expect(beeswax._edit.calls.count()).toBe(2);
+                    expect(report.succeeded[0].result).toEqual({ campaign_id: 1, active: false });
+                    expect(report.failed[0].error).toEqual(jasmine.any(errors.NotFoundError));
+                    expect(report.skipped).toEqual([{ index: 2, input: { id: 3, body: { active: false } } }]);
+                }).catch(function(error) {
+                    expect(error).not.toBeDefined();
+                }).done(done);
+            });
+        });
+
+        describe('_deleteMany', function() {
+            it('should delete each entity', function(done) {
+                beeswax._deleteMany('/rest/campaign', 'campaign_id', [1, 2]).then(function(report) {
+                    expect(beeswax._delete).toHaveBeenCalledWith('/rest/campaign', 'campaign_id', 1, true);
+                    expect(beeswax._delete).toHaveBeenCalledWith('/rest/campaign', 'campaign_id', 2, true);
+                    expect(report.success).toBe(true);
+                    expect(report.succeeded.map(function(entry) { return entry.result; })).toEqual([
+                        { campaign_id: 1 },
+                        { campaign_id: 2 }
+                    ]);
+                }).catch(function(error) {
+                    expect(error).not.toBeDefined();
+                }).done(done);
+            });
+        });
+    });
+
+    describe('cloneCampaign', function() {
+        it('should clone the campaign using the client\'s entity methods', function(done) {
+            var beeswax = new BeeswaxClient(mockOps);
+            spyOn(beeswax.campaigns, 'find').and.returnValue(Promise.resolve({ success: true, payload: undefined }));
+            beeswax.cloneCampaign(1234, {}).then(function() {
+                fail('Should not have resolved');
+            }).catch(function(error) {
+                expect(error).toEqual(jasmine.any(errors.NotFoundError));
+                expect(beeswax.campaigns.find).toHaveBeenCalledWith(1234);
+            }).done(done);
+        });
+    });
+
+    describe('createUploadSegment', function() {
+        it('should create a segment upload for a file', function(done) {
+            var beeswax = new BeeswaxClient(mockOps);
+            spyOn(beeswax, 'request').and.returnValue(Promise.resolve({ success: true, payload: { id: 9 } }));
+            beeswax.createUploadSegment({ name: 'users.txt', size: 20, user_id_type: 'BEESWAX', continent: 'NAM' })
+            .then(function(body) {
+                expect(body).toEqual({ success: true, payload: { id: 9 } });
+                expect(beeswax.request).toHaveBeenCalledWith('post', {
+                    url: 'https://stinger.ut.api.beeswax.com/rest/segment_upload',
+                    body: { continent: 'NAM', file_name: 'users.txt', size_in_bytes: 20, user_id_type: 'BEESWAX' }
+                });
+            }).then(done, done.fail);
+        });
+    });
+
+    describe('uploadSegmentFile', function() {
+        var beeswax;
+        beforeEach(function() {
+            beeswax = new BeeswaxClient(mockOps);
+            spyOn(beeswax, 'request').and.returnValue(Promise.resolve({ success: true, payload: [{ id: 9 }] }));
+        });
+
+        it('should upload the source as multipart form data', function(done) {
+            beeswax.uploadSegmentFile({ segment_upload_id: 9, source: new Buffer('abc|seg-1\n'), name: 'users.txt' })
+            .then(function(resp) {
+                expect(resp).toEqual({ success: true, payload: [{ id: 9 }] });
+                expect(beeswax.request).toHaveBeenCalledWith('post', {
+                    url: 'https://stinger.ut.api.beeswax.com/rest/segment_upload/upload/9',
+                    formData: {
+                        segment_file: {
+                            value: new Buffer('abc|seg-1\n'),
+                            options: { filename: 'users.txt', knownLength: 10 }
+                        }
+                    }
+                });
+            }).then(done, done.fail);
+        });
+
+        it('should accept a segment_id for backwards compatibility', function(done) {
+            beeswax.uploadSegmentFile({ segment_id: 10, source: new Buffer('a') }).then(function() {
+                expect(beeswax.request.calls.argsFor(0)[1].url).toMatch(/\/segment_upload\/upload\/10$/);
+                expect(beeswax.request.calls.argsFor(0)[1].formData.segment_file.options.filename)
+                    .toBe('segment_upload.txt');
+            }).then(done, done.fail);
+        });
+
+        it('should reject if the id or source is missing', function(done) {
+            Promise.all([
+                beeswax.uploadSegmentFile({ source: new Buffer('a') }).reflect(),
+                beeswax.uploadSegmentFile({ segment_upload_id: 9 }).reflect()
+            ]).then(function(results) {
+                results.forEach(function(result) {
+                    expect(result.reason().message)
+                        .toBe('uploadSegmentFile params requires a segment_upload_id and a source property.');
+                });
+                expect(beeswax.request).not.toHaveBeenCalled();
+            }).then(done, done.fail);
+        });
+    });
+
+    describe('segments.uploadFile', function() {
+        var beeswax, statuses;
+        beforeEach(function() {
+            beeswax = new BeeswaxClient(mockOps);
+            statuses = [{ segment_upload_id: 9, upload_status: 'pending' }];
+            spyOn(beeswax, 'createUploadSegment').and.returnValue(Promise.resolve({ success: true, payload: { id: 9 } }));
+            spyOn(beeswax, 'uploadSegmentFile').and.returnValue(Promise.resolve({ success: true, payload: [] }));
+            spyOn(beeswax, 'request').and.callFake(function() {
+                return Promise.resolve({ success: true, payload: [statuses.shift()] });
+            });
+        });
+
+        it('should create, upload and poll a segment upload until it is processed', function(done) {
+            statuses.push({ segment_upload_id: 9, upload_status: 'COMPLETE', errors: ['line 3: bad user id'] });
+            beeswax.segments.uploadFile(new Buffer('abc|seg-1\n'), { name: 'users.txt', user_id_type: 'BEESWAX',
+                                                                      interval: 1 })
+            .then(function(resp) {
+                expect(resp).toEqual({
+                    success: true,
+                    payload: { segment_upload_id: 9, upload_status: 'COMPLETE', errors: ['line 3: bad user id'] },
+                    errors: ['line 3: bad user id']
+                });
+                expect(beeswax.createUploadSegment).toHaveBeenCalledWith({
+                    name: 'users.txt',
+                    size: 10,
+                    user_id_type: 'BEESWAX',
+                    continent: undefined
+                });
+                expect(beeswax.uploadSegmentFile).toHaveBeenCalledWith({
+                    segment_upload_id: 9,
+                    source: new Buffer('abc|seg-1\n'),
+                    name: 'users.txt'
+                });
+                expect(beeswax.request).toHaveBeenCalledWith('get', {
+                    url: 'https://stinger.ut.api.beeswax.com/rest/segment_upload',
+                    body: { segment_upload_id: 9 }
+                });
+                expect(beeswax.request.calls.count()).toBe(2);
+            }).then(done, done.fail);
+        });
+
+        it('should not poll through the cache', function(done) {
+            var fake = new BeeswaxClient.FakeBeeswax();
+            rp.jar.and.callThrough();
+            beeswax = new BeeswaxClient({ creds: mockOps.creds, transport: fake, cache: true });
+            spyOn(beeswax, 'uploadSegmentFile').and.returnValue(Promise.resolve({ success: true, payload: [] }));
+            setTimeout(function() {
+                var upload = fake.all('segmentUploads')[0];
+                upload.upload_status = 'complete';
+                fake.seed('segmentUploads', upload);
+            }, 150);
+
+            beeswax.segments.uploadFile(new Buffer('a'), { interval: 100, timeout: 2000 }).then(function(resp) {
+                expect(resp.success).toBe(true);
+                expect(resp.payload.upload_status).toBe('complete');
+            }).then(done, done.fail);
+        });
+
+        it('should accept a SegmentFileBuilder', function(done) {
+            var builder = new BeeswaxClient.SegmentFileBuilder({ userIdType: 'IDFA', gzip: true })
+                .add('6D92078A-8246-4BA4-AE5B-76104861E7DC', 'seg-1');
+            statuses.push({ segment_upload_id: 9, upload_status: 'complete' });
+            beeswax.segments.uploadFile(builder, { interval: 1 }).then(function(resp) {
+                expect(resp.success).toBe(true);
+                expect(beeswax.createUploadSegment).toHaveBeenCalledWith({
+                    name: 'segment_upload.txt.gz',
+                    size: builder.build().size,
+                    user_id_type: 'IDFA',
+                    continent: undefined
+                });
+                expect(beeswax.uploadSegmentFile.calls.argsFor(0)[0].source).toEqual(builder.build().buffer);
+            }).then(done, done.fail);
+        });
+
+        it('should resolve with success: false if processing fails', function(done) {
+            statuses = [{ segment_upload_id: 9, upload_status: 'failed' }];
+            beeswax.segments.uploadFile(new Buffer('a'), { interval: 1 }).then(function(resp) {
+                expect(resp).toEqual({
+                    success: false,
+                    message: 'Segment upload 9 failed',
+                    payload: { segment_upload_id: 9, upload_status: 'failed' },
+                    errors: []
+                });
+            }).then(done, done.fail);
+        });
+
+        it('should reject if processing does not finish before the timeout', function(done) {
+            beeswax.segments.uploadFile(new Buffer('a'), { interval: 50, timeout: 10 }).then(done.fail, function(error) {
+                expect(error).toEqual(jasmine.any(errors.BeeswaxError));
+                expect(error.message).toBe('Timed out waiting for segment upload 9 after 10ms');
+            }).then(done, done.fail);
+        });
+
+        it('should reject without uploading if creating the segment upload fails', function(done) {
+            beeswax.createUploadSegment.and.callFake(function() { return Promise.reject(new errors.ValidationError('bad size')); });
+            beeswax.segments.uploadFile(new Buffer('a')).then(done.fail, function(error) {
+                expect(error.message).toBe('bad size');
+                expect(beeswax.uploadSegmentFile).not.toHaveBeenCalled();
+            }).then(done, done.fail);
+        });
+    });
+
     describe('uploadCreativeAsset', function() {
         var beeswax , req;
         beforeEach(function() {
@@ -871,13 +2699,16 @@ describe('BeeswaxClient', function() {
             spyOn(beeswax, 'request');
             spyOn(request,'head');
             spyOn(request,'post');
+            spyOn(request,'get').and.callFake(function() {
+                return new (require('stream').PassThrough)();
+            });
         });
 
-        it('rejects if there is no sourceUrl',function(done){
+        it('rejects if there is no source or sourceUrl',function(done){
             beeswax.uploadCreativeAsset({})
             .then(done.fail, function(e){
                 expect(e.message)
-                .toEqual('uploadCreativeAsset params requires a sourceUrl property.');
+                .toEqual('uploadCreativeAsset params requires a source or sourceUrl property.');
             })
             .then(done);
         });
@@ -941,9 +2772,246 @@ describe('BeeswaxClient', function() {
             beeswax.uploadCreativeAsset(req)
             .then(function(result){
                 expect(result).toEqual({id : 666, foo : 'bar' }); 
+                expect(beeswax.request).toHaveBeenCalledWith('post', {
+                    url: 'https://stinger.ut.api.beeswax.com/rest/creative_asset',
+                    body: { creative_asset_name: 'def.jpeg', size_in_bytes: 100 }
+                });
+                expect(request.get).toHaveBeenCalledWith({ url: 'https://abc/def.jpeg' });
+                expect(request.post.calls.argsFor(0)[0].formData.creative_content.options).toEqual({
+                    filename: 'def.jpeg',
+                    contentType: 'image/jpeg',
+                    knownLength: 100
+                });
             })
             .then(done,done.fail);
         });
+
+        describe('with a local source', function() {
+            var png, uploaded;
+            beforeEach(function() {
+                png = new Buffer(24);
+                png.fill(0);
+                new Buffer([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(png);
+                png.writeUInt32BE(300, 16);
+                png.writeUInt32BE(250, 20);
+
+                uploaded = [];
+                beeswax.request.and.callFake(function(method) {
+                    if (method === 'post') {
+                        return Promise.resolve({ success: true, payload: { id: 777 } });
+                    }
+                    return Promise.resolve({ success: true, payload: [{ creative_asset_id: 777 }] });
+                });
+                request.post.and.callFake(function(opts, cb) {
+                    var chunks = [], part = opts.formData.creative_content;
+                    part.value.on('data', function(chunk) { chunks.push(chunk); });
+                    part.value.on('end', function() {
+                        uploaded.push({ url: opts.url, options: part.options, content: Buffer.concat(chunks) });
+                        cb(null, { statusCode: 200, headers: {} }, JSON.stringify({ success: true, payload: {} }));
+                    });
+                });
+            });
+
+            it('should create the asset and upload its content, reporting progress', function(done) {
+                var onProgress = jasmine.createSpy('onProgress');
+                beeswax.uploadCreativeAsset({ source: png, name: 'banner.png', advertiser_id: 5, notes: 'hi',
+                                              onProgress: onProgress })
+                .then(function(result) {
+                    expect(result).toEqual({ creative_asset_id: 777 });
+                    expect(beeswax.request).toHaveBeenCalledWith('post', {
+                        url: 'https://stinger.ut.api.beeswax.com/rest/creative_asset',
+                        body: { advertiser_id: 5, notes: 'hi', creative_asset_name: 'banner.png', size_in_bytes: 24 }
+                    });
+                    expect(beeswax.request).toHaveBeenCalledWith('get', {
+                        url: 'https://stinger.ut.api.beeswax.com/rest/creative_asset/777'
+                    });
+                    expect(uploaded).toEqual([{
+                        url: 'https://stinger.ut.api.beeswax.com/rest/creative_asset/upload/777',
+                        options: { filename: 'banner.png', contentType: 'image/png', knownLength: 24 },
+                        content: png
+                    }]);
+                    expect(onProgress).toHaveBeenCalledWith({ loaded: 24, total: 24 });
+                }).then(done, done.fail);
+            });
+
+            it('should upload all of the content if an async beforeRequest hook delays sending it', function(done) {
+                var onProgress = jasmine.createSpy('onProgress');
+                beeswax.use({
+                    beforeRequest: function() {
+                        return new Promise(function(resolve) { setTimeout(resolve, 20); });
+                    }
+                });
+                beeswax.uploadCreativeAsset({ source: png, advertiser_id: 5, onProgress: onProgress }).then(function() {
+                    expect(uploaded.length).toBe(1);
+                    expect(uploaded[0].content).toEqual(png);
+                    expect(onProgress).toHaveBeenCalledWith({ loaded: 24, total: 24 });
+                    expect(beeswax._assetHashes['5:' + require('../../lib/assetInfo').hash(png)]).toBe(777);
+                }).then(done, done.fail);
+            });
+
+            it('should not re-upload identical content for the same advertiser', function(done) {
+                beeswax.uploadCreativeAsset({ source: png, advertiser_id: 5 }).then(function() {
+                    return beeswax.uploadCreativeAsset({ source: new Buffer(png), advertiser_id: 5 });
+                }).then(function(result) {
+                    expect(result).toEqual({ creative_asset_id: 777 });
+                    expect(uploaded.length).toBe(1);
+                    return beeswax.uploadCreativeAsset({ source: png, advertiser_id: 6 });
+                }).then(function() {
+                    expect(uploaded.length).toBe(2);
+                    return beeswax.uploadCreativeAsset({ source: png, advertiser_id: 6, dedupe: false });
+                }).then(function() {
+                    expect(uploaded.length).toBe(3);
+                }).then(done, done.fail);
+            });
+
+            it('should re-upload if the existing asset was deleted', function(done) {
+                beeswax.uploadCreativeAsset({ source: png, advertiser_id: 5 }).then(function() {
+                    beeswax.request.and.callFake(function(method) {
+                        if (method === 'post') {
+                            return Promise.resolve({ success: true, payload: { id: 778 } });
+                        }
+                        return Promise.resolve({ success: true, payload: [] });
+                    });
+                    return beeswax.uploadCreativeAsset({ source: png, advertiser_id: 5 });
+                }).then(function() {
+                    expect(uploaded.length).toBe(2);
+                    expect(uploaded[1].url).toMatch(/\/upload\/778$/);
+                    expect(beeswax._assetHashes['5:' + require('../../lib/assetInfo').hash(png)]).toBe(778);
+                }).then(done, done.fail);
+            });
+
+            it('should re-authenticate and re-send the content once if the session expired', function(done) {
+                var calls = 0;
+                spyOn(beeswax, '_authenticate').and.returnValue(Promise.resolve());
+                request.post.and.callFake(function(opts, cb) {
+                    opts.formData.creative_content.value.resume();
+                    calls++;
+                    cb(null, { statusCode: calls === 1 ? 401 : 200, headers: {} }, '{"success":true}');
+                });
+                beeswax.uploadCreativeAsset({ source: png, advertiser_id: 5 }).then(function() {
+                    expect(beeswax._authenticate.calls.count()).toBe(1);
+                    expect(calls).toBe(2);
+                }).then(done, done.fail);
+            });
+
+            it('should reject with a typed error if the upload fails', function(done) {
+                request.post.and.callFake(function(opts, cb) {
+                    opts.formData.creative_content.value.resume();
+                    cb(null, { statusCode: 400, headers: {} },
+                       JSON.stringify({ success: false, message: 'bad file', errors: ['unsupported file type'] }));
+                });
+                beeswax.uploadCreativeAsset({ source: png, advertiser_id: 5 }).then(done.fail, function(error) {
+                    expect(error).toEqual(jasmine.any(errors.ValidationError));
+                    expect(error.statusCode).toBe(400);
+                    expect(error.endpoint).toBe('/rest/creative_asset/upload');
+                    expect(Object.keys(beeswax._assetHashes)).toEqual([]);
+                }).then(done, done.fail);
+            });
+
+            describe('if the upload fails', function() {
+                beforeEach(function() {
+                    request.post.and.callFake(function(opts, cb) {
+                        opts.formData.creative_content.value.resume();
+                        cb(null, { statusCode: 400, headers: {} }, JSON.stringify({ success: false, message: 'bad file' }));
+                    });
+                });
+
+                it('should delete the asset it created', function(done) {
+                    beeswax.uploadCreativeAsset({ source: png, advertiser_id: 5 }).then(done.fail, function(error) {
+                        expect(error.statusCode).toBe(400);
+                        expect(error.createdId).not.toBeDefined();
+                        expect(beeswax.request).toHaveBeenCalledWith('del', {
+                            url: 'https://stinger.ut.api.beeswax.com/rest/creative_asset/strict',
+                            body: { creative_asset_id: 777 }
+                        });
+                    }).then(done, done.fail);
+                });
+
+                it('should report the id of the asset if it could not be deleted', function(done) {
+                    beeswax.request.and.callFake(function(method) {
+                        if (method === 'del') {
+                            return Promise.reject(new Error('cant delete'));
+                        }
+                        return Promise.resolve({ success: true, payload: { id: 777 } });
+                    });
+                    beeswax.uploadCreativeAsset({ source: png, advertiser_id: 5 }).then(done.fail, function(error) {
+                        expect(error.statusCode).toBe(400);
+                        expect(error.createdId).toBe(777);
+                    }).then(done, done.fail);
+                });
+            });
+        });
+    });
+
+    describe('uploadCreativeAssetContent', function() {
+        var beeswax, png, uploaded;
+        beforeEach(function() {
+            png = new Buffer(24);
+            png.fill(0);
+            new Buffer([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(png);
+
+            beeswax = new BeeswaxClient(mockOps);
+            uploaded = [];
+            spyOn(beeswax, 'request').and.callFake(function() {
+                return Promise.resolve({ success: true, payload: [{ creative_asset_id: 42, advertiser_id: 5 }] });
+            });
+            spyOn(request, 'post').and.callFake(function(opts, cb) {
+                opts.formData.creative_content.value.resume();
+                uploaded.push(opts.url);
+                cb(null, { statusCode: 200, headers: {} }, JSON.stringify({ success: true, payload: {} }));
+            });
+        });
+
+        it('should be bound as creativeAssets.uploadContent', function(done) {
+            beeswax.creativeAssets.uploadContent(42, { source: png }).then(function(asset) {
+                expect(asset).toEqual({ creative_asset_id: 42, advertiser_id: 5 });
+                expect(uploaded).toEqual(['https://stinger.ut.api.beeswax.com/rest/creative_asset/upload/42']);
+                expect(beeswax.request).not.toHaveBeenCalledWith('post', jasmine.anything());
+                expect(beeswax.request).toHaveBeenCalledWith('get', {
+                    url: 'https://stinger.ut.api.beeswax.com/rest/creative_asset/42'
+                });
+            }).then(done, done.fail);
+        });
+
+        it('should stop deduping against the content the asset had before', function(done) {
+            var hash = require('../../lib/assetInfo').hash(png);
+            beeswax._assetHashes['5:old'] = 42;
+            beeswax._assetHashes['5:other'] = 43;
+            beeswax.uploadCreativeAssetContent(42, { source: png }).then(function() {
+                var expected = { '5:other': 43 };
+                expected['5:' + hash] = 42;
+                expect(beeswax._assetHashes).toEqual(expected);
+            }).then(done, done.fail);
+        });
+
+        it('should reject if there is no id or source', function(done) {
+            Promise.all([
+                beeswax.uploadCreativeAssetContent(undefined, { source: png }).reflect(),
+                beeswax.uploadCreativeAssetContent(42, {}).reflect()
+            ]).then(function(results) {
+                results.forEach(function(result) {
+                    expect(result.reason().message).toBe(
+                        'uploadCreativeAssetContent requires an id and a source or sourceUrl property.');
+                });
+                expect(uploaded).toEqual([]);
+            }).then(done, done.fail);
+        });
+    });
+
+    describe('inspectCreativeAsset', function() {
+        it('should describe a creative asset', function(done) {
+            var gif = new Buffer('GIF89a\x40\x01\xfa\x00', 'binary');
+            new BeeswaxClient(mockOps).inspectCreativeAsset(gif, 'ad.gif').then(function(info) {
+                expect(info).toEqual({
+                    mimeType: 'image/gif',
+                    width: 320,
+                    height: 250,
+                    size: 10,
+                    hash: require('../../lib/assetInfo').hash(gif),
+                    name: 'ad.gif'
+                });
+            }).then(done, done.fail);
+        });
     });
         
 });
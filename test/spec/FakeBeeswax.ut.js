@@ -0,0 +1,436 @@
+describe('FakeBeeswax', function() {
+    var Promise, request, errors, FakeBeeswax, BeeswaxClient, fake, beeswax;
+
+    beforeEach(function() {
+        Promise         = require('bluebird');
+        request         = require('request');
+        errors          = require('../../lib/errors');
+        FakeBeeswax     = require('../../lib/FakeBeeswax');
+        BeeswaxClient   = require('../../index');
+
+        fake = new FakeBeeswax({ users: [{ email: 'foo@bar.com', password: 'password' }] });
+        beeswax = new BeeswaxClient({
+            creds: { email: 'foo@bar.com', password: 'password' },
+            transport: fake,
+            retry: false
+        });
+    });
+
+    it('should be exported on BeeswaxClient', function() {
+        expect(BeeswaxClient.FakeBeeswax).toBe(FakeBeeswax);
+    });
+
+    it('should start with an empty store for every entity', function() {
+        expect(fake.all('campaigns')).toEqual([]);
+        expect(fake.all('creativeLineItems')).toEqual([]);
+        expect(fake.requests).toEqual([]);
+    });
+
+    it('should seed the store from opts.data', function() {
+        fake = new FakeBeeswax({ data: { advertisers: [{ advertiser_name: 'a' }, { advertiser_id: 10, advertiser_name: 'b' }] } });
+        expect(fake.all('advertisers')).toEqual([
+            { advertiser_name: 'a', advertiser_id: 1 },
+            { advertiser_id: 10, advertiser_name: 'b' }
+        ]);
+        expect(fake.seed('advertisers', { advertiser_name: 'c' })).toEqual([{ advertiser_name: 'c', advertiser_id: 11 }]);
+    });
+
+    it('should throw for unknown entity types', function() {
+        expect(function() { fake.seed('widgets', []); }).toThrow(new Error('Unknown entity type: widgets'));
+        expect(function() { fake.all('widgets'); }).toThrow(new Error('Unknown entity type: widgets'));
+    });
+
+    describe('authentication', function() {
+        it('should set a session cookie in the jar', function(done) {
+            var jar = request.jar();
+            fake.send({
+                method: 'post',
+                url: 'https://bw.com/rest/authenticate',
+                body: { email: 'foo@bar.com', password: 'password' },
+                jar: jar
+            }).then(function(body) {
+                expect(body.success).toBe(true);
+                expect(jar.getCookieString('https://bw.com/rest/campaign')).toBe('fake_beeswax_session=session-1');
+            }).then(done, done.fail);
+        });
+
+        it('should reject invalid credentials', function(done) {
+            beeswax = new BeeswaxClient({ creds: { email: 'foo@bar.com', password: 'nope' }, transport: fake });
+            beeswax.authenticate().then(done.fail, function(error) {
+                expect(error).toEqual(jasmine.any(errors.AuthenticationError));
+                expect(error.statusCode).toBe(401);
+                expect(error.message).toContain('Invalid email or password');
+            }).then(done, done.fail);
+        });
+
+        it('should accept any credentials if no users are configured', function(done) {
+            fake = new FakeBeeswax();
+            fake.send({ method: 'post', url: 'https://bw.com/rest/authenticate', body: { email: 'a', password: 'b' } })
+            .then(function(body) {
+                expect(body.success).toBe(true);
+            }).then(done, done.fail);
+        });
+
+        it('should reject requests without a session', function(done) {
+            fake.send({ method: 'get', url: 'https://bw.com/rest/campaign', body: {} }).then(done.fail, function(error) {
+                expect(error.statusCode).toBe(401);
+                expect(error.error).toEqual({ success: false, message: 'Unauthenticated' });
+            }).then(done, done.fail);
+        });
+
+        it('should accept bearer tokens in opts.tokens', function(done) {
+            fake = new FakeBeeswax({ tokens: ['abc'] });
+            fake.send({ method: 'get', url: 'https://bw.com/rest/campaign', body: {}, headers: { authorization: 'Bearer abc' } })
+            .then(function(body) {
+                expect(body).toEqual({ success: true, payload: [] });
+                return fake.send({ method: 'get', url: 'https://bw.com/rest/campaign', body: {}, headers: { Authorization: 'Bearer def' } });
+            }).then(done.fail, function(error) {
+                expect(error.statusCode).toBe(401);
+            }).then(done, done.fail);
+        });
+
+        it('should accept tokens in opts.tokenHeader with opts.tokenScheme', function(done) {
+            fake = new FakeBeeswax({ tokens: ['abc'], tokenHeader: 'X-Api-Key', tokenScheme: '' });
+            fake.send({ method: 'get', url: 'https://bw.com/rest/campaign', body: {}, headers: { 'x-api-key': 'abc' } })
+            .then(function(body) {
+                expect(body).toEqual({ success: true, payload: [] });
+                return fake.send({ method: 'get', url: 'https://bw.com/rest/campaign', body: {}, headers: { Authorization: 'Bearer abc' } });
+            }).then(done.fail, function(error) {
+                expect(error.statusCode).toBe(401);
+            }).then(done, done.fail);
+        });
+
+        it('should work with a client using a custom TokenAuth header + scheme', function(done) {
+            fake = new FakeBeeswax({ tokens: ['abc'], tokenHeader: 'X-Api-Key', tokenScheme: 'Token' });
+            beeswax = new BeeswaxClient({
+                auth: new BeeswaxClient.TokenAuth('abc', { header: 'X-Api-Key', scheme: 'Token' }),
+                transport: fake
+            });
+            beeswax.campaigns.create({ advertiser_id: 1, campaign_name: 'foo' }).then(function(resp) {
+                expect(resp.payload.campaign_name).toBe('foo');
+                expect(fake.requests.map(function(req) { return req.method; })).toEqual(['post', 'get']);
+            }).then(done, done.fail);
+        });
+
+        it('should let the client re-authenticate when sessions expire', function(done) {
+            beeswax.campaigns.query({}).then(function() {
+                fake.expireSessions();
+                return beeswax.campaigns.query({});
+            }).then(function(resp) {
+                expect(resp).toEqual({ success: true, payload: [] });
+                expect(fake.requests.map(function(req) { return req.method + ' ' + req.path; })).toEqual([
+                    'get /rest/campaign',
+                    'post /rest/authenticate',
+                    'get /rest/campaign',
+                    'get /rest/campaign',
+                    'post /rest/authenticate',
+                    'get /rest/campaign'
+                ]);
+            }).then(done, done.fail);
+        });
+
+        it('should expire sessions after opts.sessionTtl', function(done) {
+            jasmine.clock().install();
+            jasmine.clock().mockDate(new Date(2017, 0, 1));
+            fake = new FakeBeeswax({ sessionTtl: 1000 });
+            var jar = request.jar();
+
+            fake.send({ method: 'post', url: 'https://bw.com/rest/authenticate', body: { email: 'a', password: 'b' }, jar: jar })
+            .then(function() {
+                return fake.send({ method: 'get', url: 'https://bw.com/rest/campaign', body: {}, jar: jar });
+            }).then(function() {
+                jasmine.clock().tick(1001);
+                return fake.send({ method: 'get', url: 'https://bw.com/rest/campaign', body: {}, jar: jar });
+            }).then(done.fail, function(error) {
+                expect(error.statusCode).toBe(401);
+            }).finally(function() {
+                jasmine.clock().uninstall();
+            }).then(done, done.fail);
+        });
+    });
+
+    describe('creating entities', function() {
+        it('should store + return the entity', function(done) {
+            beeswax.advertisers.create({ advertiser_name: 'foo' }).then(function(resp) {
+                expect(resp).toEqual({ success: true, payload: {
+                    advertiser_id: 1,
+                    advertiser_name: 'foo',
+                    create_date: jasmine.any(String),
+                    update_date: jasmine.any(String)
+                } });
+                expect(resp.payload.create_date).toMatch(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/);
+                expect(fake.get('advertisers', 1)).toEqual(resp.payload);
+                expect(fake.requests[2]).toEqual({
+                    method: 'post',
+                    path: '/rest/advertiser/strict',
+                    body: { advertiser_name: 'foo' }
+                });
+            }).then(done, done.fail);
+        });
+
+        it('should assign increasing ids', function(done) {
+            fake.seed('campaigns', { campaign_id: 5, advertiser_id: 1, campaign_name: 'old' });
+            beeswax.campaigns.create({ advertiser_id: 1, campaign_name: 'new' }).then(function(resp) {
+                expect(resp.payload.campaign_id).toBe(6);
+            }).then(done, done.fail);
+        });
+
+        it('should reject bodies that fail schema validation', function(done) {
+            beeswax.campaigns.create({ campaign_name: 'foo' }, { validate: false }).then(done.fail, function(error) {
+                expect(error).toEqual(jasmine.any(errors.ValidationError));
+                expect(error.statusCode).toBe(406);
+                expect(error.messages).toEqual(['advertiser_id: is required']);
+                expect(fake.all('campaigns')).toEqual([]);
+            }).then(done, done.fail);
+        });
+
+        it('should reject empty bodies', function(done) {
+            beeswax.request('post', { url: 'https://stingersbx.api.beeswax.com/rest/campaign/strict', body: {} })
+            .then(done.fail, function(error) {
+                expect(error.statusCode).toBe(406);
+                expect(error.messages).toEqual(['Request body must not be empty']);
+            }).then(done, done.fail);
+        });
+
+        it('should reject unknown fields on /strict paths', function(done) {
+            beeswax.advertisers.create({ advertiser_name: 'foo', colour: 'red' }).then(done.fail, function(error) {
+                expect(error).toEqual(jasmine.any(errors.ValidationError));
+                expect(error.statusCode).toBe(406);
+                expect(error.messages).toEqual(['colour: is not a valid field']);
+                expect(fake.all('advertisers')).toEqual([]);
+            }).then(done, done.fail);
+        });
+
+        it('should ignore unknown fields on other paths', function(done) {
+            beeswax.request('post', {
+                url: 'https://stingersbx.api.beeswax.com/rest/advertiser',
+                body: { advertiser_name: 'foo', colour: 'red' }
+            }).then(function(body) {
+                expect(fake.get('advertisers', body.payload.id)).toEqual({
+                    advertiser_id: 1,
+                    advertiser_name: 'foo',
+                    create_date: jasmine.any(String),
+                    update_date: jasmine.any(String)
+                });
+            }).then(done, done.fail);
+        });
+
+        it('should accept fields added with opts.fields', function(done) {
+            fake = new FakeBeeswax({ fields: { advertisers: ['colour'] } });
+            beeswax = new BeeswaxClient({ creds: { email: 'foo@bar.com', password: 'pass' }, transport: fake });
+            beeswax.advertisers.create({ advertiser_name: 'foo', colour: 'red' }).then(function(resp) {
+                expect(resp.payload.colour).toBe('red');
+            }).then(done, done.fail);
+        });
+
+        it('should accept any fields for entities without a schema', function(done) {
+            beeswax.deals.create({ deal_name: 'foo', anything: 1 }).then(function(resp) {
+                expect(resp.payload.anything).toBe(1);
+            }).then(done, done.fail);
+        });
+    });
+
+    describe('querying entities', function() {
+        beforeEach(function() {
+            fake.seed('lineItems', [
+                { line_item_id: 1, campaign_id: 1, line_item_name: 'c', active: true },
+                { line_item_id: 2, campaign_id: 2, line_item_name: 'a', active: false },
+                { line_item_id: 3, campaign_id: 1, line_item_name: 'b', active: true },
+                { line_item_id: 4, campaign_id: 1, line_item_name: 'd', active: false }
+            ]);
+        });
+
+        it('should find entities by id', function(done) {
+            beeswax.lineItems.find(3).then(function(resp) {
+                expect(resp.payload).toEqual({ line_item_id: 3, campaign_id: 1, line_item_name: 'b', active: true });
+                return beeswax.lineItems.find(99);
+            }).then(function(resp) {
+                expect(resp).toEqual({ success: true, payload: undefined });
+            }).then(done, done.fail);
+        });
+
+        it('should find entities by id in the path', function(done) {
+            beeswax.request('get', { url: 'https://stingersbx.api.beeswax.com/rest/line_item/2' }).then(function(body) {
+                expect(body.payload).toEqual([{ line_item_id: 2, campaign_id: 2, line_item_name: 'a', active: false }]);
+            }).then(done, done.fail);
+        });
+
+        it('should filter by field values', function(done) {
+            beeswax.lineItems.query({ campaign_id: '1', active: true }).then(function(resp) {
+                expect(resp.payload.map(function(li) { return li.line_item_id; })).toEqual([1, 3]);
+            }).then(done, done.fail);
+        });
+
+        it('should support comparison filters', function(done) {
+            beeswax.lineItems.query({ line_item_id: '>=2', line_item_name: '<c' }).then(function(resp) {
+                expect(resp.payload.map(function(li) { return li.line_item_id; })).toEqual([2, 3]);
+            }).then(done, done.fail);
+        });
+
+        it('should match lists of values', function(done) {
+            beeswax.lineItems.query({ line_item_id: [4, '1', 99], active: [false, '<=a'] }).then(function(resp) {
+                expect(resp.payload.map(function(li) { return li.line_item_id; })).toEqual([4]);
+            }).then(done, done.fail);
+        });
+
+        it('should sort + page results', function(done) {
+            beeswax.lineItems.query({ sort_by: 'line_item_name', sort_order: 'desc', offset: 1, rows: 2 }).then(function(resp) {
+                expect(resp.payload.map(function(li) { return li.line_item_name; })).toEqual(['c', 'b']);
+            }).then(done, done.fail);
+        });
+
+        it('should work with queryAll', function(done) {
+            beeswax.lineItems.queryAll({ campaign_id: 1 }, { pageSize: 2 }).then(function(resp) {
+                expect(resp.payload.map(function(li) { return li.line_item_id; })).toEqual([1, 3, 4]);
+                return beeswax.lineItems.queryAll({}, { pageSize: 2, pagination: 'keyset', sortDirection: 'desc' });
+            }).then(function(resp) {
+                expect(resp.payload.map(function(li) { return li.line_item_id; })).toEqual([4, 3, 2, 1]);
+            }).then(done, done.fail);
+        });
+
+        it('should return copies of stored entities', function(done) {
+            beeswax.lineItems.find(1).then(function(resp) {
+                resp.payload.line_item_name = 'changed';
+                expect(fake.get('lineItems', 1).line_item_name).toBe('c');
+            }).then(done, done.fail);
+        });
+    });
+
+    describe('editing entities', function() {
+        beforeEach(function() {
+            fake.seed('advertisers', { advertiser_id: 7, advertiser_name: 'foo', notes: 'hi' });
+        });
+
+        it('should merge the body into the entity', function(done) {
+            beeswax.advertisers.edit(7, { advertiser_name: 'bar' }).then(function(resp) {
+                expect(resp.payload).toEqual({
+                    advertiser_id: 7,
+                    advertiser_name: 'bar',
+                    notes: 'hi',
+                    update_date: jasmine.any(String)
+                });
+            }).then(done, done.fail);
+        });
+
+        it('should fail like Beeswax if the entity does not exist', function(done) {
+            beeswax.advertisers.edit(8, { advertiser_name: 'bar' }).then(function(resp) {
+                expect(resp).toEqual({ success: false, code: 400, message: 'Not found' });
+                return beeswax.advertisers.edit(8, { advertiser_name: 'bar' }, true);
+            }).then(done.fail, function(error) {
+                expect(error).toEqual(jasmine.any(errors.NotFoundError));
+                expect(error.statusCode).toBe(406);
+                expect(error.messages).toEqual(['Could not load object 8 to update']);
+            }).then(done, done.fail);
+        });
+
+        it('should reject invalid values', function(done) {
+            beeswax.advertisers.edit(7, { active: 'yes' }, { validate: false }).then(done.fail, function(error) {
+                expect(error).toEqual(jasmine.any(errors.ValidationError));
+                expect(fake.get('advertisers', 7).active).not.toBeDefined();
+            }).then(done, done.fail);
+        });
+
+        it('should reject unknown fields on /strict paths, and ignore them elsewhere', function(done) {
+            beeswax.advertisers.edit(7, { notes: 'bye', colour: 'red' }).then(done.fail, function(error) {
+                expect(error.messages).toEqual(['colour: is not a valid field']);
+                expect(fake.get('advertisers', 7).notes).toBe('hi');
+                return beeswax.request('put', {
+                    url: 'https://stingersbx.api.beeswax.com/rest/advertiser',
+                    body: { advertiser_id: 7, notes: 'bye', colour: 'red' }
+                });
+            }).then(function() {
+                expect(fake.get('advertisers', 7).notes).toBe('bye');
+                expect(fake.get('advertisers', 7).colour).not.toBeDefined();
+            }).then(done, done.fail);
+        });
+    });
+
+    describe('deleting entities', function() {
+        beforeEach(function() {
+            fake.seed('creatives', { creative_id: 3, creative_name: 'foo' });
+        });
+
+        it('should remove the entity', function(done) {
+            beeswax.creatives.delete(3).then(function(resp) {
+                expect(resp).toEqual({ success: true, payload: { id: 3 } });
+                expect(fake.get('creatives', 3)).not.toBeDefined();
+            }).then(done, done.fail);
+        });
+
+        it('should fail like Beeswax if the entity does not exist', function(done) {
+            beeswax.creatives.delete(4).then(function(resp) {
+                expect(resp).toEqual({ success: false, code: 400, message: 'Not found' });
+                return beeswax.creatives.delete(4, true);
+            }).then(done.fail, function(error) {
+                expect(error).toEqual(jasmine.any(errors.NotFoundError));
+                expect(error.messages).toEqual(['Could not load object 4 to delete']);
+            }).then(done, done.fail);
+        });
+    });
+
+    describe('failNext', function() {
+        it('should fail queued requests in order', function(done) {
+            var client = new BeeswaxClient({ creds: { email: 'foo@bar.com', password: 'password' }, transport: fake });
+            spyOn(Promise, 'delay').and.returnValue(Promise.resolve());
+            fake.failNext(503);
+            fake.failNext(502, { success: false, message: 'Oops' });
+
+            client.campaigns.query({}).then(function(resp) {
+                expect(resp).toEqual({ success: true, payload: [] });
+                expect(fake.requests.length).toBe(5); // 503, 502, 401, authenticate, success
+            }).then(done, done.fail);
+        });
+    });
+
+    it('should support registered entities + ones in opts.entities', function(done) {
+        var entities = require('../../lib/entities');
+        BeeswaxClient.registerEntity('gadgets', { endpoint: '/rest/gadget', idField: 'gadget_id' });
+        fake = new FakeBeeswax({ entities: { widgets: { endpoint: '/rest/widget', idField: 'widget_id' } } });
+        beeswax = new BeeswaxClient({ creds: { email: 'foo@bar.com', password: 'pass' }, transport: fake })
+            .registerEntity('widgets', { endpoint: '/rest/widget', idField: 'widget_id' });
+
+        expect(fake.seed('widgets', [{ widget_name: 'foo' }])).toEqual([{ widget_id: 1, widget_name: 'foo' }]);
+        beeswax.widgets.find(1).then(function(resp) {
+            expect(resp.payload).toEqual({ widget_id: 1, widget_name: 'foo' });
+            return beeswax.gadgets.create({ gadget_name: 'bar' });
+        }).then(function(resp) {
+            expect(resp.payload).toEqual(jasmine.objectContaining({ gadget_id: 1, gadget_name: 'bar' }));
+        }).finally(function() {
+            delete entities.gadgets;
+        }).then(done, done.fail);
+    });
+
+    it('should 404 unknown routes', function(done) {
+        beeswax.request('post', { url: 'https://stingersbx.api.beeswax.com/rest/widget', body: { a: 1 } })
+        .then(done.fail, function(error) {
+            expect(error.statusCode).toBe(404);
+            expect(error.message).toContain('No route for POST /rest/widget');
+        }).then(done, done.fail);
+    });
+
+    it('should resolve with full responses when asked', function(done) {
+        beeswax.authenticate().then(function() {
+            return fake.send({
+                method: 'get',
+                url: 'https://stingersbx.api.beeswax.com/rest/campaign',
+                body: {},
+                jar: beeswax._cookieJar,
+                fullResponse: true
+            });
+        }).then(function(resp) {
+            expect(resp).toEqual({ statusCode: 200, headers: {}, body: { success: true, payload: [] } });
+        }).then(done, done.fail);
+    });
+
+    it('should reset the store + sessions', function(done) {
+        beeswax.advertisers.create({ advertiser_name: 'foo' }).then(function() {
+            fake.reset({ campaigns: [{ campaign_name: 'x' }] });
+            expect(fake.all('advertisers')).toEqual([]);
+            expect(fake.all('campaigns')).toEqual([{ campaign_name: 'x', campaign_id: 1 }]);
+            return beeswax.advertisers.create({ advertiser_name: 'bar' });
+        }).then(function(resp) {
+            expect(resp.payload.advertiser_id).toBe(1);
+            expect(fake.requests.filter(function(req) { return req.path === '/rest/authenticate'; }).length).toBe(2);
+        }).then(done, done.fail);
+    });
+});
@@ -0,0 +1,103 @@
+describe('FileSessionStore', function() {
+    var os, fs, path, Promise, FileSessionStore, tmpDir, sessionPath, store;
+
+    beforeEach(function() {
+        os                  = require('os');
+        fs                  = require('fs');
+        path                = require('path');
+        Promise             = require('bluebird');
+        FileSessionStore    = require('../../lib/FileSessionStore');
+
+        tmpDir = path.join(os.tmpdir(), 'beeswax-sessions-' + process.pid);
+        sessionPath = path.join(tmpDir, 'nested', 'sessions.json');
+        store = new FileSessionStore(sessionPath);
+    });
+
+    afterEach(function() {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should require a path', function() {
+        expect(function() { return new FileSessionStore(); })
+            .toThrow(new Error('Must provide the path of the session file'));
+    });
+
+    it('should resolve with null if there is no session file', function(done) {
+        store.get('key').then(function(saved) {
+            expect(saved).toBe(null);
+        }).then(done, done.fail);
+    });
+
+    it('should save sessions to the file, readable only by the owner', function(done) {
+        Promise.all([
+            store.set('a', { cookies: 'session=a', expires: 1000 }),
+            store.set('b', { cookies: 'session=b', expires: 2000 })
+        ]).then(function() {
+            expect(JSON.parse(fs.readFileSync(sessionPath, 'utf8'))).toEqual({
+                a: { cookies: 'session=a', expires: 1000 },
+                b: { cookies: 'session=b', expires: 2000 }
+            });
+            expect(fs.statSync(sessionPath).mode.toString(8).slice(-3)).toBe('600');
+            expect(fs.readdirSync(path.dirname(sessionPath))).toEqual(['sessions.json']);
+            return new FileSessionStore(sessionPath).get('b');
+        }).then(function(saved) {
+            expect(saved).toEqual({ cookies: 'session=b', expires: 2000 });
+        }).then(done, done.fail);
+    });
+
+    it('should delete sessions', function(done) {
+        store.set('a', { cookies: 'session=a', expires: 1000 }).then(function() {
+            return store.delete('a');
+        }).then(function() {
+            return store.get('a');
+        }).then(function(saved) {
+            expect(saved).toBe(null);
+        }).then(done, done.fail);
+    });
+
+    it('should reject if the session file is corrupt', function(done) {
+        fs.mkdirSync(path.dirname(sessionPath), { recursive: true });
+        fs.writeFileSync(sessionPath, '{ not json');
+        store.get('a').then(done.fail, function(error) {
+            expect(error).toEqual(jasmine.any(SyntaxError));
+        }).then(done, done.fail);
+    });
+
+    describe('locking', function() {
+        beforeEach(function() {
+            fs.mkdirSync(path.dirname(sessionPath), { recursive: true });
+        });
+
+        it('should only let one store hold a lock until it is unlocked', function(done) {
+            var other = new FileSessionStore(sessionPath);
+            store.lock('key', 10000).then(function(locked) {
+                expect(locked).toBe(true);
+                return Promise.all([other.lock('key', 10000), other.lock('other', 10000)]);
+            }).then(function(results) {
+                expect(results).toEqual([false, true]);
+                return store.unlock('key');
+            }).then(function() {
+                return other.lock('key', 10000);
+            }).then(function(locked) {
+                expect(locked).toBe(true);
+            }).then(done, done.fail);
+        });
+
+        it('should replace stale locks', function(done) {
+            store.lock('key', 10000).then(function() {
+                var lockFile = fs.readdirSync(path.dirname(sessionPath)).filter(function(name) {
+                    return /\.lock$/.test(name);
+                })[0];
+                var old = new Date(Date.now() - 20000);
+                fs.utimesSync(path.join(path.dirname(sessionPath), lockFile), old, old);
+                return new FileSessionStore(sessionPath).lock('key', 10000);
+            }).then(function(locked) {
+                expect(locked).toBe(true);
+            }).then(done, done.fail);
+        });
+
+        it('should not fail to unlock a lock that is not held', function(done) {
+            store.unlock('key').then(done, done.fail);
+        });
+    });
+});
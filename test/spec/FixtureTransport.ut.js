@@ -0,0 +1,277 @@
+describe('FixtureTransport', function() {
+    var os, fs, path, Promise, request, errors, FixtureTransport, FakeBeeswax, BeeswaxClient, tmpDir, fixturePath;
+
+    beforeEach(function() {
+        os                  = require('os');
+        fs                  = require('fs');
+        path                = require('path');
+        Promise             = require('bluebird');
+        request             = require('request');
+        errors              = require('../../lib/errors');
+        FixtureTransport    = require('../../lib/FixtureTransport');
+        FakeBeeswax         = require('../../lib/FakeBeeswax');
+        BeeswaxClient       = require('../../index');
+
+        tmpDir = path.join(os.tmpdir(), 'beeswax-fixtures-' + process.pid);
+        fixturePath = path.join(tmpDir, 'nested', 'campaigns.json');
+    });
+
+    afterEach(function() {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    function writeFixture(interactions) {
+        fs.mkdirSync(path.dirname(fixturePath), { recursive: true });
+        fs.writeFileSync(fixturePath, JSON.stringify({ interactions: interactions }));
+    }
+
+    function readFixture() {
+        return JSON.parse(fs.readFileSync(fixturePath, 'utf8')).interactions;
+    }
+
+    describe('initialization', function() {
+        it('should require a valid mode and a path', function() {
+            expect(function() { return new FixtureTransport({ path: fixturePath }); })
+                .toThrow(new Error('mode must be one of: record, replay'));
+            expect(function() { return new FixtureTransport({ mode: 'replay' }); })
+                .toThrow(new Error('Must provide the path of the fixture file'));
+        });
+
+        it('should require a transport when recording', function() {
+            expect(function() { return new FixtureTransport({ mode: 'record', path: fixturePath }); })
+                .toThrow(new Error('Must provide a transport to record requests with'));
+        });
+
+        it('should require the fixture file to exist when replaying', function() {
+            expect(function() { return new FixtureTransport({ mode: 'replay', path: fixturePath }); })
+                .toThrow(new Error('No fixture file found at ' + fixturePath));
+        });
+
+        it('should load interactions when replaying', function() {
+            writeFixture([{ request: { method: 'get', path: '/rest/campaign' }, response: { success: true } }]);
+            var transport = new FixtureTransport({ mode: 'replay', path: fixturePath });
+            expect(transport.interactions).toEqual([
+                { request: { method: 'get', path: '/rest/campaign' }, response: { success: true } }
+            ]);
+        });
+    });
+
+    describe('recording', function() {
+        var inner, transport;
+
+        beforeEach(function() {
+            inner = {
+                send: jasmine.createSpy('send').and.returnValue(Promise.resolve({ success: true, payload: [] })),
+                openStream: jasmine.createSpy('openStream').and.returnValue('a stream')
+            };
+            transport = new FixtureTransport({ mode: 'record', path: fixturePath, transport: inner, redact: ['Token'] });
+        });
+
+        it('should send requests with the transport and write them to the fixture file', function(done) {
+            var req = { method: 'del', url: 'https://bw.com/rest/campaign/strict?x=1', body: { campaign_id: 1 }, jar: {} };
+            transport.send(req).then(function(body) {
+                expect(body).toEqual({ success: true, payload: [] });
+                expect(inner.send).toHaveBeenCalledWith(req);
+                expect(readFixture()).toEqual([{
+                    request: { method: 'delete', path: '/rest/campaign/strict?x=1', body: { campaign_id: 1 } },
+                    response: { success: true, payload: [] }
+                }]);
+                expect(transport.interactions).toEqual(readFixture());
+            }).then(done, done.fail);
+        });
+
+        it('should redact credentials and the fields in opts.redact', function(done) {
+            inner.send.and.returnValue(Promise.resolve({
+                statusCode: 200,
+                headers: { 'Set-Cookie': ['session=abc'], 'content-type': 'application/json' },
+                body: { success: true, token: 'secret' }
+            }));
+            transport.send({
+                method: 'post',
+                url: 'https://bw.com/rest/authenticate',
+                body: { email: 'foo@bar.com', password: 'hunter2', keep_logged_in: true, nested: [{ token: 'abc' }] },
+                fullResponse: true
+            }).then(function(resp) {
+                expect(resp.body.token).toBe('secret');
+                var contents = fs.readFileSync(fixturePath, 'utf8');
+                ['foo@bar.com', 'hunter2', 'secret', 'abc'].forEach(function(secret) {
+                    expect(contents).not.toContain(secret);
+                });
+                expect(readFixture()[0]).toEqual({
+                    request: {
+                        method: 'post',
+                        path: '/rest/authenticate',
+                        body: { email: '[REDACTED]', password: '[REDACTED]', keep_logged_in: true, nested: [{ token: '[REDACTED]' }] }
+                    },
+                    response: {
+                        statusCode: 200,
+                        headers: { 'Set-Cookie': '[REDACTED]', 'content-type': 'application/json' },
+                        body: { success: true, token: '[REDACTED]' }
+                    }
+                });
+            }).then(done, done.fail);
+        });
+
+        it('should record multipart uploads without their content', function(done) {
+            transport.send({
+                method: 'post',
+                url: 'https://bw.com/rest/creative_asset/upload/1',
+                formData: { creative_content: { value: Buffer.from('content'), options: { filename: 'a.png', contentType: 'image/png' } } }
+            }).then(function() {
+                expect(readFixture()[0].request).toEqual({
+                    method: 'post',
+                    path: '/rest/creative_asset/upload/1',
+                    formData: { creative_content: { filename: 'a.png', contentType: 'image/png' } }
+                });
+            }).then(done, done.fail);
+        });
+
+        it('should record HTTP errors', function(done) {
+            inner.send.and.returnValue(Promise.reject(errors.httpError(406, { success: false, payload: [] }, { cookie: 'a' })));
+            transport.send({ method: 'put', url: 'https://bw.com/rest/campaign/strict', body: { campaign_id: 1 } })
+            .then(done.fail, function(error) {
+                expect(error.statusCode).toBe(406);
+                expect(readFixture()[0].error).toEqual({
+                    statusCode: 406,
+                    headers: { cookie: '[REDACTED]' },
+                    body: { success: false, payload: [] }
+                });
+            }).then(done, done.fail);
+        });
+
+        it('should record network errors', function(done) {
+            var networkError = new Error('socket hang up');
+            networkError.name = 'RequestError';
+            networkError.code = 'ECONNRESET';
+            inner.send.and.returnValue(Promise.reject(networkError));
+            transport.send({ method: 'get', url: 'https://bw.com/rest/campaign', body: {} }).then(done.fail, function(error) {
+                expect(error).toBe(networkError);
+                expect(readFixture()[0].error).toEqual({ name: 'RequestError', message: 'socket hang up', code: 'ECONNRESET' });
+            }).then(done, done.fail);
+        });
+
+        it('should open streams with the transport', function() {
+            expect(transport.openStream('https://cdn.com/a.png')).toBe('a stream');
+            delete inner.openStream;
+            expect(function() { transport.openStream('https://cdn.com/a.png'); })
+                .toThrow(new Error('The transport does not support opening streams'));
+        });
+    });
+
+    describe('replaying', function() {
+        var transport;
+
+        beforeEach(function() {
+            writeFixture([
+                {
+                    request: { method: 'get', path: '/rest/campaign', body: { campaign_id: 1, rows: 50 } },
+                    response: { success: true, payload: [{ campaign_id: 1, campaign_name: 'first' }] }
+                },
+                {
+                    request: { method: 'get', path: '/rest/campaign', body: { rows: 50, campaign_id: 1 } },
+                    response: { success: true, payload: [{ campaign_id: 1, campaign_name: 'second' }] }
+                },
+                {
+                    request: { method: 'delete', path: '/rest/campaign/strict', body: { campaign_id: 2 } },
+                    error: { statusCode: 406, headers: {}, body: { success: false, payload: [{ message: ['Could not load object 2 to delete'] }] } }
+                },
+                {
+                    request: { method: 'post', path: '/rest/authenticate', body: { email: '[REDACTED]', password: '[REDACTED]' } },
+                    error: { name: 'RequestError', message: 'socket hang up', code: 'ECONNRESET' }
+                }
+            ]);
+            transport = new FixtureTransport({ mode: 'replay', path: fixturePath });
+        });
+
+        it('should replay matching interactions in order, ignoring body key order', function(done) {
+            transport.send({ method: 'get', url: 'https://bw.com/rest/campaign', body: { rows: 50, campaign_id: 1 } })
+            .then(function(body) {
+                expect(body.payload[0].campaign_name).toBe('first');
+                return transport.send({ method: 'get', url: 'https://other.com/rest/campaign', body: { campaign_id: 1, rows: 50 } });
+            }).then(function(body) {
+                expect(body.payload[0].campaign_name).toBe('second');
+                expect(transport.unused().length).toBe(2);
+            }).then(done, done.fail);
+        });
+
+        it('should replay HTTP errors', function(done) {
+            transport.send({ method: 'del', url: 'https://bw.com/rest/campaign/strict', body: { campaign_id: 2 } })
+            .then(done.fail, function(error) {
+                expect(error.name).toBe('StatusCodeError');
+                expect(error.statusCode).toBe(406);
+                expect(errors.normalize(error)).toEqual(jasmine.any(errors.NotFoundError));
+            }).then(done, done.fail);
+        });
+
+        it('should replay network errors, matching redacted credentials', function(done) {
+            transport.send({ method: 'post', url: 'https://bw.com/rest/authenticate', body: { email: 'a@b.com', password: 'x' } })
+            .then(done.fail, function(error) {
+                expect(error.name).toBe('RequestError');
+                expect(error.code).toBe('ECONNRESET');
+                expect(errors.normalize(error)).toEqual(jasmine.any(errors.NetworkError));
+            }).then(done, done.fail);
+        });
+
+        it('should reject requests that match no interaction', function(done) {
+            transport.send({ method: 'get', url: 'https://bw.com/rest/campaign', body: { campaign_id: 3 } })
+            .then(done.fail, function(error) {
+                expect(error.message).toBe('No recorded interaction in ' + fixturePath +
+                                           ' matches GET /rest/campaign with body {"campaign_id":3}');
+            }).then(done, done.fail);
+        });
+
+        it('should not replay an interaction twice', function(done) {
+            var req = { method: 'del', url: 'https://bw.com/rest/campaign/strict', body: { campaign_id: 2 } };
+            transport.send(req).catch(function(error) {
+                expect(error.statusCode).toBe(406);
+                return transport.send(req);
+            }).then(done.fail, function(error) {
+                expect(error.message).toBe('No recorded interaction in ' + fixturePath +
+                                           ' matches DELETE /rest/campaign/strict with body {"campaign_id":2}');
+            }).then(done, done.fail);
+        });
+
+        it('should not open streams', function() {
+            expect(function() { transport.openStream('https://cdn.com/a.png'); })
+                .toThrow(new Error('Cannot open a stream of https://cdn.com/a.png while replaying fixtures'));
+        });
+    });
+
+    describe('with a BeeswaxClient', function() {
+        var creds;
+
+        beforeEach(function() {
+            creds = { email: 'foo@bar.com', password: 'password' };
+        });
+
+        it('should replay a recorded session without a network', function(done) {
+            var fake = new FakeBeeswax({ users: [creds] }),
+                recorder = new BeeswaxClient({ creds: creds, transport: fake, fixtures: { mode: 'record', path: fixturePath } });
+
+            recorder.advertisers.create({ advertiser_name: 'foo' }).then(function(resp) {
+                return recorder.campaigns.create({ advertiser_id: resp.payload.advertiser_id, campaign_name: 'bar' });
+            }).then(function(recorded) {
+                expect(fs.readFileSync(fixturePath, 'utf8')).not.toContain('foo@bar.com');
+
+                var replayer = new BeeswaxClient({
+                    creds: { email: 'ci@example.com', password: 'ci' },
+                    fixtures: { mode: 'replay', path: fixturePath }
+                });
+                spyOn(request, 'post');
+                spyOn(request, 'get');
+
+                return replayer.advertisers.create({ advertiser_name: 'foo' }).then(function(resp) {
+                    return replayer.campaigns.create({ advertiser_id: resp.payload.advertiser_id, campaign_name: 'bar' });
+                }).then(function(replayed) {
+                    expect(replayed).toEqual(recorded);
+                    expect(replayer._transport.unused()).toEqual([]);
+                    expect(request.post).not.toHaveBeenCalled();
+                    expect(request.get).not.toHaveBeenCalled();
+                    return replayer.campaigns.find(99);
+                });
+            }).then(done.fail, function(error) {
+                expect(error.message).toMatch(/^No recorded interaction in .* matches GET \/rest\/campaign/);
+            }).then(done, done.fail);
+        });
+    });
+});
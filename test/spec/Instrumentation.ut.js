@@ -0,0 +1,153 @@
+describe('Instrumentation', function() {
+    var Promise, Instrumentation, MemoryMetrics, errors, logger, metrics, instrumentation, ctx;
+
+    beforeEach(function() {
+        Promise         = require('bluebird');
+        Instrumentation = require('../../lib/Instrumentation');
+        MemoryMetrics   = require('../../lib/MemoryMetrics');
+        errors          = require('../../lib/errors');
+
+        logger = jasmine.createSpyObj('logger', ['info', 'warn']);
+        metrics = new MemoryMetrics();
+        instrumentation = new Instrumentation({ logger: logger, metrics: metrics, redact: ['secret'] });
+        ctx = { type: 'request', method: 'post', endpoint: '/rest/campaign/strict', attempt: 1 };
+    });
+
+    it('should require a valid logger + metrics sink', function() {
+        expect(function() { return new Instrumentation({ logger: { log: function() {} } }); })
+            .toThrow(new Error('logger must be an object with info() and warn() methods'));
+        expect(function() { return new Instrumentation({ metrics: { increment: function() {} } }); })
+            .toThrow(new Error('metrics must be an object with increment() and histogram() methods'));
+        expect(new Instrumentation().prefix).toBe('beeswax');
+    });
+
+    it('should log successful requests with credentials redacted', function(done) {
+        var req = {
+            method: 'post',
+            url: 'https://bw.com/rest/campaign/strict',
+            body: { campaign_name: 'foo', secret: 'hunter2', email: 'foo@bar.com' },
+            headers: { Authorization: 'Bearer abc', 'X-Job': 'sync' }
+        };
+        ctx.meta = { job: 'sync' };
+
+        instrumentation.track(req, ctx, function() {
+            return Promise.resolve({ success: true, payload: { id: 1 } });
+        }).then(function(body) {
+            expect(body).toEqual({ success: true, payload: { id: 1 } });
+            expect(logger.warn).not.toHaveBeenCalled();
+            expect(logger.info).toHaveBeenCalledWith(jasmine.stringMatching(/^Beeswax POST \/rest\/campaign\/strict 200 in \d+ms$/), {
+                type: 'request',
+                method: 'POST',
+                endpoint: '/rest/campaign/strict',
+                entity: 'campaigns',
+                attempt: 1,
+                retries: 0,
+                status: 200,
+                success: true,
+                duration: jasmine.any(Number),
+                requestSize: Buffer.byteLength(JSON.stringify(req.body)),
+                responseSize: Buffer.byteLength(JSON.stringify(body)),
+                body: { campaign_name: 'foo', secret: '[REDACTED]', email: '[REDACTED]' },
+                headers: { Authorization: '[REDACTED]', 'X-Job': 'sync' },
+                meta: { job: 'sync' }
+            });
+            expect(req.body.secret).toBe('hunter2');
+        }).then(done, done.fail);
+    });
+
+    it('should redact opts.headers and headers named in opts.redact', function(done) {
+        var req = {
+            method: 'get',
+            url: 'https://bw.com/rest/campaign',
+            headers: { 'X-Api-Key': 'key', Secret: 'hunter2', 'X-Job': 'sync' }
+        };
+        instrumentation = new Instrumentation({ logger: logger, redact: ['secret'], headers: ['X-API-KEY'] });
+
+        instrumentation.track(req, ctx, function() {
+            return Promise.resolve({ success: true, payload: [] });
+        }).then(function() {
+            expect(logger.info.calls.argsFor(0)[1].headers).toEqual({
+                'X-Api-Key': '[REDACTED]',
+                Secret: '[REDACTED]',
+                'X-Job': 'sync'
+            });
+        }).then(done, done.fail);
+    });
+
+    it('should log failed requests + count errors and retries', function(done) {
+        ctx.attempt = 3;
+        ctx.endpoint = '/rest/creative_asset/12';
+
+        instrumentation.track({ method: 'get', url: 'https://bw.com/rest/creative_asset/12' }, ctx, function() {
+            return Promise.reject(errors.httpError(503, 'busy'));
+        }).then(done.fail, function(error) {
+            var event = logger.warn.calls.argsFor(0)[1],
+                snapshot = metrics.snapshot(),
+                tags = { type: 'request', method: 'GET', entity: 'creativeAssets', status: '503', endpoint: '/rest/creative_asset/:id' };
+
+            expect(error.statusCode).toBe(503);
+            expect(logger.warn.calls.argsFor(0)[0]).toMatch(/^Beeswax GET \/rest\/creative_asset\/12 503 in \d+ms \(retry 2\)$/);
+            expect(event.success).toBe(false);
+            expect(event.retries).toBe(2);
+            expect(event.responseSize).toBe(4);
+            expect(event.error).toEqual({ name: 'StatusCodeError', message: '503 - busy' });
+            expect(snapshot.counters).toEqual([
+                { name: 'beeswax.requests', tags: tags, value: 1 },
+                { name: 'beeswax.errors', tags: tags, value: 1 },
+                { name: 'beeswax.retries', tags: tags, value: 1 }
+            ]);
+            expect(snapshot.histograms.map(function(histogram) { return histogram.name; }))
+                .toEqual(['beeswax.request.duration', 'beeswax.request.size', 'beeswax.response.size']);
+        }).then(done, done.fail);
+    });
+
+    it('should treat unsuccessful bodies + network errors as failures', function(done) {
+        var networkError = new Error('socket hang up');
+        networkError.code = 'ECONNRESET';
+
+        instrumentation.track({ method: 'del', body: {} }, ctx, function() {
+            return Promise.resolve({ success: false, message: 'nope' });
+        }).then(function() {
+            expect(logger.warn.calls.argsFor(0)[1].status).toBe(200);
+            expect(logger.warn.calls.argsFor(0)[1].method).toBe('DELETE');
+            return instrumentation.track({ method: 'get' }, ctx, function() {
+                return Promise.reject(networkError);
+            });
+        }).then(done.fail, function(error) {
+            expect(error).toBe(networkError);
+            expect(logger.warn.calls.argsFor(1)[1].status).toBe('ECONNRESET');
+            expect(logger.warn.calls.argsFor(1)[1].body).not.toBeDefined();
+        }).then(done, done.fail);
+    });
+
+    it('should report the status + size of full responses and uploads', function(done) {
+        var formData = { creative_content: { value: 'stream', options: { filename: 'a.png', knownLength: 1234 } } };
+
+        instrumentation.track({ method: 'post', formData: formData, fullResponse: true }, ctx, function() {
+            return Promise.resolve({ statusCode: 201, headers: {}, body: 'ok' });
+        }).then(function() {
+            var event = logger.info.calls.argsFor(0)[1];
+            expect(event.status).toBe(201);
+            expect(event.requestSize).toBe(1234);
+            expect(event.responseSize).toBe(2);
+        }).then(done, done.fail);
+    });
+
+    it('should not fail requests if the logger throws', function(done) {
+        logger.info.and.throwError('disk full');
+        instrumentation.track({ method: 'get' }, ctx, function() {
+            return Promise.resolve({ success: true });
+        }).then(function(body) {
+            expect(body).toEqual({ success: true });
+        }).then(done, done.fail);
+    });
+
+    it('should use the metrics prefix', function(done) {
+        instrumentation = new Instrumentation({ metrics: metrics, prefix: 'ads.bw' });
+        instrumentation.track({ method: 'get' }, ctx, function() {
+            return Promise.resolve({ success: true });
+        }).then(function() {
+            expect(metrics.snapshot().counters[0].name).toBe('ads.bw.requests');
+        }).then(done, done.fail);
+    });
+});
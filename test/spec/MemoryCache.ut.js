@@ -0,0 +1,60 @@
+describe('MemoryCache', function() {
+    var Promise, MemoryCache, cache, now;
+
+    beforeEach(function() {
+        Promise     = require('bluebird');
+        MemoryCache = require('../../lib/MemoryCache');
+        cache       = new MemoryCache({ maxEntries: 3 });
+
+        now = 1000;
+        spyOn(Date, 'now').and.callFake(function() { return now; });
+    });
+
+    it('should default to 1000 entries', function() {
+        expect(new MemoryCache().maxEntries).toBe(1000);
+    });
+
+    it('should return values until they expire', function(done) {
+        cache.set('a', '1', 100).then(function() {
+            return cache.get('a');
+        }).then(function(value) {
+            expect(value).toBe('1');
+            now = 1100;
+            return cache.get('a');
+        }).then(function(value) {
+            expect(value).toBe(null);
+            expect(cache.size()).toBe(0);
+            return cache.get('b');
+        }).then(function(value) {
+            expect(value).toBe(null);
+        }).then(done, done.fail);
+    });
+
+    it('should evict the least recently used entries', function(done) {
+        Promise.all([cache.set('a', '1', 100), cache.set('b', '2', 100), cache.set('c', '3', 100)]).then(function() {
+            return cache.get('a');
+        }).then(function() {
+            return cache.set('d', '4', 100);
+        }).then(function() {
+            return Promise.all(['a', 'b', 'c', 'd'].map(function(key) { return cache.get(key); }));
+        }).then(function(values) {
+            expect(values).toEqual(['1', null, '3', '4']);
+        }).then(done, done.fail);
+    });
+
+    it('should delete entries + clear them by prefix', function(done) {
+        Promise.all([cache.set('x a', '1', 100), cache.set('x b', '2', 100), cache.set('y a', '3', 100)]).then(function() {
+            return cache.clear('x ');
+        }).then(function() {
+            expect(cache.size()).toBe(1);
+            return cache.delete('y a');
+        }).then(function() {
+            expect(cache.size()).toBe(0);
+            return cache.set('z', '1', 100);
+        }).then(function() {
+            return cache.clear();
+        }).then(function() {
+            expect(cache.size()).toBe(0);
+        }).then(done, done.fail);
+    });
+});
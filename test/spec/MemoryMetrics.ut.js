@@ -0,0 +1,47 @@
+describe('MemoryMetrics', function() {
+    var MemoryMetrics, metrics;
+
+    beforeEach(function() {
+        MemoryMetrics   = require('../../lib/MemoryMetrics');
+        metrics         = new MemoryMetrics();
+    });
+
+    it('should count by name + tags, ignoring tag order', function() {
+        metrics.increment('requests', 1, { method: 'GET', status: '200' });
+        metrics.increment('requests', 2, { status: '200', method: 'GET' });
+        metrics.increment('requests', 1, { method: 'POST', status: '200' });
+        metrics.increment('errors');
+
+        expect(metrics.snapshot().counters).toEqual([
+            { name: 'requests', tags: { method: 'GET', status: '200' }, value: 3 },
+            { name: 'requests', tags: { method: 'POST', status: '200' }, value: 1 },
+            { name: 'errors', tags: {}, value: 1 }
+        ]);
+    });
+
+    it('should summarize histograms', function() {
+        [5, 1, 3, 2, 4].forEach(function(value) {
+            metrics.histogram('duration', value, { method: 'GET' });
+        });
+
+        expect(metrics.snapshot().histograms).toEqual([{
+            name: 'duration',
+            tags: { method: 'GET' },
+            count: 5,
+            sum: 15,
+            min: 1,
+            max: 5,
+            mean: 3,
+            p50: 3,
+            p95: 5,
+            p99: 5
+        }]);
+    });
+
+    it('should clear everything on reset()', function() {
+        metrics.increment('requests', 1);
+        metrics.histogram('duration', 10);
+        metrics.reset();
+        expect(metrics.snapshot()).toEqual({ counters: [], histograms: [] });
+    });
+});
@@ -0,0 +1,72 @@
+describe('MemorySessionStore', function() {
+    var Promise, MemorySessionStore, store;
+
+    beforeEach(function() {
+        Promise             = require('bluebird');
+        MemorySessionStore  = require('../../lib/MemorySessionStore');
+        store = new MemorySessionStore();
+    });
+
+    afterEach(function() {
+        jasmine.clock().uninstall();
+    });
+
+    it('should get + set copies of sessions', function(done) {
+        var session = { cookies: 'session=abc', expires: 1000 };
+        store.get('key').then(function(saved) {
+            expect(saved).toBe(null);
+            return store.set('key', session);
+        }).then(function() {
+            session.cookies = 'changed';
+            return store.get('key');
+        }).then(function(saved) {
+            expect(saved).toEqual({ cookies: 'session=abc', expires: 1000 });
+            saved.cookies = 'changed';
+            return store.get('key');
+        }).then(function(saved) {
+            expect(saved.cookies).toBe('session=abc');
+            return store.get('other');
+        }).then(function(saved) {
+            expect(saved).toBe(null);
+        }).then(done, done.fail);
+    });
+
+    it('should delete sessions', function(done) {
+        store.set('key', { cookies: 'session=abc', expires: 1000 }).then(function() {
+            return store.delete('key');
+        }).then(function() {
+            return store.get('key');
+        }).then(function(saved) {
+            expect(saved).toBe(null);
+        }).then(done, done.fail);
+    });
+
+    it('should only let one caller hold a lock until it is unlocked', function(done) {
+        store.lock('key', 1000).then(function(locked) {
+            expect(locked).toBe(true);
+            return Promise.all([store.lock('key', 1000), store.lock('other', 1000)]);
+        }).then(function(results) {
+            expect(results).toEqual([false, true]);
+            return store.unlock('key');
+        }).then(function() {
+            return store.lock('key', 1000);
+        }).then(function(locked) {
+            expect(locked).toBe(true);
+        }).then(done, done.fail);
+    });
+
+    it('should let locks expire after their ttl', function(done) {
+        jasmine.clock().install();
+        jasmine.clock().mockDate(new Date(2017, 0, 1));
+        store.lock('key', 1000).then(function() {
+            jasmine.clock().tick(999);
+            return store.lock('key', 1000);
+        }).then(function(locked) {
+            expect(locked).toBe(false);
+            jasmine.clock().tick(2);
+            return store.lock('key', 1000);
+        }).then(function(locked) {
+            expect(locked).toBe(true);
+        }).then(done, done.fail);
+    });
+});
@@ -0,0 +1,69 @@
+describe('PasswordAuth', function() {
+    var Promise, PasswordAuth, ctx;
+
+    beforeEach(function() {
+        Promise         = require('bluebird');
+        PasswordAuth    = require('../../lib/PasswordAuth');
+
+        ctx = {
+            apiRoot: 'https://bw.com',
+            jar: { cookies: 'yum' },
+            send: jasmine.createSpy('send').and.returnValue(Promise.resolve({ success: true }))
+        };
+    });
+
+    it('should require an email + password or a function', function() {
+        [undefined, {}, { email: 'foo@bar.com' }, { password: 'pass' }].forEach(function(creds) {
+            expect(function() { return new PasswordAuth(creds); })
+                .toThrow(new Error('Must provide creds object with email + password'));
+        });
+        expect(new PasswordAuth(function() {}).sessionKey).not.toBeDefined();
+        expect(new PasswordAuth({ email: 'foo@bar.com', password: 'pass' }).sessionKey).toBe('foo@bar.com');
+    });
+
+    it('should log in with the email + password', function(done) {
+        var auth = new PasswordAuth({ email: 'foo@bar.com', password: 'pass' });
+        auth.authenticate(ctx).then(function(body) {
+            expect(body).toEqual({ success: true });
+        }).then(done, done.fail);
+        expect(ctx.send).toHaveBeenCalledWith({
+            method: 'post',
+            url: 'https://bw.com/rest/authenticate',
+            body: { email: 'foo@bar.com', password: 'pass', keep_logged_in: true },
+            jar: ctx.jar
+        });
+    });
+
+    it('should get the creds from a function each time it logs in', function(done) {
+        var password = 'first',
+            provider = jasmine.createSpy('provider').and.callFake(function() {
+                return Promise.resolve({ email: 'foo@bar.com', password: password });
+            }),
+            auth = new PasswordAuth(provider);
+
+        auth.authenticate(ctx).then(function() {
+            password = 'second';
+            return auth.authenticate(ctx);
+        }).then(function() {
+            expect(provider.calls.count()).toBe(2);
+            expect(ctx.send.calls.argsFor(0)[0].body.password).toBe('first');
+            expect(ctx.send.calls.argsFor(1)[0].body.password).toBe('second');
+        }).then(done, done.fail);
+    });
+
+    it('should reject if the function does not resolve with an email + password', function(done) {
+        var auth = new PasswordAuth(function() { return { email: 'foo@bar.com' }; });
+        auth.authenticate(ctx).then(done.fail, function(error) {
+            expect(error.message).toBe('creds function must resolve with email + password');
+            expect(ctx.send).not.toHaveBeenCalled();
+        }).then(done, done.fail);
+    });
+
+    it('should reject if the function fails', function(done) {
+        var auth = new PasswordAuth(function() { return Promise.reject(new Error('vault is sealed')); });
+        auth.authenticate(ctx).then(done.fail, function(error) {
+            expect(error.message).toBe('vault is sealed');
+            expect(ctx.send).not.toHaveBeenCalled();
+        }).then(done, done.fail);
+    });
+});
@@ -0,0 +1,343 @@
+describe('QueryIterator', function() {
+    var Promise, QueryIterator, client, total;
+
+    beforeEach(function() {
+        Promise         = require('bluebird');
+        QueryIterator   = require('../../lib/QueryIterator');
+
+        total = 120;
+        client = {
+            apiRoot: 'https://stinger.ut.api.beeswax.com',
+            request: jasmine.createSpy('request').and.callFake(function(method, opts) {
+                var resp = { success: true, payload: [] };
+                for (var i = opts.body.offset; i < Math.min(opts.body.offset + opts.body.rows, total); i++) {
+                    resp.payload.push({ id: i });
+                }
+                return Promise.resolve(resp);
+            })
+        };
+    });
+
+    function ids(rows) {
+        return rows.map(function(row) { return row.id; });
+    }
+
+    describe('nextPage', function() {
+        it('should fetch one page at a time, overriding pagination params', function(done) {
+            var iterator = new QueryIterator(client, '/rest/campaign', 'campaign_id', { campaign_name: 'foo', rows: 5, offset: 7 });
+            iterator.nextPage().then(function(page) {
+                expect(ids(page)).toEqual(jasmine.any(Array));
+                expect(page.length).toBe(50);
+                expect(client.request).toHaveBeenCalledWith('get', {
+                    url: 'https://stinger.ut.api.beeswax.com/rest/campaign',
+                    body: { campaign_name: 'foo', rows: 50, offset: 0, sort_by: 'campaign_id' }
+                });
+                return iterator.nextPage();
+            }).then(function(page) {
+                expect(page[0]).toEqual({ id: 50 });
+                expect(client.request.calls.mostRecent().args[1].body.offset).toBe(50);
+                return iterator.nextPage();
+            }).then(function(page) {
+                expect(page.length).toBe(20);
+                expect(iterator.done).toBe(true);
+                return iterator.nextPage();
+            }).then(function(page) {
+                expect(page).toBe(null);
+                expect(client.request.calls.count()).toBe(3);
+            }).then(done, done.fail);
+        });
+
+        it('should use the configured page size', function(done) {
+            var iterator = new QueryIterator(client, '/rest/campaign', 'campaign_id', {}, { pageSize: 100 });
+            iterator.nextPage().then(function(page) {
+                expect(page.length).toBe(100);
+                expect(client.request.calls.mostRecent().args[1].body.rows).toBe(100);
+            }).then(done, done.fail);
+        });
+
+        it('should not send duplicate requests for the same page', function(done) {
+            var iterator = new QueryIterator(client, '/rest/campaign', 'campaign_id');
+            Promise.all([iterator.nextPage(), iterator.nextPage()]).then(function(pages) {
+                expect(pages[0]).toBe(pages[1]);
+                expect(client.request.calls.count()).toBe(1);
+            }).then(done, done.fail);
+        });
+
+        it('should emit progress events', function(done) {
+            var iterator = new QueryIterator(client, '/rest/campaign', 'campaign_id'),
+                pageEvents = [],
+                endSpy = jasmine.createSpy('end');
+            iterator.on('page', function(event) {
+                pageEvents.push({ pages: event.pages, rows: event.rows, size: event.page.length });
+            });
+            iterator.on('end', endSpy);
+
+            iterator.nextPage().then(function() {
+                return iterator.nextPage();
+            }).then(function() {
+                expect(endSpy).not.toHaveBeenCalled();
+                return iterator.nextPage();
+            }).then(function() {
+                expect(pageEvents).toEqual([
+                    { pages: 1, rows: 50, size: 50 },
+                    { pages: 2, rows: 100, size: 50 },
+                    { pages: 3, rows: 120, size: 20 }
+                ]);
+                expect(endSpy).toHaveBeenCalledWith({ pages: 3, rows: 120 });
+            }).then(done, done.fail);
+        });
+
+        it('should reject if a request fails', function(done) {
+            client.request.and.callFake(function() { return Promise.reject(new Error('I GOT A PROBLEM')); });
+            new QueryIterator(client, '/rest/campaign', 'campaign_id').nextPage().then(done.fail, function(error) {
+                expect(error).toEqual(new Error('I GOT A PROBLEM'));
+            }).then(done, done.fail);
+        });
+    });
+
+    describe('initialization', function() {
+        it('should validate options', function() {
+            expect(function() {
+                return new QueryIterator(client, '/rest/campaign', 'campaign_id', {}, { pagination: 'cursor' });
+            }).toThrow(new Error('pagination must be one of: offset, keyset'));
+            expect(function() {
+                return new QueryIterator(client, '/rest/campaign', 'campaign_id', {}, { sortDirection: 'up' });
+            }).toThrow(new Error('sortDirection must be one of: asc, desc'));
+        });
+
+        it('should accept batchSize as an alias for pageSize', function() {
+            expect(new QueryIterator(client, '/rest/campaign', 'campaign_id', {}, { batchSize: 20 }).pageSize).toBe(20);
+        });
+    });
+
+    describe('with maxResults', function() {
+        it('should stop once maxResults rows have been returned', function(done) {
+            var iterator = new QueryIterator(client, '/rest/campaign', 'campaign_id', {}, { maxResults: 60 });
+            iterator.nextPage().then(function(page) {
+                expect(page.length).toBe(50);
+                return iterator.nextPage();
+            }).then(function(page) {
+                expect(ids(page)).toEqual([50, 51, 52, 53, 54, 55, 56, 57, 58, 59]);
+                expect(iterator.done).toBe(true);
+                expect(iterator.rows).toBe(60);
+                expect(client.request.calls.count()).toBe(2);
+            }).then(done, done.fail);
+        });
+    });
+
+    describe('with keyset pagination', function() {
+        var rows;
+        beforeEach(function() {
+            rows = [];
+            for (var i = 1; i <= 12; i++) {
+                rows.push({ campaign_id: i * 10 });
+            }
+            // Simulate a Beeswax endpoint that supports id range filters
+            client.request.and.callFake(function(method, opts) {
+                var bound = opts.body.campaign_id,
+                    desc = opts.body.sort_order === 'desc',
+                    matches = rows.filter(function(row) {
+                        if (!bound) {
+                            return true;
+                        }
+                        var limit = Number(bound.slice(1));
+                        return bound[0] === '>' ? row.campaign_id > limit : row.campaign_id < limit;
+                    }).sort(function(a, b) {
+                        return desc ? b.campaign_id - a.campaign_id : a.campaign_id - b.campaign_id;
+                    });
+                return Promise.resolve({ success: true, payload: matches.slice(0, opts.body.rows) });
+            });
+        });
+
+        function collect(iterator) {
+            var results = [];
+            return (function fetch() {
+                return iterator.nextPage().then(function(page) {
+                    if (!page) {
+                        return results;
+                    }
+                    results = results.concat(page);
+                    return fetch();
+                });
+            }());
+        }
+
+        it('should use the last id as the lower bound for the next page', function(done) {
+            var iterator = new QueryIterator(client, '/rest/campaign', 'campaign_id',
+                { advertiser_id: 1, offset: 30 }, { pagination: 'keyset', batchSize: 5 });
+
+            collect(iterator).then(function(results) {
+                expect(results.map(function(row) { return row.campaign_id; })).toEqual(
+                    [10, 20, 30, 40, 50, 60, 70, 80, 90, 100, 110, 120]);
+                expect(client.request.calls.allArgs().map(function(args) { return args[1].body; })).toEqual([
+                    { advertiser_id: 1, rows: 5, sort_by: 'campaign_id', sort_order: 'asc' },
+                    { advertiser_id: 1, rows: 5, sort_by: 'campaign_id', sort_order: 'asc', campaign_id: '>50' },
+                    { advertiser_id: 1, rows: 5, sort_by: 'campaign_id', sort_order: 'asc', campaign_id: '>100' }
+                ]);
+            }).then(done, done.fail);
+        });
+
+        it('should not skip or duplicate rows when entities are created or deleted mid-iteration', function(done) {
+            var iterator = new QueryIterator(client, '/rest/campaign', 'campaign_id', {}, { pagination: 'keyset', batchSize: 5 });
+
+            iterator.nextPage().then(function() {
+                rows.splice(0, 2); // delete 10 + 20
+                rows.push({ campaign_id: 130 });
+                return collect(iterator);
+            }).then(function(results) {
+                expect(results.map(function(row) { return row.campaign_id; })).toEqual(
+                    [60, 70, 80, 90, 100, 110, 120, 130]);
+            }).then(done, done.fail);
+        });
+
+        it('should support a descending sort', function(done) {
+            var iterator = new QueryIterator(client, '/rest/campaign', 'campaign_id', {},
+                { pagination: 'keyset', batchSize: 5, sortDirection: 'desc', maxResults: 7 });
+
+            collect(iterator).then(function(results) {
+                expect(results.map(function(row) { return row.campaign_id; })).toEqual([120, 110, 100, 90, 80, 70, 60]);
+                expect(client.request.calls.mostRecent().args[1].body.campaign_id).toBe('<80');
+            }).then(done, done.fail);
+        });
+
+        it('should drop duplicate rows without remembering every id', function(done) {
+            rows.splice(3, 0, { campaign_id: 30 });
+            var iterator = new QueryIterator(client, '/rest/campaign', 'campaign_id', {}, { pagination: 'keyset', batchSize: 5 });
+            collect(iterator).then(function(results) {
+                expect(results.length).toBe(12);
+                expect(iterator.rows).toBe(12);
+                expect(iterator._seen).toEqual({});
+            }).then(done, done.fail);
+        });
+
+        it('should reject a query that filters on the id field', function() {
+            expect(function() {
+                return new QueryIterator(client, '/rest/campaign', 'campaign_id', { campaign_id: '>40' },
+                    { pagination: 'keyset' });
+            }).toThrow(new Error('Keyset pagination cannot be combined with a filter on campaign_id'));
+            expect(new QueryIterator(client, '/rest/campaign', 'campaign_id', { campaign_id: '>40' }).pagination)
+                .toBe('offset');
+        });
+
+        it('should reject if rows do not have ids', function(done) {
+            rows = [{ name: 'a' }, { name: 'b' }];
+            var iterator = new QueryIterator(client, '/rest/campaign', 'campaign_id', {}, { pagination: 'keyset', batchSize: 2 });
+            iterator.nextPage().then(done.fail, function(error) {
+                expect(error).toEqual(new Error('Keyset pagination requires every row to have a distinct campaign_id'));
+            }).then(done, done.fail);
+        });
+    });
+
+    describe('next', function() {
+        it('should resolve with each row, then done', function(done) {
+            var iterator = new QueryIterator(client, '/rest/campaign', 'campaign_id'),
+                rows = [];
+
+            expect(iterator[Symbol.asyncIterator]()).toBe(iterator);
+
+            (function consume() {
+                return iterator.next().then(function(result) {
+                    if (result.done) {
+                        return;
+                    }
+                    rows.push(result.value);
+                    return consume();
+                });
+            }()).then(function() {
+                expect(rows.length).toBe(120);
+                expect(rows[119]).toEqual({ id: 119 });
+                expect(client.request.calls.count()).toBe(3);
+            }).then(done, done.fail);
+        });
+
+        it('should return each row once, in order, to concurrent calls', function(done) {
+            var iterator = new QueryIterator(client, '/rest/campaign', 'campaign_id');
+            total = 3;
+
+            Promise.all([iterator.next(), iterator.next(), iterator.next(), iterator.next(), iterator.next()]).then(function(results) {
+                expect(results).toEqual([
+                    { value: { id: 0 }, done: false },
+                    { value: { id: 1 }, done: false },
+                    { value: { id: 2 }, done: false },
+                    { value: undefined, done: true },
+                    { value: undefined, done: true }
+                ]);
+                expect(client.request.calls.count()).toBe(1);
+            }).then(done, done.fail);
+        });
+
+        it('should keep serving calls after one fails', function(done) {
+            var iterator = new QueryIterator(client, '/rest/campaign', 'campaign_id');
+            total = 2;
+            client.request.and.callFake(function() {
+                return Promise.reject(new Error('I GOT A PROBLEM'));
+            });
+
+            var first = iterator.next(),
+                second = iterator.next();
+
+            first.then(done.fail, function(error) {
+                expect(error.message).toBe('I GOT A PROBLEM');
+                return second;
+            }).then(done.fail, function(error) {
+                expect(error.message).toBe('I GOT A PROBLEM');
+                expect(client.request.calls.count()).toBe(2);
+            }).then(done, done.fail);
+        });
+
+        it('should stop once return() is called', function(done) {
+            var iterator = new QueryIterator(client, '/rest/campaign', 'campaign_id'),
+                endSpy = jasmine.createSpy('end');
+            iterator.on('end', endSpy);
+
+            iterator.next().then(function(result) {
+                expect(result).toEqual({ value: { id: 0 }, done: false });
+                return iterator.return();
+            }).then(function(result) {
+                expect(result).toEqual({ value: undefined, done: true });
+                expect(endSpy).toHaveBeenCalledWith({ pages: 1, rows: 50 });
+                return iterator.next();
+            }).then(function(result) {
+                expect(result.done).toBe(true);
+                expect(client.request.calls.count()).toBe(1);
+            }).then(done, done.fail);
+        });
+    });
+
+    describe('toStream', function() {
+        it('should stream every row', function(done) {
+            var rows = [];
+            new QueryIterator(client, '/rest/campaign', 'campaign_id').toStream()
+                .on('data', function(row) { rows.push(row); })
+                .on('error', done.fail)
+                .on('end', function() {
+                    expect(rows.length).toBe(120);
+                    expect(rows[0]).toEqual({ id: 0 });
+                    done();
+                });
+        });
+
+        it('should emit errors', function(done) {
+            client.request.and.callFake(function() { return Promise.reject(new Error('I GOT A PROBLEM')); });
+            new QueryIterator(client, '/rest/campaign', 'campaign_id').toStream()
+                .on('data', done.fail)
+                .on('error', function(error) {
+                    expect(error).toEqual(new Error('I GOT A PROBLEM'));
+                    done();
+                });
+        });
+
+        it('should stop the iterator when destroyed', function(done) {
+            var iterator = new QueryIterator(client, '/rest/campaign', 'campaign_id'),
+                stream = iterator.toStream();
+            stream.once('data', function() {
+                stream.destroy();
+            });
+            stream.on('close', function() {
+                expect(iterator.done).toBe(true);
+                expect(client.request.calls.count()).toBe(1);
+                done();
+            });
+        });
+    });
+});
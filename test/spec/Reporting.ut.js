@@ -0,0 +1,314 @@
+describe('Reporting', function() {
+    var Promise, PassThrough, Reporting, errors, client, reports, responses;
+
+    beforeEach(function() {
+        Promise     = require('bluebird');
+        PassThrough = require('stream').PassThrough;
+        Reporting   = require('../../lib/Reporting');
+        errors      = require('../../lib/errors');
+
+        responses = [];
+        client = {
+            apiRoot: 'https://ut.api.beeswax.com',
+            request: jasmine.createSpy('request').and.callFake(function() {
+                var resp = responses.shift();
+                return resp instanceof Error ? Promise.reject(resp) : Promise.resolve(resp);
+            }),
+            _transport: jasmine.createSpyObj('transport', ['send', 'openStream'])
+        };
+        reports = new Reporting(client);
+    });
+
+    describe('parseCsv', function() {
+        it('should parse rows into objects keyed by the header', function() {
+            expect(Reporting.parseCsv('a,b\n1,2\r\n3,4\n')).toEqual([
+                { a: '1', b: '2' },
+                { a: '3', b: '4' }
+            ]);
+        });
+
+        it('should handle quoted fields', function() {
+            expect(Reporting.parseCsv('name,notes\n"Foo, Inc.","say ""hi""\nthere"')).toEqual([
+                { name: 'Foo, Inc.', notes: 'say "hi"\nthere' }
+            ]);
+        });
+
+        it('should return an empty array for empty input', function() {
+            expect(Reporting.parseCsv('')).toEqual([]);
+            expect(Reporting.parseCsv('a,b\n')).toEqual([]);
+        });
+    });
+
+    describe('coerceRow', function() {
+        it('should convert the given metrics to numbers', function() {
+            expect(Reporting.coerceRow({ campaign_id: '12', impressions: '1000', spend: '1.5',
+                                         ctr: '' }, ['impressions', 'spend', 'ctr']))
+                .toEqual({ campaign_id: '12', impressions: 1000, spend: 1.5, ctr: null });
+        });
+
+        it('should convert every numeric value except dimensions if no metrics are given', function() {
+            expect(Reporting.coerceRow({ campaign_id: '12', name: 'foo', clicks: '4' }, undefined,
+                                       ['campaign_id']))
+                .toEqual({ campaign_id: '12', name: 'foo', clicks: 4 });
+        });
+    });
+
+    describe('buildBody', function() {
+        it('should build a report queue body from a query', function() {
+            expect(reports.buildBody({
+                view: 'performance_agg',
+                dimensions: ['campaign_id', 'bid_day'],
+                metrics: ['impressions', 'spend'],
+                startDate: '2016-06-01',
+                endDate: '2016-06-30',
+                advertiser_id: 1,
+                campaign_id: 2,
+                line_item_id: 3,
+                filters: { geo_country: 'USA' },
+                sortBy: 'bid_day',
+                rows: 1000,
+                format: 'json'
+            })).toEqual({
+                view_name: 'performance_agg',
+                fields: ['campaign_id', 'bid_day', 'impressions', 'spend'],
+                filters: {
+                    geo_country: 'USA',
+                    advertiser_id: 1,
+                    campaign_id: 2,
+                    line_item_id: 3,
+                    bid_day: ['>=2016-06-01', '<=2016-06-30']
+                },
+                file_format: 'json',
+                sort_by: 'bid_day',
+                rows: 1000
+            });
+        });
+
+        it('should use defaults and a custom dateField', function() {
+            expect(reports.buildBody({ metrics: ['spend'], startDate: '2016-06-01',
+                                       dateField: 'hour' })).toEqual({
+                view_name: 'performance_agg',
+                fields: ['spend'],
+                filters: { hour: ['>=2016-06-01'] },
+                file_format: 'csv'
+            });
+        });
+    });
+
+    describe('submit', function() {
+        it('should post the query to the report queue and resolve with its id', function(done) {
+            responses.push({ success: true, payload: { id: 77 } });
+            reports.submit({ metrics: ['spend'] }).then(function(id) {
+                expect(id).toBe(77);
+                expect(client.request).toHaveBeenCalledWith('post', {
+                    url: 'https://ut.api.beeswax.com/rest/report_queue/strict',
+                    body: { view_name: 'performance_agg', fields: ['spend'], filters: {},
+                            file_format: 'csv' }
+                });
+            }).then(done, done.fail);
+        });
+
+        it('should reject if the request fails', function(done) {
+            responses.push(new errors.ValidationError('bad fields'));
+            reports.submit({}).then(done.fail, function(error) {
+                expect(error).toEqual(jasmine.any(errors.ValidationError));
+            }).then(done, done.fail);
+        });
+    });
+
+    describe('status', function() {
+        it('should resolve with the report queue entry', function(done) {
+            responses.push({ success: true, payload: [{ report_queue_id: 77, report_status: 'queued' }] });
+            reports.status(77).then(function(report) {
+                expect(report).toEqual({ report_queue_id: 77, report_status: 'queued' });
+                expect(client.request).toHaveBeenCalledWith('get', {
+                    url: 'https://ut.api.beeswax.com/rest/report_queue',
+                    body: { report_queue_id: 77 }
+                });
+            }).then(done, done.fail);
+        });
+
+        it('should reject with a NotFoundError if the report does not exist', function(done) {
+            responses.push({ success: true, payload: [] });
+            reports.status(77).then(done.fail, function(error) {
+                expect(error).toEqual(jasmine.any(errors.NotFoundError));
+                expect(error.message).toBe('Report 77 not found');
+            }).then(done, done.fail);
+        });
+    });
+
+    describe('wait', function() {
+        it('should poll until the report is complete', function(done) {
+            responses.push({ success: true, payload: [{ report_queue_id: 77, report_status: 'queued' }] });
+            responses.push({ success: true, payload: [{ report_queue_id: 77, report_status: 'running' }] });
+            responses.push({ success: true, payload: [{ report_queue_id: 77, report_status: 'complete' }] });
+            reports.wait(77, { interval: 1 }).then(function(report) {
+                expect(report.report_status).toBe('complete');
+                expect(client.request.calls.count()).toBe(3);
+            }).then(done, done.fail);
+        });
+
+        it('should reject if the report fails', function(done) {
+            responses.push({ success: true, payload: [{ report_queue_id: 77, report_status: 'failed' }] });
+            reports.wait(77, { interval: 1 }).then(done.fail, function(error) {
+                expect(error).toEqual(jasmine.any(errors.BeeswaxError));
+                expect(error.message).toBe('Report 77 failed');
+            }).then(done, done.fail);
+        });
+
+        it('should reject if the report is not done before the timeout', function(done) {
+            responses.push({ success: true, payload: [{ report_queue_id: 77, report_status: 'queued' }] });
+            reports.wait(77, { interval: 50, timeout: 10 }).then(done.fail, function(error) {
+                expect(error.message).toBe('Timed out waiting for report 77 after 10ms');
+                expect(client.request.calls.count()).toBe(1);
+            }).then(done, done.fail);
+        });
+    });
+
+    describe('download', function() {
+        it('should parse CSV results and coerce metrics', function(done) {
+            responses.push('campaign_id,impressions,spend\n1,100,2.5\n2,50,1\n');
+            reports.download({ report_queue_id: 77 }, { dimensions: ['campaign_id'],
+                                                      metrics: ['impressions', 'spend'] })
+            .then(function(rows) {
+                expect(rows).toEqual([
+                    { campaign_id: '1', impressions: 100, spend: 2.5 },
+                    { campaign_id: '2', impressions: 50, spend: 1 }
+                ]);
+                expect(client.request).toHaveBeenCalledWith('get', {
+                    url: 'https://ut.api.beeswax.com/rest/report_queue/download/77'
+                });
+            }).then(done, done.fail);
+        });
+
+        it('should parse JSON results', function(done) {
+            responses.push({ success: true, payload: [{ campaign_id: 1, clicks: '3' }] });
+            reports.download({ report_queue_id: 77,
+                               report_url: 'https://ut.api.beeswax.com/rest/report_queue/download/77' },
+                             { dimensions: ['campaign_id'], metrics: ['clicks'] })
+            .then(function(rows) {
+                expect(rows).toEqual([{ campaign_id: 1, clicks: 3 }]);
+                expect(client.request).toHaveBeenCalledWith('get', {
+                    url: 'https://ut.api.beeswax.com/rest/report_queue/download/77'
+                });
+            }).then(done, done.fail);
+        });
+
+        it('should download a report_url on another host without the client\'s credentials', function(done) {
+            client._transport.send.and.returnValue(Promise.resolve('campaign_id,clicks\n1,3\n'));
+            reports.download({ report_queue_id: 77, report_url: 'https://files.example.com/77.csv' },
+                             { dimensions: ['campaign_id'], metrics: ['clicks'] })
+            .then(function(rows) {
+                expect(rows).toEqual([{ campaign_id: '1', clicks: 3 }]);
+                expect(client.request).not.toHaveBeenCalled();
+                expect(client._transport.send).toHaveBeenCalledWith({
+                    method: 'get',
+                    url: 'https://files.example.com/77.csv'
+                });
+            }).then(done, done.fail);
+        });
+
+        it('should normalize errors downloading a report_url on another host', function(done) {
+            client._transport.send.and.callFake(function() {
+                return Promise.reject(errors.httpError(403, 'AccessDenied'));
+            });
+            reports.download({ report_queue_id: 77, report_url: 'https://files.example.com/77.csv' })
+            .then(done.fail, function(error) {
+                expect(error).toEqual(jasmine.any(errors.BeeswaxError));
+                expect(error.statusCode).toBe(403);
+                expect(error.endpoint).toBe('/77.csv');
+            }).then(done, done.fail);
+        });
+    });
+
+    describe('run', function() {
+        it('should submit, wait for and download a report', function(done) {
+            responses.push({ success: true, payload: { id: 77 } });
+            responses.push({ success: true, payload: [{ report_queue_id: 77, report_status: 'complete' }] });
+            responses.push('campaign_id,spend\n1,2.5\n');
+            reports.run({ dimensions: ['campaign_id'], metrics: ['spend'] }, { interval: 1 })
+            .then(function(resp) {
+                expect(resp).toEqual({ success: true, payload: [{ campaign_id: '1', spend: 2.5 }] });
+                expect(client.request.calls.count()).toBe(3);
+            }).then(done, done.fail);
+        });
+    });
+
+    describe('stream', function() {
+        it('should stream the rows of a report', function(done) {
+            var rows = [];
+            responses.push({ success: true, payload: { id: 77 } });
+            responses.push({ success: true, payload: [{ report_queue_id: 77, report_status: 'complete' }] });
+            responses.push('id,spend\n1,2\n2,3\n');
+            reports.stream({ metrics: ['spend'] }, { interval: 1 })
+            .on('data', function(row) { rows.push(row); })
+            .on('error', done.fail)
+            .on('end', function() {
+                expect(rows).toEqual([{ id: '1', spend: 2 }, { id: '2', spend: 3 }]);
+                done();
+            });
+        });
+
+        it('should parse + emit rows as a report_url on another host downloads', function(done) {
+            var source = new PassThrough(),
+                rows = [];
+            client._transport.openStream.and.returnValue(source);
+            responses.push({ success: true, payload: { id: 77 } });
+            responses.push({ success: true, payload: [{ report_queue_id: 77, report_status: 'complete',
+                                                        report_url: 'https://files.example.com/77.csv' }] });
+
+            reports.stream({ metrics: ['spend'] }, { interval: 1 })
+            .on('data', function(row) {
+                rows.push(row);
+                if (rows.length === 1) {
+                    expect(row).toEqual({ id: '1', name: 'a,b', spend: 2 });
+                    source.end('3\r\n');
+                }
+            })
+            .on('error', done.fail)
+            .on('end', function() {
+                expect(rows).toEqual([
+                    { id: '1', name: 'a,b', spend: 2 },
+                    { id: '2', name: 'c', spend: 3 }
+                ]);
+                expect(client._transport.openStream).toHaveBeenCalledWith('https://files.example.com/77.csv');
+                expect(client.request.calls.count()).toBe(2);
+                done();
+            });
+
+            setTimeout(function() {
+                source.write('id,na');
+                source.write('me,spend\r\n1,"a,');
+                source.write('b",2\r');
+                source.write('\n2,c,');
+            }, 10);
+        });
+
+        it('should emit an error if downloading a report_url on another host fails', function(done) {
+            var source = new PassThrough();
+            client._transport.openStream.and.returnValue(source);
+            responses.push({ success: true, payload: { id: 77 } });
+            responses.push({ success: true, payload: [{ report_queue_id: 77, report_status: 'complete',
+                                                        report_url: 'https://files.example.com/77.csv' }] });
+
+            reports.stream({}, { interval: 1 }).on('data', done.fail).on('error', function(error) {
+                expect(error).toEqual(jasmine.any(errors.ServerError));
+                expect(error.statusCode).toBe(503);
+                done();
+            });
+
+            setTimeout(function() {
+                source.emit('response', { statusCode: 503, headers: {} });
+                source.end('Service Unavailable');
+            }, 10);
+        });
+
+        it('should emit an error if the report fails', function(done) {
+            responses.push(new errors.ServerError('oops'));
+            reports.stream({}).on('data', done.fail).on('error', function(error) {
+                expect(error.message).toBe('oops');
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,183 @@
+describe('RequestScheduler', function() {
+    var Promise, RequestScheduler;
+
+    beforeEach(function() {
+        Promise             = require('bluebird');
+        RequestScheduler    = require('../../lib/RequestScheduler');
+    });
+
+    // Return a task function along with the means to finish it
+    function deferredTask(value) {
+        var task = {};
+        task.fn = jasmine.createSpy('task').and.callFake(function() {
+            return new Promise(function(resolve, reject) {
+                task.resolve = function() { resolve(value); };
+                task.reject = reject;
+            });
+        });
+        return task;
+    }
+
+    describe('initialization', function() {
+        it('should have no limits by default', function() {
+            var scheduler = new RequestScheduler();
+            expect(scheduler.maxConcurrency).toBe(Infinity);
+            expect(scheduler.requestsPerSecond).toBe(Infinity);
+            expect(scheduler.lanes).toEqual(['interactive', 'batch']);
+            expect(scheduler.defaultLane).toBe('interactive');
+        });
+
+        it('should throw if the default lane does not exist', function() {
+            expect(function() {
+                return new RequestScheduler({ lanes: ['a', 'b'], defaultLane: 'c' });
+            }).toThrow(new Error('defaultLane must be one of: a, b'));
+        });
+    });
+
+    describe('schedule', function() {
+        it('should resolve or reject with the result of the task', function(done) {
+            var scheduler = new RequestScheduler();
+            Promise.all([
+                scheduler.schedule(function() { return 'yes'; }),
+                scheduler.schedule(function() { return Promise.reject(new Error('no')); }).catch(function(error) {
+                    return error.message;
+                })
+            ]).then(function(results) {
+                expect(results).toEqual(['yes', 'no']);
+            }).then(done, done.fail);
+        });
+
+        it('should limit the number of concurrent tasks', function(done) {
+            var scheduler = new RequestScheduler({ maxConcurrency: 2 }),
+                tasks = [deferredTask(1), deferredTask(2), deferredTask(3)],
+                promises = tasks.map(function(task) { return scheduler.schedule(task.fn); });
+
+            expect(tasks[0].fn).toHaveBeenCalled();
+            expect(tasks[1].fn).toHaveBeenCalled();
+            expect(tasks[2].fn).not.toHaveBeenCalled();
+            expect(scheduler.size()).toBe(1);
+            expect(scheduler.stats()).toEqual({ active: 2, queued: { interactive: 1, batch: 0 }, closed: false });
+
+            tasks[0].resolve();
+            promises[0].then(function() {
+                return Promise.delay(0);
+            }).then(function() {
+                expect(tasks[2].fn).toHaveBeenCalled();
+                tasks[1].resolve();
+                tasks[2].resolve();
+                return Promise.all(promises);
+            }).then(function(results) {
+                expect(results).toEqual([1, 2, 3]);
+                return scheduler.drain();
+            }).then(function() {
+                expect(scheduler.stats().active).toBe(0);
+            }).then(done, done.fail);
+        });
+
+        it('should start tasks in higher priority lanes first', function(done) {
+            var scheduler = new RequestScheduler({ maxConcurrency: 1 }),
+                order = [],
+                blocker = deferredTask();
+
+            scheduler.schedule(blocker.fn);
+            var promises = [
+                scheduler.schedule(function() { order.push('batch 1'); }, 'batch'),
+                scheduler.schedule(function() { order.push('interactive 1'); }, 'interactive'),
+                scheduler.schedule(function() { order.push('batch 2'); }, 'batch'),
+                scheduler.schedule(function() { order.push('interactive 2'); })
+            ];
+            expect(scheduler.size('batch')).toBe(2);
+            expect(scheduler.size('interactive')).toBe(2);
+
+            blocker.resolve();
+            Promise.all(promises).then(function() {
+                expect(order).toEqual(['interactive 1', 'interactive 2', 'batch 1', 'batch 2']);
+            }).then(done, done.fail);
+        });
+
+        it('should reject tasks for unknown lanes', function(done) {
+            new RequestScheduler().schedule(function() {}, 'urgent').then(done.fail, function(error) {
+                expect(error).toEqual(new Error('Unknown lane: urgent'));
+            }).then(done, done.fail);
+        });
+
+        describe('with a requestsPerSecond limit', function() {
+            beforeEach(function() {
+                jasmine.clock().install();
+                jasmine.clock().mockDate(new Date(2016, 5, 1));
+            });
+
+            afterEach(function() {
+                jasmine.clock().uninstall();
+            });
+
+            it('should space out the start of each task', function() {
+                var scheduler = new RequestScheduler({ requestsPerSecond: 4 }),
+                    fns = [1, 2, 3].map(function() { return jasmine.createSpy('task'); });
+
+                fns.forEach(function(fn) { scheduler.schedule(fn); });
+                expect(fns[0]).toHaveBeenCalled();
+                expect(fns[1]).not.toHaveBeenCalled();
+
+                jasmine.clock().tick(249);
+                expect(fns[1]).not.toHaveBeenCalled();
+                jasmine.clock().tick(1);
+                expect(fns[1]).toHaveBeenCalled();
+                expect(fns[2]).not.toHaveBeenCalled();
+                jasmine.clock().tick(250);
+                expect(fns[2]).toHaveBeenCalled();
+            });
+        });
+    });
+
+    describe('drain', function() {
+        it('should resolve immediately if nothing is queued', function(done) {
+            new RequestScheduler().drain().then(done, done.fail);
+        });
+
+        it('should resolve once all tasks have finished', function(done) {
+            var scheduler = new RequestScheduler({ maxConcurrency: 1 }),
+                tasks = [deferredTask(), deferredTask()],
+                promises = tasks.map(function(task) { return scheduler.schedule(task.fn); }),
+                drained = false;
+
+            scheduler.drain().then(function() { drained = true; });
+
+            tasks[0].resolve();
+            promises[0].then(function() {
+                return Promise.delay(0);
+            }).then(function() {
+                expect(drained).toBe(false);
+                tasks[1].resolve();
+                return scheduler.drain();
+            }).then(function() {
+                return Promise.delay(0);
+            }).then(function() {
+                expect(drained).toBe(true);
+            }).then(done, done.fail);
+        });
+    });
+
+    describe('close', function() {
+        it('should finish queued tasks but reject new ones', function(done) {
+            var scheduler = new RequestScheduler({ maxConcurrency: 1 }),
+                tasks = [deferredTask('a'), deferredTask('b')],
+                promises = tasks.map(function(task) { return scheduler.schedule(task.fn); }),
+                closed = scheduler.close();
+
+            expect(scheduler.stats().closed).toBe(true);
+            tasks[0].resolve();
+            promises[0].then(function() {
+                return Promise.delay(0);
+            }).then(function() {
+                tasks[1].resolve();
+                return Promise.all(promises.concat(closed));
+            }).then(function(results) {
+                expect(results).toEqual(['a', 'b', undefined]);
+                return scheduler.schedule(function() {});
+            }).then(done.fail, function(error) {
+                expect(error).toEqual(new Error('RequestScheduler has been closed'));
+            }).then(done, done.fail);
+        });
+    });
+});
@@ -0,0 +1,101 @@
+describe('RequestTransport', function() {
+    var Promise, request, rp, errors, RequestTransport, transport, jar;
+
+    beforeEach(function() {
+        Promise             = require('bluebird');
+        request             = require('request');
+        rp                  = require('request-promise');
+        errors              = require('../../lib/errors');
+        RequestTransport    = require('../../lib/RequestTransport');
+
+        transport = new RequestTransport();
+        jar = { cookies: 'yum' };
+        ['get', 'post', 'put', 'del'].forEach(function(method) {
+            spyOn(rp, method).and.returnValue(Promise.resolve({ success: true }));
+        });
+        spyOn(request, 'post');
+        spyOn(request, 'head');
+        spyOn(request, 'get').and.returnValue('a stream');
+    });
+
+    describe('send', function() {
+        it('should send JSON requests with request-promise', function(done) {
+            Promise.all([
+                transport.send({ method: 'get', url: 'https://bw.com/rest/foo', jar: jar }),
+                transport.send({ method: 'post', url: 'https://bw.com/rest/bar', body: { a: 1 }, jar: jar }),
+                transport.send({ method: 'put', url: 'https://bw.com/rest/blah', body: { b: 2 } }),
+                transport.send({ method: 'delete', url: 'https://bw.com/rest/bloop', body: { c: 3 } }),
+                transport.send({ method: 'del', url: 'https://bw.com/rest/bloop', body: { d: 4 } })
+            ]).then(function(results) {
+                expect(results[0]).toEqual({ success: true });
+                expect(rp.get).toHaveBeenCalledWith({ url: 'https://bw.com/rest/foo', jar: jar, json: true });
+                expect(rp.post).toHaveBeenCalledWith({ url: 'https://bw.com/rest/bar', body: { a: 1 }, jar: jar,
+                                                       json: true });
+                expect(rp.put).toHaveBeenCalledWith({ url: 'https://bw.com/rest/blah', body: { b: 2 }, json: true });
+                expect(rp.del).toHaveBeenCalledWith({ url: 'https://bw.com/rest/bloop', body: { c: 3 }, json: true });
+                expect(rp.del).toHaveBeenCalledWith({ url: 'https://bw.com/rest/bloop', body: { d: 4 }, json: true });
+            }).then(done, done.fail);
+        });
+
+        it('should send headers', function(done) {
+            transport.send({ method: 'get', url: 'https://bw.com/rest/foo', headers: { Authorization: 'Bearer abc' } })
+            .then(function() {
+                expect(rp.get).toHaveBeenCalledWith({ url: 'https://bw.com/rest/foo', headers: { Authorization: 'Bearer abc' },
+                                                      json: true });
+            }).then(done, done.fail);
+        });
+
+        it('should send multipart requests with request, parsing the response', function(done) {
+            var formData = { file: { value: 'content', options: { filename: 'a.txt' } } };
+            request.post.and.callFake(function(opts, cb) {
+                cb(null, { statusCode: 200, headers: {} }, '{"success":true,"payload":[1]}');
+            });
+            transport.send({ method: 'post', url: 'https://bw.com/rest/upload', formData: formData, jar: jar })
+            .then(function(body) {
+                expect(body).toEqual({ success: true, payload: [1] });
+                expect(request.post).toHaveBeenCalledWith({ url: 'https://bw.com/rest/upload', jar: jar,
+                                                            formData: formData }, jasmine.any(Function));
+            }).then(done, done.fail);
+        });
+
+        it('should resolve with the full response if fullResponse is set', function(done) {
+            request.head.and.callFake(function(opts, cb) {
+                cb(null, { statusCode: 200, headers: { 'content-length': '10' } }, '');
+            });
+            transport.send({ method: 'head', url: 'https://cdn.com/a.png', fullResponse: true }).then(function(resp) {
+                expect(resp).toEqual({ statusCode: 200, headers: { 'content-length': '10' }, body: '' });
+                expect(request.head).toHaveBeenCalledWith({ url: 'https://cdn.com/a.png' }, jasmine.any(Function));
+            }).then(done, done.fail);
+        });
+
+        it('should reject with an httpError for non-2xx responses', function(done) {
+            request.post.and.callFake(function(opts, cb) {
+                cb(null, { statusCode: 401, headers: { foo: 'bar' } }, '{"success":false}');
+            });
+            transport.send({ method: 'post', url: 'https://bw.com/rest/upload', formData: {} })
+            .then(done.fail, function(error) {
+                expect(error.statusCode).toBe(401);
+                expect(error.error).toEqual({ success: false });
+                expect(error.response.headers).toEqual({ foo: 'bar' });
+            }).then(done, done.fail);
+        });
+
+        it('should reject with network errors as they are', function(done) {
+            var netError = new Error('socket hang up');
+            netError.code = 'ECONNRESET';
+            request.post.and.callFake(function(opts, cb) { cb(netError); });
+            transport.send({ method: 'post', url: 'https://bw.com/rest/upload', formData: {} })
+            .then(done.fail, function(error) {
+                expect(error).toBe(netError);
+                expect(errors.normalize(error)).toEqual(jasmine.any(errors.NetworkError));
+            }).then(done, done.fail);
+        });
+    });
+
+    describe('openStream', function() {
+        it('should return a request stream', function() {
+            expect(transport.openStream('https://cdn.com/a.png')).toBe('a stream');
+            expect(request.get).toHaveBeenCalledWith({ url: 'https://cdn.com/a.png' });
+        });
+    });
+});
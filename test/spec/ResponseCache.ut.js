@@ -0,0 +1,124 @@
+describe('ResponseCache', function() {
+    var Promise, ResponseCache, MemoryCache, MemoryMetrics, cache, load;
+
+    beforeEach(function() {
+        Promise         = require('bluebird');
+        ResponseCache   = require('../../lib/ResponseCache');
+        MemoryCache     = require('../../lib/MemoryCache');
+        MemoryMetrics   = require('../../lib/MemoryMetrics');
+
+        cache = new ResponseCache({ namespace: 'acct' });
+        load = jasmine.createSpy('load').and.callFake(function() {
+            return Promise.resolve({ success: true, payload: [{ id: load.calls.count() }] });
+        });
+    });
+
+    it('should use a MemoryCache + a 60 second ttl by default', function() {
+        expect(cache.store).toEqual(jasmine.any(MemoryCache));
+        expect(cache.ttl).toBe(60000);
+        expect(new ResponseCache({ maxEntries: 5 }).store.maxEntries).toBe(5);
+        expect(function() { return new ResponseCache({ store: { get: function() {}, set: function() {} } }); })
+            .toThrow(new Error('cache store must be an object with get(), set() and clear() methods'));
+    });
+
+    it('should cache responses by endpoint + body, ignoring key order', function(done) {
+        spyOn(cache.store, 'set').and.callThrough();
+
+        cache.fetch('/rest/campaign', { a: 1, b: 2 }, load).then(function(resp) {
+            expect(resp.payload).toEqual([{ id: 1 }]);
+            expect(cache.store.set).toHaveBeenCalledWith('acct /rest/campaign {"a":1,"b":2}', JSON.stringify(resp), 60000);
+            return cache.fetch('/rest/campaign', { b: 2, a: 1 }, load);
+        }).then(function(resp) {
+            expect(resp.payload).toEqual([{ id: 1 }]);
+            resp.payload[0].id = 'changed';
+            return cache.fetch('/rest/campaign', { a: 1, b: 2 }, load);
+        }).then(function(resp) {
+            expect(resp.payload).toEqual([{ id: 1 }]);
+            return cache.fetch('/rest/campaign', { a: 1 }, load);
+        }).then(function(resp) {
+            expect(resp.payload).toEqual([{ id: 2 }]);
+            expect(load.calls.count()).toBe(2);
+            expect(cache.stats()).toEqual({
+                hits: 2,
+                misses: 2,
+                invalidations: 0,
+                entities: { campaigns: { hits: 2, misses: 2, invalidations: 0 } }
+            });
+        }).then(done, done.fail);
+    });
+
+    it('should use per-entity ttls, and not cache entities set to false', function(done) {
+        cache = new ResponseCache({ ttl: 1000, entities: { advertisers: 5000, campaigns: false } });
+        spyOn(cache.store, 'set').and.callThrough();
+
+        cache.fetch('/rest/advertiser', {}, load).then(function() {
+            return cache.fetch('/rest/line_item', {}, load);
+        }).then(function() {
+            return cache.fetch('/rest/campaign', {}, load);
+        }).then(function() {
+            return cache.fetch('/rest/campaign', {}, load);
+        }).then(function() {
+            expect(cache.store.set.calls.allArgs().map(function(args) { return args[2]; })).toEqual([5000, 1000]);
+            expect(load.calls.count()).toBe(4);
+            expect(cache.stats().entities.campaigns).not.toBeDefined();
+        }).then(done, done.fail);
+    });
+
+    it('should not cache failures', function(done) {
+        load.and.returnValues(Promise.reject(new Error('nope')), Promise.resolve({ success: true }));
+        cache.fetch('/rest/campaign', {}, load).then(done.fail, function(error) {
+            expect(error.message).toBe('nope');
+            return cache.fetch('/rest/campaign', {}, load);
+        }).then(function(resp) {
+            expect(resp).toEqual({ success: true });
+            expect(load.calls.count()).toBe(2);
+        }).then(done, done.fail);
+    });
+
+    it('should drop an endpoint\'s responses when it is invalidated', function(done) {
+        Promise.all([
+            cache.fetch('/rest/campaign', { a: 1 }, load),
+            cache.fetch('/rest/campaign', { a: 2 }, load),
+            cache.fetch('/rest/campaign_x', {}, load)
+        ]).then(function() {
+            return cache.invalidate('/rest/campaign');
+        }).then(function() {
+            expect(cache.store.size()).toBe(1);
+            expect(cache.stats().invalidations).toBe(1);
+            expect(cache.stats().entities.campaigns.invalidations).toBe(1);
+        }).then(done, done.fail);
+    });
+
+    it('should not cache responses loaded while the endpoint was written to', function(done) {
+        var resolveLoad;
+        load.and.returnValue(new Promise(function(resolve) { resolveLoad = resolve; }));
+
+        var fetching = cache.fetch('/rest/campaign', {}, load);
+        Promise.delay(1).then(function() {
+            return cache.invalidate('/rest/campaign');
+        }).then(function() {
+            resolveLoad({ success: true, payload: [] });
+            return fetching;
+        }).then(function(resp) {
+            expect(resp).toEqual({ success: true, payload: [] });
+            expect(cache.store.size()).toBe(0);
+        }).then(done, done.fail);
+    });
+
+    it('should count hits + misses in a metrics sink', function(done) {
+        var metrics = new MemoryMetrics();
+        cache = new ResponseCache({ metrics: metrics, prefix: 'bw' });
+
+        cache.fetch('/rest/campaign', {}, load).then(function() {
+            return cache.fetch('/rest/campaign', {}, load);
+        }).then(function() {
+            return cache.fetch('/rest/custom', {}, load);
+        }).then(function() {
+            expect(metrics.snapshot().counters).toEqual([
+                { name: 'bw.cache.misses', tags: { entity: 'campaigns' }, value: 1 },
+                { name: 'bw.cache.hits', tags: { entity: 'campaigns' }, value: 1 },
+                { name: 'bw.cache.misses', tags: {}, value: 1 }
+            ]);
+        }).then(done, done.fail);
+    });
+});
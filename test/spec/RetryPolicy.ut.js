@@ -0,0 +1,129 @@
+describe('RetryPolicy', function() {
+    var RetryPolicy, errors;
+
+    beforeEach(function() {
+        RetryPolicy = require('../../lib/RetryPolicy');
+        errors      = require('../../lib/errors');
+    });
+
+    describe('initialization', function() {
+        it('should have defaults', function() {
+            var policy = new RetryPolicy();
+            expect(policy.maxAttempts).toBe(3);
+            expect(policy.baseDelay).toBe(250);
+            expect(policy.maxDelay).toBe(10000);
+            expect(policy.jitter).toBe(0.2);
+            expect(policy.retryStatusCodes).toEqual([429, 502, 503, 504]);
+            expect(policy.retryErrorCodes).toContain('ECONNRESET');
+            expect(policy.respectRetryAfter).toBe(true);
+            expect(policy.retryNonIdempotent).toBe(false);
+        });
+
+        it('should allow overriding options', function() {
+            var policy = new RetryPolicy({ maxAttempts: 0, jitter: 0, retryStatusCodes: [500] });
+            expect(policy.maxAttempts).toBe(0);
+            expect(policy.jitter).toBe(0);
+            expect(policy.retryStatusCodes).toEqual([500]);
+        });
+    });
+
+    describe('extend', function() {
+        it('should return a new policy with overridden options', function() {
+            var policy = new RetryPolicy({ maxAttempts: 5 }),
+                extended = policy.extend({ retryNonIdempotent: true });
+            expect(extended).not.toBe(policy);
+            expect(extended.maxAttempts).toBe(5);
+            expect(extended.retryNonIdempotent).toBe(true);
+            expect(policy.retryNonIdempotent).toBe(false);
+        });
+    });
+
+    describe('shouldRetry', function() {
+        var policy;
+        beforeEach(function() {
+            policy = new RetryPolicy();
+        });
+
+        it('should retry retryable status codes', function() {
+            [429, 502, 503, 504].forEach(function(code) {
+                expect(policy.shouldRetry(new errors.BeeswaxError('x', { statusCode: code }), 'get', 1)).toBe(true);
+            });
+            [400, 401, 406, 500].forEach(function(code) {
+                expect(policy.shouldRetry(new errors.BeeswaxError('x', { statusCode: code }), 'get', 1)).toBe(false);
+            });
+        });
+
+        it('should retry retryable network errors', function() {
+            expect(policy.shouldRetry(new errors.NetworkError('x', { code: 'ECONNRESET' }), 'put', 1)).toBe(true);
+            expect(policy.shouldRetry(new errors.NetworkError('x', { code: 'ENOTFOUND' }), 'put', 1)).toBe(false);
+        });
+
+        it('should not retry unknown errors', function() {
+            expect(policy.shouldRetry(new Error('bad code'), 'get', 1)).toBe(false);
+            expect(policy.shouldRetry('string', 'get', 1)).toBe(false);
+        });
+
+        it('should stop once the max attempts have been made', function() {
+            var error = new errors.ServerError('x', { statusCode: 503 });
+            expect(policy.shouldRetry(error, 'get', 2)).toBe(true);
+            expect(policy.shouldRetry(error, 'get', 3)).toBe(false);
+        });
+
+        it('should only retry POSTs if retryNonIdempotent is set', function() {
+            var error = new errors.ServerError('x', { statusCode: 503 });
+            expect(policy.shouldRetry(error, 'post', 1)).toBe(false);
+            expect(policy.shouldRetry(error, 'del', 1)).toBe(true);
+            expect(policy.extend({ retryNonIdempotent: true }).shouldRetry(error, 'post', 1)).toBe(true);
+        });
+    });
+
+    describe('getDelay', function() {
+        it('should back off exponentially', function() {
+            var policy = new RetryPolicy({ baseDelay: 100, jitter: 0 });
+            expect(policy.getDelay(new Error(), 1)).toBe(100);
+            expect(policy.getDelay(new Error(), 2)).toBe(200);
+            expect(policy.getDelay(new Error(), 3)).toBe(400);
+        });
+
+        it('should cap the delay at maxDelay', function() {
+            var policy = new RetryPolicy({ baseDelay: 100, maxDelay: 300, jitter: 0 });
+            expect(policy.getDelay(new Error(), 5)).toBe(300);
+        });
+
+        it('should add jitter', function() {
+            var policy = new RetryPolicy({ baseDelay: 100, jitter: 0.5 });
+            spyOn(Math, 'random').and.returnValue(0);
+            expect(policy.getDelay(new Error(), 1)).toBe(50);
+            Math.random.and.returnValue(0.99);
+            expect(policy.getDelay(new Error(), 1)).toBe(149);
+        });
+
+        it('should honor Retry-After', function() {
+            var policy = new RetryPolicy({ maxDelay: 5000 }),
+                error = new errors.RateLimitError('x', { statusCode: 429, retryAfter: 2000 });
+            expect(policy.getDelay(error, 1)).toBe(2000);
+            error.retryAfter = 60000;
+            expect(policy.getDelay(error, 1)).toBe(60000);
+            policy.respectRetryAfter = false;
+            policy.jitter = 0;
+            expect(policy.getDelay(error, 1)).toBe(250);
+        });
+
+        it('should not retry if Retry-After asks for longer than maxDelay', function() {
+            var policy = new RetryPolicy({ maxDelay: 5000 }),
+                error = new errors.RateLimitError('x', { statusCode: 429, retryAfter: 5000 });
+            expect(policy.shouldRetry(error, 'get', 1)).toBe(true);
+            error.retryAfter = 5001;
+            expect(policy.shouldRetry(error, 'get', 1)).toBe(false);
+            policy.respectRetryAfter = false;
+            expect(policy.shouldRetry(error, 'get', 1)).toBe(true);
+        });
+    });
+
+    describe('none', function() {
+        it('should return a policy that never retries', function() {
+            var error = new errors.ServerError('x', { statusCode: 503 });
+            expect(RetryPolicy.none().shouldRetry(error, 'get', 1)).toBe(false);
+        });
+    });
+});
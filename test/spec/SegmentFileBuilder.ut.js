@@ -0,0 +1,119 @@
+describe('SegmentFileBuilder', function() {
+    var zlib, SegmentFileBuilder, errors;
+
+    beforeEach(function() {
+        zlib                = require('zlib');
+        SegmentFileBuilder  = require('../../lib/SegmentFileBuilder');
+        errors              = require('../../lib/errors');
+    });
+
+    describe('initialization', function() {
+        it('should use defaults', function() {
+            var builder = new SegmentFileBuilder();
+            expect(builder.userIdType).toBe('BEESWAX');
+            expect(builder.delimiter).toBe('|');
+            expect(builder.gzip).toBe(false);
+            expect(builder.skipInvalid).toBe(false);
+            expect(builder.count()).toBe(0);
+        });
+
+        it('should throw for an unknown userIdType or delimiter', function() {
+            expect(function() { return new SegmentFileBuilder({ userIdType: 'EMAIL' }); })
+                .toThrow(new Error('userIdType must be one of: BEESWAX, IDFA, AAID, IP, CUSTOMER'));
+            expect(function() { return new SegmentFileBuilder({ delimiter: ',' }); })
+                .toThrow(new Error('delimiter must be one of: |, \\t'));
+        });
+    });
+
+    describe('add + remove', function() {
+        it('should write lines in the segment upload format', function() {
+            var builder = new SegmentFileBuilder()
+                .add('user-1', 'stinger-1')
+                .add('user-2', ['stinger-1', { key: 'stinger-2', ttl: 30 }])
+                .add('user-3', { 'stinger-3': 7, 'stinger-4': undefined })
+                .remove('user-4', ['stinger-1', 'stinger-2']);
+
+            expect(builder.count()).toBe(4);
+            expect(builder.toString()).toBe(
+                'user-1|stinger-1\n' +
+                'user-2|stinger-1,stinger-2:30\n' +
+                'user-3|stinger-3:7,stinger-4\n' +
+                'user-4|stinger-1:0,stinger-2:0\n'
+            );
+        });
+
+        it('should use a tab delimiter if configured', function() {
+            var builder = new SegmentFileBuilder({ delimiter: '\t' }).add('user-1', 'stinger-1');
+            expect(builder.toString()).toBe('user-1\tstinger-1\n');
+        });
+
+        it('should validate ids for the userIdType', function() {
+            var idfa = new SegmentFileBuilder({ userIdType: 'idfa' }),
+                ip = new SegmentFileBuilder({ userIdType: 'IP' });
+
+            idfa.add('6D92078A-8246-4BA4-AE5B-76104861E7DC', 'seg-1');
+            expect(function() { idfa.add('not-an-idfa', 'seg-1'); })
+                .toThrow(jasmine.any(errors.ValidationError));
+
+            ip.add('192.168.0.1', 'seg-1').add('2001:db8::1', 'seg-1');
+            expect(function() { ip.add('300.1.1.1', 'seg-1'); }).toThrow();
+            expect(ip.count()).toBe(2);
+        });
+
+        it('should reject ids + segment keys containing reserved characters', function() {
+            var builder = new SegmentFileBuilder({ userIdType: 'CUSTOMER' });
+            expect(function() { builder.add('a|b', 'seg-1'); }).toThrow();
+            expect(function() { builder.add('a,b', 'seg-1'); }).toThrow();
+            expect(function() { builder.add('ab', 'seg:1'); }).toThrow();
+            expect(function() { builder.add('ab', []); }).toThrow();
+            expect(builder.count()).toBe(0);
+        });
+
+        it('should throw a ValidationError listing every problem', function() {
+            var builder = new SegmentFileBuilder();
+            try {
+                builder.add('bad id', [{ key: 'seg-1', ttl: -1 }, 'bad key']);
+                fail('Should have thrown');
+            } catch (error) {
+                expect(error).toEqual(jasmine.any(errors.ValidationError));
+                expect(error.messages).toEqual([
+                    'user id "bad id": is not a valid BEESWAX id',
+                    'segment key seg-1: ttl must be a non-negative integer',
+                    'segment key "bad key": is not a valid segment key'
+                ]);
+            }
+        });
+
+        it('should record invalid lines instead of throwing if skipInvalid is set', function() {
+            var builder = new SegmentFileBuilder({ skipInvalid: true })
+                .add('user-1', 'seg-1')
+                .add(123, 'seg-1');
+
+            expect(builder.count()).toBe(1);
+            expect(builder.rejected).toEqual([
+                { userId: 123, messages: ['user id 123: is not a valid BEESWAX id'] }
+            ]);
+        });
+    });
+
+    describe('build', function() {
+        it('should return the file contents and size', function() {
+            var built = new SegmentFileBuilder().add('user-1', 'seg-1').build();
+            expect(built).toEqual({
+                buffer: new Buffer('user-1|seg-1\n'),
+                size: 13,
+                lines: 1,
+                name: 'segment_upload.txt',
+                gzip: false
+            });
+        });
+
+        it('should gzip the contents if configured', function() {
+            var built = new SegmentFileBuilder({ gzip: true }).add('user-1', 'seg-1').build();
+            expect(built.name).toBe('segment_upload.txt.gz');
+            expect(built.gzip).toBe(true);
+            expect(built.size).toBe(built.buffer.length);
+            expect(zlib.gunzipSync(built.buffer).toString()).toBe('user-1|seg-1\n');
+        });
+    });
+});
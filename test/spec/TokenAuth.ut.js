@@ -0,0 +1,83 @@
+describe('TokenAuth', function() {
+    var Promise, TokenAuth;
+
+    beforeEach(function() {
+        Promise     = require('bluebird');
+        TokenAuth   = require('../../lib/TokenAuth');
+    });
+
+    it('should require a token', function() {
+        expect(function() { return new TokenAuth(); })
+            .toThrow(new Error('Must provide a token or a function that returns one'));
+    });
+
+    it('should add the token to each request as a bearer token by default', function(done) {
+        var auth = new TokenAuth('abc'),
+            req = { method: 'get', url: 'https://bw.com/rest/campaign' };
+
+        expect(auth.header).toBe('Authorization');
+        expect(auth.scheme).toBe('Bearer');
+        auth.prepare(req).then(function() {
+            expect(req.headers).toEqual({ Authorization: 'Bearer abc' });
+        }).then(done, done.fail);
+    });
+
+    it('should support other headers + schemes', function(done) {
+        var auth = new TokenAuth('abc', { header: 'X-Api-Key', scheme: '' }),
+            req = { headers: { Accept: 'text/csv' } };
+
+        auth.prepare(req).then(function() {
+            expect(req.headers).toEqual({ Accept: 'text/csv', 'X-Api-Key': 'abc' });
+        }).then(done, done.fail);
+    });
+
+    it('should do nothing when authenticating with a fixed token', function(done) {
+        var auth = new TokenAuth('abc');
+        auth.authenticate().then(function(result) {
+            expect(result).not.toBeDefined();
+        }).then(done, done.fail);
+    });
+
+    describe('with a token function', function() {
+        var tokens, provider, auth;
+
+        beforeEach(function() {
+            tokens = ['first', 'second'];
+            provider = jasmine.createSpy('provider').and.callFake(function() {
+                return Promise.resolve(tokens.shift());
+            });
+            auth = new TokenAuth(provider);
+        });
+
+        it('should fetch the token once, until authenticating again', function(done) {
+            var reqs = [{}, {}, {}];
+            Promise.all([auth.prepare(reqs[0]), auth.prepare(reqs[1])]).then(function() {
+                expect(provider.calls.count()).toBe(1);
+                return auth.authenticate();
+            }).then(function() {
+                return auth.prepare(reqs[2]);
+            }).then(function() {
+                expect(provider.calls.count()).toBe(2);
+                expect(reqs.map(function(req) { return req.headers.Authorization; }))
+                    .toEqual(['Bearer first', 'Bearer first', 'Bearer second']);
+            }).then(done, done.fail);
+        });
+
+        it('should call the function again after it fails', function(done) {
+            provider.and.returnValues(Promise.reject(new Error('vault is sealed')), Promise.resolve(null),
+                                      Promise.resolve('third'));
+            auth.authenticate().then(done.fail, function(error) {
+                expect(error.message).toBe('vault is sealed');
+                return auth.authenticate();
+            }).then(done.fail, function(error) {
+                expect(error.message).toBe('token function must resolve with a token');
+                return auth.authenticate();
+            }).then(function() {
+                var req = {};
+                return auth.prepare(req).return(req);
+            }).then(function(req) {
+                expect(req.headers.Authorization).toBe('Bearer third');
+            }).then(done, done.fail);
+        });
+    });
+});
@@ -0,0 +1,87 @@
+describe('assetInfo', function() {
+    var assetInfo;
+
+    beforeEach(function() {
+        assetInfo = require('../../lib/assetInfo');
+    });
+
+    // Build an ISO BMFF box
+    function box(type, content) {
+        var header = new Buffer(8);
+        header.writeUInt32BE(8 + content.length, 0);
+        header.write(type, 4, 'ascii');
+        return Buffer.concat([header, content]);
+    }
+
+    function zeros(length) {
+        var buffer = new Buffer(length);
+        buffer.fill(0);
+        return buffer;
+    }
+
+    describe('detect', function() {
+        it('should read PNG dimensions', function() {
+            var png = zeros(24);
+            new Buffer([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(png);
+            png.writeUInt32BE(728, 16);
+            png.writeUInt32BE(90, 20);
+            expect(assetInfo.detect(png)).toEqual({ mimeType: 'image/png', width: 728, height: 90 });
+        });
+
+        it('should read GIF dimensions', function() {
+            var gif = new Buffer('GIF89a\x2c\x01\xfa\x00', 'binary');
+            expect(assetInfo.detect(gif)).toEqual({ mimeType: 'image/gif', width: 300, height: 250 });
+        });
+
+        it('should read JPEG dimensions from the first frame header', function() {
+            var jpeg = Buffer.concat([
+                new Buffer([0xff, 0xd8]),
+                new Buffer([0xff, 0xe0, 0x00, 0x04, 0x00, 0x00]),           // APP0, skipped
+                new Buffer([0xff, 0xc4, 0x00, 0x04, 0x00, 0x00]),           // DHT, not a frame
+                new Buffer([0xff, 0xc0, 0x00, 0x11, 0x08, 0x02, 0x58, 0x01, 0xe0, 0x03])
+            ]);
+            expect(assetInfo.detect(jpeg)).toEqual({ mimeType: 'image/jpeg', width: 480, height: 600 });
+        });
+
+        it('should read WebP dimensions', function() {
+            var webp = zeros(30);
+            webp.write('RIFF', 0, 'ascii');
+            webp.write('WEBPVP8X', 8, 'ascii');
+            webp.writeUIntLE(159, 24, 3);
+            webp.writeUIntLE(599, 27, 3);
+            expect(assetInfo.detect(webp)).toEqual({ mimeType: 'image/webp', width: 160, height: 600 });
+        });
+
+        it('should read MP4 dimensions + duration', function() {
+            var mvhd = zeros(100), tkhd = zeros(84);
+            mvhd.writeUInt32BE(1000, 12);   // timescale
+            mvhd.writeUInt32BE(15500, 16);  // duration
+            tkhd.writeUInt32BE(640 * 65536, 76);
+            tkhd.writeUInt32BE(360 * 65536, 80);
+
+            var mp4 = Buffer.concat([
+                box('ftyp', new Buffer('isom0000', 'ascii')),
+                box('moov', Buffer.concat([box('mvhd', mvhd), box('trak', box('tkhd', tkhd))]))
+            ]);
+            expect(assetInfo.detect(mp4)).toEqual({ mimeType: 'video/mp4', duration: 15.5, width: 640, height: 360 });
+        });
+
+        it('should only report the MIME type for truncated content', function() {
+            var mp4 = box('ftyp', new Buffer('qt  0000', 'ascii'));
+            expect(assetInfo.detect(mp4)).toEqual({ mimeType: 'video/quicktime' });
+            expect(assetInfo.detect(new Buffer([0xff, 0xd8, 0xff, 0xe0]))).toEqual({ mimeType: 'image/jpeg' });
+        });
+
+        it('should fall back to the file extension', function() {
+            expect(assetInfo.detect(new Buffer('<html></html>'), 'ad.HTML')).toEqual({ mimeType: 'text/html' });
+            expect(assetInfo.detect(new Buffer('???'), 'ad')).toEqual({ mimeType: 'application/octet-stream' });
+        });
+    });
+
+    describe('hash', function() {
+        it('should hash content', function() {
+            expect(assetInfo.hash(new Buffer('abc'))).toBe(assetInfo.hash(new Buffer('abc')));
+            expect(assetInfo.hash(new Buffer('abc'))).not.toBe(assetInfo.hash(new Buffer('abd')));
+        });
+    });
+});
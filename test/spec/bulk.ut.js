@@ -0,0 +1,76 @@
+describe('bulk', function() {
+    var Promise, bulk, errors;
+
+    beforeEach(function() {
+        Promise = require('bluebird');
+        bulk    = require('../../lib/bulk');
+        errors  = require('../../lib/errors');
+    });
+
+    describe('run', function() {
+        it('should report which inputs succeeded and which failed', function(done) {
+            bulk.run(['a', 'b', 'c'], function(input, index) {
+                if (input === 'b') {
+                    return Promise.reject(new Error('no b'));
+                }
+                return input.toUpperCase() + index;
+            }).then(function(report) {
+                expect(report).toEqual({
+                    success: false,
+                    succeeded: [
+                        { index: 0, input: 'a', result: 'A0' },
+                        { index: 2, input: 'c', result: 'C2' }
+                    ],
+                    failed: [{ index: 1, input: 'b', error: new Error('no b') }],
+                    skipped: []
+                });
+            }).then(done, done.fail);
+        });
+
+        it('should succeed if every input succeeds', function(done) {
+            bulk.run([1, 2], function(input) { return input * 2; }).then(function(report) {
+                expect(report.success).toBe(true);
+                expect(report.succeeded.length).toBe(2);
+            }).then(done, done.fail);
+        });
+
+        it('should limit concurrency', function(done) {
+            var active = 0, maxActive = 0;
+            bulk.run([1, 2, 3, 4, 5, 6, 7], function() {
+                active++;
+                maxActive = Math.max(active, maxActive);
+                return Promise.delay(1).then(function() { active--; });
+            }, { concurrency: 3 }).then(function(report) {
+                expect(maxActive).toBe(3);
+                expect(report.succeeded.length).toBe(7);
+            }).then(done, done.fail);
+        });
+
+        it('should skip remaining inputs after a failure if stopOnError is set', function(done) {
+            var worker = jasmine.createSpy('worker').and.callFake(function(input) {
+                return input === 2 ? Promise.reject(new Error('nope')) : input;
+            });
+            bulk.run([1, 2, 3, 4], worker, { concurrency: 1, stopOnError: true }).then(function(report) {
+                expect(report.success).toBe(false);
+                expect(report.succeeded).toEqual([{ index: 0, input: 1, result: 1 }]);
+                expect(report.failed).toEqual([{ index: 1, input: 2, error: new Error('nope') }]);
+                expect(report.skipped).toEqual([{ index: 2, input: 3 }, { index: 3, input: 4 }]);
+                expect(worker.calls.count()).toBe(2);
+            }).then(done, done.fail);
+        });
+    });
+
+    describe('unwrap', function() {
+        it('should return the payload of successful responses', function() {
+            expect(bulk.unwrap({ success: true, payload: { id: 1 } })).toEqual({ id: 1 });
+        });
+
+        it('should reject unsuccessful responses', function(done) {
+            bulk.unwrap({ success: false, code: 400, message: 'Body must be non-empty object' }).then(done.fail, function(error) {
+                expect(error).toEqual(jasmine.any(errors.ValidationError));
+                expect(error.statusCode).toBe(400);
+                expect(error.message).toBe('Body must be non-empty object');
+            }).then(done, done.fail);
+        });
+    });
+});
@@ -0,0 +1,204 @@
+describe('cloneCampaign', function() {
+    var Promise, cloneCampaign, errors, client, store, nextId;
+
+    beforeEach(function() {
+        Promise         = require('bluebird');
+        cloneCampaign   = require('../../lib/cloneCampaign');
+        errors          = require('../../lib/errors');
+
+        nextId = 1000;
+        store = {
+            campaigns: [
+                { campaign_id: 1, advertiser_id: 5, campaign_name: 'Spring', active: true, start_date: '2016-03-01',
+                  create_date: '2016-01-01', update_date: '2016-01-02' }
+            ],
+            lineItems: [
+                { line_item_id: 11, campaign_id: 1, line_item_name: 'LI 1', targeting_template_id: 21, active: true },
+                { line_item_id: 12, campaign_id: 1, line_item_name: 'LI 2', targeting_template_id: 21, active: true },
+                { line_item_id: 13, campaign_id: 2, line_item_name: 'other campaign' }
+            ],
+            lineItemFlights: [
+                { line_item_flight_id: 31, line_item_id: 11, start_date: '2016-03-01', flight_budget: 100 }
+            ],
+            targetingTemplates: [
+                { targeting_template_id: 21, template_name: 'US only', targeting: { geo: ['USA'] } }
+            ],
+            creativeLineItems: [
+                { cli_id: 41, line_item_id: 11, creative_id: 51, weighting: 2, active: true },
+                { cli_id: 42, line_item_id: 12, creative_id: 52, weighting: 1, active: true }
+            ]
+        };
+
+        // Build an entity object backed by the in-memory store
+        function entity(type, idField) {
+            return {
+                find: jasmine.createSpy(type + '.find').and.callFake(function(id) {
+                    return Promise.resolve({ success: true, payload: store[type].filter(function(item) {
+                        return item[idField] === id;
+                    })[0] });
+                }),
+                queryAll: jasmine.createSpy(type + '.queryAll').and.callFake(function(query) {
+                    return Promise.resolve({ success: true, payload: store[type].filter(function(item) {
+                        return Object.keys(query).every(function(key) { return item[key] === query[key]; });
+                    }) });
+                }),
+                create: jasmine.createSpy(type + '.create').and.callFake(function(body) {
+                    var item = JSON.parse(JSON.stringify(body));
+                    item[idField] = nextId++;
+                    store[type].push(item);
+                    return Promise.resolve({ success: true, payload: item });
+                }),
+                delete: jasmine.createSpy(type + '.delete').and.callFake(function(id) {
+                    store[type] = store[type].filter(function(item) { return item[idField] !== id; });
+                    return Promise.resolve({ success: true, payload: { id: id } });
+                })
+            };
+        }
+
+        client = {
+            campaigns: entity('campaigns', 'campaign_id'),
+            lineItems: entity('lineItems', 'line_item_id'),
+            lineItemFlights: entity('lineItemFlights', 'line_item_flight_id'),
+            targetingTemplates: entity('targetingTemplates', 'targeting_template_id'),
+            creativeLineItems: entity('creativeLineItems', 'cli_id')
+        };
+    });
+
+    it('should copy the campaign tree, remapping foreign keys', function(done) {
+        cloneCampaign(client, 1, {
+            campaign: { campaign_name: 'Summer', start_date: '2016-06-01' },
+            lineItems: function(lineItem) { return { line_item_name: lineItem.line_item_name + ' (Summer)' }; },
+            lineItemFlights: { start_date: '2016-06-01' }
+        }).then(function(resp) {
+            var clone = resp.payload;
+            expect(resp.success).toBe(true);
+
+            expect(client.campaigns.create).toHaveBeenCalledWith({
+                advertiser_id: 5,
+                campaign_name: 'Summer',
+                active: false,
+                start_date: '2016-06-01'
+            });
+            expect(clone.campaign.campaign_id).toBe(1000);
+
+            expect(clone.targetingTemplates.length).toBe(1);
+            expect(client.targetingTemplates.create.calls.count()).toBe(1);
+            expect(client.targetingTemplates.create).toHaveBeenCalledWith({ template_name: 'US only', targeting: { geo: ['USA'] } });
+            var templateId = clone.targetingTemplates[0].targeting_template_id;
+
+            expect(clone.lineItems.length).toBe(2);
+            expect(clone.lineItems[0].original).toBe(store.lineItems[0]);
+            expect(clone.lineItems[0].lineItem).toEqual({
+                line_item_id: jasmine.any(Number),
+                campaign_id: 1000,
+                line_item_name: 'LI 1 (Summer)',
+                targeting_template_id: templateId,
+                active: false
+            });
+            expect(clone.lineItems[1].lineItem.line_item_name).toBe('LI 2 (Summer)');
+            expect(clone.lineItems[1].lineItem.targeting_template_id).toBe(templateId);
+
+            expect(clone.lineItems[0].lineItemFlights).toEqual([{
+                line_item_flight_id: jasmine.any(Number),
+                line_item_id: clone.lineItems[0].lineItem.line_item_id,
+                start_date: '2016-06-01',
+                flight_budget: 100
+            }]);
+            expect(clone.lineItems[1].lineItemFlights).toEqual([]);
+
+            expect(clone.lineItems[0].creativeLineItems).toEqual([{
+                cli_id: jasmine.any(Number),
+                line_item_id: clone.lineItems[0].lineItem.line_item_id,
+                creative_id: 51,
+                weighting: 2,
+                active: true
+            }]);
+            expect(clone.lineItems[1].creativeLineItems[0].creative_id).toBe(52);
+            expect(client.lineItems.queryAll).toHaveBeenCalledWith({ campaign_id: 1 });
+        }).then(done, done.fail);
+    });
+
+    it('should reject if the campaign does not exist', function(done) {
+        cloneCampaign(client, 999).then(done.fail, function(error) {
+            expect(error).toEqual(jasmine.any(errors.NotFoundError));
+            expect(error.message).toBe('Campaign 999 not found');
+            expect(client.campaigns.create).not.toHaveBeenCalled();
+        }).then(done, done.fail);
+    });
+
+    describe('if a step fails', function() {
+        beforeEach(function() {
+            client.creativeLineItems.create.and.callFake(function(body) {
+                if (body.creative_id === 52) {
+                    return Promise.reject(new errors.ValidationError('bad creative', { statusCode: 406 }));
+                }
+                var item = JSON.parse(JSON.stringify(body));
+                item.cli_id = nextId++;
+                store.creativeLineItems.push(item);
+                return Promise.resolve({ success: true, payload: item });
+            });
+        });
+
+        it('should delete everything it created, newest first', function(done) {
+            var before = JSON.parse(JSON.stringify(store));
+            cloneCampaign(client, 1).then(done.fail, function(error) {
+                expect(error).toEqual(jasmine.any(errors.ValidationError));
+                expect(error.message).toBe('bad creative');
+                expect(error.rollback.failed).toEqual([]);
+                expect(error.rollback.deleted.map(function(entry) { return entry.type; })).toEqual([
+                    'lineItems',
+                    'creativeLineItems',
+                    'lineItemFlights',
+                    'lineItems',
+                    'targetingTemplates',
+                    'campaigns'
+                ]);
+                expect(store).toEqual(before);
+            }).then(done, done.fail);
+        });
+
+        it('should report entities it could not delete', function(done) {
+            client.campaigns.delete.and.callFake(function() { return Promise.reject(new Error('cant delete')); });
+            cloneCampaign(client, 1).then(done.fail, function(error) {
+                expect(error.message).toBe('bad creative');
+                expect(error.rollback.failed).toEqual([{ type: 'campaigns', id: 1000, error: new Error('cant delete') }]);
+                expect(error.rollback.deleted.length).toBe(5);
+            }).then(done, done.fail);
+        });
+
+        it('should report entities whose delete resolved unsuccessfully', function(done) {
+            client.targetingTemplates.delete.and.callFake(function() {
+                return Promise.resolve({ success: false, code: 400, message: 'Not found' });
+            });
+            cloneCampaign(client, 1).then(done.fail, function(error) {
+                expect(error.rollback.failed).toEqual([{ type: 'targetingTemplates', id: jasmine.any(Number), error: jasmine.any(errors.ValidationError) }]);
+                expect(error.rollback.failed[0].error.message).toBe('Not found');
+                expect(error.rollback.deleted.map(function(entry) { return entry.type; })).not.toContain('targetingTemplates');
+                expect(client.targetingTemplates.delete).toHaveBeenCalledWith(jasmine.any(Number), true);
+            }).then(done, done.fail);
+        });
+
+        it('should delete an entity that was created even if fetching it failed', function(done) {
+            client.lineItemFlights.create.and.callFake(function(body) {
+                var item = JSON.parse(JSON.stringify(body)),
+                    error = new errors.ServerError('could not fetch', { statusCode: 503 });
+                item.line_item_flight_id = nextId++;
+                store.lineItemFlights.push(item);
+                error.createdId = item.line_item_flight_id;
+                return Promise.reject(error);
+            });
+            var before = JSON.parse(JSON.stringify(store));
+
+            cloneCampaign(client, 1).then(done.fail, function(error) {
+                expect(error.message).toBe('could not fetch');
+                expect(error.rollback.deleted.map(function(entry) { return entry.type; })).toEqual([
+                    'lineItemFlights',
+                    'lineItems',
+                    'targetingTemplates',
+                    'campaigns'
+                ]);
+                expect(store).toEqual(before);
+            }).then(done, done.fail);
+        });
+    });
+});
@@ -0,0 +1,48 @@
+describe('coalesce', function() {
+    var Promise, coalesce;
+
+    beforeEach(function() {
+        Promise     = require('bluebird');
+        coalesce    = require('../../lib/coalesce');
+    });
+
+    it('should share in-flight loads with the same key, giving each caller a copy', function(done) {
+        var load = jasmine.createSpy('load').and.returnValue(Promise.delay(1).return({ payload: [1] })),
+            other = jasmine.createSpy('other').and.returnValue(Promise.resolve({ payload: [2] }));
+
+        Promise.all([coalesce('a', load), coalesce('a', load), coalesce('b', other)]).then(function(results) {
+            expect(results).toEqual([{ payload: [1] }, { payload: [1] }, { payload: [2] }]);
+            expect(results[0]).not.toBe(results[1]);
+            expect(load.calls.count()).toBe(1);
+            expect(coalesce.size()).toBe(0);
+            return coalesce('a', load);
+        }).then(function() {
+            expect(load.calls.count()).toBe(2);
+        }).then(done, done.fail);
+    });
+
+    it('should share failures with every caller, then forget them', function(done) {
+        var load = jasmine.createSpy('load').and.returnValue(Promise.reject(new Error('nope')));
+
+        Promise.all([coalesce('a', load).reflect(), coalesce('a', load).reflect()]).then(function(results) {
+            expect(results.map(function(result) { return result.reason().message; })).toEqual(['nope', 'nope']);
+            expect(load.calls.count()).toBe(1);
+            expect(coalesce.size()).toBe(0);
+        }).then(done, done.fail);
+    });
+
+    it('should stop sharing loads that are forgotten', function(done) {
+        var load = jasmine.createSpy('load').and.callFake(function() {
+            return Promise.delay(1).return(load.calls.count());
+        });
+
+        var first = coalesce('acct /rest/campaign {}', load);
+        coalesce('acct /rest/campaign_x {}', load);
+        coalesce.forget('acct /rest/campaign ');
+        expect(coalesce.size()).toBe(1);
+
+        Promise.all([first, coalesce('acct /rest/campaign {}', load)]).then(function(results) {
+            expect(results).toEqual([1, 3]);
+        }).then(done, done.fail);
+    });
+});
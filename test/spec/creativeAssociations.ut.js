@@ -0,0 +1,147 @@
+describe('creativeAssociations', function() {
+    var Promise, BeeswaxClient, creativeAssociations, fake, beeswax, cli;
+
+    beforeEach(function() {
+        Promise                 = require('bluebird');
+        BeeswaxClient           = require('../../index');
+        creativeAssociations    = require('../../lib/creativeAssociations');
+
+        fake = new BeeswaxClient.FakeBeeswax({ data: {
+            creativeLineItems: [
+                { cli_id: 1, line_item_id: 10, creative_id: 51, weighting: 1, active: true },
+                { cli_id: 2, line_item_id: 10, creative_id: 52, weighting: 2, active: true },
+                { cli_id: 3, line_item_id: 10, creative_id: 53, weighting: 1, active: false },
+                { cli_id: 4, line_item_id: 11, creative_id: 51, weighting: 1, active: true }
+            ]
+        } });
+        beeswax = new BeeswaxClient({ creds: { email: 'foo@bar.com', password: 'pass' }, transport: fake });
+
+        cli = beeswax.creativeLineItems;
+        ['create', 'edit', 'delete'].forEach(function(method) {
+            spyOn(cli, method).and.callThrough();
+        });
+    });
+
+    // Return the line item's associations in the fake, as [creative_id, weighting, active]
+    function rotation(lineItemId) {
+        return fake.all('creativeLineItems').filter(function(association) {
+            return association.line_item_id === lineItemId;
+        }).map(function(association) {
+            return [association.creative_id, association.weighting, association.active];
+        }).sort(function(a, b) { return a[0] - b[0]; });
+    }
+
+    it('should be bound on lineItems', function(done) {
+        expect(beeswax.lineItems.listCreatives).toEqual(jasmine.any(Function));
+        beeswax.lineItems.listCreatives(10).then(function(resp) {
+            expect(resp.success).toBe(true);
+            expect(resp.payload.map(function(association) { return association.cli_id; })).toEqual([1, 2, 3]);
+        }).then(done, done.fail);
+    });
+
+    describe('attach', function() {
+        it('should only create + edit the associations that changed', function(done) {
+            beeswax.lineItems.attachCreatives(10, [
+                { creativeId: 51, weight: 1 },
+                { creativeId: 52, weight: 5 },
+                53,
+                { creativeId: 54, weight: 3, startDate: '2017-01-01' }
+            ]).then(function(result) {
+                expect(result.success).toBe(true);
+                expect(result.created.map(function(association) { return association.creative_id; })).toEqual([54]);
+                expect(result.created[0].start_date).toBe('2017-01-01');
+                expect(result.edited.map(function(association) { return association.cli_id; })).toEqual([2, 3]);
+                expect(result.unchanged.map(function(association) { return association.cli_id; })).toEqual([1]);
+                expect(result.deleted).toEqual([]);
+                expect(result.failed).toEqual([]);
+
+                expect(cli.create).toHaveBeenCalledWith({ line_item_id: 10, creative_id: 54, active: true, weighting: 3,
+                                                          start_date: '2017-01-01' });
+                expect(cli.edit.calls.allArgs()).toEqual([
+                    [2, jasmine.objectContaining({ weighting: 5 }), true],
+                    [3, jasmine.objectContaining({ active: true }), true]
+                ]);
+                expect(Object.keys(cli.edit.calls.argsFor(0)[1])).not.toContain('active');
+                expect(cli.delete).not.toHaveBeenCalled();
+                expect(rotation(10)).toEqual([[51, 1, true], [52, 5, true], [53, 1, true], [54, 3, true]]);
+                expect(rotation(11)).toEqual([[51, 1, true]]);
+            }).then(done, done.fail);
+        });
+
+        it('should not edit associations whose values only differ from Beeswax\'s in format', function(done) {
+            fake.seed('creativeLineItems', [{ cli_id: 6, line_item_id: 12, creative_id: 56, weighting: 50, active: true,
+                                              start_date: '2024-01-01 00:00:00', end_date: '2024-02-01 12:30:00' }]);
+
+            beeswax.lineItems.attachCreatives(12, [
+                { creativeId: 56, weight: '50', startDate: '2024-01-01', endDate: '2024-02-01T12:30:00' }
+            ]).then(function(result) {
+                expect(result.unchanged.map(function(association) { return association.cli_id; })).toEqual([6]);
+                expect(cli.edit).not.toHaveBeenCalled();
+                return beeswax.lineItems.attachCreatives(12, [{ creativeId: 56, weight: 50, startDate: '2024-01-02' }]);
+            }).then(function(result) {
+                expect(result.edited.map(function(association) { return association.cli_id; })).toEqual([6]);
+                expect(cli.edit).toHaveBeenCalledWith(6, jasmine.objectContaining({ start_date: '2024-01-02' }), true);
+                expect(Object.keys(cli.edit.calls.argsFor(0)[1])).not.toContain('weighting');
+            }).then(done, done.fail);
+        });
+
+        it('should reject invalid creatives without changing anything', function(done) {
+            creativeAssociations.attach(beeswax, 10, [51, { weight: 2 }]).then(done.fail, function(error) {
+                expect(error.message).toBe('Each creative must be a creative id or an object with a creativeId');
+                return creativeAssociations.attach(beeswax, 10, [51, { creativeId: '51' }]);
+            }).then(done.fail, function(error) {
+                expect(error.message).toBe('Creative 51 is listed more than once');
+                expect(cli.create).not.toHaveBeenCalled();
+                expect(cli.edit).not.toHaveBeenCalled();
+            }).then(done, done.fail);
+        });
+
+        it('should report operations that failed', function(done) {
+            var error = new Error('Creative 54 is not approved');
+            cli.create.and.callFake(function() { return Promise.reject(error); });
+
+            creativeAssociations.attach(beeswax, 10, [{ creativeId: 54 }, { creativeId: 51, active: false }], { concurrency: 1 })
+            .then(function(result) {
+                expect(result.success).toBe(false);
+                expect(result.failed.length).toBe(1);
+                expect(result.failed[0].action).toBe('create');
+                expect(result.failed[0].creative_id).toBe(54);
+                expect(result.failed[0].error).toBe(error);
+                expect(result.edited.map(function(association) { return association.active; })).toEqual([false]);
+            }).then(done, done.fail);
+        });
+    });
+
+    describe('detach', function() {
+        it('should delete the associations for the creatives', function(done) {
+            beeswax.lineItems.detachCreatives(10, [52, '53', 99]).then(function(result) {
+                expect(result.success).toBe(true);
+                expect(result.deleted.map(function(association) { return association.cli_id; })).toEqual([2, 3]);
+                expect(cli.delete.calls.allArgs()).toEqual([[2, true], [3, true]]);
+                expect(rotation(10)).toEqual([[51, 1, true]]);
+                expect(rotation(11)).toEqual([[51, 1, true]]);
+            }).then(done, done.fail);
+        });
+    });
+
+    describe('setRotation', function() {
+        it('should make the creatives the line item\'s only ones', function(done) {
+            fake.seed('creativeLineItems', [{ cli_id: 5, line_item_id: 10, creative_id: 52, weighting: 2, active: true }]);
+
+            beeswax.lineItems.setRotation(10, [{ creativeId: 52, weight: 2 }, { creativeId: 55, weight: 1 }]).then(function(result) {
+                expect(result.success).toBe(true);
+                expect(result.unchanged.map(function(association) { return association.cli_id; })).toEqual([2]);
+                expect(result.created.map(function(association) { return association.creative_id; })).toEqual([55]);
+                expect(result.deleted.map(function(association) { return association.cli_id; }).sort()).toEqual([1, 3, 5]);
+                expect(cli.edit).not.toHaveBeenCalled();
+                expect(rotation(10)).toEqual([[52, 2, true], [55, 1, true]]);
+                expect(rotation(11)).toEqual([[51, 1, true]]);
+                return beeswax.lineItems.setRotation(10, [{ creativeId: 52, weight: 2 }, { creativeId: 55, weight: 1 }]);
+            }).then(function(result) {
+                expect(result.unchanged.length).toBe(2);
+                expect(cli.create.calls.count()).toBe(1);
+                expect(cli.delete.calls.count()).toBe(3);
+            }).then(done, done.fail);
+        });
+    });
+});
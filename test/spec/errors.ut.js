@@ -0,0 +1,179 @@
+describe('errors', function() {
+    var errors, rpErrors;
+
+    beforeEach(function() {
+        errors      = require('../../lib/errors');
+        rpErrors    = require('request-promise/errors');
+    });
+
+    describe('error classes', function() {
+        it('should all inherit from BeeswaxError and Error', function() {
+            ['AuthenticationError', 'NotFoundError', 'ValidationError', 'ConflictError', 'RateLimitError',
+             'ServerError', 'NetworkError'].forEach(function(name) {
+                var error = new errors[name]('oh no', { statusCode: 400, method: 'get', endpoint: '/rest/foo' });
+                expect(error).toEqual(jasmine.any(errors.BeeswaxError));
+                expect(error).toEqual(jasmine.any(Error));
+                expect(error.name).toBe(name);
+                expect(error.message).toBe('oh no');
+                expect(error.statusCode).toBe(400);
+                expect(error.method).toBe('get');
+                expect(error.endpoint).toBe('/rest/foo');
+                expect(error.messages).toEqual([]);
+                expect(error.stack).toMatch(name);
+            });
+        });
+    });
+
+    describe('ConflictError', function() {
+        it('should keep the expected + actual update dates and the current entity', function() {
+            var error = new errors.ConflictError('changed', {
+                endpoint: '/rest/campaign',
+                expected: '2017-01-01 00:00:00',
+                actual: '2017-01-02 00:00:00',
+                current: { campaign_id: 1 }
+            });
+            expect(error.expected).toBe('2017-01-01 00:00:00');
+            expect(error.actual).toBe('2017-01-02 00:00:00');
+            expect(error.current).toEqual({ campaign_id: 1 });
+        });
+    });
+
+    describe('fromResponse', function() {
+        var body;
+        beforeEach(function() {
+            body = {
+                success: false,
+                payload: [{
+                    message: [
+                        'campaign_name: may not be blank',
+                        'campaign_budget: must be a number',
+                        'campaign_name: is too short',
+                        'ERROR: there were problems'
+                    ]
+                }]
+            };
+        });
+
+        it('should return a ValidationError with parsed field messages', function() {
+            var error = errors.fromResponse(406, body, { method: 'put', endpoint: '/rest/campaign/strict' });
+            expect(error).toEqual(jasmine.any(errors.ValidationError));
+            expect(error.statusCode).toBe(406);
+            expect(error.body).toBe(body);
+            expect(error.messages).toEqual(body.payload[0].message);
+            expect(error.fieldErrors).toEqual({
+                campaign_name: ['may not be blank', 'is too short'],
+                campaign_budget: ['must be a number']
+            });
+            expect(error.message).toBe('PUT /rest/campaign/strict failed with 406: ' + body.payload[0].message.join('; '));
+        });
+
+        it('should return a NotFoundError if Beeswax could not load the object', function() {
+            body.payload[0].message.push('Could not load object 1234 to update');
+            expect(errors.fromResponse(406, body)).toEqual(jasmine.any(errors.NotFoundError));
+            expect(errors.fromResponse(404, 'nope')).toEqual(jasmine.any(errors.NotFoundError));
+        });
+
+        it('should not return a NotFoundError if Beeswax could not load some other object', function() {
+            body.payload[0].message = ['advertiser_id: Could not load object 12'];
+            expect(errors.fromResponse(406, body)).toEqual(jasmine.any(errors.ValidationError));
+        });
+
+        it('should expose the body as error, like request-promise\'s StatusCodeError', function() {
+            var error = errors.fromResponse(406, body);
+            expect(error.error).toBe(body);
+            expect(error.body).toBe(body);
+        });
+
+        it('should pick a class based on the status code', function() {
+            expect(errors.fromResponse(401, body)).toEqual(jasmine.any(errors.AuthenticationError));
+            expect(errors.fromResponse(409, body)).toEqual(jasmine.any(errors.ConflictError));
+            expect(errors.fromResponse(429, body)).toEqual(jasmine.any(errors.RateLimitError));
+            expect(errors.fromResponse(500, body)).toEqual(jasmine.any(errors.ServerError));
+            expect(errors.fromResponse(503, body)).toEqual(jasmine.any(errors.ServerError));
+            expect(errors.fromResponse(undefined, body)).toEqual(jasmine.any(errors.ValidationError));
+        });
+
+        it('should return an AuthenticationError for client errors on auth requests', function() {
+            expect(errors.fromResponse(undefined, body, { auth: true })).toEqual(jasmine.any(errors.AuthenticationError));
+            expect(errors.fromResponse(400, body, { auth: true })).toEqual(jasmine.any(errors.AuthenticationError));
+            expect(errors.fromResponse(502, body, { auth: true })).toEqual(jasmine.any(errors.ServerError));
+            expect(errors.fromResponse(429, body, { auth: true })).toEqual(jasmine.any(errors.RateLimitError));
+        });
+
+        it('should handle a top-level message', function() {
+            var error = errors.fromResponse(undefined, { success: false, message: 'bad password' });
+            expect(error.messages).toEqual(['bad password']);
+        });
+    });
+
+    describe('httpError', function() {
+        it('should create an error shaped like a StatusCodeError', function() {
+            var error = errors.httpError(404, { success: false, message: 'nope' }, { 'x-foo': 'bar' });
+            expect(error).toEqual(jasmine.any(Error));
+            expect(error.name).toBe('StatusCodeError');
+            expect(error.message).toBe('404 - {"success":false,"message":"nope"}');
+            expect(error.statusCode).toBe(404);
+            expect(error.error).toEqual({ success: false, message: 'nope' });
+            expect(error.response).toEqual({
+                statusCode: 404,
+                headers: { 'x-foo': 'bar' },
+                body: { success: false, message: 'nope' }
+            });
+        });
+
+        it('should be classified by normalize', function() {
+            var error = errors.normalize(errors.httpError(503, 'down', { 'retry-after': '1' }),
+                                         { method: 'get', endpoint: '/rest/campaign' });
+            expect(error).toEqual(jasmine.any(errors.ServerError));
+            expect(error.statusCode).toBe(503);
+            expect(error.body).toBe('down');
+        });
+    });
+
+    describe('normalize', function() {
+        var ctx;
+        beforeEach(function() {
+            ctx = { method: 'get', endpoint: '/rest/campaign' };
+        });
+
+        it('should convert StatusCodeErrors', function() {
+            var error = errors.normalize(new rpErrors.StatusCodeError(429, 'too many', {}, { headers: { 'retry-after': '2' } }), ctx);
+            expect(error).toEqual(jasmine.any(errors.RateLimitError));
+            expect(error.retryAfter).toBe(2000);
+            expect(error.method).toBe('get');
+            expect(error.endpoint).toBe('/rest/campaign');
+            expect(error.body).toBe('too many');
+        });
+
+        it('should convert network errors', function() {
+            var cause = new Error('timed out');
+            cause.code = 'ETIMEDOUT';
+            var error = errors.normalize(new rpErrors.RequestError(cause, {}, {}), ctx);
+            expect(error).toEqual(jasmine.any(errors.NetworkError));
+            expect(error.code).toBe('ETIMEDOUT');
+
+            var raw = new Error('read ECONNRESET');
+            raw.code = 'ECONNRESET';
+            expect(errors.normalize(raw, ctx)).toEqual(jasmine.any(errors.NetworkError));
+        });
+
+        it('should leave other errors alone', function() {
+            var error = new TypeError('undefined is not a function'),
+                beeswaxError = new errors.ServerError('down');
+            expect(errors.normalize(error, ctx)).toBe(error);
+            expect(errors.normalize(beeswaxError, ctx)).toBe(beeswaxError);
+            expect(errors.normalize('a string', ctx)).toBe('a string');
+        });
+    });
+
+    describe('parseRetryAfter', function() {
+        it('should handle seconds and dates', function() {
+            expect(errors.parseRetryAfter('5')).toBe(5000);
+            expect(errors.parseRetryAfter(undefined)).not.toBeDefined();
+            expect(errors.parseRetryAfter('not a date')).not.toBeDefined();
+            var ms = errors.parseRetryAfter(new Date(Date.now() + 10000).toUTCString());
+            expect(ms).toBeGreaterThan(8000);
+            expect(ms).toBeLessThan(10001);
+        });
+    });
+});
@@ -0,0 +1,37 @@
+describe('poll', function() {
+    var Promise, poll, errors;
+
+    beforeEach(function() {
+        Promise = require('bluebird');
+        poll    = require('../../lib/poll');
+        errors  = require('../../lib/errors');
+    });
+
+    it('should call check until it resolves with a value', function(done) {
+        var results = [undefined, undefined, 'done'];
+        var check = jasmine.createSpy('check').and.callFake(function() {
+            return Promise.resolve(results.shift());
+        });
+        poll(check, { interval: 1 }).then(function(result) {
+            expect(result).toBe('done');
+            expect(check.calls.count()).toBe(3);
+        }).then(done, done.fail);
+    });
+
+    it('should reject if check rejects', function(done) {
+        poll(function() { return Promise.reject(new Error('nope')); }, { interval: 1 }).then(done.fail, function(error) {
+            expect(error.message).toBe('nope');
+        }).then(done, done.fail);
+    });
+
+    it('should reject with a BeeswaxError if the timeout passes', function(done) {
+        var check = jasmine.createSpy('check');
+        poll(check, { interval: 50, timeout: 10, description: 'thing 1', endpoint: '/rest/thing' })
+        .then(done.fail, function(error) {
+            expect(error).toEqual(jasmine.any(errors.BeeswaxError));
+            expect(error.message).toBe('Timed out waiting for thing 1 after 10ms');
+            expect(error.endpoint).toBe('/rest/thing');
+            expect(check.calls.count()).toBe(1);
+        }).then(done, done.fail);
+    });
+});
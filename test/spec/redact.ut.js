@@ -0,0 +1,23 @@
+describe('redact', function() {
+    var redact;
+
+    beforeEach(function() {
+        redact = require('../../lib/redact');
+    });
+
+    it('should redact the given fields at any depth, ignoring case', function() {
+        var value = { email: 'foo@bar.com', nested: [{ Password: 'hunter2', name: 'foo' }], buf: Buffer.from('x') },
+            copy = redact(value, ['email', 'password']);
+
+        expect(copy).toEqual({ email: '[REDACTED]', nested: [{ Password: '[REDACTED]', name: 'foo' }], buf: value.buf });
+        expect(value.email).toBe('foo@bar.com');
+        expect(redact('foo', ['email'])).toBe('foo');
+        expect(redact(undefined, ['email'])).not.toBeDefined();
+    });
+
+    it('should always include the credential fields', function() {
+        expect(redact.fields()).toEqual(['email', 'password']);
+        expect(redact.fields(['Token'])).toEqual(['email', 'password', 'token']);
+        expect(redact.HEADERS).toEqual(['cookie', 'set-cookie', 'authorization']);
+    });
+});
@@ -0,0 +1,63 @@
+describe('schemas', function() {
+    var schemas;
+
+    beforeEach(function() {
+        schemas = require('../../lib/schemas');
+    });
+
+    describe('validate', function() {
+        it('should return no messages for a valid body', function() {
+            expect(schemas.validate('/rest/campaign', {
+                advertiser_id: 5,
+                campaign_name: 'foo',
+                campaign_budget: 100.5,
+                start_date: '2016-06-01 00:00:00',
+                end_date: '2016-07-01',
+                active: true,
+                some_new_field: 'ok'
+            })).toEqual([]);
+        });
+
+        it('should check required fields unless the body is partial', function() {
+            expect(schemas.validate('/rest/campaign', { campaign_name: 'foo', advertiser_id: null })).toEqual([
+                'advertiser_id: is required'
+            ]);
+            expect(schemas.validate('/rest/campaign', { campaign_name: 'foo' }, { partial: true })).toEqual([]);
+        });
+
+        it('should check types', function() {
+            expect(schemas.validate('/rest/line_item', {
+                advertiser_id: '5',
+                campaign_id: 1.5,
+                line_item_type_id: 0,
+                line_item_name: 'li',
+                line_item_budget: 'lots',
+                bidding: [],
+                active: 'yes'
+            })).toEqual([
+                'advertiser_id: must be of type integer',
+                'campaign_id: must be of type integer',
+                'line_item_budget: must be of type number',
+                'bidding: must be of type object',
+                'active: must be of type boolean'
+            ]);
+        });
+
+        it('should check enums and date formats', function() {
+            expect(schemas.validate('/rest/creative', {
+                advertiser_id: 1,
+                creative_name: 'c',
+                creative_type: 7,
+                creative_template_id: 2,
+                start_date: '06/01/2016'
+            }, { partial: true })).toEqual([
+                'creative_type: must be one of 0, 1, 2',
+                'start_date: must be formatted as YYYY-MM-DD or YYYY-MM-DD HH:MM:SS'
+            ]);
+        });
+
+        it('should not check endpoints without a schema', function() {
+            expect(schemas.validate('/rest/something_new', { anything: 'goes' })).toEqual([]);
+        });
+    });
+});
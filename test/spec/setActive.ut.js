@@ -0,0 +1,159 @@
+describe('setActive', function() {
+    var Promise, BeeswaxClient, setActive, fake, beeswax;
+
+    beforeEach(function() {
+        Promise         = require('bluebird');
+        BeeswaxClient   = require('../../index');
+        setActive       = require('../../lib/setActive');
+
+        fake = new BeeswaxClient.FakeBeeswax({ data: {
+            advertisers: [{ advertiser_id: 1, active: true }, { advertiser_id: 2, active: true }],
+            creatives: [
+                { creative_id: 31, advertiser_id: 1, active: true },
+                { creative_id: 32, advertiser_id: 2, active: true }
+            ],
+            campaigns: [
+                { campaign_id: 11, advertiser_id: 1, active: true },
+                { campaign_id: 12, advertiser_id: 1, active: false },
+                { campaign_id: 13, advertiser_id: 2, active: true }
+            ],
+            lineItems: [
+                { line_item_id: 21, campaign_id: 11, active: true },
+                { line_item_id: 22, campaign_id: 11, active: true },
+                { line_item_id: 23, campaign_id: 12, active: false },
+                { line_item_id: 24, campaign_id: 13, active: true }
+            ]
+        } });
+        beeswax = new BeeswaxClient({ creds: { email: 'foo@bar.com', password: 'pass' }, transport: fake });
+    });
+
+    // Return the paths of the PUT requests sent to the fake, in order
+    function edits() {
+        return fake.requests.filter(function(req) {
+            return req.method === 'put';
+        }).map(function(req) {
+            return req.path + ' ' + JSON.stringify(req.body);
+        });
+    }
+
+    function isActive(type, id) {
+        return fake.get(type, id).active;
+    }
+
+    it('should be bound on advertisers + campaigns', function() {
+        expect(beeswax.advertisers.setActive).toEqual(jasmine.any(Function));
+        expect(beeswax.campaigns.setActive).toEqual(jasmine.any(Function));
+        expect(beeswax.lineItems.setActive).not.toBeDefined();
+    });
+
+    it('should only edit the entity itself if not cascading', function(done) {
+        beeswax.campaigns.setActive(11, false).then(function(result) {
+            expect(result).toEqual({
+                success: true,
+                changed: [{ type: 'campaigns', id: 11 }],
+                unchanged: [],
+                failed: [],
+                skipped: []
+            });
+            expect(edits()).toEqual(['/rest/campaign/strict {"active":false,"campaign_id":11}']);
+            expect(isActive('lineItems', 21)).toBe(true);
+        }).then(done, done.fail);
+    });
+
+    it('should pause a tree bottom up, skipping entities that are already paused', function(done) {
+        beeswax.advertisers.setActive(1, false, { cascade: true, creatives: true, concurrency: 1 }).then(function(result) {
+            expect(result.success).toBe(true);
+            expect(result.changed).toEqual([
+                { type: 'lineItems', id: 21 },
+                { type: 'lineItems', id: 22 },
+                { type: 'creatives', id: 31 },
+                { type: 'campaigns', id: 11 },
+                { type: 'advertisers', id: 1 }
+            ]);
+            expect(result.unchanged).toEqual([{ type: 'lineItems', id: 23 }, { type: 'campaigns', id: 12 }]);
+            expect(edits().map(function(edit) { return edit.split(' ')[0]; })).toEqual([
+                '/rest/line_item/strict',
+                '/rest/line_item/strict',
+                '/rest/creative/strict',
+                '/rest/campaign/strict',
+                '/rest/advertiser/strict'
+            ]);
+            [['advertisers', 1], ['creatives', 31], ['campaigns', 11], ['lineItems', 21], ['lineItems', 22]].forEach(function(entity) {
+                expect(isActive(entity[0], entity[1])).toBe(false);
+            });
+            expect(isActive('advertisers', 2)).toBe(true);
+            expect(isActive('creatives', 32)).toBe(true);
+            expect(isActive('lineItems', 24)).toBe(true);
+        }).then(done, done.fail);
+    });
+
+    it('should leave creatives alone unless opts.creatives is set', function(done) {
+        beeswax.advertisers.setActive(1, false, { cascade: true }).then(function(result) {
+            expect(result.changed.map(function(entry) { return entry.type; })).not.toContain('creatives');
+            expect(isActive('creatives', 31)).toBe(true);
+        }).then(done, done.fail);
+    });
+
+    it('should activate a tree top down', function(done) {
+        beeswax.campaigns.setActive(12, true, { cascade: true }).then(function(result) {
+            expect(result.success).toBe(true);
+            expect(result.changed).toEqual([{ type: 'campaigns', id: 12 }, { type: 'lineItems', id: 23 }]);
+            expect(edits().map(function(edit) { return edit.split(' ')[0]; })).toEqual([
+                '/rest/campaign/strict',
+                '/rest/line_item/strict'
+            ]);
+            expect(isActive('campaigns', 12)).toBe(true);
+            expect(isActive('lineItems', 23)).toBe(true);
+        }).then(done, done.fail);
+    });
+
+    it('should reject if the entity does not exist', function(done) {
+        beeswax.campaigns.setActive(99, false, { cascade: true }).then(done.fail, function(error) {
+            expect(error).toEqual(jasmine.any(BeeswaxClient.errors.NotFoundError));
+            expect(error.message).toBe('Campaign 99 not found');
+            expect(edits()).toEqual([]);
+        }).then(done, done.fail);
+    });
+
+    it('should reject for entities it cannot cascade from', function(done) {
+        setActive(beeswax, 'lineItems', 21, false).then(done.fail, function(error) {
+            expect(error.message).toBe('Cannot set active on lineItems');
+        }).then(done, done.fail);
+    });
+
+    describe('if an edit fails', function() {
+        var error;
+
+        beforeEach(function() {
+            var edit = beeswax.lineItems.edit;
+            error = new Error('Line item 22 has no active creatives');
+            spyOn(beeswax.lineItems, 'edit').and.callFake(function(id, body, failOnNotFound) {
+                return id === 22 ? Promise.reject(error) : edit(id, body, failOnNotFound);
+            });
+        });
+
+        it('should report the failure and skip the levels after it', function(done) {
+            beeswax.campaigns.setActive(11, false, { cascade: true }).then(function(result) {
+                expect(result.success).toBe(false);
+                expect(result.changed).toEqual([{ type: 'lineItems', id: 21 }]);
+                expect(result.failed).toEqual([{ type: 'lineItems', id: 22, error: error }]);
+                expect(result.skipped).toEqual([{ type: 'campaigns', id: 11 }]);
+                expect(isActive('lineItems', 21)).toBe(false);
+                expect(isActive('campaigns', 11)).toBe(true);
+            }).then(done, done.fail);
+        });
+
+        it('should revert the changes made so far if opts.rollback is set', function(done) {
+            beeswax.campaigns.setActive(11, false, { cascade: true, rollback: true }).then(done.fail, function(rejected) {
+                expect(rejected).toBe(error);
+                expect(rejected.rollback).toEqual({ reverted: [{ type: 'lineItems', id: 21 }], failed: [] });
+                expect(isActive('lineItems', 21)).toBe(true);
+                expect(isActive('campaigns', 11)).toBe(true);
+                expect(edits()).toEqual([
+                    '/rest/line_item/strict {"active":false,"line_item_id":21}',
+                    '/rest/line_item/strict {"active":true,"line_item_id":21}'
+                ]);
+            }).then(done, done.fail);
+        });
+    });
+});
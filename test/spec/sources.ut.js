@@ -0,0 +1,62 @@
+describe('sources', function() {
+    var fs, os, path, PassThrough, sources, tmpFile;
+
+    beforeEach(function() {
+        fs          = require('fs');
+        os          = require('os');
+        path        = require('path');
+        PassThrough = require('stream').PassThrough;
+        sources     = require('../../lib/sources');
+
+        tmpFile = path.join(os.tmpdir(), 'beeswax-sources-' + process.pid + '.txt');
+        fs.writeFileSync(tmpFile, 'file contents');
+    });
+
+    afterEach(function() {
+        fs.unlinkSync(tmpFile);
+    });
+
+    describe('read', function() {
+        it('should read a file path', function(done) {
+            sources.read(tmpFile, undefined, 'default.txt').then(function(file) {
+                expect(file).toEqual({ buffer: new Buffer('file contents'), name: path.basename(tmpFile), size: 13 });
+            }).then(done, done.fail);
+        });
+
+        it('should use a Buffer as is', function(done) {
+            sources.read(new Buffer('abc'), 'abc.txt').then(function(file) {
+                expect(file).toEqual({ buffer: new Buffer('abc'), name: 'abc.txt', size: 3 });
+            }).then(done, done.fail);
+        });
+
+        it('should read a stream into a Buffer', function(done) {
+            var stream = new PassThrough();
+            sources.read(stream, undefined, 'default.txt').then(function(file) {
+                expect(file).toEqual({ buffer: new Buffer('abcdef'), name: 'default.txt', size: 6 });
+            }).then(done, done.fail);
+            stream.write('abc');
+            stream.end('def');
+        });
+
+        it('should name file streams after their path', function(done) {
+            sources.read(fs.createReadStream(tmpFile), undefined, 'default.txt').then(function(file) {
+                expect(file.name).toBe(path.basename(tmpFile));
+                expect(file.size).toBe(13);
+            }).then(done, done.fail);
+        });
+
+        it('should reject if the stream errors', function(done) {
+            var stream = new PassThrough();
+            sources.read(stream).then(done.fail, function(error) {
+                expect(error.message).toBe('broken');
+            }).then(done, done.fail);
+            stream.emit('error', new Error('broken'));
+        });
+
+        it('should reject for anything else', function(done) {
+            sources.read({ foo: 'bar' }).then(done.fail, function(error) {
+                expect(error.message).toBe('source must be a file path, Buffer or readable stream');
+            }).then(done, done.fail);
+        });
+    });
+});
@@ -0,0 +1,14 @@
+describe('stableStringify', function() {
+    var stableStringify;
+
+    beforeEach(function() {
+        stableStringify = require('../../lib/stableStringify');
+    });
+
+    it('should stringify objects with their keys sorted, at any depth', function() {
+        expect(stableStringify({ b: [{ d: 1, c: 'x' }], a: null, e: undefined }))
+            .toBe('{"a":null,"b":[{"c":"x","d":1}]}');
+        expect(stableStringify({ a: 1, b: 2 })).toBe(stableStringify({ b: 2, a: 1 }));
+        expect(stableStringify('foo')).toBe('"foo"');
+    });
+});